@@ -0,0 +1,90 @@
+/**
+ * 按当前区域模式获取各账号的用量数据
+ * both 模式下返回国内和海外两个账号，并附带区域标签
+ * @param {MinimaxAPI} api - Client of the current profile
+ * @param {Object} [options]
+ * @param {boolean} [options.forceRefresh] - Request current usage instead of reading the shared cache
+ * @returns {Promise<Array<{api: MinimaxAPI, apiData: Object, usageData: Object, subscriptionData: Object|null}>>}
+ */
+async function fetchAccounts(api, options = {}) {
+  const clients = api.getRegionClients();
+  return Promise.all(clients.map((client) => fetchAccount(client, clients.length > 1, options.forceRefresh)));
+}
+
+async function fetchAccount(client, multiple, forceRefresh = false) {
+  let subscriptionError = null;
+  const [apiData, subscriptionData] = await Promise.all([
+    client.getUsageStatus(forceRefresh),
+    // 订阅信息只用于显示到期时间，失败时继续显示用量
+    client.getSubscriptionDetails().catch((error) => {
+      subscriptionError = error;
+      return null;
+    }),
+  ]);
+  const usageData = client.parseUsageData(apiData, subscriptionData);
+  usageData.subscriptionError = subscriptionError;
+  usageData.forecast = client.getForecast(usageData.modelName);
+  if (multiple) {
+    usageData.regionLabel = client.regionLabel;
+  }
+  return { api: client, apiData, usageData, subscriptionData };
+}
+
+/**
+ * 与 fetchAccounts 相同，但单个账号失败时不抛出：
+ * 有缓存时返回最后一次的数据（usageData.staleSince 为获取时间），否则 usageData 为 null
+ * @param {MinimaxAPI} api - Client of the current profile
+ * @returns {Promise<Array<{api: MinimaxAPI, apiData: Object|null, usageData: Object|null, error: Error|null}>>}
+ */
+async function fetchAccountsOrLastKnown(api) {
+  const clients = api.getRegionClients();
+  const multiple = clients.length > 1;
+  return Promise.all(
+    clients.map(async (client) => {
+      try {
+        return { ...(await fetchAccount(client, multiple)), error: null };
+      } catch (error) {
+        const lastKnown = client.getLastKnownUsage();
+        if (lastKnown && multiple) {
+          lastKnown.usageData.regionLabel = client.regionLabel;
+        }
+        return {
+          api: client,
+          apiData: lastKnown ? lastKnown.apiData : null,
+          usageData: lastKnown ? lastKnown.usageData : null,
+          error,
+        };
+      }
+    })
+  );
+}
+
+/**
+ * fetchAccounts() 加上统计周期内的消耗统计（usageStats，获取失败时为 null）
+ * @param {MinimaxAPI} api - Client of the current profile
+ * @param {Function} [onStatsError] - Called with the error when billing stats fail
+ * @returns {Promise<Array<{api: MinimaxAPI, apiData: Object, usageData: Object, subscriptionData: Object|null, usageStats: Object|null}>>}
+ */
+async function fetchAccountsWithStats(api, onStatsError) {
+  const accounts = await fetchAccounts(api);
+  for (const account of accounts) {
+    // 获取账单数据用于消耗统计
+    account.usageStats = null;
+    try {
+      // 按配置的统计周期（默认订阅周期）统计消耗
+      account.usageStats = await account.api.getPeriodUsageStats(account.subscriptionData);
+    } catch (billingError) {
+      // 账单数据获取失败不影响主要功能
+      if (onStatsError) {
+        onStatsError(billingError);
+      }
+    }
+  }
+  return accounts;
+}
+
+module.exports = {
+  fetchAccounts,
+  fetchAccountsOrLastKnown,
+  fetchAccountsWithStats,
+};
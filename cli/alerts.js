@@ -0,0 +1,278 @@
+const fs = require("fs");
+const path = require("path");
+const { exec } = require("child_process");
+const { t } = require("./i18n");
+const { renderTemplate } = require("./template");
+const { parseAllModels } = require("./quota");
+
+const METRICS = ["interval", "weekly", "expiry", "reset"];
+const ACTIONS = ["command", "bell", "log"];
+
+// 未配置 alerts 时使用的默认规则，与状态栏的 60/85% 颜色阈值一致
+const DEFAULT_RULES = [
+  { metric: "interval", threshold: 60, action: "bell" },
+  { metric: "interval", threshold: 85, action: "bell" },
+  { metric: "weekly", threshold: 85, action: "bell" },
+  { metric: "expiry", threshold: 7, action: "bell" },
+];
+
+// 回差：百分比规则回落到 threshold - 5 以下、到期规则超过 threshold + 1 天后才重新启用
+const DEFAULT_HYSTERESIS = { interval: 5, weekly: 5, expiry: 1 };
+
+const COMMAND_TIMEOUT = 30000;
+const MAX_RECENT = 5;
+
+/**
+ * Validate and fill defaults of alert rules from the config file
+ * @param {Array<Object>} rules - Raw rules
+ * @returns {Array<Object>} Normalized rules
+ * @throws {Error} When a rule is invalid
+ */
+function normalizeRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error(t("alerts.notArray"));
+  }
+
+  return rules.map((rule, index) => {
+    const where = `alerts[${index}]`;
+    if (!METRICS.includes(rule.metric)) {
+      throw new Error(t("alerts.unknownMetric", { where, value: rule.metric, options: METRICS.join(", ") }));
+    }
+    const action = rule.action || "bell";
+    if (!ACTIONS.includes(action)) {
+      throw new Error(t("alerts.unknownAction", { where, value: action, options: ACTIONS.join(", ") }));
+    }
+    if (action === "command" && !rule.command) {
+      throw new Error(t("alerts.commandRequired", { where }));
+    }
+    if (rule.metric !== "reset" && typeof rule.threshold !== "number") {
+      throw new Error(t("alerts.thresholdRequired", { where, metric: rule.metric }));
+    }
+
+    return {
+      ...rule,
+      action,
+      hysteresis: rule.hysteresis ?? DEFAULT_HYSTERESIS[rule.metric] ?? 0,
+      id: rule.id || `${rule.metric}${rule.threshold !== undefined ? "-" + rule.threshold : ""}-${index}`,
+    };
+  });
+}
+
+/**
+ * Replace {{name}} placeholders in a shell command with environment variable references
+ * 变量值只通过 MINIMAX_ALERT_* 环境变量传入，由 shell 展开，不会被解析为命令
+ * @param {string} command - Command template
+ * @param {Object} vars - Template variables
+ * @returns {string} Command text
+ */
+function renderCommand(command, vars) {
+  return command.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (vars[name] === undefined) {
+      return "";
+    }
+    const variable = `MINIMAX_ALERT_${name.toUpperCase()}`;
+    return process.platform === "win32" ? `%${variable}%` : `\${${variable}}`;
+  });
+}
+
+/**
+ * Escape a variable value for cmd.exe
+ * cmd.exe 先展开 %VAR% 再解析引号和 &|<>^ 等符号，值中的这些字符需要转义，否则会被当作命令语法
+ * @param {string} text - Variable value
+ * @returns {string} Escaped value
+ */
+function escapeCmd(text) {
+  // 双引号无法转义，替换为单引号，值就无法闭合命令中的引号
+  return text.replace(/"/g, "'").replace(/[&|<>^%]/g, "^$&");
+}
+
+/**
+ * 阈值告警引擎（用于 watch --alerts）
+ *
+ * 每条规则带回差（hysteresis）：越过阈值时触发一次，
+ * 之后需要回落到阈值另一侧一定距离才会重新启用，避免每次轮询都触发。
+ */
+class AlertEngine {
+  /**
+   * @param {Array<Object>} [rules] - Alert rules, defaults to DEFAULT_RULES
+   * @param {Object} [options]
+   * @param {string} [options.logPath] - Log file for the "log" action
+   * @param {Function} [options.output] - Writes messages to the terminal
+   */
+  constructor(rules, options = {}) {
+    this.rules = normalizeRules(rules || DEFAULT_RULES);
+    this.logPath =
+      options.logPath ||
+      path.join(process.env.HOME || process.env.USERPROFILE, ".minimax-status", "alerts.log");
+    this.output = options.output || ((message) => process.stdout.write(message));
+    // 规则状态，键为 "<账号>:<规则 id>"
+    this.armed = new Map();
+    // 各模型上一次看到的区间开始时间，键为 "<账号>:<模型>"，用于检测额度重置
+    this.windowStarts = new Map();
+    this.recent = [];
+  }
+
+  /**
+   * Read the metric value a rule watches
+   * @returns {number|null} Value, null when not applicable
+   */
+  static metricValue(metric, usageData) {
+    switch (metric) {
+      case "interval":
+        return usageData.usage.percentage;
+      case "weekly":
+        return usageData.weekly && !usageData.weekly.unlimited ? usageData.weekly.percentage : null;
+      case "expiry":
+        return usageData.expiry ? usageData.expiry.daysRemaining : null;
+      default:
+        return null;
+    }
+  }
+
+  // 到期规则在剩余天数不大于阈值时触发，百分比规则在不小于阈值时触发
+  static isCrossed(rule, value) {
+    return rule.metric === "expiry" ? value <= rule.threshold : value >= rule.threshold;
+  }
+
+  static isRearmed(rule, value) {
+    return rule.metric === "expiry"
+      ? value > rule.threshold + rule.hysteresis
+      : value < rule.threshold - rule.hysteresis;
+  }
+
+  static describe(rule, vars) {
+    const prefix = vars.region ? `[${vars.region}] ` : "";
+    const params = { prefix, model: vars.model, value: vars.value, threshold: rule.threshold };
+    switch (rule.metric) {
+      case "interval":
+        return t("alerts.interval", params);
+      case "weekly":
+        return t("alerts.weekly", params);
+      case "expiry":
+        return t("alerts.expiry", params);
+      default:
+        return t("alerts.reset", params);
+    }
+  }
+
+  /**
+   * Evaluate all rules against one account
+   * @param {Object} account
+   * @param {Object} account.usageData - Parsed usage data
+   * @param {Object} account.apiData - Raw token_plan/remains response
+   * @param {string} [account.key] - Account identifier (profile and region)
+   * @param {string} [account.regionLabel] - Region label for multi-account display
+   * @param {string} [account.profile] - Profile name
+   * @returns {Array<Object>} Alerts fired in this evaluation
+   */
+  evaluate(account) {
+    const { usageData, apiData } = account;
+    const key = account.key || "default";
+    const fired = [];
+
+    const fire = (rule, value, model = { name: usageData.modelName, ...usageData.usage }) => {
+      const vars = {
+        rule: rule.id,
+        metric: rule.metric,
+        value,
+        threshold: rule.threshold,
+        model: model.name,
+        region: account.regionLabel || "",
+        profile: account.profile || "",
+        used: model.used,
+        total: model.total,
+        time: new Date().toISOString(),
+      };
+      vars.message = rule.message ? renderTemplate(rule.message, vars) : AlertEngine.describe(rule, vars);
+
+      const alert = { rule, vars, time: Date.now() };
+      this.runAction(alert);
+      fired.push(alert);
+    };
+
+    const resetModels = this.detectResets(key, apiData);
+
+    for (const rule of this.rules) {
+      if (rule.metric === "reset") {
+        // 每个重置的模型触发一次
+        for (const model of resetModels) {
+          fire(rule, model.percentage, model);
+        }
+        continue;
+      }
+
+      const stateKey = `${key}:${rule.id}`;
+      const value = AlertEngine.metricValue(rule.metric, usageData);
+      if (value === null || value === undefined) continue;
+
+      const armed = this.armed.get(stateKey) !== false;
+      if (!armed) {
+        if (AlertEngine.isRearmed(rule, value)) {
+          this.armed.set(stateKey, true);
+        }
+        continue;
+      }
+      if (!AlertEngine.isCrossed(rule, value)) continue;
+      this.armed.set(stateKey, false);
+      fire(rule, value);
+    }
+
+    this.recent = [...fired.reverse(), ...this.recent].slice(0, MAX_RECENT);
+    return fired;
+  }
+
+  /**
+   * Find models whose interval started since the last evaluation
+   * 按模型记录区间开始时间，各模型的区间可能在不同时间重置
+   * @param {string} key - Account identifier
+   * @param {Object} apiData - Raw token_plan/remains response
+   * @returns {Array<Object>} Reset models, items of quota.parseAllModels()
+   */
+  detectResets(key, apiData) {
+    const modelRemains = (apiData && apiData.model_remains) || [];
+    const models = parseAllModels(apiData || {});
+    return models.filter((model, index) => {
+      const startKey = `${key}:${model.name}`;
+      const start = modelRemains[index].start_time;
+      const previousStart = this.windowStarts.get(startKey);
+      this.windowStarts.set(startKey, start);
+      return previousStart !== undefined && previousStart !== start;
+    });
+  }
+
+  runAction(alert) {
+    const { rule, vars } = alert;
+
+    switch (rule.action) {
+      case "bell":
+        this.output("\x07");
+        break;
+      case "log":
+        try {
+          fs.mkdirSync(path.dirname(this.logPath), { recursive: true });
+          fs.appendFileSync(this.logPath, `${vars.time} [${rule.id}] ${vars.message}\n`);
+        } catch (error) {
+          alert.error = t("alerts.logFailed", { message: error.message });
+        }
+        break;
+      case "command": {
+        // 变量以 MINIMAX_ALERT_* 环境变量传入，命令中的 {{name}} 替换为对应的变量引用
+        const env = { ...process.env };
+        for (const [name, value] of Object.entries(vars)) {
+          const text = value === null || value === undefined ? "" : String(value);
+          env[`MINIMAX_ALERT_${name.toUpperCase()}`] = process.platform === "win32" ? escapeCmd(text) : text;
+        }
+        exec(renderCommand(rule.command, vars), { env, timeout: COMMAND_TIMEOUT }, (error) => {
+          if (error) {
+            this.output(t("alerts.commandFailed", { id: rule.id, message: error.message }) + "\n");
+          }
+        });
+        break;
+      }
+    }
+  }
+}
+
+module.exports = AlertEngine;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
+module.exports.normalizeRules = normalizeRules;
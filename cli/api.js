@@ -1,71 +1,585 @@
 const axios = require("axios");
-const https = require("https");
-const fs = require("fs");
-const path = require("path");
 const chalk = require("chalk").default;
-const { getContextWindowSize, getDefaultContextWindowSize } = require('./model-context-sizes');
+const ConfigStore = require("./config-store");
+const FileCache = require("./file-cache");
+const UsageHistory = require("./usage-history");
+const { calculateForecast, WEEKLY_LOOKBACK } = require("./forecast");
+const { DEFAULT_PERIOD, resolveBillingPeriod } = require("./billing-period");
+const Clock = require("./clock");
+const Fixtures = require("./fixtures");
+const Network = require("./network");
+const { t, formatNumber } = require("./i18n");
+const withRetry = require("./retry");
+const { CONFIG_KEYS, resolveCredentials, redact } = require("./credentials");
+const { parseUsageData, parseAllModels, calculateUsageStats } = require("./quota");
+const {
+  AuthError,
+  SchemaError,
+  NoDataError,
+  fromAxiosError,
+  checkBaseResp,
+} = require("./errors");
+
+// 区域配置：国内平台 minimaxi.com，海外平台 minimax.io
+const REGIONS = {
+  domestic: {
+    baseURL: "https://www.minimaxi.com",
+    servername: "minimaxi.com",
+  },
+  overseas: {
+    baseURL: "https://www.minimax.io",
+    servername: "minimax.io",
+  },
+};
+
+// 区域显示模式：both 表示国内和海外账号并列显示
+const REGION_MODES = ["domestic", "overseas", "both"];
+
+// 接口分组，各分组的 base URL 可以单独覆盖（本地桩服务、企业网关等）
+const ENDPOINT_GROUPS = ["remains", "subscription", "billing"];
+
+// base URL 覆盖的配置字段和环境变量
+// 配置值为字符串时作用于所有分组，为对象时按分组取值（default 作用于未列出的分组）
+const BASE_URL_KEYS = {
+  domestic: { config: "baseURL", env: "MINIMAX_BASE_URL" },
+  overseas: { config: "overseasBaseURL", env: "MINIMAX_OVERSEAS_BASE_URL" },
+};
+
+/**
+ * Resolve the base URL of every endpoint group
+ * @param {string|Object|undefined} override - String for all groups, or {default, remains, subscription, billing}
+ * @returns {Object<string, string|null>} Base URL by group, null to use the region default
+ */
+function resolveBaseURLs(override) {
+  const urls = {};
+  for (const group of ENDPOINT_GROUPS) {
+    const value = typeof override === "object" && override
+      ? override[group] || override.default
+      : override;
+    urls[group] = value ? String(value).replace(/\/+$/, "") : null;
+  }
+  return urls;
+}
 
-// 创建 HTTPS Agent 配置
-const httpsAgent = new https.Agent({
-  keepAlive: true,
-  maxSockets: 5,
-  maxFreeSockets: 2,
-  timeout: 10000,
-  servername: 'minimaxi.com'
-});
+function normalizeRegionMode(mode) {
+  return REGION_MODES.includes(mode) ? mode : "domestic";
+}
 
 class MinimaxAPI {
-  constructor() {
-    this.token = null;
+  /**
+   * @param {Object} options
+   * @param {string} [options.region] - Region mode override (domestic/overseas/both)
+   * @param {string} [options.profile] - Profile name override
+   * @param {boolean} [options.cache] - Set false to disable the shared file cache
+   * @param {number} [options.retries] - Retry count for retryable failures
+   * @param {string} [options.billingPeriod] - Billing period override (cycle, week, month or a date range)
+   * @param {string} [options.timeZone] - IANA time zone override
+   * @param {string} [options.clock] - Clock format override, "24h" or "12h"
+   * @param {string} [options.token] - Token to use instead of the configured credentials
+   * @param {string} [options.groupId] - GroupId for options.token (required for overseas)
+   * @param {string} [options.configPath] - Config file path, defaults to ~/.minimax-config.json
+   * @param {boolean} [options.history] - Set false to skip recording usage history
+   * @param {string|Object} [options.baseURL] - Base URL override, see resolveBaseURLs()
+   * @param {string} [options.record] - Directory to save sanitized responses to
+   * @param {string} [options.replay] - Directory to read recorded responses from instead of the API
+   */
+  constructor(options = {}) {
+    this.regionOverride = options.region || null;
+    this.tokenOverride = options.token || null;
+    this.groupIdOverride = options.groupId || null;
+    this.baseURLOverride = options.baseURL || null;
+    this.profileOverride = options.profile || null;
+    this.billingPeriodOverride = options.billingPeriod || null;
+    this.timeZoneOverride = options.timeZone || null;
+    this.clockOverride = options.clock || null;
+    this.profileName = null;
+    this.region = "domestic";
+    this.regionMode = "domestic";
+    this.config = {};
+    this.credentials = { token: null, groupId: null, source: null, error: null };
     this.groupId = null;
-    this.configPath = path.join(
-      process.env.HOME || process.env.USERPROFILE,
-      ".minimax-config.json"
-    );
+    this.store = new ConfigStore(options.configPath);
+    this.configPath = this.store.configPath;
     this.cache = {
       data: null,
       timestamp: 0,
     };
     this.cacheTimeout = 8000; // 8秒缓存
+    // 跨进程文件缓存（statusline 每次刷新都是新进程，内存缓存无效）
+    this.fileCache =
+      options.cache === false || process.env.MINIMAX_NO_CACHE ? null : new FileCache();
+    this.retry = options.retries === undefined ? {} : { retries: options.retries };
+    // 等待其他进程刷新缓存的最长时间，默认使用 FileCache 的锁超时
+    this.cacheWait = undefined;
+    this.recordHistory = options.history !== false;
+    this.useFixtures(
+      options.replay || process.env.MINIMAX_REPLAY ? "replay" : "record",
+      options.replay || process.env.MINIMAX_REPLAY || options.record || process.env.MINIMAX_RECORD
+    );
     this.loadConfig();
   }
 
   loadConfig() {
     try {
       // 只从独立的 config 文件读取
-      if (fs.existsSync(this.configPath)) {
-        const config = JSON.parse(fs.readFileSync(this.configPath, "utf8"));
-        this.token = config.token;
-        this.groupId = config.groupId;
-      }
+      this.store.load();
     } catch (error) {
       console.error("Failed to load config:", error.message);
     }
+
+    // 当前档案的凭据和区域设置
+    this.profileName = this.store.resolveProfileName(this.profileOverride);
+    this.config = this.store.getProfile(this.profileName);
+
+    // 优先级：命令行 --region > MINIMAX_REGION 环境变量 > 配置文件
+    this.regionMode = normalizeRegionMode(
+      this.regionOverride || process.env.MINIMAX_REGION || this.config.region
+    );
+    // both 模式下主实例使用国内账号，海外账号由 getRegionClients() 另建实例
+    this.region = this.regionMode === "overseas" ? "overseas" : "domestic";
+
+    // 时区和时钟格式是全局设置，不区分档案
+    // 优先级：命令行 --tz/--clock > MINIMAX_TZ/MINIMAX_CLOCK 环境变量 > 配置文件 > 系统时区、24 小时制
+    this.clock = new Clock({
+      timeZone: this.timeZoneOverride || process.env.MINIMAX_TZ || this.store.data.timezone,
+      clock: this.clockOverride || process.env.MINIMAX_CLOCK || this.store.data.clock,
+    });
+
+    // 优先级：构造参数 > 环境变量 > 配置文件 > 区域默认地址
+    const baseURLKeys = BASE_URL_KEYS[this.region];
+    this.baseURLs = resolveBaseURLs(
+      this.baseURLOverride || process.env[baseURLKeys.env] || this.config[baseURLKeys.config]
+    );
+
+    // 代理和证书是全局设置，不区分档案
+    this.network = new Network(this.store.data);
+
+    // tokenCommand 延迟到首次读取 token 时执行
+    this.credentials = this.getCredentials(this.region);
+    this.groupId = this.credentials.groupId;
+    this.credentialSource = this.credentials.source;
+    this.clearCache();
+  }
+
+  get token() {
+    return this.credentials.token;
+  }
+
+  // 直接设置的令牌（如 verifyCredentials）替换配置中的凭据
+  set token(token) {
+    this.credentials = { token, groupId: this.groupId, source: "option", error: null };
+    this.credentialSource = "option";
+  }
+
+  // tokenCommand 执行失败的原因
+  get credentialError() {
+    return this.credentials.error;
   }
 
   saveConfig() {
     try {
-      // 保存到独立的 config 文件
-      const config = {
-        token: this.token,
-        groupId: this.groupId,
-      };
-      fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2));
+      // 保存到独立的 config 文件（写回当前档案）
+      this.store.setProfile(this.profileName, this.config);
+      this.store.save();
     } catch (error) {
       console.error("Failed to save config:", error.message);
     }
   }
 
-  setCredentials(token, groupId) {
-    this.token = token;
-    this.groupId = groupId;
+  /**
+   * Get credentials of a region
+   * 优先级：环境变量 > tokenCommand > 配置文件
+   * @param {string} region - domestic or overseas
+   * @returns {{token: string|null, groupId: string|null, source: string|null, error: string|null}}
+   */
+  getCredentials(region) {
+    // 直接传入的令牌只用于主实例的区域
+    if (this.tokenOverride && region === this.region) {
+      return { token: this.tokenOverride, groupId: this.groupIdOverride, source: "option", error: null };
+    }
+    return resolveCredentials(this.config, region);
+  }
+
+  setCredentials(token, groupId, region = this.region) {
+    const keys = CONFIG_KEYS[region];
+    this.config[keys.token] = token;
+    this.config[keys.groupId] = groupId;
+
+    // 另一个区域未配置时，默认显示刚认证的区域
+    const otherRegion = region === "overseas" ? "domestic" : "overseas";
+    if (!this.getCredentials(otherRegion).token) {
+      this.config.region = region;
+    }
+
     this.saveConfig();
+    this.loadConfig();
+  }
+
+  /**
+   * Remove stored credentials of the current profile
+   * @param {Array<string>} regions - Regions to log out of
+   * @returns {boolean} Whether anything was removed
+   */
+  removeCredentials(regions) {
+    let removed = false;
+    for (const region of regions) {
+      for (const key of Object.values(CONFIG_KEYS[region])) {
+        if (this.config[key] !== undefined) {
+          delete this.config[key];
+          removed = true;
+        }
+      }
+    }
+
+    // 只剩一个区域有凭据时，默认显示该区域
+    const remaining = ["domestic", "overseas"].filter(
+      (region) => this.config[CONFIG_KEYS[region].token] || this.config[CONFIG_KEYS[region].tokenCommand]
+    );
+    if (remaining.length === 1) {
+      this.config.region = remaining[0];
+    }
+
+    if (removed) {
+      this.saveConfig();
+      this.loadConfig();
+    }
+    return removed;
+  }
+
+  /**
+   * Check a token against the API without saving it
+   * @param {string} token - Token to verify
+   * @param {string|null} groupId - GroupId (required for overseas)
+   * @param {string} [region] - domestic or overseas
+   * @returns {Promise<Object>} token_plan/remains response
+   * @throws {MinimaxError} Typed error when the token does not work
+   */
+  async verifyCredentials(token, groupId, region = this.region) {
+    const client = new MinimaxAPI({
+      region,
+      profile: this.profileName,
+      configPath: this.store.configPath,
+      cache: false,
+      retries: 1,
+    });
+    client.token = token;
+    client.groupId = groupId;
+
+    const body = await client.request(
+      "remains",
+      "/v1/token_plan/remains",
+      region === "overseas" ? { GroupId: groupId } : {}
+    );
+    if (!Array.isArray(body.model_remains)) {
+      throw new SchemaError("Unexpected response: model_remains is missing");
+    }
+    return body;
+  }
+
+  /**
+   * Mask every known token of the current profile in a message
+   * @param {string} text - Message that may contain tokens
+   * @returns {string} Redacted message
+   */
+  redact(text) {
+    // 尚未执行的 tokenCommand 不可能出现在消息中，不为脱敏而执行
+    const tokens = [this.credentials, this.getCredentials("domestic"), this.getCredentials("overseas")]
+      .filter((credentials) => credentials.resolved !== false)
+      .map((credentials) => credentials.token);
+    return redact(text, tokens);
+  }
+
+  /**
+   * Switch region mode for this process (e.g. from --region option)
+   * @param {string} mode - domestic, overseas or both
+   */
+  useRegion(mode) {
+    this.regionOverride = mode || null;
+    this.loadConfig();
+  }
+
+  /**
+   * Switch profile for this process (e.g. from --profile option)
+   * @param {string} name - Profile name
+   */
+  useProfile(name) {
+    this.profileOverride = name || null;
+    this.loadConfig();
+  }
+
+  /**
+   * Persist default region mode to the config file
+   * @param {string} mode - domestic, overseas or both
+   */
+  setRegionMode(mode) {
+    this.config.region = normalizeRegionMode(mode);
+    this.saveConfig();
+    this.loadConfig();
+  }
+
+  /**
+   * Enable or disable the shared file cache (e.g. from --no-cache option)
+   * @param {boolean} enabled
+   */
+  useCache(enabled) {
+    this.fileCache = enabled ? this.fileCache || new FileCache() : null;
+  }
+
+  /**
+   * Billing period setting for consumption stats
+   * 优先级：命令行 --period > MINIMAX_BILLING_PERIOD 环境变量 > 配置文件 > cycle
+   * @returns {string} cycle, week, month or "YYYY-MM-DD..YYYY-MM-DD"
+   */
+  get billingPeriod() {
+    return (
+      this.billingPeriodOverride ||
+      process.env.MINIMAX_BILLING_PERIOD ||
+      this.config.billingPeriod ||
+      DEFAULT_PERIOD
+    );
+  }
+
+  // 本进程使用的统计周期（如 --period 选项）
+  useBillingPeriod(period) {
+    this.billingPeriodOverride = period || null;
+  }
+
+  /**
+   * Persist the billing period of the current profile
+   * @param {string} period - cycle, week, month or "YYYY-MM-DD..YYYY-MM-DD"
+   */
+  setBillingPeriod(period) {
+    this.config.billingPeriod = period;
+    this.saveConfig();
+    this.loadConfig();
+  }
+
+  /**
+   * Override time zone and clock format for this process (e.g. from --tz/--clock options)
+   * @param {Object} options
+   * @param {string} [options.timeZone] - IANA time zone
+   * @param {string} [options.clock] - "24h" or "12h"
+   */
+  useClock({ timeZone, clock }) {
+    this.timeZoneOverride = timeZone || this.timeZoneOverride;
+    this.clockOverride = clock || this.clockOverride;
+    this.loadConfig();
+  }
+
+  // 设置可重试错误（限流、5xx、网络、超时）的重试次数
+  useRetries(retries) {
+    this.retry = { ...this.retry, retries };
+  }
+
+  // 设置等待其他进程刷新缓存的最长时间（毫秒），超时后自行请求
+  useCacheWait(wait) {
+    this.cacheWait = wait;
+  }
+
+  /**
+   * Record responses to, or replay them from, a fixture directory (e.g. from --record/--replay)
+   * 录制时跳过文件缓存以保证每个接口都请求上游；回放时不请求网络，也不写入缓存和历史
+   * @param {string} mode - record or replay
+   * @param {string} [dir] - Fixture directory, empty to turn fixtures off
+   */
+  useFixtures(mode, dir) {
+    this.fixtures = dir ? new Fixtures(dir, mode) : null;
+    if (this.fixtures) {
+      this.fileCache = null;
+    }
+    if (this.fixtures && this.fixtures.replaying) {
+      this.recordHistory = false;
+    }
+  }
+
+  /**
+   * Base URL of an endpoint group
+   * @param {string} endpoint - remains, subscription or billing
+   * @returns {string} Base URL without trailing slash
+   */
+  endpointURL(endpoint) {
+    return this.baseURLs[endpoint] || this.baseURL;
+  }
+
+  /**
+   * How requests of an endpoint group reach the API
+   * @param {string} endpoint - remains, subscription or billing
+   * @returns {{url: string, proxy: string|null, source: string|null, bypassed: boolean}} See Network#route()
+   */
+  networkRoute(endpoint) {
+    const url = this.endpointURL(endpoint);
+    return { url, ...this.network.route(url) };
+  }
+
+  /**
+   * GET an API path with retries and typed errors
+   * @param {string} endpoint - Endpoint group (remains/subscription/billing), selects the base URL
+   * @param {string} path - Path under the base URL
+   * @param {Object} [params] - Query parameters
+   * @param {string} [label] - Prefix for generic error messages
+   * @returns {Promise<Object>} Response body
+   * @throws {MinimaxError} Typed error after retries are exhausted
+   */
+  async request(endpoint, path, params = {}, label) {
+    if (this.fixtures && this.fixtures.replaying) {
+      const data = this.fixtures.read(this.region, endpoint, params);
+      if (!data) {
+        throw new NoDataError(`No recorded ${endpoint} response in ${this.fixtures.dir}`);
+      }
+      return data;
+    }
+
+    const data = await withRetry(async () => {
+      try {
+        const url = `${this.endpointURL(endpoint)}${path}`;
+        const response = await axios.get(url, {
+          params,
+          headers: {
+            Authorization: `Bearer ${this.token}`,
+            Accept: "application/json",
+          },
+          timeout: 10000, // 10秒超时
+          // 自定义地址的证书与区域默认域名无关，只对区域默认地址固定 servername
+          ...this.network.requestOptions(url, this.baseURLs[endpoint] ? undefined : REGIONS[this.region].servername),
+        });
+        checkBaseResp(response.data);
+        return response.data;
+      } catch (error) {
+        throw fromAxiosError(error, label);
+      }
+    }, this.retry);
+
+    if (this.fixtures) {
+      this.fixtures.write(this.region, endpoint, params, data, [this.token, this.groupId]);
+    }
+    return data;
+  }
+
+  /**
+   * Request through the shared file cache
+   * @param {string} endpoint - Endpoint group (remains/subscription/billing)
+   * @param {Array} keyParts - Extra values identifying the request
+   * @param {Function} fetcher - Async function returning response data
+   * @param {boolean} forceRefresh - Bypass cached data
+   * @returns {Promise<any>} Response data
+   */
+  cachedRequest(endpoint, keyParts, fetcher, forceRefresh = false) {
+    if (!this.fileCache) {
+      return fetcher();
+    }
+    return this.fileCache.fetch(
+      endpoint,
+      [this.endpointURL(endpoint), this.token, this.groupId, ...keyParts],
+      fetcher,
+      { force: forceRefresh, wait: this.cacheWait }
+    );
+  }
+
+  /**
+   * Parse the last cached usage response, whatever its age
+   * 倒计时按数据的年龄扣减，返回的 usageData 带 staleSince（数据获取时间）
+   * @returns {{apiData: Object, usageData: Object}|null} Null without cached data
+   */
+  getLastKnownUsage() {
+    if (!this.fileCache) {
+      return null;
+    }
+
+    const keyParts = (endpoint) => [this.endpointURL(endpoint), this.token, this.groupId];
+    const entry = this.fileCache.readLastKnown("remains", keyParts("remains"));
+    if (!entry || !entry.data || !Array.isArray(entry.data.model_remains)) {
+      return null;
+    }
+
+    const age = Date.now() - entry.timestamp;
+    const apiData = {
+      ...entry.data,
+      model_remains: entry.data.model_remains.map((model) => ({
+        ...model,
+        remains_time: Math.max(0, (model.remains_time || 0) - age),
+        weekly_remains_time: Math.max(0, (model.weekly_remains_time || 0) - age),
+      })),
+    };
+    const subscription =
+      this.region === "overseas" ? null : this.fileCache.readLastKnown("subscription", keyParts("subscription"));
+
+    try {
+      const usageData = this.parseUsageData(apiData, subscription ? subscription.data : null);
+      usageData.staleSince = entry.timestamp;
+      return { apiData, usageData };
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Usage history of the current profile and region
+   * @returns {UsageHistory}
+   */
+  getHistory() {
+    return new UsageHistory(`${this.profileName}-${this.region}`, {
+      retentionDays: this.store.data.historyRetentionDays,
+    });
+  }
+
+  /**
+   * Forecast quota exhaustion from recorded history
+   * @param {string} modelName - Model name
+   * @returns {Object|null} Forecast, see forecast.calculateForecast()
+   */
+  getForecast(modelName) {
+    const now = Date.now();
+    const samples = this.getHistory().readRecent(now - WEEKLY_LOOKBACK, modelName);
+    return calculateForecast(samples, now);
+  }
+
+  get regionLabel() {
+    return t(`region.${this.region}`);
+  }
+
+  get baseURL() {
+    return REGIONS[this.region].baseURL;
+  }
+
+  /**
+   * Get API clients for the current region mode
+   * both 模式返回国内和海外两个实例（跳过未配置凭据的区域）
+   * @returns {Array<MinimaxAPI>} API clients
+   */
+  getRegionClients() {
+    if (this.regionMode !== "both") {
+      return [this];
+    }
+
+    const clients = [this, new MinimaxAPI({
+        region: "overseas",
+        profile: this.profileName,
+        configPath: this.store.configPath,
+        cache: Boolean(this.fileCache),
+        history: this.recordHistory,
+        record: this.fixtures && !this.fixtures.replaying ? this.fixtures.dir : undefined,
+        replay: this.fixtures && this.fixtures.replaying ? this.fixtures.dir : undefined,
+        retries: this.retry.retries,
+        billingPeriod: this.billingPeriodOverride,
+        timeZone: this.timeZoneOverride,
+        clock: this.clockOverride,
+      })].filter(
+      (client) => client.token
+    );
+    return clients.length > 0 ? clients : [this];
   }
 
   async getUsageStatus(forceRefresh = false) {
-    if (!this.token) {
-      throw new Error(
-        'Missing credentials. Please run "minimax-status auth <token>" first'
+    // 回放录制的响应时不需要令牌
+    if (!this.token && !(this.fixtures && this.fixtures.replaying)) {
+      // tokenCommand 执行失败时给出具体原因
+      if (this.credentialError) {
+        throw new AuthError(this.credentialError);
+      }
+      throw new AuthError(
+        this.region === "overseas"
+          ? 'Missing overseas credentials. Please run "minimax-status auth <token> <groupId> --region overseas" first'
+          : 'Missing credentials. Please run "minimax-status auth <token>" first'
       );
     }
 
@@ -79,66 +593,49 @@ class MinimaxAPI {
       return this.cache.data;
     }
 
-    try {
-      const response = await axios.get(
-        `https://www.minimaxi.com/v1/token_plan/remains`,
-        {
-          headers: {
-            Authorization: `Bearer ${this.token}`,
-            Accept: "application/json",
-          },
-          timeout: 10000, // 10秒超时
-          httpsAgent, // 添加 HTTPS Agent 配置
-        }
+    const data = await this.cachedRequest("remains", [], async () => {
+      // 海外平台需要携带 GroupId
+      const body = await this.request(
+        "remains",
+        "/v1/token_plan/remains",
+        this.region === "overseas" ? { GroupId: this.groupId } : {}
       );
+      if (!Array.isArray(body.model_remains)) {
+        throw new SchemaError("Unexpected response: model_remains is missing");
+      }
 
-      // 更新缓存
-      this.cache.data = response.data;
-      this.cache.timestamp = now;
-
-      return response.data;
-    } catch (error) {
-      if (error.response?.status === 401) {
-        throw new Error(
-          "Invalid token or unauthorized. Please check your credentials."
-        );
-      } else if (error.code === "ECONNABORTED") {
-        throw new Error(
-          "Request timeout. Please check your network connection."
-        );
-      } else if (error.code === "ENOTFOUND" || error.code === "ECONNREFUSED") {
-        throw new Error(
-          "Network error. Please check your internet connection."
-        );
+      // 只记录上游返回的数据，缓存命中不重复记录
+      if (this.recordHistory && !process.env.MINIMAX_NO_HISTORY && this.store.data.history !== false) {
+        this.getHistory().record(body);
       }
-      throw new Error(`API request failed: ${error.message}`);
-    }
+      return body;
+    }, forceRefresh);
+
+    // 更新缓存
+    this.cache.data = data;
+    this.cache.timestamp = now;
+
+    return data;
   }
 
+  /**
+   * Get subscription details
+   * @returns {Promise<Object|null>} Subscription data, null for overseas accounts
+   * @throws {MinimaxError} Typed error when the request fails
+   */
   async getSubscriptionDetails() {
-    try {
-      const response = await axios.get(
-        `https://www.minimaxi.com/v1/api/openplatform/charge/combo/cycle_audio_resource_package`,
-        {
-          params: {
-            biz_line: 2,
-            cycle_type: 1,
-            resource_package_type: 7,
-          },
-          headers: {
-            Authorization: `Bearer ${this.token}`,
-            Accept: "application/json",
-          },
-          timeout: 10000,
-          httpsAgent, // 添加 HTTPS Agent 配置
-        }
-      );
-
-      return response.data;
-    } catch (error) {
-      // 如果订阅 API 失败，静默返回 null
+    // 海外平台暂无订阅详情接口
+    if (this.region === "overseas") {
       return null;
     }
+
+    return this.cachedRequest("subscription", [], () =>
+      this.request("subscription", "/v1/api/openplatform/charge/combo/cycle_audio_resource_package", {
+        biz_line: 2,
+        cycle_type: 1,
+        resource_package_type: 7,
+      })
+    );
   }
 
   /**
@@ -148,69 +645,76 @@ class MinimaxAPI {
    * @returns {Promise<Object>} Billing records response
    */
   async getBillingRecords(page = 1, limit = 100) {
-    try {
-      const response = await axios.get(
-        `https://www.minimaxi.com/account/amount`,
-        {
-          params: {
-            page: page,
-            limit: limit,
-            aggregate: false,
-          },
-          headers: {
-            Authorization: `Bearer ${this.token}`,
-            Accept: "application/json",
-          },
-          timeout: 10000,
-          httpsAgent,
-        }
-      );
-
-      return response.data;
-    } catch (error) {
-      throw new Error(`账单 API 请求失败: ${error.message}`);
+    // 海外平台暂无账单接口
+    if (this.region === "overseas") {
+      return { charge_records: [] };
     }
+
+    // 单页不走缓存：各页缓存年龄不同时拼接会重复或遗漏记录，缓存由 getAllBillingRecords 整体完成
+    return this.request(
+      "billing",
+      "/account/amount",
+      {
+        page: page,
+        limit: limit,
+        aggregate: false,
+      },
+      t("error.billingRequest")
+    );
   }
 
   /**
    * Fetch all billing records with pagination
+   * 任一页失败时抛出类型化错误，不返回不完整的结果
    * @param {number} maxPages - Maximum number of pages to fetch (default 100)
    * @param {number} minStartTime - Optional: stop fetching when records are older than this time (ms)
-   * @returns {Promise<Array>} All billing records
+   * @returns {Promise<{records: Array, truncated: boolean}>} Billing records, newest first;
+   *   truncated 为 true 表示达到 maxPages 时仍有更早的记录未获取
+   * @throws {MinimaxError} Typed error when a page fails
    */
   async getAllBillingRecords(maxPages = 100, minStartTime = 0) {
+    // 合并后的记录列表按时间范围作为一个缓存条目，保证各页来自同一次获取；
+    // 起点取整到当天零点，"30d" 这类相对时间在一天内命中同一条目
+    const since = minStartTime > 0 ? this.clock.startOfDay(minStartTime) : 0;
+    return this.cachedRequest("billing", [since, maxPages], () =>
+      this.fetchBillingPages(maxPages, since)
+    );
+  }
+
+  /**
+   * Fetch billing pages one by one until the range is covered, bypassing the cache
+   * @param {number} maxPages - Maximum number of pages to fetch
+   * @param {number} minStartTime - Stop fetching when records are older than this time (ms), 0 for all
+   * @returns {Promise<{records: Array, truncated: boolean}>} See getAllBillingRecords()
+   */
+  async fetchBillingPages(maxPages, minStartTime) {
     const allRecords = [];
 
     for (let page = 1; page <= maxPages; page++) {
-      try {
-        const response = await this.getBillingRecords(page, 100);
-        const records = response.charge_records || [];
+      const response = await this.getBillingRecords(page, 100);
+      const records = response.charge_records || [];
 
-        if (records.length === 0) {
-          break;
-        }
+      if (records.length === 0) {
+        return { records: allRecords, truncated: false };
+      }
 
-        allRecords.push(...records);
+      allRecords.push(...records);
 
-        // 如果传入了时间范围，检查是否需要继续获取
-        if (minStartTime > 0) {
-          const lastRecord = records[records.length - 1];
-          const lastRecordTime = (lastRecord.created_at || 0) * 1000;
-          if (lastRecordTime < minStartTime) {
-            break;
-          }
+      // 如果传入了时间范围，检查是否需要继续获取
+      if (minStartTime > 0) {
+        const lastRecord = records[records.length - 1];
+        const lastRecordTime = (lastRecord.created_at || 0) * 1000;
+        if (lastRecordTime < minStartTime) {
+          return { records: allRecords, truncated: false };
         }
+      }
 
-        if (records.length < 100) {
-          break;
-        }
-      } catch (error) {
-        console.error(`Failed to fetch billing records page ${page}:`, error.message);
-        break;
+      if (records.length < 100) {
+        return { records: allRecords, truncated: false };
       }
     }
 
-    return allRecords;
+    return { records: allRecords, truncated: true };
   }
 
   /**
@@ -218,64 +722,43 @@ class MinimaxAPI {
    * @param {Array} records - Billing records from account/amount API
    * @param {number} planStartTime - Plan start time in milliseconds
    * @param {number} planEndTime - Plan end time in milliseconds
-   * @returns {Object} Usage statistics
+   * @returns {Object} Usage statistics, see quota.calculateUsageStats()
    */
   calculateUsageStats(records, planStartTime, planEndTime) {
-    const now = Date.now();
-
-    // 账单记录是秒级时间戳，需要统一转换为毫秒
-    const planStartMs = planStartTime;
-    const planEndMs = planEndTime;
-
-    // 昨日（0点到现在）或者取最近一次账单的日期
-    // 账单记录不是实时的，当日消耗要明天才显示，所以显示"昨日"
-    const todayStart = new Date().setHours(0, 0, 0, 0);
-    const yesterdayStart = todayStart - 24 * 60 * 60 * 1000;
-    const weekAgo = now - 7 * 24 * 60 * 60 * 1000;
-
-    const stats = {
-      lastDayUsage: 0,
-      weeklyUsage: 0,
-      planTotalUsage: 0,
-    };
-
-    for (const record of records) {
-      const tokens = parseInt(record.consume_token, 10) || 0;
-      // 账单记录的 created_at 是秒级时间戳，转换为毫秒
-      const createdAt = (record.created_at || 0) * 1000;
-
-      // 昨日消耗（从昨日0点到现在）
-      if (createdAt >= yesterdayStart && createdAt < todayStart) {
-        stats.lastDayUsage += tokens;
-      }
+    return calculateUsageStats(records, planStartTime, planEndTime, this.clock);
+  }
 
-      // 近7天消耗
-      if (createdAt >= weekAgo) {
-        stats.weeklyUsage += tokens;
-      }
+  /**
+   * Fetch billing records and calculate stats over the configured billing period
+   * @param {Object|null} subscriptionData - Response of getSubscriptionDetails(), used for the cycle period
+   * @returns {Promise<Object|null>} Stats of calculateUsageStats() plus period
+   *   ({mode, name, label, start, end}) and truncated, null when there are no records
+   */
+  async getPeriodUsageStats(subscriptionData) {
+    const now = Date.now();
+    const period = resolveBillingPeriod(this.billingPeriod, subscriptionData, this.clock, now);
 
-      // 套餐期内总消耗
-      if (createdAt >= planStartMs && createdAt <= planEndMs) {
-        stats.planTotalUsage += tokens;
-      }
+    // 昨日和近7天消耗也来自同一批记录，拉取范围需要同时覆盖
+    const yesterdayStart = this.clock.startOfDay(this.clock.startOfDay(now) - 1);
+    const minStartTime = Math.min(period.start, yesterdayStart, now - 7 * 24 * 60 * 60 * 1000);
+    const { records, truncated } = await this.getAllBillingRecords(100, minStartTime);
+    if (records.length === 0) {
+      return null;
     }
 
+    const stats = this.calculateUsageStats(records, period.start, Math.min(period.end, now));
+    stats.period = period;
+    stats.truncated = truncated;
     return stats;
   }
 
   /**
-   * Format number to human readable format (万, 亿)
+   * Format number to human readable format (万/亿 or K/M/B by language)
    * @param {number} num - Number to format
    * @returns {string} Formatted string
    */
   formatNumber(num) {
-    if (num >= 100000000) {
-      return (num / 100000000).toFixed(1).replace(/\.0$/, "") + "亿";
-    }
-    if (num >= 10000) {
-      return (num / 10000).toFixed(1).replace(/\.0$/, "") + "万";
-    }
-    return num.toLocaleString("zh-CN");
+    return formatNumber(num);
   }
 
   // 清除缓存
@@ -286,123 +769,14 @@ class MinimaxAPI {
     };
   }
 
+  /**
+   * Parse usage data in the configured time zone
+   * @param {Object} apiData - token_plan/remains response
+   * @param {Object|null} subscriptionData - Subscription response
+   * @returns {Object} Usage data, see quota.parseUsageData()
+   */
   parseUsageData(apiData, subscriptionData) {
-    if (!apiData.model_remains || apiData.model_remains.length === 0) {
-      throw new Error("No usage data available");
-    }
-
-    const modelData = apiData.model_remains[0];
-    const startTime = new Date(modelData.start_time);
-    const endTime = new Date(modelData.end_time);
-
-    // Calculate counts
-    // 新接口 usage_count 是已使用次数（正确值）
-    const usedCount = modelData.current_interval_usage_count;
-    const remainingCount = modelData.current_interval_total_count - usedCount;
-
-    // Calculate percentage - 基于已使用次数的百分比
-    const usedPercentage = Math.round(
-      (usedCount / modelData.current_interval_total_count) * 100
-    );
-
-    // Calculate remaining time in human-readable format
-    const remainingMs = modelData.remains_time;
-    const hours = Math.floor(remainingMs / (1000 * 60 * 60));
-    const minutes = Math.floor((remainingMs % (1000 * 60 * 60)) / (1000 * 60));
-
-    // Calculate weekly usage data
-    const weeklyUsed = modelData.current_weekly_usage_count;
-    const weeklyTotal = modelData.current_weekly_total_count;
-    const weeklyPercentage = weeklyTotal > 0 ? Math.floor((weeklyUsed / weeklyTotal) * 100) : 0;
-    const weeklyRemainingMs = modelData.weekly_remains_time;
-    const weeklyDays = Math.floor(weeklyRemainingMs / (1000 * 60 * 60 * 24));
-    const weeklyHours = Math.floor((weeklyRemainingMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-
-    // Parse subscription expiry date if available
-    let expiryInfo = null;
-    if (
-      subscriptionData &&
-      subscriptionData.current_subscribe &&
-      subscriptionData.current_subscribe.current_subscribe_end_time
-    ) {
-      const expiryDate =
-        subscriptionData.current_subscribe.current_subscribe_end_time;
-      const expiry = new Date(expiryDate);
-      const now = new Date();
-
-      // Calculate days until expiry
-      const timeDiff = expiry.getTime() - now.getTime();
-      const daysDiff = Math.ceil(timeDiff / (1000 * 3600 * 24));
-
-      expiryInfo = {
-        date: expiryDate,
-        daysRemaining: daysDiff,
-        text:
-          daysDiff > 0
-            ? `还剩 ${daysDiff} 天`
-            : daysDiff === 0
-            ? "今天到期"
-            : `已过期 ${Math.abs(daysDiff)} 天`,
-      };
-    }
-
-    // 上下文窗口信息
-    // 根据模型名称获取上下文窗口大小，回退到默认值
-    const contextWindowSize =
-      getContextWindowSize(modelData.model_name) || getDefaultContextWindowSize();
-    const contextWindow = {
-      total: contextWindowSize,
-      used: 0,
-      percentage: 0,
-      totalFormatted: "200K",
-      usedFormatted: "0K",
-    };
-
-    return {
-      modelName: modelData.model_name,
-      timeWindow: {
-        start: startTime.toLocaleTimeString("zh-CN", {
-          hour: "2-digit",
-          minute: "2-digit",
-          timeZone: "Asia/Shanghai",
-          hour12: false,
-        }),
-        end: endTime.toLocaleTimeString("zh-CN", {
-          hour: "2-digit",
-          minute: "2-digit",
-          timeZone: "Asia/Shanghai",
-          hour12: false,
-        }),
-        timezone: "UTC+8",
-      },
-      remaining: {
-        hours,
-        minutes,
-        text:
-          hours > 0
-            ? `${hours} 小时 ${minutes} 分钟后重置`
-            : `${minutes} 分钟后重置`,
-      },
-      usage: {
-        used: usedCount,
-        remaining: remainingCount,
-        total: modelData.current_interval_total_count,
-        percentage: usedPercentage,
-      },
-      weekly: {
-        used: weeklyUsed,
-        total: weeklyTotal,
-        percentage: weeklyPercentage,
-        days: weeklyDays,
-        hours: weeklyHours,
-        unlimited: weeklyTotal === 0,
-        text: weeklyDays > 0
-          ? `${weeklyDays} 天 ${weeklyHours} 小时后重置`
-          : `${weeklyHours} 小时后重置`,
-      },
-      contextWindow,
-      expiry: expiryInfo,
-    };
+    return parseUsageData(apiData, subscriptionData, this.clock);
   }
 
   /**
@@ -411,36 +785,11 @@ class MinimaxAPI {
    * @returns {Array} Array of model usage data
    */
   parseAllModels(apiData) {
-    if (!apiData.model_remains || apiData.model_remains.length === 0) {
-      return [];
-    }
-
-    return apiData.model_remains.map(modelData => {
-      const totalCount = modelData.current_interval_total_count;
-      // 新接口 usage_count 是已使用次数（正确值）
-      const usedCount = modelData.current_interval_usage_count;
-      const remainingCount = totalCount - usedCount;
-      const usedPercentage = totalCount > 0 ? Math.round((usedCount / totalCount) * 100) : 0;
-
-      // Weekly data
-      const weeklyTotal = modelData.current_weekly_total_count || 0;
-      const weeklyUsed = modelData.current_weekly_usage_count || 0;
-      const weeklyRemainingCount = weeklyTotal - weeklyUsed;
-      const weeklyPercentage = weeklyTotal > 0 ? Math.floor((weeklyUsed / weeklyTotal) * 100) : 0;
-
-      return {
-        name: modelData.model_name,
-        used: usedCount,
-        remaining: remainingCount,
-        total: totalCount,
-        percentage: usedPercentage,
-        unlimited: weeklyTotal === 0,
-        weeklyPercentage,
-        weeklyTotal,
-        weeklyRemainingCount,
-      };
-    });
+    return parseAllModels(apiData);
   }
 }
 
 module.exports = MinimaxAPI;
+module.exports.REGIONS = REGIONS;
+module.exports.REGION_MODES = REGION_MODES;
+module.exports.ENDPOINT_GROUPS = ENDPOINT_GROUPS;
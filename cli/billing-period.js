@@ -0,0 +1,138 @@
+const { parseDuration } = require("./usage-history");
+const Clock = require("./clock");
+const { t } = require("./i18n");
+
+const DEFAULT_PERIOD = "cycle";
+const PERIOD_MODES = ["cycle", "week", "month"];
+
+/**
+ * Parse a --from/--to value
+ * 支持 YYYY-MM-DD、YYYY-MM，以及相对时长（如 7d、2w，表示从现在往前）
+ * @param {string} text - Option value
+ * @param {boolean} isEnd - Whether this is the end of a range (dates are inclusive)
+ * @param {Clock} [clock] - Time zone the dates are in
+ * @returns {number|null} Milliseconds, null if invalid
+ */
+function parseDateOption(text, isEnd = false, clock = new Clock()) {
+  const duration = parseDuration(text);
+  if (duration) {
+    return Date.now() - duration;
+  }
+
+  if (!/^\d{4}-\d{2}(-\d{2})?$/.test(text)) {
+    return null;
+  }
+  const day = clock.parseDay(text);
+  if (!day) {
+    return null;
+  }
+  const unit = text.length === 7 ? "month" : "day";
+  return (isEnd ? day.endOf(unit) : day.startOf(unit)).valueOf();
+}
+
+/**
+ * Check a period setting: cycle、week、month 或 "YYYY-MM-DD..YYYY-MM-DD"
+ * @param {string} value - Period setting
+ * @returns {boolean} Whether the value is valid
+ */
+function isValidPeriod(value) {
+  if (PERIOD_MODES.includes(value)) {
+    return true;
+  }
+  const range = parseCustomRange(value, new Clock());
+  return Boolean(range) && range.start <= range.end;
+}
+
+function parseCustomRange(value, clock) {
+  const parts = String(value || "").split("..");
+  if (parts.length !== 2) {
+    return null;
+  }
+  const start = parseDateOption(parts[0].trim(), false, clock);
+  const end = parseDateOption(parts[1].trim(), true, clock);
+  return start === null || end === null ? null : { start, end };
+}
+
+/**
+ * 当前订阅周期：到期日前一个月至到期日当天结束
+ * current_credit_reload_time 是下一次额度重置日期（与到期日相同），不是本期开始时间
+ * @param {Object|null} subscriptionData - Response of getSubscriptionDetails()
+ * @param {Clock} clock - Time zone used to interpret the dates
+ * @returns {{start: number, end: number}|null} null when the API has no cycle info
+ */
+function subscriptionCycle(subscriptionData, clock) {
+  const subscribe = subscriptionData && subscriptionData.current_subscribe;
+  if (!subscribe) {
+    return null;
+  }
+
+  const expiry = clock.parseDay(subscribe.current_subscribe_end_time || subscribe.current_credit_reload_time);
+  if (!expiry) {
+    return null;
+  }
+
+  // 按日历日期减一个月后重新解析，跨夏令时也落在当地零点
+  const start = clock.parseDay(expiry.subtract(1, "month").format("YYYY-MM-DD"));
+  return { start: start.valueOf(), end: expiry.endOf("day").valueOf() };
+}
+
+/**
+ * Resolve the billing period used for consumption stats
+ * 订阅周期不可用（如海外账号）时回退到自然月
+ * @param {string} [setting] - cycle、week、month 或 "YYYY-MM-DD..YYYY-MM-DD"
+ * @param {Object|null} [subscriptionData] - Response of getSubscriptionDetails()
+ * @param {Clock} [clock] - Time zone for day, week and month boundaries
+ * @param {number} [now] - Current time (ms)
+ * @param {Function} [translate] - Translator for the period name, defaults to the process language
+ * @returns {{mode: string, name: string, label: string, start: number, end: number}}
+ *   end 为周期结束时间，统计时取 min(end, now)
+ */
+function resolveBillingPeriod(setting = DEFAULT_PERIOD, subscriptionData = null, clock = new Clock(), now = Date.now(), translate = t) {
+  let mode = setting;
+  let range = null;
+
+  if (mode === "cycle") {
+    range = subscriptionCycle(subscriptionData, clock);
+    if (!range) {
+      mode = "month";
+    }
+  } else if (!PERIOD_MODES.includes(mode)) {
+    // 无效的自定义范围按自然月处理，设置时已由 isValidPeriod 校验
+    range = parseCustomRange(mode, clock);
+    mode = range ? "custom" : "month";
+  }
+
+  const today = clock.at(now);
+  if (mode === "week") {
+    range = { start: today.startOf("isoWeek").valueOf(), end: today.endOf("isoWeek").valueOf() };
+  } else if (mode === "month") {
+    range = { start: today.startOf("month").valueOf(), end: today.endOf("month").valueOf() };
+  }
+
+  // 名称如 "本期"、"This cycle"
+  const name = translate(`period.${mode}`);
+  const label = periodLabel(mode, range.start, range.end, clock, translate);
+  return { mode, name, label, ...range };
+}
+
+/**
+ * Display label of a billing period, e.g. "本期 10-05 ~ 11-05"
+ * @param {string} mode - cycle、week、month 或 custom
+ * @param {number} start - Period start (ms)
+ * @param {number} end - Period end (ms)
+ * @param {Clock} [clock] - Time zone of the displayed dates
+ * @param {Function} [translate] - Translator for the period name
+ * @returns {string} Label
+ */
+function periodLabel(mode, start, end, clock = new Clock(), translate = t) {
+  return `${translate(`period.${mode}`)} ${clock.format(start, "MM-DD")} ~ ${clock.format(end, "MM-DD")}`;
+}
+
+module.exports = {
+  DEFAULT_PERIOD,
+  PERIOD_MODES,
+  parseDateOption,
+  isValidPeriod,
+  resolveBillingPeriod,
+  periodLabel,
+};
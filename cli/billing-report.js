@@ -0,0 +1,181 @@
+const chalk = require('chalk').default;
+const { default: stringWidth } = require('string-width');
+const { parseDateOption } = require('./billing-period');
+const Clock = require('./clock');
+const { t } = require('./i18n');
+
+const SCHEMA_VERSION = 1;
+const TIME_GROUPS = ['day', 'week', 'month'];
+
+function groupKey(record, createdAt, groupBy, clock) {
+  const time = clock.at(createdAt);
+  switch (groupBy) {
+    case 'day':
+      return time.format('YYYY-MM-DD');
+    case 'week':
+      // ISO 周，如 2026-W42，字典序即时间顺序
+      return `${time.isoWeekYear()}-W${String(time.isoWeek()).padStart(2, '0')}`;
+    case 'month':
+      return time.format('YYYY-MM');
+    default: {
+      const value = record[groupBy];
+      return value === undefined || value === null || value === '' ? t('billing.emptyKey') : String(value);
+    }
+  }
+}
+
+/**
+ * Aggregate billing records
+ * @param {Array<Object>} records - Records from account/amount
+ * @param {Object} options
+ * @param {number} options.from - Range start (ms)
+ * @param {number} options.to - Range end (ms)
+ * @param {string} options.groupBy - day, week, month or a record field name
+ * @param {Clock} [options.clock] - Time zone for day, week and month groups
+ * @returns {Object} { groups: [{key, tokens, records}], total, average }
+ */
+function aggregateBilling(records, options) {
+  const { from, to, groupBy, clock = new Clock() } = options;
+  const groups = new Map();
+  let totalTokens = 0;
+  let totalRecords = 0;
+
+  for (const record of records) {
+    // 账单记录的 created_at 是秒级时间戳
+    const createdAt = (record.created_at || 0) * 1000;
+    if (createdAt < from || createdAt > to) continue;
+
+    const tokens = parseInt(record.consume_token, 10) || 0;
+    const key = groupKey(record, createdAt, groupBy, clock);
+    const group = groups.get(key) || { key, tokens: 0, records: 0 };
+    group.tokens += tokens;
+    group.records += 1;
+    groups.set(key, group);
+
+    totalTokens += tokens;
+    totalRecords += 1;
+  }
+
+  // 时间分组按时间排序，字段分组按消耗从高到低
+  const sorted = [...groups.values()].sort((a, b) =>
+    TIME_GROUPS.includes(groupBy) ? a.key.localeCompare(b.key) : b.tokens - a.tokens
+  );
+  const days = Math.max(1, Math.ceil((to - from) / (24 * 60 * 60 * 1000)));
+
+  return {
+    groups: sorted,
+    total: { tokens: totalTokens, records: totalRecords },
+    average: {
+      perGroup: sorted.length > 0 ? Math.round(totalTokens / sorted.length) : 0,
+      perDay: Math.round(totalTokens / days),
+      perRecord: totalRecords > 0 ? Math.round(totalTokens / totalRecords) : 0,
+    },
+  };
+}
+
+class BillingReport {
+  /**
+   * @param {Object} options
+   * @param {number} options.from - Range start (ms)
+   * @param {number} options.to - Range end (ms)
+   * @param {string} options.groupBy - day, week, month or a record field name
+   * @param {Clock} [options.clock] - Time zone for displayed dates
+   */
+  constructor(options) {
+    this.from = options.from;
+    this.to = options.to;
+    this.groupBy = options.groupBy;
+    this.clock = options.clock || new Clock();
+  }
+
+  formatTokens(tokens) {
+    return tokens.toLocaleString('en-US');
+  }
+
+  padEnd(text, width) {
+    return text + ' '.repeat(Math.max(0, width - stringWidth(text)));
+  }
+
+  padStart(text, width) {
+    return ' '.repeat(Math.max(0, width - stringWidth(text))) + text;
+  }
+
+  get rangeLabel() {
+    return `${this.clock.date(this.from)} ~ ${this.clock.date(this.to)}`;
+  }
+
+  /**
+   * Render an aggregate as a terminal table
+   * @param {Object} result - Result of aggregateBilling()
+   * @returns {string} Table text
+   */
+  renderTable(result) {
+    const lines = [];
+    lines.push(chalk.bold(t('billing.title')) + chalk.gray(t('billing.subtitle', { range: this.rangeLabel, groupBy: this.groupBy })));
+    lines.push('');
+
+    if (result.groups.length === 0) {
+      lines.push(chalk.yellow(t(result.truncated ? 'billing.truncated' : 'billing.empty')));
+      return lines.join('\n');
+    }
+
+    const keyWidth = Math.max(8, ...result.groups.map(g => stringWidth(g.key))) + 2;
+    const tokenWidth = Math.max(12, stringWidth(this.formatTokens(result.total.tokens))) + 2;
+    const header = (key, tokens, records, share) =>
+      this.padEnd(key, keyWidth) + this.padStart(tokens, tokenWidth) + this.padStart(records, 8) + this.padStart(share, 9);
+
+    lines.push(chalk.gray(header(t('billing.column.group'), 'Tokens', t('billing.column.records'), t('billing.column.share'))));
+    for (const group of result.groups) {
+      const share = result.total.tokens > 0 ? ((group.tokens / result.total.tokens) * 100).toFixed(1) + '%' : '-';
+      lines.push(header(group.key, this.formatTokens(group.tokens), String(group.records), share));
+    }
+
+    lines.push(chalk.gray('─'.repeat(keyWidth + tokenWidth + 17)));
+    lines.push(chalk.bold(header(t('billing.total'), this.formatTokens(result.total.tokens), String(result.total.records), '100%')));
+    lines.push(header(t('billing.perGroup'), this.formatTokens(result.average.perGroup), '', ''));
+    lines.push(header(t('billing.perDay'), this.formatTokens(result.average.perDay), '', ''));
+    lines.push(header(t('billing.perRecord'), this.formatTokens(result.average.perRecord), '', ''));
+    if (result.truncated) {
+      lines.push('');
+      lines.push(chalk.yellow(t('billing.truncated')));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {Array<{region: string, result: Object}>} accounts - Aggregates per region,
+   *   result.truncated 表示账单记录超过分页上限、结果不完整
+   * @returns {string} JSON text
+   */
+  toJson(accounts) {
+    return JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      command: 'billing',
+      from: new Date(this.from).toISOString(),
+      to: new Date(this.to).toISOString(),
+      timeZone: this.clock.timeZone,
+      groupBy: this.groupBy,
+      accounts: accounts.map(({ region, result }) => ({ region, ...result })),
+    }, null, 2);
+  }
+
+  toCsv(accounts) {
+    const cell = (value) => {
+      const text = String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = ['region,group,tokens,records'];
+    for (const { region, result } of accounts) {
+      for (const group of result.groups) {
+        rows.push([region, group.key, group.tokens, group.records].map(cell).join(','));
+      }
+    }
+    return rows.join('\n');
+  }
+}
+
+module.exports = BillingReport;
+module.exports.aggregateBilling = aggregateBilling;
+module.exports.parseDateOption = parseDateOption;
+module.exports.TIME_GROUPS = TIME_GROUPS;
@@ -0,0 +1,125 @@
+const dayjs = require("dayjs");
+const utc = require("dayjs/plugin/utc");
+const timezone = require("dayjs/plugin/timezone");
+const isoWeek = require("dayjs/plugin/isoWeek");
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+dayjs.extend(isoWeek);
+
+const CLOCK_FORMATS = ["24h", "12h"];
+
+function systemTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+/**
+ * Check an IANA time zone name, e.g. "Asia/Shanghai"
+ * @param {string} name - Time zone name
+ * @returns {boolean} Whether Intl recognizes the zone
+ */
+function isValidTimeZone(name) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: name });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 统一的时区和时钟格式，所有时间显示和按天统计的边界都通过它计算
+ */
+class Clock {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.timeZone] - IANA time zone, defaults to the system zone
+   * @param {string} [options.clock] - "24h" or "12h"
+   */
+  constructor(options = {}) {
+    // 配置文件或环境变量中的无效时区回退到系统时区，避免状态栏因设置错误无法显示
+    this.timeZone = options.timeZone && isValidTimeZone(options.timeZone) ? options.timeZone : systemTimeZone();
+    this.hour12 = options.clock === "12h";
+  }
+
+  /**
+   * Get a dayjs object in the configured time zone
+   * @param {number|Date} [time] - Time, defaults to now
+   * @returns {dayjs.Dayjs}
+   */
+  at(time = Date.now()) {
+    return dayjs(time).tz(this.timeZone);
+  }
+
+  /**
+   * Parse a calendar date as midnight in the configured time zone
+   * 支持 YYYY-MM-DD、YYYY-MM 和订阅接口返回的 MM/DD/YYYY
+   * @param {string} text - Date text
+   * @returns {dayjs.Dayjs|null} null if invalid
+   */
+  parseDay(text) {
+    const value = String(text || "").trim();
+    let match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value);
+    if (match) {
+      return dayjs.tz(`${match[3]}-${match[1].padStart(2, "0")}-${match[2].padStart(2, "0")}`, this.timeZone);
+    }
+    match = /^(\d{4})-(\d{2})(?:-(\d{2}))?$/.exec(value);
+    if (match) {
+      const day = dayjs.tz(`${match[1]}-${match[2]}-${match[3] || "01"}`, this.timeZone);
+      return day.isValid() ? day : null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : this.at(date);
+  }
+
+  startOfDay(time = Date.now()) {
+    return this.at(time).startOf("day").valueOf();
+  }
+
+  /**
+   * Format a time of day, "14:05" or "2:05 PM"
+   * @param {number|Date} time - Time
+   * @param {Object} [options]
+   * @param {boolean} [options.seconds] - Include seconds
+   * @returns {string}
+   */
+  time(time, options = {}) {
+    const pattern = this.hour12
+      ? (options.seconds ? "h:mm:ss A" : "h:mm A")
+      : (options.seconds ? "HH:mm:ss" : "HH:mm");
+    return this.at(time).format(pattern);
+  }
+
+  date(time) {
+    return this.at(time).format("YYYY-MM-DD");
+  }
+
+  // 短日期加时间，如 "10-24 14:05"
+  dateTime(time) {
+    return `${this.at(time).format("MM-DD")} ${this.time(time)}`;
+  }
+
+  format(time, pattern) {
+    return this.at(time).format(pattern);
+  }
+
+  /**
+   * UTC offset label, e.g. "UTC+8" or "UTC-3:30"
+   * @param {number|Date} [time] - Time (offsets change with DST)
+   * @returns {string}
+   */
+  offsetLabel(time = Date.now()) {
+    const offset = this.at(time).utcOffset();
+    if (offset === 0) {
+      return "UTC";
+    }
+    const sign = offset > 0 ? "+" : "-";
+    const hours = Math.floor(Math.abs(offset) / 60);
+    const minutes = Math.abs(offset) % 60;
+    return `UTC${sign}${hours}${minutes ? ":" + String(minutes).padStart(2, "0") : ""}`;
+  }
+}
+
+module.exports = Clock;
+module.exports.CLOCK_FORMATS = CLOCK_FORMATS;
+module.exports.isValidTimeZone = isValidTimeZone;
@@ -129,6 +129,28 @@ class ConfigCounter {
       hooksCount,
     };
   }
+
+  countFilesInDir(dir, extensions) {
+    if (typeof dir !== 'string' || !fs.existsSync(dir)) return 0;
+
+    try {
+      return fs.readdirSync(dir).filter(name => extensions.some(ext => name.endsWith(ext))).length;
+    } catch {
+      return 0;
+    }
+  }
+
+  // Droid 的全局配置（~/.factory），自定义子代理（droids、agents 目录）单独计数
+  countDroid(factoryDir = path.join(this.homeDir, '.factory')) {
+    return {
+      agentsCount: this.countFilesInDir(path.join(factoryDir, 'droids'), ['.md']) +
+        this.countFilesInDir(path.join(factoryDir, 'agents'), ['.md']),
+      rulesCount: this.countFilesInDir(path.join(factoryDir, 'rules'), ['.md']),
+      skillsCount: this.countFilesInDir(path.join(factoryDir, 'skills'), ['.md']),
+      hooksCount: this.countFilesInDir(path.join(factoryDir, 'hooks'), ['.ps1', '.sh']),
+      mcpCount: this.countMcpServers(path.join(factoryDir, 'mcp.json')).size,
+    };
+  }
 }
 
 module.exports = ConfigCounter;
@@ -0,0 +1,145 @@
+const fs = require("fs");
+const path = require("path");
+const { t } = require("./i18n");
+
+const DEFAULT_PROFILE = "default";
+
+// 旧版配置文件直接在顶层保存凭据，这些字段迁移到 default 档案
+const PROFILE_KEYS = [
+  "token",
+  "groupId",
+  "region",
+  "overseasToken",
+  "overseasGroupId",
+  "tokenCommand",
+  "overseasTokenCommand",
+];
+
+// 配置文件包含令牌，只允许当前用户读写
+const FILE_MODE = 0o600;
+
+/**
+ * ~/.minimax-config.json 读写，支持多个命名档案（profile）
+ *
+ * 文件结构:
+ * {
+ *   "currentProfile": "default",
+ *   "profiles": {
+ *     "default": { "token": "...", "region": "domestic" },
+ *     "work": { "token": "...", "region": "both", "overseasToken": "...", "overseasGroupId": "..." }
+ *   }
+ * }
+ */
+class ConfigStore {
+  constructor(configPath) {
+    this.configPath =
+      configPath ||
+      path.join(process.env.HOME || process.env.USERPROFILE, ".minimax-config.json");
+    this.data = { currentProfile: DEFAULT_PROFILE, profiles: {} };
+  }
+
+  exists() {
+    return fs.existsSync(this.configPath);
+  }
+
+  load() {
+    let raw = {};
+    if (this.exists()) {
+      raw = JSON.parse(fs.readFileSync(this.configPath, "utf8"));
+    }
+    this.data = ConfigStore.normalize(raw);
+    return this.data;
+  }
+
+  save() {
+    fs.writeFileSync(this.configPath, JSON.stringify(this.data, null, 2), { mode: FILE_MODE });
+    // mode 只在创建文件时生效，已有文件需要单独修正
+    if (process.platform !== "win32") {
+      fs.chmodSync(this.configPath, FILE_MODE);
+    }
+  }
+
+  /**
+   * Check whether the config file is readable by other users
+   * @returns {string|null} Warning message, null when permissions are fine
+   */
+  permissionWarning() {
+    if (process.platform === "win32" || !this.exists()) {
+      return null;
+    }
+    const mode = fs.statSync(this.configPath).mode & 0o777;
+    if ((mode & 0o077) === 0) {
+      return null;
+    }
+    return t("config.permissionWarning", { path: this.configPath, mode: mode.toString(8) });
+  }
+
+  /**
+   * Convert legacy flat config into the profiles layout
+   * @param {Object} raw - Parsed config file content
+   * @returns {Object} Normalized config
+   */
+  static normalize(raw) {
+    const data = { ...raw };
+    const profiles = { ...(raw.profiles || {}) };
+
+    const legacy = {};
+    for (const key of PROFILE_KEYS) {
+      if (data[key] !== undefined) {
+        legacy[key] = data[key];
+        delete data[key];
+      }
+    }
+    if (Object.keys(legacy).length > 0 && !profiles[DEFAULT_PROFILE]) {
+      profiles[DEFAULT_PROFILE] = legacy;
+    }
+
+    data.profiles = profiles;
+    data.currentProfile = data.currentProfile || DEFAULT_PROFILE;
+    return data;
+  }
+
+  /**
+   * Resolve the active profile name
+   * 优先级：--profile > MINIMAX_PROFILE 环境变量 > 配置文件 currentProfile
+   * @param {string} [override] - Profile name from command line
+   * @returns {string} Profile name
+   */
+  resolveProfileName(override) {
+    return override || process.env.MINIMAX_PROFILE || this.data.currentProfile || DEFAULT_PROFILE;
+  }
+
+  hasProfile(name) {
+    return Boolean(this.data.profiles[name]);
+  }
+
+  getProfile(name) {
+    return { ...(this.data.profiles[name] || {}) };
+  }
+
+  setProfile(name, profile) {
+    // 第一个档案自动成为当前档案
+    if (Object.keys(this.data.profiles).length === 0) {
+      this.data.currentProfile = name;
+    }
+    this.data.profiles[name] = { ...profile };
+  }
+
+  removeProfile(name) {
+    delete this.data.profiles[name];
+    if (this.data.currentProfile === name) {
+      this.data.currentProfile = Object.keys(this.data.profiles)[0] || DEFAULT_PROFILE;
+    }
+  }
+
+  setCurrentProfile(name) {
+    this.data.currentProfile = name;
+  }
+
+  listProfiles() {
+    return Object.keys(this.data.profiles);
+  }
+}
+
+module.exports = ConfigStore;
+module.exports.DEFAULT_PROFILE = DEFAULT_PROFILE;
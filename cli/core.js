@@ -0,0 +1,25 @@
+/**
+ * 不依赖终端渲染库的公共模块（package.json 的 "minimax-status/core" 入口）
+ *
+ *   const { Clock, resolveBillingPeriod, createTranslator } = require("minimax-status/core");
+ *
+ * chalk、ora、boxen 只提供 ES 模块，旧版本 Node（如 VS Code 扩展宿主）无法 require，
+ * VS Code 扩展通过这里复用错误类、重试、时区、统计周期和消息目录。
+ */
+const errors = require("./errors");
+const withRetry = require("./retry");
+const Clock = require("./clock");
+const { isValidPeriod, parseDateOption, resolveBillingPeriod } = require("./billing-period");
+const { LANGUAGES, createTranslator } = require("./i18n");
+
+module.exports = {
+  ...errors,
+  withRetry,
+  DEFAULT_RETRY: withRetry.DEFAULT_RETRY,
+  Clock,
+  isValidPeriod,
+  parseDateOption,
+  resolveBillingPeriod,
+  LANGUAGES,
+  createTranslator,
+};
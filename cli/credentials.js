@@ -0,0 +1,125 @@
+const { execSync } = require("child_process");
+const { t } = require("./i18n");
+
+const TOKEN_COMMAND_TIMEOUT = 10000;
+
+// 各区域对应的环境变量和配置字段
+const ENV_KEYS = {
+  domestic: { token: "MINIMAX_TOKEN", groupId: "MINIMAX_GROUP_ID" },
+  overseas: { token: "MINIMAX_OVERSEAS_TOKEN", groupId: "MINIMAX_OVERSEAS_GROUP_ID" },
+};
+
+const CONFIG_KEYS = {
+  domestic: { token: "token", groupId: "groupId", tokenCommand: "tokenCommand" },
+  overseas: { token: "overseasToken", groupId: "overseasGroupId", tokenCommand: "overseasTokenCommand" },
+};
+
+// 同一进程内每条命令只执行一次
+const commandResults = new Map();
+
+/**
+ * Run a tokenCommand and take the first line of its output
+ * @param {string} command - Shell command, e.g. "pass show minimax/token"
+ * @returns {{token: string|null, error: string|null}}
+ */
+function runTokenCommand(command) {
+  if (!commandResults.has(command)) {
+    let result;
+    try {
+      const output = execSync(command, {
+        encoding: "utf8",
+        timeout: TOKEN_COMMAND_TIMEOUT,
+        stdio: ["ignore", "pipe", "pipe"],
+      });
+      const token = output.split(/\r?\n/)[0].trim();
+      result = token ? { token, error: null } : { token: null, error: t("credentials.noOutput") };
+    } catch (error) {
+      const reason = error.signal === "SIGTERM"
+        ? t("credentials.timeout")
+        : t("credentials.exitCode", { code: error.status ?? t("common.unknown") });
+      result = { token: null, error: t("credentials.failed", { reason }) };
+    }
+    commandResults.set(command, result);
+  }
+  return commandResults.get(command);
+}
+
+/**
+ * Resolve the credentials of a region
+ * 优先级：环境变量 > tokenCommand > 配置文件中保存的令牌
+ * @param {Object} profile - Profile object from the config file
+ * @param {string} region - domestic or overseas
+ * @returns {{token: string|null, groupId: string|null, source: string|null, error: string|null}}
+ *   source 为 "env"、"command"、"config" 或 null（未配置）；
+ *   source 为 "command" 时 token 和 error 在首次读取时才执行 tokenCommand
+ */
+function resolveCredentials(profile, region) {
+  const envKeys = ENV_KEYS[region];
+  const configKeys = CONFIG_KEYS[region];
+  const groupId = process.env[envKeys.groupId] || profile[configKeys.groupId] || null;
+
+  if (process.env[envKeys.token]) {
+    return { token: process.env[envKeys.token], groupId, source: "env", error: null };
+  }
+
+  if (profile[configKeys.tokenCommand]) {
+    // 首次读取 token 或 error 时才执行命令，--help、themes 等不发请求的命令不会运行它
+    const command = profile[configKeys.tokenCommand];
+    return {
+      groupId,
+      source: "command",
+      get token() {
+        return runTokenCommand(command).token;
+      },
+      get error() {
+        return runTokenCommand(command).error;
+      },
+      // 命令是否已执行
+      get resolved() {
+        return commandResults.has(command);
+      },
+    };
+  }
+
+  const token = profile[configKeys.token] || null;
+  return { token, groupId, source: token ? "config" : null, error: null };
+}
+
+/**
+ * Mask a token for display, e.g. "eyJh…Wq9c"
+ * @param {string} token - Token
+ * @returns {string} Masked token
+ */
+function maskToken(token) {
+  if (!token) {
+    return "";
+  }
+  if (token.length <= 12) {
+    return "****";
+  }
+  return `${token.slice(0, 4)}…${token.slice(-4)}`;
+}
+
+/**
+ * Replace every occurrence of the given secrets in text with masked values
+ * @param {string} text - Text that may contain secrets
+ * @param {Array<string>} secrets - Tokens to hide
+ * @returns {string} Redacted text
+ */
+function redact(text, secrets) {
+  let result = String(text ?? "");
+  for (const secret of secrets) {
+    if (secret && secret.length >= 8) {
+      result = result.split(secret).join(maskToken(secret));
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  ENV_KEYS,
+  CONFIG_KEYS,
+  resolveCredentials,
+  maskToken,
+  redact,
+};
@@ -0,0 +1,208 @@
+/**
+ * 带类别的 API 错误
+ *
+ * 调用方（statusline、health、退出码等）通过 kind 或 instanceof 判断失败原因，
+ * 不需要解析错误文本。
+ */
+class MinimaxError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {string} [options.kind] - Error category
+   * @param {number} [options.status] - HTTP status code
+   * @param {Error} [options.cause] - Original error
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.kind = options.kind || "request";
+    this.status = options.status;
+    this.cause = options.cause;
+  }
+
+  // 是否值得重试
+  get retryable() {
+    return false;
+  }
+}
+
+// 未配置凭据、令牌无效或无权限
+class AuthError extends MinimaxError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "auth" });
+  }
+}
+
+// 429 或上游返回的限流状态码
+class RateLimitError extends MinimaxError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options]
+   * @param {number|null} [options.retryAfter] - Milliseconds to wait, from Retry-After
+   */
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "rate-limited" });
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// 5xx
+class ServerError extends MinimaxError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "server" });
+    this.retryAfter = options.retryAfter ?? null;
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// DNS 失败、连接被拒绝或重置
+class NetworkError extends MinimaxError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "network" });
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+class TimeoutError extends MinimaxError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "timeout" });
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+// 响应结构不符合预期
+class SchemaError extends MinimaxError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "schema" });
+  }
+}
+
+// 响应正常但没有可用的用量数据
+class NoDataError extends MinimaxError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: "no-data" });
+  }
+}
+
+// 证书校验失败的错误码（企业网络的中间人代理常见），提示配置 caFile
+const CERTIFICATE_ERROR_CODES = [
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "CERT_HAS_EXPIRED",
+  "ERR_TLS_CERT_ALTNAME_INVALID",
+];
+
+// base_resp.status_code 中表示鉴权失败和限流的错误码
+const AUTH_STATUS_CODES = [1004];
+const RATE_LIMIT_STATUS_CODES = [1002];
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|number} value - Seconds or an HTTP date
+ * @returns {number|null} Milliseconds to wait, null if absent or invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Convert an axios error into a typed error
+ * @param {Error} error - Error thrown by axios
+ * @param {string} [label] - Prefix for generic messages, e.g. "API request failed"
+ * @returns {MinimaxError} Typed error
+ */
+function fromAxiosError(error, label = "API request failed") {
+  if (error instanceof MinimaxError) {
+    return error;
+  }
+  // 代理隧道等 Agent 内部抛出的类型化错误被 axios 包装过
+  if (error.cause instanceof MinimaxError) {
+    return error.cause;
+  }
+
+  const status = error.response?.status;
+  const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"]);
+  const options = { status, cause: error, retryAfter };
+
+  if (status === 401 || status === 403) {
+    return new AuthError("Invalid token or unauthorized. Please check your credentials.", options);
+  }
+  if (status === 429) {
+    return new RateLimitError("Rate limited by MiniMax API. Please try again later.", options);
+  }
+  if (status >= 500) {
+    return new ServerError(`MiniMax API server error (HTTP ${status}).`, options);
+  }
+  if (status) {
+    return new MinimaxError(`${label}: ${error.message}`, options);
+  }
+  if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+    return new TimeoutError("Request timeout. Please check your network connection.", options);
+  }
+  if (CERTIFICATE_ERROR_CODES.includes(error.code)) {
+    return new NetworkError(
+      `TLS certificate verification failed (${error.code}). Set caFile in the config file or MINIMAX_CA_FILE to trust a custom CA.`,
+      options
+    );
+  }
+  return new NetworkError("Network error. Please check your internet connection.", options);
+}
+
+/**
+ * Check base_resp of a response body
+ * MiniMax 部分错误返回 HTTP 200，错误码放在 base_resp.status_code
+ * @param {Object} data - Response body
+ * @throws {MinimaxError} When status_code is not 0
+ */
+function checkBaseResp(data) {
+  const baseResp = data && data.base_resp;
+  if (!baseResp || !baseResp.status_code) {
+    return;
+  }
+
+  const message = `${baseResp.status_msg || "API error"} (status_code ${baseResp.status_code})`;
+  if (AUTH_STATUS_CODES.includes(baseResp.status_code)) {
+    throw new AuthError(message);
+  }
+  if (RATE_LIMIT_STATUS_CODES.includes(baseResp.status_code)) {
+    throw new RateLimitError(message);
+  }
+  throw new MinimaxError(message);
+}
+
+module.exports = {
+  MinimaxError,
+  AuthError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  SchemaError,
+  NoDataError,
+  parseRetryAfter,
+  fromAxiosError,
+  checkBaseResp,
+};
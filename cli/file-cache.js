@@ -0,0 +1,298 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// 各接口的缓存时间（毫秒）
+// fresh 内直接使用缓存；超过 fresh 但未超过 stale 时先返回旧数据，同时后台刷新
+const CACHE_TTLS = {
+  remains: { fresh: 15 * 1000, stale: 5 * 60 * 1000 },
+  subscription: { fresh: 6 * 60 * 60 * 1000, stale: 24 * 60 * 60 * 1000 },
+  billing: { fresh: 10 * 60 * 1000, stale: 60 * 60 * 1000 },
+};
+
+// 锁文件超时：超过该时间视为持有者已退出
+const LOCK_TIMEOUT = 15000;
+const POLL_INTERVAL = 100;
+
+// 本进程持有的锁文件，进程退出（包括 process.exit()）时删除，避免其他进程空等
+const heldLocks = new Set();
+let exitHandlerInstalled = false;
+
+function holdLock(lockPath) {
+  heldLocks.add(lockPath);
+  if (!exitHandlerInstalled) {
+    exitHandlerInstalled = true;
+    process.on("exit", () => {
+      for (const held of heldLocks) {
+        try {
+          fs.unlinkSync(held);
+        } catch {
+          // ignore
+        }
+      }
+    });
+  }
+}
+
+// 进程是否仍在运行（EPERM 表示进程存在但属于其他用户）
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === "EPERM";
+  }
+}
+
+/**
+ * 跨进程共享的文件缓存
+ *
+ * Claude Code 每次刷新都会启动新的 statusline 进程，内存缓存无法复用。
+ * 这里把接口响应写到 ~/.minimax-status/cache，并用锁文件保证
+ * 多个并发进程只发出一次上游请求。
+ */
+class FileCache {
+  constructor(cacheDir) {
+    this.cacheDir =
+      cacheDir ||
+      path.join(process.env.HOME || process.env.USERPROFILE, ".minimax-status", "cache");
+    this.pending = new Set();
+  }
+
+  static hash(parts) {
+    return crypto
+      .createHash("sha256")
+      .update(parts.map((part) => String(part ?? "")).join("|"))
+      .digest("hex")
+      .slice(0, 16);
+  }
+
+  static entryName(endpoint, keyParts) {
+    return `${endpoint}-${FileCache.hash(keyParts)}`;
+  }
+
+  /**
+   * Read the last cached response regardless of its age
+   * 上游不可用时用于降级显示
+   * @param {string} endpoint - Endpoint group
+   * @param {Array} keyParts - Values identifying the request
+   * @returns {{timestamp: number, data: any}|null} Cache entry
+   */
+  readLastKnown(endpoint, keyParts) {
+    return this.read(FileCache.entryName(endpoint, keyParts));
+  }
+
+  entryPath(name) {
+    return path.join(this.cacheDir, `${name}.json`);
+  }
+
+  lockPath(name) {
+    return path.join(this.cacheDir, `${name}.lock`);
+  }
+
+  read(name) {
+    try {
+      const entry = JSON.parse(fs.readFileSync(this.entryPath(name), "utf8"));
+      if (entry && typeof entry.timestamp === "number") {
+        return entry;
+      }
+    } catch {
+      // 缓存不存在或已损坏
+    }
+    return null;
+  }
+
+  write(name, data) {
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      // 先写临时文件再重命名，避免其他进程读到半个文件
+      const tmpPath = `${this.entryPath(name)}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ timestamp: Date.now(), data }));
+      fs.renameSync(tmpPath, this.entryPath(name));
+    } catch {
+      // 缓存写入失败不影响主流程
+    }
+  }
+
+  // 锁文件记录持有者的 pid 和加锁时间
+  createLock(lockPath) {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, timestamp: Date.now() }), { flag: "wx" });
+    holdLock(lockPath);
+  }
+
+  /**
+   * Whether a lock file was left behind by a process that will not release it
+   * 持有者已退出或加锁超过 LOCK_TIMEOUT 视为失效；旧版本的空锁文件按修改时间判断
+   * @param {string} name - Cache entry name
+   * @returns {boolean} False when the lock does not exist
+   */
+  isLockStale(name) {
+    const lockPath = this.lockPath(name);
+    try {
+      let owner = null;
+      try {
+        owner = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") {
+          return false;
+        }
+        // 空文件或持有者正在写入
+      }
+
+      const timestamp = owner && typeof owner.timestamp === "number"
+        ? owner.timestamp
+        : fs.statSync(lockPath).mtimeMs;
+      if (Date.now() - timestamp > LOCK_TIMEOUT) {
+        return true;
+      }
+      return Boolean(owner && Number.isInteger(owner.pid) && !isAlive(owner.pid));
+    } catch {
+      return false;
+    }
+  }
+
+  acquireLock(name) {
+    const lockPath = this.lockPath(name);
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      this.createLock(lockPath);
+      return true;
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        // 无法创建锁文件（例如目录只读），直接请求
+        return true;
+      }
+    }
+
+    // 锁文件失效则抢占
+    if (this.isLockStale(name)) {
+      try {
+        fs.unlinkSync(lockPath);
+        this.createLock(lockPath);
+        return true;
+      } catch {
+        // 其他进程抢先一步
+      }
+    }
+    return false;
+  }
+
+  releaseLock(name) {
+    const lockPath = this.lockPath(name);
+    heldLocks.delete(lockPath);
+    try {
+      fs.unlinkSync(lockPath);
+    } catch {
+      // ignore
+    }
+  }
+
+  /**
+   * 等待持锁进程写入新数据
+   * @param {string} name - Cache entry name
+   * @param {number} since - Timestamp of the entry already read
+   * @param {number} [wait] - Longest time to wait (ms)
+   * @returns {Promise<Object|null>} 新的缓存条目，持锁进程失败、退出或超时返回 null
+   */
+  async waitForUpdate(name, since, wait = LOCK_TIMEOUT) {
+    const deadline = Date.now() + wait;
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+
+      const entry = this.read(name);
+      if (entry && entry.timestamp > since) {
+        return entry;
+      }
+      if (!fs.existsSync(this.lockPath(name)) || this.isLockStale(name)) {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  async update(name, fetcher) {
+    const data = await fetcher();
+    this.write(name, data);
+    return data;
+  }
+
+  // 后台刷新，不阻塞当前调用
+  revalidate(name, fetcher) {
+    if (!this.acquireLock(name)) {
+      return; // 其他进程正在刷新
+    }
+
+    const task = this.update(name, fetcher)
+      .catch(() => {
+        // 刷新失败保留旧缓存
+      })
+      .finally(() => {
+        this.releaseLock(name);
+        this.pending.delete(task);
+      });
+    this.pending.add(task);
+  }
+
+  /**
+   * Fetch data through the cache (stale-while-revalidate)
+   * @param {string} endpoint - Endpoint group (remains/subscription/billing)
+   * @param {Array} keyParts - Values identifying the request (base URL, token, params...)
+   * @param {Function} fetcher - Async function requesting the upstream API
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Skip cached data and refresh
+   * @param {number} [options.wait] - Longest time to wait for another process holding the lock (ms)
+   * @returns {Promise<any>} Response data
+   */
+  async fetch(endpoint, keyParts, fetcher, options = {}) {
+    const ttl = CACHE_TTLS[endpoint];
+    const name = FileCache.entryName(endpoint, keyParts);
+
+    if (options.force) {
+      return this.update(name, fetcher);
+    }
+
+    const entry = this.read(name);
+    const age = entry ? Date.now() - entry.timestamp : Infinity;
+
+    if (age < ttl.fresh) {
+      return entry.data;
+    }
+
+    if (age < ttl.stale) {
+      this.revalidate(name, fetcher);
+      return entry.data;
+    }
+
+    // 没有可用缓存：抢到锁的进程请求上游，其余进程等待其结果
+    if (this.acquireLock(name)) {
+      try {
+        return await this.update(name, fetcher);
+      } finally {
+        this.releaseLock(name);
+      }
+    }
+
+    const updated = await this.waitForUpdate(name, entry ? entry.timestamp : 0, options.wait);
+    if (updated) {
+      return updated.data;
+    }
+    return this.update(name, fetcher);
+  }
+
+  // 清除所有缓存文件
+  clear() {
+    if (!fs.existsSync(this.cacheDir)) {
+      return 0;
+    }
+
+    let count = 0;
+    for (const file of fs.readdirSync(this.cacheDir)) {
+      fs.unlinkSync(path.join(this.cacheDir, file));
+      count++;
+    }
+    return count;
+  }
+}
+
+module.exports = FileCache;
+module.exports.CACHE_TTLS = CACHE_TTLS;
@@ -0,0 +1,103 @@
+const fs = require("fs");
+const path = require("path");
+const { redact } = require("./credentials");
+
+const FIXTURE_MODES = ["record", "replay"];
+
+// 接口响应中可能包含账号信息的字段，录制时替换为掩码
+const SENSITIVE_KEYS = /^(api_?key(_name)?|key_name|secret|password|token|email|phone|mobile|user_?(id|name)|nick_?name|group_?id|account(_id|_name)?|creator)$/i;
+const MASK = "***";
+
+/**
+ * Remove secrets and account details from a response
+ * 模型名、次数、时间等渲染需要的字段保持不变
+ * @param {any} value - Response data
+ * @param {Array<string>} secrets - Tokens and group ids to mask inside strings
+ * @returns {any} Sanitized copy
+ */
+function sanitize(value, secrets) {
+  if (Array.isArray(value)) {
+    return value.map((item) => sanitize(item, secrets));
+  }
+  if (value && typeof value === "object") {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = SENSITIVE_KEYS.test(key) && typeof item === "string" && item
+        ? MASK
+        : sanitize(item, secrets);
+    }
+    return result;
+  }
+  if (typeof value === "string") {
+    return redact(value, secrets.filter(Boolean));
+  }
+  return value;
+}
+
+/**
+ * 录制和回放接口响应（--record/--replay）
+ *
+ * 每个区域、接口分组和账单页码对应一个文件，如
+ * domestic-remains.json、domestic-subscription.json、domestic-billing-1.json，
+ * 内容为 { recordedAt, endpoint, params, data }。
+ */
+class Fixtures {
+  /**
+   * @param {string} dir - Fixture directory
+   * @param {string} mode - record or replay
+   */
+  constructor(dir, mode) {
+    this.dir = path.resolve(dir);
+    this.mode = mode;
+  }
+
+  get replaying() {
+    return this.mode === "replay";
+  }
+
+  fileName(region, endpoint, params = {}) {
+    const page = params.page ? `-${params.page}` : "";
+    return path.join(this.dir, `${region}-${endpoint}${page}.json`);
+  }
+
+  /**
+   * Read a recorded response
+   * @param {string} region - domestic or overseas
+   * @param {string} endpoint - remains, subscription or billing
+   * @param {Object} [params] - Query parameters of the request
+   * @returns {Object|null} Response data, null when it was not recorded
+   */
+  read(region, endpoint, params) {
+    try {
+      return JSON.parse(fs.readFileSync(this.fileName(region, endpoint, params), "utf8")).data;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save a sanitized response
+   * @param {string} region - domestic or overseas
+   * @param {string} endpoint - remains, subscription or billing
+   * @param {Object} params - Query parameters of the request
+   * @param {Object} data - Response data
+   * @param {Array<string>} secrets - Tokens and group ids to mask
+   */
+  write(region, endpoint, params, data, secrets) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const fixture = {
+      recordedAt: new Date().toISOString(),
+      endpoint,
+      params: sanitize(params, secrets),
+      data: sanitize(data, secrets),
+    };
+    fs.writeFileSync(this.fileName(region, endpoint, params), JSON.stringify(fixture, null, 2) + "\n");
+  }
+}
+
+module.exports = Fixtures;
+module.exports.FIXTURE_MODES = FIXTURE_MODES;
+module.exports.sanitize = sanitize;
@@ -0,0 +1,109 @@
+const HOUR = 60 * 60 * 1000;
+
+// 区间额度用最近 1 小时的样本估算速率，周额度用最近 24 小时
+const INTERVAL_LOOKBACK = HOUR;
+const WEEKLY_LOOKBACK = 24 * HOUR;
+// 样本跨度太短时速率不可靠
+const MIN_SPAN = 5 * 60 * 1000;
+
+/**
+ * Estimate consumption rate from samples of one quota window
+ * @param {Array<Object>} samples - Samples sorted by time
+ * @param {Function} getUsed - Returns used count of a sample
+ * @returns {number|null} Calls per hour, null if not enough data
+ */
+function estimateRate(samples, getUsed) {
+  if (samples.length < 2) return null;
+
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  const span = last.t - first.t;
+  if (span < MIN_SPAN) return null;
+
+  return Math.max(0, ((getUsed(last) - getUsed(first)) / span) * HOUR);
+}
+
+// resetInMs 为 null 表示不知道重置时间，此时只有速率为 0 才算先重置
+function buildForecast(ratePerHour, remaining, resetInMs) {
+  if (ratePerHour === null) return null;
+
+  const exhaustInMs = ratePerHour > 0 ? (remaining / ratePerHour) * HOUR : Infinity;
+  return {
+    ratePerHour: Math.round(ratePerHour),
+    exhaustInMs: Number.isFinite(exhaustInMs) ? Math.max(0, Math.round(exhaustInMs)) : null,
+    resetInMs: resetInMs === null ? null : Math.max(0, resetInMs),
+    // 按当前速率在重置前不会用完
+    resetsFirst: resetInMs === null ? !Number.isFinite(exhaustInMs) : exhaustInMs >= resetInMs,
+  };
+}
+
+// 周额度的重置时间；缺少 weekly_end_time 时用采样时的 weekly_remains_time 推算
+function weeklyResetAt(sample) {
+  if (sample.weeklyEnd) return sample.weeklyEnd;
+  return Number.isFinite(sample.weeklyRemains) ? sample.t + sample.weeklyRemains : null;
+}
+
+// 推算的重置时间有秒级误差，相差不到 1 小时视为同一周
+function sameWeek(a, b) {
+  return a === null || b === null ? a === b : Math.abs(a - b) < HOUR;
+}
+
+/**
+ * Forecast interval and weekly quota exhaustion from usage history
+ * @param {Array<Object>} samples - History samples of a single model, sorted by time
+ * @param {number} now - Current time (ms)
+ * @returns {{interval: Object|null, weekly: Object|null}|null} Forecast, null without history
+ */
+function calculateForecast(samples, now = Date.now()) {
+  if (!samples || samples.length === 0) return null;
+
+  const latest = samples[samples.length - 1];
+
+  // 只使用当前区间/当前周内的样本，跨过重置点的数据无意义
+  const intervalSamples = samples.filter(
+    s => s.start === latest.start && now - s.t <= INTERVAL_LOOKBACK
+  );
+  const interval = buildForecast(
+    estimateRate(intervalSamples, s => s.used),
+    latest.total - latest.used,
+    (latest.end || now) - now
+  );
+
+  let weekly = null;
+  if (latest.weeklyTotal > 0) {
+    const resetAt = weeklyResetAt(latest);
+    const weeklySamples = samples.filter(
+      s => sameWeek(weeklyResetAt(s), resetAt) && now - s.t <= WEEKLY_LOOKBACK
+    );
+    weekly = buildForecast(
+      estimateRate(weeklySamples, s => s.weeklyUsed),
+      latest.weeklyTotal - latest.weeklyUsed,
+      resetAt === null ? null : resetAt - now
+    );
+  }
+
+  if (!interval && !weekly) return null;
+  return { interval, weekly };
+}
+
+/**
+ * Format milliseconds as a compact duration, e.g. "2d3h", "1h20m", "35m"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Formatted duration
+ */
+function formatShortDuration(ms) {
+  const totalMinutes = Math.max(0, Math.floor(ms / 60000));
+  const days = Math.floor(totalMinutes / (60 * 24));
+  const hours = Math.floor((totalMinutes % (60 * 24)) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) return `${days}d${hours}h`;
+  if (hours > 0) return `${hours}h${minutes}m`;
+  return `${minutes}m`;
+}
+
+module.exports = {
+  calculateForecast,
+  formatShortDuration,
+  WEEKLY_LOOKBACK,
+};
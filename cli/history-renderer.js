@@ -0,0 +1,144 @@
+const chalk = require('chalk').default;
+const { default: stringWidth } = require('string-width');
+const Clock = require('./clock');
+const { t } = require('./i18n');
+
+const SPARK_CHARS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+
+class HistoryRenderer {
+  constructor(options = {}) {
+    this.chartWidth = options.chartWidth || 48;
+    this.limit = options.limit || 20;
+    this.clock = options.clock || new Clock();
+  }
+
+  // 颜色基于已使用百分比：使用越多越危险
+  getColor(percentage) {
+    if (percentage >= 85) return chalk.hex('#EF4444');
+    if (percentage >= 60) return chalk.hex('#F59E0B');
+    return chalk.hex('#10B981');
+  }
+
+  static intervalPercentage(sample) {
+    return sample.total > 0 ? Math.round((sample.used / sample.total) * 100) : 0;
+  }
+
+  static weeklyPercentage(sample) {
+    return sample.weeklyTotal > 0 ? Math.floor((sample.weeklyUsed / sample.weeklyTotal) * 100) : null;
+  }
+
+  // 默认选择文本模型（MiniMax-M 系列），否则取第一个
+  static pickModel(samples) {
+    const text = samples.find(s => (s.model || '').includes('MiniMax-M'));
+    return (text || samples[0] || {}).model || null;
+  }
+
+  /**
+   * Render a sparkline of percentages over time
+   * 每个格子取该时间段内的最大值，没有样本的格子显示为 ·
+   */
+  renderSparkline(samples, getPercentage, from, to) {
+    const step = (to - from) / this.chartWidth;
+    const cells = new Array(this.chartWidth).fill(null);
+
+    for (const sample of samples) {
+      const pct = getPercentage(sample);
+      if (pct === null) continue;
+      const index = Math.min(this.chartWidth - 1, Math.floor((sample.t - from) / step));
+      if (index < 0) continue;
+      cells[index] = cells[index] === null ? pct : Math.max(cells[index], pct);
+    }
+
+    return cells
+      .map(pct => {
+        if (pct === null) return chalk.gray('·');
+        const level = Math.min(SPARK_CHARS.length - 1, Math.floor((pct / 100) * SPARK_CHARS.length));
+        return this.getColor(pct)(SPARK_CHARS[level]);
+      })
+      .join('');
+  }
+
+  // 均匀抽取最多 limit 行，保证包含最后一条
+  pickRows(samples) {
+    if (samples.length <= this.limit) {
+      return samples;
+    }
+    const rows = [];
+    const step = (samples.length - 1) / (this.limit - 1);
+    for (let i = 0; i < this.limit; i++) {
+      rows.push(samples[Math.round(i * step)]);
+    }
+    return rows;
+  }
+
+  padEnd(text, width) {
+    const visible = stringWidth(text.replace(/\x1b\[[0-9;]*m/g, ''));
+    return text + ' '.repeat(Math.max(0, width - visible));
+  }
+
+  /**
+   * @param {Array<Object>} samples - Samples of a single model, sorted by time
+   * @param {Object} options
+   * @param {string} options.model - Model name
+   * @param {string} options.rangeLabel - Range text, e.g. "24h"
+   * @param {number} options.from - Range start (ms)
+   * @param {number} options.to - Range end (ms)
+   * @param {string} [options.regionLabel] - Region label for multi-account display
+   */
+  render(samples, options) {
+    const { model, rangeLabel, from, to, regionLabel } = options;
+    const lines = [];
+    const title = regionLabel ? `${t('history.title', { model })} · ${regionLabel}` : t('history.title', { model });
+
+    lines.push(chalk.bold(`📈 ${title}`) + chalk.gray(t('history.summary', { range: rangeLabel, count: samples.length })));
+    lines.push('');
+
+    const latest = samples[samples.length - 1];
+    const intervalPeak = Math.max(...samples.map(HistoryRenderer.intervalPercentage));
+    const intervalNow = HistoryRenderer.intervalPercentage(latest);
+    lines.push(
+      `${chalk.cyan(this.padEnd(t('history.interval'), 4))} ${this.renderSparkline(samples, HistoryRenderer.intervalPercentage, from, to)}  ` +
+      `${t('history.now')} ${this.getColor(intervalNow)(intervalNow + '%')}  ${t('history.peak')} ${this.getColor(intervalPeak)(intervalPeak + '%')}`
+    );
+
+    const weeklyNow = HistoryRenderer.weeklyPercentage(latest);
+    if (weeklyNow === null) {
+      lines.push(`${chalk.cyan(this.padEnd(t('history.weekly'), 4))} ${chalk.gray(t('panel.unlimited'))}`);
+    } else {
+      lines.push(
+        `${chalk.cyan(this.padEnd(t('history.weekly'), 4))} ${this.renderSparkline(samples, HistoryRenderer.weeklyPercentage, from, to)}  ` +
+        `${t('history.now')} ${this.getColor(weeklyNow)(weeklyNow + '%')}`
+      );
+    }
+
+    // 12 小时制的时间更长，例如 "10-24 2:05 PM"
+    const timeWidth = this.clock.hour12 ? 18 : 14;
+    lines.push('');
+    lines.push(chalk.gray(
+      this.padEnd(t('history.column.time'), timeWidth) +
+      this.padEnd(t('history.column.intervalUsage'), 14) +
+      this.padEnd(t('history.column.intervalPercent'), 8) +
+      this.padEnd(t('history.column.weeklyUsage'), 16) +
+      t('history.column.weeklyPercent')
+    ));
+
+    for (const sample of this.pickRows(samples)) {
+      const pct = HistoryRenderer.intervalPercentage(sample);
+      const weeklyPct = HistoryRenderer.weeklyPercentage(sample);
+      const weeklyUsage = weeklyPct === null ? '∞' : `${sample.weeklyUsed}/${sample.weeklyTotal}`;
+      const weeklyText = weeklyPct === null ? '' : this.getColor(weeklyPct)(weeklyPct + '%');
+
+      lines.push(
+        this.padEnd(this.clock.dateTime(sample.t), timeWidth) +
+        this.padEnd(`${sample.used}/${sample.total}`, 14) +
+        this.padEnd(this.getColor(pct)(pct + '%'), 8) +
+        this.padEnd(weeklyUsage, 16) +
+        weeklyText
+      );
+    }
+
+    return lines.join('\n');
+  }
+}
+
+module.exports = HistoryRenderer;
@@ -0,0 +1,127 @@
+// 消息目录：CLI 和 VS Code 扩展共用（扩展中的副本由 vscode-extension/scripts/sync-i18n.js 复制生成）
+const CATALOGS = {
+  "zh-CN": require("./locales/zh-CN"),
+  "en-US": require("./locales/en-US"),
+};
+
+const LANGUAGES = Object.keys(CATALOGS);
+const DEFAULT_LANGUAGE = "zh-CN";
+
+// 数字缩写单位，从大到小匹配
+const NUMBER_UNITS = {
+  "zh-CN": [[100000000, "亿"], [10000, "万"]],
+  "en-US": [[1000000000, "B"], [1000000, "M"], [1000, "K"]],
+};
+
+/**
+ * Map a language setting to a supported language
+ * 接受 "en"、"en_US.UTF-8"、"zh-TW" 等写法
+ * @param {string} value - Language setting
+ * @returns {string|null} zh-CN or en-US, null if unsupported
+ */
+function normalizeLanguage(value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (text.startsWith("zh")) {
+    return "zh-CN";
+  }
+  if (text.startsWith("en")) {
+    return "en-US";
+  }
+  return null;
+}
+
+/**
+ * Pick the display language
+ * 优先级：命令行 --lang > MINIMAX_LANG 环境变量 > 配置文件 language > zh-CN
+ * @param {string} [override] - --lang option
+ * @param {string} [configured] - "language" from the config file
+ * @returns {string} zh-CN or en-US
+ */
+function resolveLanguage(override, configured) {
+  return (
+    normalizeLanguage(override) ||
+    normalizeLanguage(process.env.MINIMAX_LANG) ||
+    normalizeLanguage(configured) ||
+    DEFAULT_LANGUAGE
+  );
+}
+
+/**
+ * Look up and interpolate a message
+ * 消息可以是字符串，或按 params.count 区分单复数的 { one, other }
+ * @param {string} language - zh-CN or en-US
+ * @param {string} key - Message key, e.g. "panel.title"
+ * @param {Object} [params] - Values for {name} placeholders
+ * @returns {string} Message, the key itself if missing from all catalogs
+ */
+function translate(language, key, params = {}) {
+  const catalog = CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE];
+  let message = catalog[key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+  if (typeof message === "object") {
+    message = params.count === 1 ? message.one : message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] === undefined ? match : String(params[name])));
+}
+
+/**
+ * Format a number with locale units: 1.2万 / 3.4亿 or 12K / 3.4M / 1.2B
+ * @param {number} num - Number to format
+ * @param {string} language - zh-CN or en-US
+ * @returns {string}
+ */
+function formatCompactNumber(num, language) {
+  const units = NUMBER_UNITS[language] || NUMBER_UNITS[DEFAULT_LANGUAGE];
+  for (const [size, unit] of units) {
+    if (num >= size) {
+      return (num / size).toFixed(1).replace(/\.0$/, "") + unit;
+    }
+  }
+  return num.toLocaleString(language);
+}
+
+/**
+ * Create a translator bound to a language
+ * @param {string} [language] - Language setting, unsupported values fall back to zh-CN
+ * @returns {Function} t(key, params), with t.language and t.number(num)
+ */
+function createTranslator(language) {
+  const resolved = normalizeLanguage(language) || DEFAULT_LANGUAGE;
+  const t = (key, params) => translate(resolved, key, params);
+  t.language = resolved;
+  t.number = (num) => formatCompactNumber(num, resolved);
+  return t;
+}
+
+// 进程内的当前语言（CLI 启动时由 --lang、MINIMAX_LANG 或配置文件决定）
+let current = createTranslator(process.env.MINIMAX_LANG);
+
+function setLanguage(language) {
+  current = createTranslator(language);
+  return current.language;
+}
+
+function getLanguage() {
+  return current.language;
+}
+
+function t(key, params) {
+  return current(key, params);
+}
+
+function formatNumber(num) {
+  return current.number(num);
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeLanguage,
+  resolveLanguage,
+  translate,
+  formatCompactNumber,
+  createTranslator,
+  setLanguage,
+  getLanguage,
+  t,
+  formatNumber,
+};
@@ -3,45 +3,607 @@
 // Force color output even in non-TTY environments (e.g., Claude Code statusline)
 process.env.FORCE_COLOR = "1";
 
+const fs = require("fs");
 const { Command } = require("commander");
 const chalk = require("chalk").default;
 const ora = require("ora").default;
 const MinimaxAPI = require("./api");
 const StatusBar = require("./status");
-const TranscriptParser = require("./transcript-parser");
-const ConfigCounter = require("./config-counter");
+const { SOURCE_NAMES, createSource } = require("./sessions");
 const Renderer = require("./renderer");
+const FileCache = require("./file-cache");
+const HistoryRenderer = require("./history-renderer");
+const BillingReport = require("./billing-report");
+const SessionReport = require("./session-report");
+const Pricing = require("./pricing");
+const AlertEngine = require("./alerts");
+const { fetchAccounts, fetchAccountsOrLastKnown, fetchAccountsWithStats } = require("./accounts");
+const { FORMATS, exitCodeFor, buildReport, formatReport } = require("./output-formats");
+const { ENV_KEYS, maskToken } = require("./credentials");
+const { maskProxy } = require("./network");
+const { parseDuration } = require("./usage-history");
+const { isValidPeriod, resolveBillingPeriod } = require("./billing-period");
+const { CLOCK_FORMATS, isValidTimeZone } = require("./clock");
+const { loadLayout, applySegmentsOption, parseWidth, resolveWidth } = require("./statusline-config");
+const { CURRENCIES, defaultCurrency } = Pricing;
+const { THEME_NAMES, COLOR_DEPTHS, COLOR_DEPTH_NAMES, resolveColorDepth, previewSamples } = require("./themes");
+const { LANGUAGES, t, setLanguage, resolveLanguage, normalizeLanguage } = require("./i18n");
+const { default: stringWidth } = require("string-width");
 const packageJson = require("../package.json");
 const { getContextWindowSize, getDefaultContextWindowSize } = require('./model-context-sizes');
 
 const program = new Command();
 const api = new MinimaxAPI();
-const transcriptParser = new TranscriptParser();
-const configCounter = new ConfigCounter();
-const renderer = new Renderer();
+
+/**
+ * 在解析命令前读取 --lang，命令说明和帮助信息也需要按该语言输出
+ * @returns {string|undefined} Value of --lang
+ */
+function argvLanguage() {
+  const args = process.argv.slice(2);
+  const index = args.findIndex((arg) => arg === "--lang" || arg.startsWith("--lang="));
+  if (index === -1) {
+    return undefined;
+  }
+  return args[index].includes("=") ? args[index].split("=")[1] : args[index + 1];
+}
+
+setLanguage(resolveLanguage(argvLanguage(), api.store.data.language));
 
 program
   .name("minimax-status")
-  .description("MiniMax Claude Code 使用状态监控工具")
-  .version(packageJson.version);
+  .description(t("cli.description"))
+  .version(packageJson.version)
+  .option("-r, --region <region>", t("option.region"))
+  .option("-p, --profile <name>", t("option.profile"))
+  .option("--no-cache", t("option.noCache"))
+  .option("--tz <zone>", t("option.tz"))
+  .option("--clock <format>", t("option.clock"))
+  .option("--lang <language>", t("option.lang"))
+  .option("--record <dir>", t("option.record"))
+  .option("--replay <dir>", t("option.replay"));
+
+// 全局选项在命令执行前生效
+program.hook("preAction", (thisCommand, actionCommand) => {
+  const { region, profile, cache, tz, clock, lang, record, replay } = program.opts();
+
+  if (lang && !normalizeLanguage(lang)) {
+    console.error(chalk.red(t("error.unknownLanguage", { value: lang, options: LANGUAGES.join(", ") })));
+    process.exit(1);
+  }
+
+  // 状态栏输出由其他程序读取，不输出警告；health 自行检查权限
+  if (!["statusline", "droid-statusline", "health"].includes(actionCommand.name())) {
+    const warning = api.store.permissionWarning();
+    if (warning) {
+      console.error(chalk.yellow(warning));
+    }
+  }
+
+  if (!cache) {
+    api.useCache(false);
+  }
+  if (profile) {
+    api.useProfile(profile);
+  }
+  if (region) {
+    if (!MinimaxAPI.REGION_MODES.includes(region)) {
+      console.error(chalk.red(t("error.unknownRegion", { value: region, options: MinimaxAPI.REGION_MODES.join(", ") })));
+      process.exit(1);
+    }
+    api.useRegion(region);
+  }
+
+  if (tz && !isValidTimeZone(tz)) {
+    console.error(chalk.red(t("error.unknownTimeZone", { value: tz })));
+    process.exit(1);
+  }
+  if (clock && !CLOCK_FORMATS.includes(clock)) {
+    console.error(chalk.red(t("error.unknownClock", { value: clock, options: CLOCK_FORMATS.join(", ") })));
+    process.exit(1);
+  }
+  if (record && replay) {
+    console.error(chalk.red(t("error.recordWithReplay")));
+    process.exit(1);
+  }
+  if (record || replay) {
+    api.useFixtures(replay ? "replay" : "record", replay || record);
+  }
+
+  if (tz || clock) {
+    api.useClock({ timeZone: tz, clock });
+  }
+});
+
+/**
+ * 校验 --format 并切换到机器可读模式（关闭颜色）
+ * @param {string} [format] - Output format option
+ * @returns {boolean} Whether a machine-readable format is requested
+ */
+function useOutputFormat(format) {
+  if (!format) {
+    return false;
+  }
+  if (!FORMATS.includes(format)) {
+    console.error(t("error.generic", { message: t("error.unknownFormat", { value: format, options: FORMATS.join(", ") }) }));
+    process.exit(1);
+  }
+  chalk.level = 0;
+  return true;
+}
+
+/**
+ * 按错误类别给出简短说明（statusline、health 共用）
+ * @param {Error} error - Error thrown by MinimaxAPI
+ * @returns {string} Description
+ */
+function describeError(error) {
+  switch (error.kind) {
+    case "auth":
+    case "rate-limited":
+    case "server":
+    case "network":
+    case "timeout":
+    case "schema":
+      return t(`error.kind.${error.kind}`);
+    default:
+      return api.redact(error.message);
+  }
+}
+
+// 状态栏中的简短错误标记
+const ERROR_BADGES = ["auth", "rate-limited", "server", "network", "timeout", "schema", "no-data"];
+
+function errorBadge(error) {
+  return t(ERROR_BADGES.includes(error.kind) ? `badge.${error.kind}` : "badge.unknown");
+}
+
+/**
+ * 校验 --theme/--color-depth（statusline、themes preview 共用）
+ * @param {Object} options - Command options
+ * @returns {string|null} Error message, null when valid
+ */
+function themeOptionError({ theme, colorDepth }) {
+  if (theme && !THEME_NAMES.includes(theme)) {
+    return t("statusline.unknownTheme", { value: theme, options: THEME_NAMES.join(", ") });
+  }
+  if (colorDepth && !COLOR_DEPTH_NAMES.includes(colorDepth)) {
+    return t("statusline.unknownColorDepth", { value: colorDepth, options: COLOR_DEPTH_NAMES.join(", ") });
+  }
+  return null;
+}
+
+/**
+ * 创建状态栏 Renderer（statusline、droid-statusline 共用）
+ * 段布局读取 ~/.minimax-statusline.json，--segments 临时覆盖
+ * @param {Object} options - Command options: segments, theme, colorDepth, width
+ * @returns {Renderer}
+ * @throws {Error} When an option or the statusline config is invalid
+ */
+function createStatuslineRenderer(options) {
+  const optionError = themeOptionError(options);
+  if (optionError) {
+    throw new Error(optionError);
+  }
+  if (options.width !== undefined && !parseWidth(options.width)) {
+    throw new Error(t("statusline.invalidWidth", { value: options.width }));
+  }
+  const layout = loadLayout({ theme: options.theme, colorDepth: options.colorDepth });
+  return new Renderer(options.segments ? applySegmentsOption(layout, options.segments) : layout);
+}
+
+/**
+ * 读取 git 分支、领先/落后提交数和未提交的更改
+ * @param {string} cwd - Working directory
+ * @returns {Object|null} {name, ahead, behind, hasChanges}, null outside a git repository
+ */
+function readGitBranch(cwd) {
+  const git = (command) => require("child_process").execSync(command, { cwd, encoding: "utf8", timeout: 3000 }).trim();
+  let gitBranch = null;
+  try {
+    const branch = git("git symbolic-ref --short HEAD");
+    if (branch) {
+      gitBranch = { name: branch };
+
+      // 获取 ahead/behind
+      let hasUpstream = false;
+      try {
+        const revList = git("git rev-list --left-right --count HEAD...@{upstream}");
+        if (revList) {
+          hasUpstream = true;
+          const [behind, ahead] = revList.split(/\s+/).map(n => parseInt(n) || 0);
+          if (ahead > 0 || behind > 0) {
+            gitBranch.ahead = ahead;
+            gitBranch.behind = behind;
+          }
+        }
+      } catch (e) {
+        // 无 upstream 或获取失败，静默跳过
+      }
+
+      // 如果没有 upstream，尝试获取本地 commit 数作为提示
+      if (!hasUpstream) {
+        try {
+          const commitCount = parseInt(git("git rev-list --count HEAD")) || 0;
+          // 如果有本地 commits（大于1，因为初始commit算1个），标记有待推送
+          if (commitCount > 1) {
+            gitBranch.ahead = -1; // -1 表示有未知数量的待推送
+          }
+        } catch (e) {
+          // 获取失败，静默跳过
+        }
+      }
+
+      // 检查未提交的更改
+      try {
+        if (git("git status --porcelain")) {
+          gitBranch.hasChanges = true;
+        }
+      } catch (e) {
+        // 获取失败，静默跳过
+      }
+    }
+  } catch (e) {
+    // 非 git 目录或获取失败，静默跳过
+  }
+  return gitBranch;
+}
+
+/**
+ * 费用显示币种：命令行选项、配置文件的 currency，否则按区域（国内 CNY，海外 USD）
+ * @param {string} [option] - Value of --currency
+ * @returns {string} CNY or USD
+ * @throws {Error} When the currency is not supported
+ */
+function resolveCurrency(option) {
+  const currency = option || api.store.data.currency || defaultCurrency(api.region);
+  if (!CURRENCIES.includes(currency)) {
+    throw new Error(t("pricing.unknownCurrency", {
+      where: option ? "--currency" : "currency",
+      value: currency,
+      options: CURRENCIES.join(", "),
+    }));
+  }
+  return currency;
+}
+
+/**
+ * 组装 Renderer#render() 的上下文
+ * @param {Array<Object>} accounts - Result of fetchAccountsOrLastKnown()
+ * @param {Object} session - Session from a session source, see sessions/session-source.js
+ * @param {string} currency - Currency of the cost segment
+ * @returns {Object} Render context
+ */
+function buildStatuslineContext(accounts, session, currency) {
+  const primary = accounts[0];
+  const usageData = primary.usageData || {};
+  const cwd = session.cwd || process.cwd();
+
+  return {
+    // 会话没有记录模型时使用额度接口返回的模型名
+    modelName: session.modelName || usageData.modelName,
+    currentDir: cwd.split(/[/\\]/).pop(),
+    usagePercentage: usageData.usage ? usageData.usage.percentage : null,
+    usage: usageData.usage,
+    remaining: usageData.remaining,
+    expiry: usageData.expiry,
+    weekly: usageData.weekly,
+    forecast: usageData.forecast,
+    staleSince: usageData.staleSince,
+    quotaError: primary.error && !primary.usageData ? errorBadge(primary.error) : null,
+    accounts: accounts.map(({ api: client, usageData: d, error }) => ({
+      label: accounts.length > 1 ? client.regionLabel : undefined,
+      usage: d && d.usage,
+      weekly: d && d.weekly,
+      remaining: d && d.remaining,
+      forecast: d && d.forecast,
+      staleSince: d && d.staleSince,
+      error: error && !d ? errorBadge(error) : null,
+    })),
+    contextUsage: session.contextTokens,
+    // MiniMax 模型使用映射表获取 context window
+    contextSize: session.contextSize ||
+      getContextWindowSize(session.modelId) ||
+      getContextWindowSize(usageData.modelName) ||
+      getDefaultContextWindowSize(),
+    configCounts: session.configCounts,
+    gitBranch: readGitBranch(cwd),
+    tools: session.transcript.tools,
+    agents: session.transcript.agents,
+    todos: session.transcript.todos,
+    sessionCost: session.transcript.cost,
+    sessionTokens: session.transcript.totals,
+    currency,
+  };
+}
+
+/**
+ * 输出一个会话来源的状态栏（statusline、droid-statusline 共用）
+ * @param {string} sourceName - Session source, one of SOURCE_NAMES
+ * @param {Object} options - Command options: session, segments, theme, colorDepth, width
+ * @param {Object|null} stdinData - Statusline payload from stdin
+ */
+async function printSessionStatusline(sourceName, options, stdinData) {
+  const source = createSource(sourceName);
+  let renderer, pricing, currency;
+  try {
+    if (!source) {
+      throw new Error(t("statusline.unknownSource", { value: sourceName, options: SOURCE_NAMES.join(", ") }));
+    }
+    renderer = createStatuslineRenderer(options);
+    pricing = new Pricing(api.store.data.pricing);
+    currency = resolveCurrency();
+  } catch (error) {
+    console.log(t("statusline.error", { message: error.message }));
+    return;
+  }
+
+  // 状态栏需要尽快输出，只重试一次，其他进程刷新缓存时最多等 2 秒
+  api.useRetries(1);
+  api.useCacheWait(2000);
+
+  try {
+    const session = await source.load({ sessionPath: options.session, cwd: process.cwd(), stdinData, pricing });
+    if (!session) {
+      console.log(t("statusline.noSession", { source: source.label, dir: source.sessionsDir }));
+      process.exitCode = 1;
+      return;
+    }
+
+    // 额度获取失败时显示最后一次缓存的数据（标注数据年龄）或错误标记，本地信息照常显示
+    const accounts = await fetchAccountsOrLastKnown(api);
+    const context = buildStatuslineContext(accounts, session, currency);
+    console.log(renderer.render(context, { width: resolveWidth(options.width, stdinData || {}) }));
+  } catch (error) {
+    console.log(t("statusline.error", { message: describeError(error) }));
+  }
+}
+
+// 区域名称，如 "国内"、"Domestic"
+function regionName(region) {
+  return t(`region.${region}`);
+}
+
+/**
+ * 描述用量接口的网络路由（health 使用）
+ * @param {MinimaxAPI} client - Client of one region
+ * @returns {string} Direct or proxied route with its source
+ */
+function describeRoute(client) {
+  const route = client.networkRoute("remains");
+  const host = new URL(route.url).host;
+  const source = route.source === "config"
+    ? t("health.sourceConfig")
+    : t("health.sourceEnv", { env: route.source });
+  if (route.proxy) {
+    return t("health.routeProxy", { host, proxy: maskProxy(route.proxy), source });
+  }
+  if (route.bypassed) {
+    return t("health.routeBypassed", { host, source });
+  }
+  return t(route.source === "config" ? "health.routeProxyDisabled" : "health.routeDirect", { host });
+}
+
+/**
+ * 从标准输入读取令牌（auth --stdin），避免令牌出现在 shell 历史中
+ * @returns {Promise<string>} First non-empty line
+ */
+async function readTokenFromStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString().split(/\r?\n/).map((line) => line.trim()).find(Boolean) || "";
+}
 
 // Auth command (设置认证凭据)
 program
   .command("auth")
-  .description("设置认证凭据")
-  .argument("<token>", "MiniMax 访问令牌")
-  .argument("[groupId]", "MiniMax 组 ID（已废弃，可不填）")
-  .action((token, groupId) => {
-    api.setCredentials(token, groupId || null);
-    console.log(chalk.green("✓ 认证信息已保存"));
+  .description(t("auth.description"))
+  .argument("[token]", t("auth.argToken"))
+  .argument("[groupId]", t("auth.argGroupId"))
+  .option("--stdin", t("auth.optionStdin"))
+  .option("--no-verify", t("auth.optionNoVerify"))
+  .action(async (tokenArg, groupIdArg, options) => {
+    let token = tokenArg;
+    let groupId = groupIdArg;
+    if (options.stdin) {
+      // --stdin 时唯一的位置参数是 groupId
+      groupId = tokenArg;
+      token = await readTokenFromStdin();
+    }
+    if (!token) {
+      console.error(chalk.red(t("auth.noToken")));
+      process.exit(1);
+    }
+
+    const region = program.opts().region || "domestic";
+    if (region === "both") {
+      console.error(chalk.red(t("auth.bothRegions")));
+      process.exit(1);
+    }
+    if (region === "overseas" && !groupId) {
+      console.error(chalk.red(t("auth.groupIdRequired")));
+      process.exit(1);
+    }
+
+    if (options.verify) {
+      const spinner = ora(t("auth.verifying")).start();
+      try {
+        await api.verifyCredentials(token, groupId || null, region);
+        spinner.succeed(t("auth.verified"));
+      } catch (error) {
+        spinner.fail(chalk.red(t("auth.verifyFailed")));
+        console.error(chalk.red(t("error.generic", { message: describeError(error) })));
+        if (error.kind !== "auth") {
+          console.error(chalk.gray(t("auth.noVerifyHint")));
+        }
+        process.exit(exitCodeFor(error));
+      }
+    }
+
+    api.setCredentials(token, groupId || null, region);
+    console.log(chalk.green(t("auth.saved", { region: regionName(region), profile: api.profileName, token: maskToken(token) })));
+
+    if (api.store.data.currentProfile !== api.profileName) {
+      console.log(chalk.gray(t("auth.useProfileHint", { profile: api.profileName })));
+    }
+
+    const otherRegion = region === "overseas" ? "domestic" : "overseas";
+    if (api.getCredentials(otherRegion).token && api.config.region !== "both") {
+      console.log(chalk.gray(t("auth.bothHint")));
+    }
+  });
+
+// Logout command (删除保存的凭据)
+program
+  .command("logout")
+  .description(t("logout.description"))
+  .action(() => {
+    const region = program.opts().region;
+    const regions = region && region !== "both" ? [region] : ["domestic", "overseas"];
+
+    if (!api.removeCredentials(regions)) {
+      console.log(chalk.yellow(
+        region && region !== "both"
+          ? t("logout.nothingInRegion", { profile: api.profileName, region: regionName(region) })
+          : t("logout.nothing", { profile: api.profileName })
+      ));
+      return;
+    }
+
+    // 缓存的接口响应属于已删除的凭据，一并清除
+    new FileCache().clear();
+    console.log(chalk.green(t("logout.removed", {
+      profile: api.profileName,
+      regions: regions.map(regionName).join(t("list.separator")),
+    })));
+
+    for (const r of regions) {
+      const envKey = ENV_KEYS[r].token;
+      if (process.env[envKey]) {
+        console.log(chalk.gray(t("logout.envHint", { env: envKey })));
+      }
+    }
+  });
+
+// Region command (查看或设置默认区域)
+program
+  .command("region")
+  .description(t("region.description"))
+  .argument("[mode]", t("region.argMode"))
+  .action((mode) => {
+    if (!mode) {
+      console.log(t("region.current", { mode: api.regionMode }));
+      return;
+    }
+    if (!MinimaxAPI.REGION_MODES.includes(mode)) {
+      console.error(chalk.red(t("error.unknownRegion", { value: mode, options: MinimaxAPI.REGION_MODES.join(", ") })));
+      process.exit(1);
+    }
+    api.setRegionMode(mode);
+    console.log(chalk.green(t("region.saved", { mode })));
+  });
+
+// Period command (查看或设置消耗统计周期)
+program
+  .command("period")
+  .description(t("period.description"))
+  .argument("[period]", t("period.argPeriod"))
+  .action(async (period) => {
+    if (!period) {
+      let subscriptionData = null;
+      if (api.billingPeriod === "cycle") {
+        subscriptionData = await api.getSubscriptionDetails().catch(() => null);
+      }
+      const resolved = resolveBillingPeriod(api.billingPeriod, subscriptionData, api.clock);
+      console.log(t("period.current", { period: api.billingPeriod, label: resolved.label }));
+      if (api.billingPeriod === "cycle" && resolved.mode !== "cycle") {
+        console.log(chalk.gray(t("period.noCycle")));
+      }
+      return;
+    }
+    if (!isValidPeriod(period)) {
+      console.error(chalk.red(t("error.invalidPeriod", { value: period })));
+      process.exit(1);
+    }
+    api.setBillingPeriod(period);
+    console.log(chalk.green(t("period.saved", { period })));
+  });
+
+// Profile commands (管理凭据档案)
+const profileCommand = program
+  .command("profile")
+  .description(t("profile.description"));
+
+profileCommand
+  .command("list")
+  .description(t("profile.listDescription"))
+  .action(() => {
+    const names = api.store.listProfiles();
+    if (names.length === 0) {
+      console.log(chalk.yellow(t("profile.none")));
+      return;
+    }
+
+    const current = api.store.data.currentProfile;
+    for (const name of names) {
+      const profile = api.store.getProfile(name);
+      const marker = name === current ? chalk.green("*") : " ";
+      const region = profile.region || "domestic";
+      const configured = [
+        profile.token ? regionName("domestic") : null,
+        profile.overseasToken ? regionName("overseas") : null,
+      ].filter(Boolean).join("+") || t("profile.notConfigured");
+      console.log(`${marker} ${chalk.bold(name)} ${chalk.gray(t("profile.summary", { region, credentials: configured }))}`);
+    }
+  });
+
+profileCommand
+  .command("use")
+  .description(t("profile.useDescription"))
+  .argument("<name>", t("profile.argName"))
+  .action((name) => {
+    if (!api.store.hasProfile(name)) {
+      console.error(chalk.red(t("profile.notFound", { name })));
+      process.exit(1);
+    }
+    api.store.setCurrentProfile(name);
+    api.store.save();
+    console.log(chalk.green(t("profile.switched", { name })));
+  });
+
+profileCommand
+  .command("remove")
+  .description(t("profile.removeDescription"))
+  .argument("<name>", t("profile.argName"))
+  .action((name) => {
+    if (!api.store.hasProfile(name)) {
+      console.error(chalk.red(t("profile.notFound", { name })));
+      process.exit(1);
+    }
+    api.store.removeProfile(name);
+    api.store.save();
+    console.log(chalk.green(t("profile.removed", { name })));
+  });
+
+// Cache command (管理本地缓存)
+program
+  .command("cache")
+  .description(t("cache.description"))
+  .command("clear")
+  .description(t("cache.clearDescription"))
+  .action(() => {
+    const count = new FileCache().clear();
+    console.log(chalk.green(t("cache.cleared", { count })));
   });
 
 // Health check command (检查配置和连接状态)
 program
   .command("health")
-  .description("检查配置和连接状态")
+  .description(t("health.description"))
   .action(async () => {
-    const spinner = ora("正在检查...").start();
+    const spinner = ora(t("health.checking")).start();
     let checks = {
       config: false,
       token: false,
@@ -55,135 +617,385 @@ program
         process.env.HOME || process.env.USERPROFILE,
         ".minimax-config.json"
       );
-      if (require("fs").existsSync(configPath)) {
+      if (fs.existsSync(configPath)) {
         checks.config = true;
       }
-      spinner.succeed("配置文件检查");
+      spinner.succeed(t("health.configFile"));
     } catch (error) {
-      spinner.fail("配置文件检查失败");
+      spinner.fail(t("health.configFileFailed"));
     }
 
-    // 检查Token
-    if (api.token) {
-      checks.token = true;
-      console.log(chalk.green("✓ Token: ") + chalk.gray("已配置"));
-    } else {
-      console.log(chalk.red("✗ Token: ") + chalk.gray("未配置"));
+    const permissionWarning = api.store.permissionWarning();
+    if (permissionWarning) {
+      console.log(chalk.yellow(`⚠ ${t("health.permission")}`) + chalk.gray(t("health.permissionOpen")));
+    } else if (checks.config) {
+      console.log(chalk.green(`✓ ${t("health.permission")}`) + chalk.gray(t("health.ok")));
     }
 
-    // 检查GroupID
-    if (api.groupId) {
-      checks.groupId = true;
-      console.log(chalk.green("✓ GroupID: ") + chalk.gray("已配置"));
-    } else {
-      console.log(chalk.red("✗ GroupID: ") + chalk.gray("未配置"));
+    console.log(chalk.green(`✓ ${t("health.profile")}`) + chalk.gray(api.profileName));
+
+    const certificates = Object.entries(api.network.tlsFiles).filter(([, file]) => file);
+    if (certificates.length > 0) {
+      console.log(
+        chalk.green(`✓ ${t("health.certificates")}`) +
+        chalk.gray(certificates.map(([name, file]) => `${name} ${file}`).join(", "))
+      );
     }
 
-    // 测试API连接
-    if (checks.token && checks.groupId) {
-      try {
-        await api.getUsageStatus();
-        checks.api = true;
-        console.log(chalk.green("✓ API连接: ") + chalk.gray("正常"));
-      } catch (error) {
-        console.log(chalk.red("✗ API连接: ") + chalk.gray(error.message));
+    const clients = api.getRegionClients();
+    checks.token = true;
+    checks.groupId = true;
+    checks.api = true;
+
+    for (const client of clients) {
+      const prefix = clients.length > 1 ? `[${client.regionLabel}] ` : "";
+
+      // 检查Token（只显示掩码和来源）
+      const sources = {
+        env: t("health.sourceEnv", { env: ENV_KEYS[client.region].token }),
+        command: "tokenCommand",
+        config: t("health.sourceConfig"),
+      };
+      if (client.token) {
+        console.log(
+          chalk.green(`✓ ${prefix}Token: `) +
+          chalk.gray(t("health.tokenConfigured", { token: maskToken(client.token), source: sources[client.credentialSource] }))
+        );
+      } else {
+        checks.token = false;
+        console.log(chalk.red(`✗ ${prefix}Token: `) + chalk.gray(client.credentialError || t("health.notConfigured")));
+      }
+
+      // 检查GroupID
+      if (client.groupId) {
+        console.log(chalk.green(`✓ ${prefix}GroupID: `) + chalk.gray(t("health.configured")));
+      } else {
+        checks.groupId = false;
+        console.log(chalk.red(`✗ ${prefix}GroupID: `) + chalk.gray(t("health.notConfigured")));
+      }
+
+      console.log(chalk.green(`✓ ${prefix}${t("health.route")}`) + chalk.gray(describeRoute(client)));
+
+      // 测试API连接（国内账号不再需要 GroupID）
+      if (client.token && (client.groupId || client.region === "domestic")) {
+        try {
+          await client.getUsageStatus(true);
+          console.log(chalk.green(`✓ ${prefix}${t("health.api")}`) + chalk.gray(t("health.ok")));
+        } catch (error) {
+          checks.api = false;
+          console.log(chalk.red(`✗ ${prefix}${t("health.api")}`) + chalk.gray(`${describeError(error)} (${api.redact(error.message)})`));
+        }
+
+        // 订阅接口失败不影响用量显示，只提示
+        if (client.region === "domestic") {
+          try {
+            await client.getSubscriptionDetails();
+            console.log(chalk.green(`✓ ${prefix}${t("health.subscription")}`) + chalk.gray(t("health.ok")));
+          } catch (error) {
+            console.log(chalk.yellow(`⚠ ${prefix}${t("health.subscription")}`) + chalk.gray(describeError(error)));
+          }
+        }
+      } else {
+        checks.api = false;
       }
     }
 
     // 总结
-    console.log("\n" + chalk.bold("健康检查结果:"));
+    console.log("\n" + chalk.bold(t("health.result")));
     const allPassed = Object.values(checks).every((v) => v);
     if (allPassed) {
-      console.log(chalk.green("✓ 所有检查通过，配置正常！"));
+      console.log(chalk.green(t("health.allPassed")));
     } else {
-      console.log(chalk.yellow("⚠ 发现问题，请检查上述错误信息"));
+      console.log(chalk.yellow(t("health.issues")));
     }
   });
 
 // Status command (显示当前使用状态)
 program
   .command("status")
-  .description("显示当前使用状态")
-  .option("-c, --compact", "紧凑模式显示")
-  .option("-w, --watch", "实时监控模式")
+  .description(t("status.description"))
+  .option("-c, --compact", t("status.optionCompact"))
+  .option("-w, --watch", t("status.optionWatch"))
+  .option("-f, --format <format>", t("option.format", { formats: FORMATS.join(t("list.separator")) }))
+  .option("--period <period>", t("option.period"))
   .action(async (options) => {
-    const spinner = ora("获取使用状态中...").start();
+    const machine = useOutputFormat(options.format);
+    if (machine && options.watch) {
+      console.error(t("status.formatWithWatch"));
+      process.exit(1);
+    }
+    if (options.period) {
+      if (!isValidPeriod(options.period)) {
+        console.error(chalk.red(t("error.invalidPeriod", { value: options.period })));
+        process.exit(1);
+      }
+      api.useBillingPeriod(options.period);
+    }
+
+    const spinner = ora({ text: t("status.fetching"), isSilent: machine }).start();
 
     try {
-      const [apiData, subscriptionData] = await Promise.all([
-        api.getUsageStatus(),
-        api.getSubscriptionDetails(),
-      ]);
-      const usageData = api.parseUsageData(apiData, subscriptionData);
-
-      // 获取账单数据用于消耗统计
-      let usageStats = null;
-      try {
-        // 按自然月统计当月消耗
-        const now = new Date();
-        const monthStart = new Date(now.getFullYear(), now.getMonth(), 1, 0, 0, 0, 0).getTime();
-        const billingRecords = await api.getAllBillingRecords(100, monthStart);
-        if (billingRecords.length > 0) {
-          usageStats = api.calculateUsageStats(billingRecords, monthStart, now.getTime());
-        }
-      } catch (billingError) {
-        // 账单数据获取失败不影响主要功能
-        console.error(chalk.gray(`消耗统计获取失败: ${billingError.message}`));
-      }
+      const accounts = await fetchAccountsWithStats(api, (billingError) => {
+        console.error(chalk.gray(t("status.statsFailed", { message: api.redact(billingError.message) })));
+      });
 
-      const statusBar = new StatusBar(usageData, usageStats, api);
-      const allModels = api.parseAllModels(apiData);
+      if (machine) {
+        console.log(formatReport(buildReport("status", accounts), options.format));
+        return;
+      }
 
-      spinner.succeed("状态获取成功");
+      spinner.succeed(t("status.fetched"));
 
       if (options.compact) {
-        console.log(statusBar.renderCompact());
+        for (const account of accounts) {
+          const statusBar = new StatusBar(account.usageData, account.usageStats, account.api);
+          console.log(statusBar.renderCompact());
+        }
       } else {
-        // 将 allModels 传入 StatusBar 内部渲染
-        const statusBarWithModels = new StatusBar(usageData, usageStats, api, allModels);
-        console.log("\n" + statusBarWithModels.render() + "\n");
+        // 将 allModels 传入 StatusBar 内部渲染，多账号时左右并列
+        const panels = accounts.map((account) =>
+          new StatusBar(
+            account.usageData,
+            account.usageStats,
+            account.api,
+            account.api.parseAllModels(account.apiData)
+          ).render()
+        );
+        console.log("\n" + StatusBar.joinColumns(panels) + "\n");
       }
 
       if (options.watch) {
-        console.log(chalk.gray("监控中... 按 Ctrl+C 退出"));
-        startWatching(api, statusBar);
+        console.log(chalk.gray(t("status.watching")));
+        startWatching();
       }
     } catch (error) {
-      spinner.fail(chalk.red("获取状态失败"));
-      console.error(chalk.red(`错误: ${error.message}`));
+      spinner.fail(chalk.red(t("status.fetchFailed")));
+      console.error(chalk.red(t("error.generic", { message: api.redact(error.message) })));
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Watch command (持续监控，可选阈值告警)
+program
+  .command("watch")
+  .description(t("watch.description"))
+  .option("-a, --alerts", t("watch.optionAlerts"))
+  .option("-i, --interval <seconds>", t("watch.optionInterval"), "30")
+  .action((options) => {
+    const seconds = parseInt(options.interval, 10);
+    if (!seconds || seconds < 5) {
+      console.error(chalk.red(t("watch.intervalTooShort")));
       process.exit(1);
     }
+
+    let alertEngine = null;
+    if (options.alerts) {
+      try {
+        alertEngine = new AlertEngine(api.store.data.alerts);
+      } catch (error) {
+        console.error(chalk.red(t("error.generic", { message: api.redact(error.message) })));
+        process.exit(1);
+      }
+    }
+
+    startWatching({ intervalMs: seconds * 1000, alertEngine });
   });
 
 // List command (显示所有模型的使用状态)
 program
   .command("list")
-  .description("显示所有模型的使用状态")
-  .action(async () => {
-    const spinner = ora("获取使用状态中...").start();
+  .description(t("list.description"))
+  .option("-f, --format <format>", t("option.format", { formats: FORMATS.join(t("list.separator")) }))
+  .action(async (options) => {
+    const machine = useOutputFormat(options.format);
+    const spinner = ora({ text: t("status.fetching"), isSilent: machine }).start();
 
     try {
-      const [apiData, subscriptionData] = await Promise.all([
-        api.getUsageStatus(),
-        api.getSubscriptionDetails(),
-      ]);
-      const usageData = api.parseUsageData(apiData, subscriptionData);
-      const allModels = api.parseAllModels(apiData);
-
-      spinner.succeed("状态获取成功");
-      const statusBarWithModels = new StatusBar(usageData, null, null, allModels);
-      console.log("\n" + statusBarWithModels.render() + "\n");
+      const accounts = await fetchAccounts(api);
+
+      if (machine) {
+        console.log(formatReport(buildReport("list", accounts), options.format));
+        return;
+      }
+
+      spinner.succeed(t("status.fetched"));
+      const panels = accounts.map((account) =>
+        new StatusBar(account.usageData, null, null, account.api.parseAllModels(account.apiData)).render()
+      );
+      console.log("\n" + StatusBar.joinColumns(panels) + "\n");
     } catch (error) {
-      spinner.fail(chalk.red("获取状态失败"));
-      console.error(chalk.red(`错误: ${error.message}`));
+      spinner.fail(chalk.red(t("status.fetchFailed")));
+      console.error(chalk.red(t("error.generic", { message: api.redact(error.message) })));
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// History command (查看本地记录的用量历史)
+program
+  .command("history")
+  .description(t("history.description"))
+  .option("--range <duration>", t("history.optionRange"), "24h")
+  .option("-m, --model <name>", t("history.optionModel"))
+  .option("-n, --limit <count>", t("history.optionLimit"), "20")
+  .option("--compact", t("history.optionCompact"))
+  .action((options) => {
+    const rangeMs = parseDuration(options.range);
+    if (!rangeMs) {
+      console.error(chalk.red(t("history.invalidRange", { range: options.range })));
       process.exit(1);
     }
+
+    const to = Date.now();
+    const from = to - rangeMs;
+    const historyRenderer = new HistoryRenderer({ limit: parseInt(options.limit, 10) || 20, clock: api.clock });
+    const clients = api.getRegionClients();
+    const outputs = [];
+
+    for (const client of clients) {
+      const history = client.getHistory();
+      const regionLabel = clients.length > 1 ? client.regionLabel : null;
+
+      if (options.compact) {
+        const { before, after } = history.compact();
+        console.log(chalk.green(t("history.compacted", { region: regionLabel ? regionLabel + " " : "", before, after })));
+      }
+
+      const samples = history.read({ from, to, model: options.model });
+      const model = HistoryRenderer.pickModel(samples);
+      if (!model) {
+        continue;
+      }
+
+      const modelSamples = samples.filter((sample) => sample.model === model);
+      outputs.push(historyRenderer.render(modelSamples, {
+        model,
+        rangeLabel: options.range,
+        from,
+        to,
+        regionLabel,
+      }));
+    }
+
+    if (outputs.length === 0) {
+      console.log(chalk.yellow(t("history.empty")));
+      return;
+    }
+
+    console.log("\n" + outputs.join("\n\n") + "\n");
+  });
+
+// Billing command (账单消耗统计)
+program
+  .command("billing")
+  .description(t("billing.description"))
+  .option("--from <date>", t("billing.optionFrom"))
+  .option("--to <date>", t("billing.optionTo"))
+  .option("--group-by <key>", t("billing.optionGroupBy"), "day")
+  .option("-f, --format <format>", t("billing.optionFormat"))
+  .action(async (options) => {
+    // 日期按配置的时区解析
+    const from = options.from
+      ? BillingReport.parseDateOption(options.from, false, api.clock)
+      : api.clock.at().startOf("month").valueOf();
+    const to = options.to ? BillingReport.parseDateOption(options.to, true, api.clock) : Date.now();
+
+    if (from === null || to === null || from > to) {
+      console.error(chalk.red(t("billing.invalidRange")));
+      process.exit(1);
+    }
+    if (options.format && !["json", "csv"].includes(options.format)) {
+      console.error(t("error.generic", { message: t("error.unknownFormat", { value: options.format, options: "json, csv" }) }));
+      process.exit(1);
+    }
+
+    const machine = Boolean(options.format);
+    if (machine) {
+      chalk.level = 0;
+    }
+
+    const report = new BillingReport({ from, to, groupBy: options.groupBy, clock: api.clock });
+    const clients = api.getRegionClients().filter((client) => client.region !== "overseas");
+    if (clients.length === 0) {
+      console.error(chalk.yellow(t("billing.overseasUnsupported")));
+      process.exit(1);
+    }
+
+    const spinner = ora({ text: t("billing.fetching"), isSilent: machine }).start();
+
+    try {
+      const accounts = [];
+      for (const client of clients) {
+        const { records, truncated } = await client.getAllBillingRecords(100, from);
+        const result = BillingReport.aggregateBilling(records, { from, to, groupBy: options.groupBy, clock: api.clock });
+        accounts.push({ region: client.region, result: { ...result, truncated } });
+      }
+
+      if (options.format === "json") {
+        console.log(report.toJson(accounts));
+        return;
+      }
+      if (options.format === "csv") {
+        // CSV 没有放标记的位置，不完整时在 stderr 提示
+        if (accounts.some(({ result }) => result.truncated)) {
+          console.error(t("billing.truncated"));
+        }
+        console.log(report.toCsv(accounts));
+        return;
+      }
+
+      spinner.succeed(t("billing.fetched"));
+      if (api.regionMode === "both") {
+        console.log(chalk.gray(t("billing.domesticOnly")));
+      }
+      const tables = accounts.map(({ result }) => report.renderTable(result));
+      console.log("\n" + tables.join("\n\n") + "\n");
+    } catch (error) {
+      spinner.fail(chalk.red(t("billing.fetchFailed")));
+      console.error(chalk.red(t("error.generic", { message: api.redact(error.message) })));
+      process.exit(exitCodeFor(error));
+    }
+  });
+
+// Serve command (导出 OpenMetrics 指标)
+program
+  .command("serve")
+  .description(t("serve.description"))
+  .option("--metrics", t("serve.optionMetrics"))
+  .option("--port <port>", t("serve.optionPort"), "9464")
+  .option("--host <host>", t("serve.optionHost"), "127.0.0.1")
+  .option("--poll-interval <seconds>", t("serve.optionPollInterval"), "60")
+  .action(async (options) => {
+    if (!options.metrics) {
+      console.error(chalk.red(t("serve.noService")));
+      process.exit(1);
+    }
+
+    const MetricsServer = require("./metrics-server");
+    const server = new MetricsServer(api.getRegionClients(), {
+      pollInterval: (parseInt(options.pollInterval, 10) || 60) * 1000,
+    });
+
+    try {
+      await server.start(parseInt(options.port, 10), options.host);
+    } catch (error) {
+      console.error(chalk.red(t("serve.startFailed", { message: api.redact(error.message) })));
+      process.exit(exitCodeFor(error));
+    }
+
+    console.log(chalk.green(t("serve.started", { url: `http://${options.host}:${options.port}/metrics` })));
+    console.log(chalk.gray(t("serve.polling", { seconds: server.pollInterval / 1000 })));
+
+    process.on("SIGINT", () => {
+      server.stop();
+      console.log(chalk.yellow("\n" + t("serve.stopped")));
+      process.exit(0);
+    });
   });
 
 // StatusBar command (持续显示在终端底部)
 program
   .command("bar")
-  .description("在终端底部持续显示状态栏")
+  .description(t("bar.description"))
   .action(async () => {
     const TerminalStatusBar = require("./statusbar");
     const statusBar = new TerminalStatusBar();
@@ -193,8 +1005,14 @@ program
 // Statusline command - 单次输出模式（Claude Code自己控制刷新）
 program
   .command("statusline")
-  .description("Claude Code状态栏集成（从stdin读取数据，单次输出）")
-  .action(async () => {
+  .description(t("statusline.description"))
+  .option("--source <agent>", t("statusline.optionSource", { options: SOURCE_NAMES.join(", ") }), "claude-code")
+  .option("--session <path>", t("statusline.optionSession"))
+  .option("--segments <list>", t("statusline.optionSegments"))
+  .option("--theme <name>", t("statusline.optionTheme", { options: THEME_NAMES.join(", ") }))
+  .option("--color-depth <depth>", t("statusline.optionColorDepth"))
+  .option("--width <columns>", t("statusline.optionWidth"))
+  .action(async (options) => {
     let stdinData = null;
     if (!process.stdin.isTTY) {
       // 使用 Promise.race 添加超时，避免 Claude Code 场景下挂起
@@ -224,533 +1042,240 @@ program
       }
     }
 
-    const cliCurrentDir = process.cwd().split(/[/\\]/).pop();
-
-    try {
-      const [apiData, subscriptionData] = await Promise.all([
-        api.getUsageStatus(),
-        api.getSubscriptionDetails(),
-      ]);
-      const usageData = api.parseUsageData(apiData, subscriptionData);
-
-      const { usage, modelName, remaining, expiry } = usageData;
-      const percentage = usage.percentage;
-
-      let displayModel = modelName;
-      let currentDir = null;
-      let modelId = null;
-      let contextSize = getContextWindowSize(modelName) || getDefaultContextWindowSize();
-
-      if (stdinData) {
-        if (stdinData.model && stdinData.model.display_name) {
-          displayModel = stdinData.model.display_name;
-          modelId = stdinData.model.id;
-        } else if (stdinData.model && stdinData.model.id) {
-          displayModel = stdinData.model.id;
-          modelId = stdinData.model.id;
-        }
-
-        if (stdinData.workspace && stdinData.workspace.current_directory) {
-          currentDir = stdinData.workspace.current_directory.split("/").pop();
-        }
-      } else {
-        modelId = modelName.toLowerCase().replace(/\s+/g, "-");
-      }
-
-      if (modelId) {
-        // MiniMax 模型使用映射表获取 context window
-        contextSize = getContextWindowSize(modelId) || getContextWindowSize(modelName) || getDefaultContextWindowSize();
-      }
-
-      let contextUsageTokens = null;
-      if (stdinData && stdinData.transcript_path) {
-        contextUsageTokens = await transcriptParser.findLatestUsage(stdinData.transcript_path);
-      }
-
-      const displayDir = currentDir || cliCurrentDir || "";
-
-      let configCounts = { claudeMdCount: 0, rulesCount: 0, mcpCount: 0, hooksCount: 0 };
-      // 优先使用 stdin 传入的 workspacePath，否则 fallback 到 process.cwd()
-      const workspacePath = stdinData?.workspace?.current_directory || process.cwd();
-      if (workspacePath) {
-        try {
-          // 添加超时防止挂起
-          configCounts = await Promise.race([
-            configCounter.count(workspacePath),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('config timeout')), 2000))
-          ]);
-        } catch (e) {
-          // 超时或失败，保持默认值
-        }
-      }
-
-      // 获取 git 分支信息
-      // 优先使用 stdin 传入的 workspacePath，否则 fallback 到 process.cwd()
-      const gitSearchPath = workspacePath || process.cwd();
-      let gitBranch = null;
-      if (gitSearchPath) {
-        try {
-          const branch = require('child_process').execSync(
-            'git symbolic-ref --short HEAD',
-            { cwd: gitSearchPath, encoding: 'utf8', timeout: 3000 }
-          ).trim();
-          if (branch) {
-            gitBranch = { name: branch };
-
-            // 获取 ahead/behind
-            let hasUpstream = false;
-            try {
-              const revList = require('child_process').execSync(
-                'git rev-list --left-right --count HEAD...@{upstream}',
-                { cwd: gitSearchPath, encoding: 'utf8', timeout: 3000 }
-              ).trim();
-              if (revList) {
-                hasUpstream = true;
-                const [behind, ahead] = revList.split(/\s+/).map(n => parseInt(n) || 0);
-                if (ahead > 0 || behind > 0) {
-                  gitBranch.ahead = ahead;
-                  gitBranch.behind = behind;
-                }
-              }
-            } catch (e) {
-              // 无 upstream 或获取失败，静默跳过
-            }
-
-            // 如果没有 upstream，尝试获取本地 commit 数作为提示
-            if (!hasUpstream) {
-              try {
-                const localCommits = require('child_process').execSync(
-                  'git rev-list --count HEAD',
-                  { cwd: gitSearchPath, encoding: 'utf8', timeout: 3000 }
-                ).trim();
-                const commitCount = parseInt(localCommits) || 0;
-                // 如果有本地 commits（大于1，因为初始commit算1个），标记有待推送
-                if (commitCount > 1) {
-                  gitBranch.ahead = -1; // -1 表示有未知数量的待推送
-                }
-              } catch (e) {
-                // 获取失败，静默跳过
-              }
-            }
-
-            // 检查未提交的更改
-            try {
-              const status = require('child_process').execSync(
-                'git status --porcelain',
-                { cwd: gitSearchPath, encoding: 'utf8', timeout: 3000 }
-              ).trim();
-              if (status) {
-                gitBranch.hasChanges = true;
-              }
-            } catch (e) {
-              // 获取失败，静默跳过
-            }
-          }
-        } catch (e) {
-          // 非 git 目录或获取失败，静默跳过
-        }
-      }
+    await printSessionStatusline(options.source, options, stdinData);
+  });
 
-      // 优先使用 Claude Code 提供的实时 tokens_used，如果没有则回退到 transcript 解析
-      let contextUsageValue = 0;
-      let contextSizeValue = contextSize;
+// Session commands (本地 Agent 会话)
+const sessionCommand = program
+  .command("session")
+  .description(t("session.description"));
+
+/**
+ * 读取 session 子命令的会话，找不到或无法读取时报错退出
+ * @param {SessionSource} source - Session source
+ * @param {string} [sessionPath] - --session option
+ * @param {Pricing} [pricing] - Prices for the session cost
+ * @returns {Promise<Object>} Session
+ */
+async function loadSessionOrExit(source, sessionPath, pricing) {
+  try {
+    // 显式指定的路径不存在时不能当作“没有用量”的会话
+    if (sessionPath) {
+      fs.accessSync(sessionPath, fs.constants.R_OK);
+    }
+    const session = await source.load({ sessionPath, cwd: process.cwd(), stdinData: null, pricing });
+    if (!session) {
+      console.error(chalk.red(t("statusline.noSession", { source: source.label, dir: source.sessionsDir })));
+      process.exit(1);
+    }
+    return session;
+  } catch (error) {
+    const message = sessionPath ? t("session.unreadable", { path: sessionPath, message: error.message }) : error.message;
+    console.error(chalk.red(t("error.generic", { message })));
+    process.exit(1);
+  }
+}
 
-      if (stdinData?.context_window) {
-        const cw = stdinData.context_window;
-        contextSizeValue = cw.context_window_size || contextSize;
-        // 关键点：优先取这里，这是最实时的
-        contextUsageValue = cw.tokens_used || contextUsageTokens || 0;
-      } else {
-        contextUsageValue = contextUsageTokens || 0;
+sessionCommand
+  .command("cost")
+  .description(t("session.costDescription"))
+  .option("--source <agent>", t("statusline.optionSource", { options: SOURCE_NAMES.join(", ") }), "claude-code")
+  .option("--session <path>", t("session.optionSession"))
+  .option("--currency <code>", t("session.optionCurrency", { options: CURRENCIES.join(", ") }))
+  .option("-f, --format <format>", t("session.optionFormat"))
+  .action(async (options) => {
+    const source = createSource(options.source);
+    let pricing, currency, plan;
+    try {
+      if (!source) {
+        throw new Error(t("statusline.unknownSource", { value: options.source, options: SOURCE_NAMES.join(", ") }));
       }
-
-      const context = {
-        modelName: displayModel,
-        currentDir: displayDir,
-        usagePercentage: percentage,
-        usage,
-        remaining,
-        expiry,
-        weekly: usageData.weekly,
-        contextUsage: contextUsageValue,
-        contextSize: contextSizeValue,
-        configCounts,
-        gitBranch,
-        tools: [],
-        agents: [],
-        todos: [],
-      };
-
-      if (stdinData && stdinData.transcript_path) {
-        const transcript = await transcriptParser.parse(stdinData.transcript_path);
-        context.tools = transcript.tools;
-        context.agents = transcript.agents;
-        context.todos = transcript.todos;
+      if (options.format && options.format !== "json") {
+        throw new Error(t("error.unknownFormat", { value: options.format, options: "json" }));
       }
-
-      console.log(renderer.render(context));
+      pricing = new Pricing(api.store.data.pricing);
+      currency = resolveCurrency(options.currency);
+      plan = SessionReport.normalizePlan(api.store.data.plan);
     } catch (error) {
-      console.log(`❌ MiniMax 错误: ${error.message}`);
+      console.error(chalk.red(t("error.generic", { message: error.message })));
+      process.exit(1);
     }
-  });
 
-// Droid-statusline command - Droid 状态栏集成（从 session 文件读取数据）
-program
-  .command("droid-statusline")
-  .description("Droid状态栏集成（从 session 文件读取数据，单次输出）")
-  .argument("[sessionPath]", "Droid session 目录路径（可选，默认自动查找）")
-  .action(async (sessionPath) => {
-    const fs = require("fs");
-    const path = require("path");
-
-    // 查找 session 目录
-    let targetSessionPath = sessionPath;
-    const currentCwd = process.cwd().replace(/\\/g, "/");
-    
-    if (!targetSessionPath) {
-      const sessionsDir = path.join(process.env.HOME || process.env.USERPROFILE, ".factory", "sessions");
-      
-      if (!fs.existsSync(sessionsDir)) {
-        console.log("❌ 未找到 Droid sessions 目录");
-        process.exit(1);
-      }
-
-      // 优先查找与当前工作目录匹配的 session
-      const userDirs = fs.readdirSync(sessionsDir);
-      let matchedSession = null;
-      let latestSession = null;
-      let latestStartTime = 0;
-
-      for (const userDir of userDirs) {
-        const userPath = path.join(sessionsDir, userDir);
-        if (!fs.statSync(userPath).isDirectory()) continue;
-
-        const sessions = fs.readdirSync(userPath);
-        for (const session of sessions) {
-          if (!session.endsWith(".jsonl")) continue;
-          
-          const jsonlPath = path.join(userPath, session);
-          try {
-            const content = fs.readFileSync(jsonlPath, "utf8");
-            const firstLine = content.split("\n")[0];
-            const entry = JSON.parse(firstLine);
-            
-            if (entry.cwd) {
-              const sessionCwd = entry.cwd.replace(/\\/g, "/");
-              // 优先匹配当前工作目录
-              if (sessionCwd === currentCwd || currentCwd.includes(sessionCwd) || sessionCwd.includes(currentCwd)) {
-                if (!matchedSession) {
-                  matchedSession = userPath;
-                }
-              }
-            }
-            
-            // 记录最新 session
-            if (entry.timestamp) {
-              const startTime = new Date(entry.timestamp).getTime();
-              if (startTime > latestStartTime) {
-                latestStartTime = startTime;
-                latestSession = userPath;
-              }
-            }
-          } catch (e) {
-            // continue
-          }
-        }
-      }
+    if (options.format) {
+      chalk.level = 0;
+    }
 
-      // 优先使用匹配的 session，否则用最新的
-      targetSessionPath = matchedSession || latestSession;
+    const session = await loadSessionOrExit(source, options.session, pricing);
+    const report = new SessionReport({ currency, label: source.label });
+    const summary = SessionReport.summarizeSession(session, { plan });
+    console.log(options.format === "json" ? report.toJson(summary) : "\n" + report.renderTable(summary) + "\n");
+  });
 
-      if (!targetSessionPath) {
-        console.log("❌ 未找到 Droid session");
-        process.exit(1);
-      }
+sessionCommand
+  .command("usage")
+  .description(t("session.usageDescription"))
+  .option("--source <agent>", t("statusline.optionSource", { options: SOURCE_NAMES.join(", ") }), "claude-code")
+  .option("--session <path>", t("session.optionSession"))
+  .option("-n, --limit <count>", t("session.optionLimit"), "20")
+  .option("-f, --format <format>", t("session.optionFormat"))
+  .action(async (options) => {
+    const source = createSource(options.source);
+    if (!source) {
+      console.error(chalk.red(t("error.generic", {
+        message: t("statusline.unknownSource", { value: options.source, options: SOURCE_NAMES.join(", ") }),
+      })));
+      process.exit(1);
     }
-
-    // 读取 settings.json
-    const settingsFiles = fs.readdirSync(targetSessionPath).filter(f => f.endsWith(".settings.json"));
-    let settings = {};
-    
-    for (const sf of settingsFiles) {
-      try {
-        const content = fs.readFileSync(path.join(targetSessionPath, sf), "utf8");
-        const parsed = JSON.parse(content);
-        if (parsed.tokenUsage) {
-          settings = parsed;
-          break;
-        }
-      } catch (e) {
-        // continue
-      }
+    if (options.format && options.format !== "json") {
+      console.error(chalk.red(t("error.generic", { message: t("error.unknownFormat", { value: options.format, options: "json" }) })));
+      process.exit(1);
     }
-
-    // 读取 jsonl 获取 cwd 和模型信息，以及实时 token 使用量
-    let cwd = process.cwd();
-    let jsonlTokens = null;
-    const jsonlFiles = fs.readdirSync(targetSessionPath).filter(f => f.endsWith(".jsonl"));
-    
-    for (const jf of jsonlFiles) {
-      try {
-        const content = fs.readFileSync(path.join(targetSessionPath, jf), "utf8");
-        const lines = content.split('\n').filter(l => l.trim());
-        
-        // 获取第一行获取 cwd
-        if (lines.length > 0) {
-          try {
-            const firstEntry = JSON.parse(lines[0]);
-            if (firstEntry.cwd) {
-              cwd = firstEntry.cwd;
-            }
-          } catch (e) {}
-        }
-        
-        // 从最后的消息中解析实时 token 使用量
-        for (let i = lines.length - 1; i >= 0; i--) {
-          try {
-            const entry = JSON.parse(lines[i]);
-            // 查找 assistant 消息中的 usage
-            if (entry.type === 'message' && entry.message?.role === 'assistant' && entry.message?.usage) {
-              const u = entry.message.usage;
-              jsonlTokens = {
-                inputTokens: u.input_tokens || u.prompt_tokens || 0,
-                outputTokens: u.output_tokens || u.completion_tokens || 0,
-                cacheCreationTokens: u.cache_creation_input_tokens || u.cache_creation_prompt_tokens || 0,
-                cacheReadTokens: u.cache_read_input_tokens || u.cache_read_prompt_tokens || 0,
-                thinkingTokens: u.thinking_tokens || 0
-              };
-              break;
-            }
-          } catch (e) {
-            continue;
-          }
-        }
-      } catch (e) {
-        // continue
-      }
+    if (options.format) {
+      chalk.level = 0;
     }
 
-    const currentDir = cwd.split(/[/\\]/).pop();
-
-    // 优先使用 jsonl 中的实时 token 使用量，否则用 settings 中的累计值
-    const tokenUsage = (jsonlTokens && (jsonlTokens.inputTokens > 0 || jsonlTokens.outputTokens > 0)) 
-      ? jsonlTokens 
-      : (settings.tokenUsage || {});
-    
-    const inputTokens = tokenUsage.inputTokens || 0;
-    const outputTokens = tokenUsage.outputTokens || 0;
-    const cacheCreationTokens = tokenUsage.cacheCreationTokens || 0;
-    const cacheReadTokens = tokenUsage.cacheReadTokens || 0;
-    const thinkingTokens = tokenUsage.thinkingTokens || 0;
-    
-    // 实时上下文使用量（不包括累计的 cacheReadTokens）
-    const contextTokens = inputTokens + outputTokens + cacheCreationTokens + thinkingTokens;
-    // 累计 token（用于显示）
-    const totalTokens = inputTokens + outputTokens + cacheCreationTokens + cacheReadTokens + thinkingTokens;
-
-    // 获取模型信息
-    const modelName = settings.model || "MiniMax-M2.5-highspeed";
-    const modelDisplayName = modelName.replace(/^custom:/, "").replace(/-[0-9]+$/, "");
-
-    // 获取 API 使用量
-    let usageData = null;
-    try {
-      const [apiData, subscriptionData] = await Promise.all([
-        api.getUsageStatus(),
-        api.getSubscriptionDetails(),
-      ]);
-      usageData = api.parseUsageData(apiData, subscriptionData);
-    } catch (e) {
-      usageData = {
-        usage: { percentage: 0, input: 0, output: 0, cached: 0, total: 0 },
-        weekly: null,
-        remaining: "未知",
-        expiry: "未知",
-        modelName: modelDisplayName
-      };
-    }
+    const session = await loadSessionOrExit(source, options.session);
+    const report = new SessionReport({ label: source.label, limit: parseInt(options.limit, 10) || 20, clock: api.clock });
+    const summary = SessionReport.summarizeUsage(session);
+    console.log(options.format === "json" ? report.usageToJson(summary) : "\n" + report.renderUsageTable(summary) + "\n");
+  });
 
-    const { usage, weekly, remaining, expiry } = usageData;
+// Themes commands (状态栏主题)
+const themesCommand = program
+  .command("themes")
+  .description(t("themes.description"));
 
-    // 获取 git 分支
-    let gitBranch = null;
-    try {
-      const branch = require('child_process').execSync(
-        'git symbolic-ref --short HEAD',
-        { cwd: cwd, encoding: 'utf8', timeout: 3000 }
-      ).trim();
-      if (branch) {
-        gitBranch = { name: branch };
-        
-        // 检查未提交的更改
-        try {
-          const status = require('child_process').execSync(
-            'git status --porcelain',
-            { cwd: cwd, encoding: 'utf8', timeout: 3000 }
-          ).trim();
-          if (status) {
-            gitBranch.hasChanges = true;
-          }
-        } catch (e) {
-          // ignore
-        }
-      }
-    } catch (e) {
-      // 非 git 目录
+themesCommand
+  .command("list")
+  .description(t("themes.listDescription"))
+  .action(() => {
+    const current = loadLayout().themeName;
+    for (const name of THEME_NAMES) {
+      console.log(name === current ? chalk.green(`* ${name}`) : `  ${name}`);
     }
+  });
 
-    // 计算上下文使用量（从 session 实时 token）
-    // 使用实时 contextTokens 计算百分比
-    const contextUsageValue = contextTokens;
-    const contextSizeValue = getContextWindowSize(modelName) || getDefaultContextWindowSize();
+themesCommand
+  .command("preview")
+  .description(t("themes.previewDescription"))
+  .argument("[name]", t("themes.argName"))
+  .option("--color-depth <depth>", t("statusline.optionColorDepth"))
+  .action((name, options) => {
+    const optionError = themeOptionError({ theme: name, colorDepth: options.colorDepth });
+    if (optionError) {
+      console.error(chalk.red(t("error.generic", { message: optionError })));
+      process.exit(1);
+    }
 
-    // 获取 Droid 全局配置统计（不是当前工作目录）
-    const droidConfigDir = path.join(process.env.HOME || process.env.USERPROFILE, ".factory");
-    let configCounts = { claudeMdCount: 0, rulesCount: 0, mcpCount: 0, hooksCount: 0, skillsCount: 0 };
-    
+    const samples = previewSamples();
+    const labelWidth = Math.max(...samples.map((sample) => stringWidth(t(`themes.sample.${sample.name}`))));
     try {
-      const agentsPath = path.join(droidConfigDir, "agents");
-      const rulesPath = path.join(droidConfigDir, "rules");
-      const skillsPath = path.join(droidConfigDir, "skills");
-      const hooksPath = path.join(droidConfigDir, "hooks");
-      const mcpPath = path.join(droidConfigDir, "mcp.json");
-
-      if (fs.existsSync(agentsPath)) {
-        configCounts.claudeMdCount = fs.readdirSync(agentsPath).filter(f => f.endsWith(".md")).length;
-      }
-      if (fs.existsSync(rulesPath)) {
-        configCounts.rulesCount = fs.readdirSync(rulesPath).filter(f => f.endsWith(".md")).length;
-      }
-      if (fs.existsSync(skillsPath)) {
-        configCounts.skillsCount = fs.readdirSync(skillsPath).filter(f => f.endsWith(".md")).length;
-      }
-      if (fs.existsSync(hooksPath)) {
-        configCounts.hooksCount = fs.readdirSync(hooksPath).filter(f => f.endsWith(".ps1") || f.endsWith(".sh")).length;
-      }
-      if (fs.existsSync(mcpPath)) {
-        try {
-          const mcpData = JSON.parse(fs.readFileSync(mcpPath, "utf8"));
-          if (mcpData.mcpServers) {
-            configCounts.mcpCount = Object.keys(mcpData.mcpServers).length;
+      for (const theme of name ? [name] : THEME_NAMES) {
+        // 使用用户的段布局，只替换主题
+        const layout = loadLayout({ theme, colorDepth: options.colorDepth });
+        const renderer = new Renderer(layout);
+        const [firstLine, ...otherLines] = layout.lines;
+        const depth = Object.keys(COLOR_DEPTHS).find(
+          (key) => COLOR_DEPTHS[key] === resolveColorDepth(layout.colorDepth, chalk.level)
+        );
+
+        console.log(chalk.bold(theme) + chalk.gray(`  ${t("themes.colorDepth", { depth })}`));
+        for (const sample of samples) {
+          const label = t(`themes.sample.${sample.name}`);
+          const line = firstLine ? renderer.renderLine(firstLine, sample.context) : null;
+          console.log(`  ${label}${" ".repeat(labelWidth - stringWidth(label))}  ${line || ""}`);
+        }
+        for (const names of otherLines) {
+          const line = renderer.renderLine(names, samples[0].context);
+          if (line) {
+            console.log(line.split("\n").map((text) => `  ${" ".repeat(labelWidth)}  ${text}`).join("\n"));
           }
-        } catch (e) {}
-      }
-    } catch (e) {
-      // ignore errors
-    }
-
-    const blocks = [];
-
-    // 高对比度徽章配色，纯 Powerline 渲染
-    if (currentDir) {
-      blocks.push({ text: ` ${currentDir} `, bg: '#1D4ED8' }); // 皇家蓝
-    }
-    
-    const useNerdFonts = !process.env.MINIMAX_PLAIN_UI && !process.env.NO_NERD_FONTS;
-    const arrow = useNerdFonts ? '\uE0B0' : '>';
-    const branchIcon = useNerdFonts ? '\uE0A0' : '*';
-
-    if (gitBranch && gitBranch.name) {
-      let branchStr = gitBranch.name;
-      if (branchStr.length > 20) branchStr = branchStr.substring(0, 10) + '…' + branchStr.substring(branchStr.length - 7);
-      if (gitBranch.hasChanges) {
-        branchStr += ' *';
-      }
-      blocks.push({ text: ` ${branchIcon} ${branchStr} `, bg: '#7E22CE' }); // 紫色回归
-    }
-    
-    if (usage && usage.total > 0) {
-      let bg = '#065F46'; // 回归稳健的深翠绿 (Emerald 800)
-      if (usage.percentage >= 95) bg = '#991B1B'; // danger (Red 800)
-      else if (usage.percentage >= 75) bg = '#9A3412'; // warn (Orange 800)
-
-      let usageText = ` ${usage.percentage}%  (${usage.remaining}/${usage.total}) `;
-      if (weekly) {
-        if (weekly.unlimited) {
-          usageText += `· W ∞ `;
-        } else {
-          usageText += `· W ${weekly.percentage}% `;
         }
+        console.log("");
       }
-      blocks.push({ text: usageText, bg: bg });
-    }
-    
-    if (remaining) {
-      const remainingText = remaining.hours > 0 
-        ? `${remaining.hours}h${remaining.minutes}m` 
-        : `${remaining.minutes}m`;
-      blocks.push({ text: ` ${remainingText} `, bg: '#92400E' });
-    }
-    
-    if (expiry) {
-      let bg = '#374151'; // Gray 700
-      if (expiry.daysRemaining <= 7) bg = '#9A3412';
-      if (expiry.daysRemaining <= 3) bg = '#991B1B';
-      blocks.push({ text: ` 剩${expiry.daysRemaining}天 `, bg: bg });
-    }
-
-    let out = '';
-    const leftArrow = useNerdFonts ? '\uE0B0' : '>';
-    
-    for (let i = 0; i < blocks.length; i++) {
-        const b = blocks[i];
-        
-        // 磁贴开启：顺行式起点，利用黑色箭头实现内凹镂空感
-        if (i === 0) {
-            out += '\u001b[0m' + chalk.bgHex(b.bg).black(leftArrow);
-        }
-        
-        // 磁贴文字内容
-        out += '\u001b[0m' + chalk.bgHex(b.bg).bold.whiteBright(b.text);
-        
-        if (i < blocks.length - 1) {
-            const nextB = blocks[i + 1];
-            if (useNerdFonts) {
-                // 衔接尖部
-                out += '\u001b[0m' + chalk.bgHex(nextB.bg).hex(b.bg)(arrow);
-            } else {
-                out += '\u001b[0m' + chalk.bgHex(b.bg).bold.whiteBright(arrow);
-            }
-        } else {
-            // 最后一块磁贴：顺行式终点
-            out += '\u001b[0m' + chalk.hex(b.bg)(arrow);
-        }
+    } catch (error) {
+      console.error(chalk.red(t("error.generic", { message: error.message })));
+      process.exit(1);
     }
-    
-    console.log(out);
+  });
+
+// Droid-statusline command - Droid 状态栏集成（从 session 文件读取数据）
+program
+  .command("droid-statusline")
+  .description(t("droid.description"))
+  .argument("[sessionPath]", t("droid.argSessionPath"))
+  .option("--segments <list>", t("statusline.optionSegments"))
+  .option("--theme <name>", t("statusline.optionTheme", { options: THEME_NAMES.join(", ") }))
+  .option("--color-depth <depth>", t("statusline.optionColorDepth"))
+  .option("--width <columns>", t("statusline.optionWidth"))
+  .action(async (sessionPath, options) => {
+    // 等同于 statusline --source droid
+    await printSessionStatusline("droid", { ...options, session: sessionPath }, null);
   });
 
 // 模型上下文窗口大小（仅MiniMax模型）
 
-function startWatching(api, statusBar) {
+/**
+ * 持续刷新状态面板
+ * @param {Object} [options]
+ * @param {number} [options.intervalMs] - Refresh interval
+ * @param {AlertEngine} [options.alertEngine] - Evaluates alert rules on every refresh
+ */
+function startWatching(options = {}) {
+  const { intervalMs = 10000, alertEngine = null } = options;
   let intervalId;
 
   const update = async () => {
     try {
-      const apiData = await api.getUsageStatus();
-      const usageData = api.parseUsageData(apiData);
-      const newStatusBar = new StatusBar(usageData);
+      // 每次刷新都请求上游，缓存中的旧数据会让告警晚于实际用量触发
+      const accounts = await fetchAccounts(api, { forceRefresh: true });
+      const panels = accounts.map((account) => new StatusBar(account.usageData).render());
+
+      if (alertEngine) {
+        for (const account of accounts) {
+          alertEngine.evaluate({
+            usageData: account.usageData,
+            apiData: account.apiData,
+            key: `${account.api.profileName}-${account.api.region}`,
+            regionLabel: account.usageData.regionLabel,
+            profile: account.api.profileName,
+          });
+        }
+      }
 
       // 清除之前的输出
       process.stdout.write("\x1Bc");
 
-      console.log("\n" + newStatusBar.render() + "\n");
-      console.log(chalk.gray(`最后更新: ${new Date().toLocaleTimeString()}`));
+      console.log("\n" + StatusBar.joinColumns(panels) + "\n");
+
+      if (alertEngine && alertEngine.recent.length > 0) {
+        console.log(chalk.bold(t("watch.recentAlerts")));
+        for (const alert of alertEngine.recent) {
+          const time = api.clock.time(alert.time, { seconds: true });
+          console.log(`  ${chalk.gray(time)} ${chalk.hex("#F59E0B")(alert.vars.message)}`);
+          if (alert.error) {
+            console.log(`  ${chalk.red(alert.error)}`);
+          }
+        }
+        console.log("");
+      }
+
+      console.log(chalk.gray(t("watch.updatedAt", { time: api.clock.time(Date.now(), { seconds: true }) })));
     } catch (error) {
-      console.error(chalk.red(`更新失败: ${error.message}`));
+      console.error(chalk.red(t("watch.updateFailed", { message: api.redact(error.message) })));
     }
   };
 
   // 初始更新
   update();
 
-  // 每10秒更新一次，以近实时更新
-  intervalId = setInterval(update, 10000);
+  // 默认每10秒更新一次，以近实时更新
+  intervalId = setInterval(update, intervalMs);
 
   // 处理Ctrl+C
   process.on("SIGINT", () => {
     clearInterval(intervalId);
-    console.log(chalk.yellow("\n监控已停止"));
+    console.log(chalk.yellow("\n" + t("watch.stopped")));
     process.exit(0);
   });
 }
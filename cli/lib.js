@@ -0,0 +1,167 @@
+/**
+ * minimax-status 的 Node API（package.json 的 main/exports 入口）
+ *
+ *   const minimax = require("minimax-status");
+ *   const report = await minimax.getStatus({ token: process.env.MINIMAX_TOKEN });
+ *   console.log(report.accounts[0].interval.percentage);
+ *
+ * 不传 token 时与 CLI 一样读取 ~/.minimax-config.json 的当前档案。
+ * 解析和渲染函数都是纯函数，只依赖传入的数据（渲染结果带 chalk 颜色，遵循 NO_COLOR/FORCE_COLOR）。
+ */
+const MinimaxAPI = require("./api");
+const StatusBar = require("./status");
+const Renderer = require("./renderer");
+const HistoryRenderer = require("./history-renderer");
+const BillingReport = require("./billing-report");
+const Clock = require("./clock");
+const errors = require("./errors");
+const { parseUsageData, parseAllModels, calculateUsageStats } = require("./quota");
+const { fetchAccounts, fetchAccountsWithStats } = require("./accounts");
+const { aggregateBilling } = require("./billing-report");
+const { resolveBillingPeriod, parseDateOption } = require("./billing-period");
+const { calculateForecast } = require("./forecast");
+const { SCHEMA_VERSION, FORMATS, buildReport, formatReport } = require("./output-formats");
+const { LANGUAGES, createTranslator, setLanguage } = require("./i18n");
+const { SEGMENT_NAMES, normalizeLayout } = require("./statusline-config");
+const { THEME_NAMES } = require("./themes");
+const { SessionSource, SOURCE_NAMES, createSource } = require("./sessions");
+const Pricing = require("./pricing");
+const { formatCost } = require("./pricing");
+const { summarizeSession, summarizeUsage } = require("./session-report");
+
+/**
+ * Create an API client
+ * @param {Object} [options] - See MinimaxAPI constructor, e.g. {token, groupId, region, profile}
+ * @returns {MinimaxAPI}
+ */
+function createClient(options = {}) {
+  return new MinimaxAPI(options);
+}
+
+/**
+ * Fetch usage of every account in the region mode, same as `minimax status --format json`
+ * @param {Object|MinimaxAPI} [options] - Client or client options
+ * @returns {Promise<Object>} Report, see output-formats.buildReport()
+ */
+async function getStatus(options = {}) {
+  const client = options instanceof MinimaxAPI ? options : createClient(options);
+  return buildReport("status", await fetchAccountsWithStats(client));
+}
+
+/**
+ * Render the status panel of `minimax status`
+ * @param {Object} usageData - Result of parseUsageData()
+ * @param {Object} [options]
+ * @param {Object} [options.usageStats] - Result of calculateUsageStats(), with optional period
+ * @param {Array} [options.models] - Result of parseAllModels()
+ * @param {boolean} [options.compact] - Render the single-line compact form
+ * @returns {string}
+ */
+function renderStatus(usageData, options = {}) {
+  const statusBar = new StatusBar(usageData, options.usageStats || null, null, options.models || []);
+  return options.compact ? statusBar.renderCompact() : statusBar.render();
+}
+
+/**
+ * Render the statusline of `minimax statusline`
+ * @param {Object} context - Session and quota data, see Renderer#render()
+ * @param {Object} [layout] - Statusline config {lines, segments}, same as ~/.minimax-statusline.json
+ * @param {Object} [options]
+ * @param {number} [options.width] - Available columns; segments are abbreviated or dropped to fit
+ * @returns {string}
+ * @throws {Error} When the layout is invalid
+ */
+function renderStatusline(context, layout, options) {
+  return new Renderer(normalizeLayout(layout)).render(context, options);
+}
+
+/**
+ * Read the current session of a coding agent
+ * @param {string} source - One of SOURCE_NAMES: claude-code, droid, codex, gemini, opencode
+ * @param {Object} [options]
+ * @param {string} [options.sessionPath] - Session file or directory, found automatically by default
+ * @param {string} [options.cwd] - Working directory used to find the session
+ * @param {Object} [options.stdinData] - Claude Code statusline payload
+ * @param {Pricing} [options.pricing] - Prices for transcript.cost, the default prices when missing
+ * @returns {Promise<Object|null>} Session {cwd, modelId, modelName, contextTokens, contextSize, transcript, ...},
+ *   null when no session was found
+ * @throws {Error} When the source is unknown
+ */
+async function readSession(source, options = {}) {
+  const adapter = createSource(source);
+  if (!adapter) {
+    throw new Error(`Unknown session source ${source} (options: ${SOURCE_NAMES.join(", ")})`);
+  }
+  return adapter.load({ cwd: process.cwd(), ...options });
+}
+
+/**
+ * Render the history chart and table of `minimax history`
+ * @param {Array<Object>} samples - Usage history samples of one model
+ * @param {Object} options - See HistoryRenderer#render(), plus limit and clock
+ * @returns {string}
+ */
+function renderHistory(samples, options) {
+  return new HistoryRenderer(options).render(samples, options);
+}
+
+/**
+ * Render the billing table of `minimax billing`
+ * @param {Object} result - Result of aggregateBilling()
+ * @param {Object} options - {from, to, groupBy, clock}, same as aggregateBilling()
+ * @returns {string}
+ */
+function renderBilling(result, options) {
+  return new BillingReport(options).renderTable(result);
+}
+
+module.exports = {
+  // 客户端
+  MinimaxAPI,
+  REGIONS: MinimaxAPI.REGIONS,
+  REGION_MODES: MinimaxAPI.REGION_MODES,
+  createClient,
+  getStatus,
+  fetchAccounts,
+  fetchAccountsWithStats,
+  ...errors,
+
+  // 数据解析和统计
+  Clock,
+  parseUsageData,
+  parseAllModels,
+  calculateUsageStats,
+  calculateForecast,
+  resolveBillingPeriod,
+  aggregateBilling,
+  parseDateOption,
+
+  // 渲染
+  SCHEMA_VERSION,
+  FORMATS,
+  buildReport,
+  formatReport,
+  renderStatus,
+  renderStatusline,
+  SEGMENT_NAMES,
+  THEME_NAMES,
+  renderHistory,
+  renderBilling,
+
+  // 会话来源
+  SessionSource,
+  SOURCE_NAMES,
+  createSource,
+  readSession,
+
+  // 会话费用和用量
+  Pricing,
+  formatCost,
+  summarizeSession,
+  summarizeUsage,
+
+  // 语言
+  LANGUAGES,
+  createTranslator,
+  setLanguage,
+};
@@ -0,0 +1,424 @@
+// English message catalog
+module.exports = {
+  "list.separator": ", ",
+  "common.unknown": "unknown",
+
+  // Regions
+  "region.domestic": "Domestic",
+  "region.overseas": "Overseas",
+
+  // Quota reset and plan expiry
+  "quota.resetInHoursMinutes": "Resets in {hours}h {minutes}m",
+  "quota.resetInMinutes": "Resets in {minutes}m",
+  "quota.resetInDaysHours": "Resets in {days}d {hours}h",
+  "quota.resetInHours": "Resets in {hours}h",
+  "expiry.daysLeft": { one: "{count} day left", other: "{count} days left" },
+  "expiry.today": "Expires today",
+  "expiry.expired": { one: "Expired {count} day ago", other: "Expired {count} days ago" },
+  "expiry.short": "{count}d left",
+  "expiry.compact": "Expires in {count}d",
+
+  // Billing periods
+  "period.cycle": "This cycle",
+  "period.week": "This week",
+  "period.month": "This month",
+  "period.custom": "Custom",
+  "stats.title": "Token Usage Stats",
+  "stats.yesterday": "Yesterday",
+  "stats.last7Days": "Last 7 days",
+  "stats.periodUsage": "{name}",
+  "stats.truncated": "Billing records exceed the page limit; stats are incomplete",
+
+  // Status panel
+  "panel.title": "MiniMax Claude Code Usage",
+  "panel.model": "Model:",
+  "panel.timeWindow": "Window:",
+  "panel.remainingTime": "Remaining:",
+  "panel.used": "Used:",
+  "panel.left": "Left:",
+  "panel.calls": "{remaining}/{total} calls",
+  "panel.rate": "Rate:",
+  "panel.weekly": "Weekly:",
+  "panel.unlimited": "Unlimited",
+  "panel.reset": "Reset:",
+  "panel.expiry": "Plan expiry:",
+  "panel.status": "Status:",
+  "panel.allModels": "All model quotas",
+  "panel.column.model": "Model",
+  "panel.column.usedTotal": "Used/Total",
+  "panel.column.status": "Status",
+  "level.ok": "✓ Normal",
+  "level.warn": "⚡ Watch usage",
+  "level.critical": "⛔ Almost used up",
+  "level.okShort": "✓ OK",
+  "level.warnShort": "⚡ Watch",
+  "forecast.rate": "{rate} calls/h",
+  "forecast.resetsFirst": "won't run out before reset",
+  "forecast.exhaustIn": "runs out in ~{duration}",
+
+  // statusline
+  "statusline.exhaustIn": "out in {duration}",
+  "statusline.resetsFirst": "resets first",
+  "statusline.age": "{age} ago",
+  "statusline.todosDone": "All todos complete",
+  "statusline.error": "❌ MiniMax error: {message}",
+
+  // Error descriptions and short status line badges
+  "error.generic": "Error: {message}",
+  "error.kind.auth": "Authentication failed, run minimax auth to set a new token",
+  "error.kind.rate-limited": "Too many requests, rate limited",
+  "error.kind.server": "MiniMax service is temporarily unavailable",
+  "error.kind.network": "Network connection failed",
+  "error.kind.timeout": "Request timed out",
+  "error.kind.schema": "Unexpected API response format",
+  "badge.auth": "no auth",
+  "badge.rate-limited": "rate limited",
+  "badge.server": "service down",
+  "badge.network": "offline",
+  "badge.timeout": "timeout",
+  "badge.schema": "bad data",
+  "badge.no-data": "no data",
+  "badge.unknown": "error",
+  "error.unknownRegion": "Error: unknown region \"{value}\", expected one of: {options}",
+  "error.unknownTimeZone": "Error: unknown time zone \"{value}\", e.g. Asia/Shanghai, Europe/Berlin, UTC",
+  "error.unknownClock": "Error: unknown clock format \"{value}\", expected one of: {options}",
+  "error.unknownLanguage": "Error: unknown language \"{value}\", expected one of: {options}",
+  "error.recordWithReplay": "Error: --record and --replay cannot be used together",
+  "error.unknownFormat": "Unknown output format \"{value}\", expected one of: {options}",
+  "error.invalidPeriod": "Error: invalid billing period \"{value}\", expected cycle, week, month or 2026-09-15..2026-10-14",
+  "error.billingRequest": "Billing API request failed",
+
+  // Global options
+  "cli.description": "MiniMax Claude Code usage monitor",
+  "option.region": "Region: domestic, overseas or both (side by side)",
+  "option.profile": "Use a credential profile (or set MINIMAX_PROFILE)",
+  "option.noCache": "Skip the local file cache and call the API directly",
+  "option.tz": "Time zone, e.g. Asia/Shanghai, America/New_York (or set MINIMAX_TZ)",
+  "option.clock": "Clock format: 24h or 12h (or set MINIMAX_CLOCK)",
+  "option.lang": "Display language: zh-CN or en-US (or set MINIMAX_LANG)",
+  "option.record": "Save sanitized API responses to a directory, for reproducing issues",
+  "option.replay": "Replay recorded API responses from a directory without network access",
+  "option.format": "Machine-readable output: {formats}",
+  "option.period": "Billing period: cycle, week, month or YYYY-MM-DD..YYYY-MM-DD",
+
+  // auth / logout
+  "auth.description": "Set credentials (the token is verified before saving)",
+  "auth.argToken": "MiniMax access token (omit with --stdin)",
+  "auth.argGroupId": "MiniMax group ID (optional for domestic, required for overseas)",
+  "auth.optionStdin": "Read the token from stdin to keep it out of shell history",
+  "auth.optionNoVerify": "Save without verifying the token",
+  "auth.noToken": "Error: provide a token, or use --stdin to read it from standard input",
+  "auth.bothRegions": "Error: set credentials for domestic and overseas separately",
+  "auth.groupIdRequired": "Error: overseas accounts require a GroupId",
+  "auth.verifying": "Verifying token...",
+  "auth.verified": "Token verified",
+  "auth.verifyFailed": "Token verification failed, nothing saved",
+  "auth.noVerifyHint": "Hint: use --no-verify to skip verification when offline",
+  "auth.saved": "✓ {region} credentials saved to profile \"{profile}\" ({token})",
+  "auth.useProfileHint": "Hint: run minimax profile use {profile} to switch to this profile",
+  "auth.bothHint": "Hint: run minimax region both to show domestic and overseas accounts side by side",
+  "logout.description": "Remove saved credentials of the current profile (-r picks a region, default all)",
+  "logout.nothing": "Profile \"{profile}\" has no saved credentials",
+  "logout.nothingInRegion": "Profile \"{profile}\" has no saved {region} credentials",
+  "logout.removed": "✓ Removed {regions} credentials from profile \"{profile}\"",
+  "logout.envHint": "Hint: {env} is still set, so its token remains in effect",
+
+  // region / period / profile / cache
+  "region.description": "Show or set the default region",
+  "region.argMode": "domestic, overseas or both",
+  "region.current": "Current region: {mode}",
+  "region.saved": "✓ Default region set to {mode}",
+  "period.description": "Show or set the billing period for usage stats",
+  "period.argPeriod": "cycle (subscription cycle), week (ISO week), month (calendar month) or YYYY-MM-DD..YYYY-MM-DD",
+  "period.current": "Billing period: {period} ({label})",
+  "period.noCycle": "No subscription cycle available, using the calendar month",
+  "period.saved": "✓ Billing period set to {period}",
+  "profile.description": "Manage credential profiles (list/use/remove)",
+  "profile.listDescription": "List all profiles",
+  "profile.useDescription": "Switch the current profile",
+  "profile.removeDescription": "Remove a profile",
+  "profile.argName": "Profile name",
+  "profile.none": "No profiles configured yet, run: minimax auth <token>",
+  "profile.summary": "(region: {region}, credentials: {credentials})",
+  "profile.notConfigured": "none",
+  "profile.notFound": "Error: profile \"{name}\" does not exist",
+  "profile.switched": "✓ Switched to profile \"{name}\"",
+  "profile.removed": "✓ Removed profile \"{name}\"",
+  "cache.description": "Manage the local cache",
+  "cache.clearDescription": "Clear the local API cache",
+  "cache.cleared": "✓ Cleared {count} cache files",
+
+  // health
+  "health.description": "Check configuration and connectivity",
+  "health.checking": "Checking...",
+  "health.configFile": "Config file check",
+  "health.configFileFailed": "Config file check failed",
+  "health.permission": "Config file permissions: ",
+  "health.permissionOpen": "readable by other users, run chmod 600",
+  "health.ok": "OK",
+  "health.profile": "Profile: ",
+  "health.sourceEnv": "environment variable {env}",
+  "health.sourceConfig": "config file",
+  "health.tokenConfigured": "configured ({token}, source: {source})",
+  "health.configured": "configured",
+  "health.notConfigured": "not configured",
+  "health.route": "Network route: ",
+  "health.routeDirect": "direct to {host}",
+  "health.routeProxy": "{host} via proxy {proxy} (source: {source})",
+  "health.routeBypassed": "direct to {host} (matches NO_PROXY, proxy source: {source})",
+  "health.routeProxyDisabled": "direct to {host} (proxy disabled in config file)",
+  "health.certificates": "Custom certificates: ",
+  "health.api": "API connection: ",
+  "health.subscription": "Subscription: ",
+  "health.result": "Health check result:",
+  "health.allPassed": "✓ All checks passed!",
+  "health.issues": "⚠ Problems found, see the errors above",
+
+  // status / watch / list
+  "status.description": "Show current usage",
+  "status.optionCompact": "Compact output",
+  "status.optionWatch": "Keep refreshing",
+  "status.formatWithWatch": "Error: --format cannot be combined with --watch",
+  "status.fetching": "Fetching usage...",
+  "status.fetched": "Usage fetched",
+  "status.fetchFailed": "Failed to fetch usage",
+  "status.statsFailed": "Failed to fetch usage stats: {message}",
+  "status.watching": "Watching... press Ctrl+C to exit",
+  "watch.description": "Keep monitoring usage",
+  "watch.optionAlerts": "Enable threshold alerts (rules in the alerts field of the config file)",
+  "watch.optionInterval": "Refresh interval (seconds)",
+  "watch.intervalTooShort": "Error: the refresh interval must be at least 5 seconds",
+  "watch.recentAlerts": "🔔 Recent alerts",
+  "watch.updatedAt": "Last updated: {time}",
+  "watch.updateFailed": "Update failed: {message}",
+  "watch.stopped": "Monitoring stopped",
+  "list.description": "Show usage of all models",
+
+  // history
+  "history.description": "Show locally recorded usage history",
+  "history.optionRange": "Time range, e.g. 5h, 24h, 7d",
+  "history.optionModel": "Model name (fuzzy match, defaults to the text model)",
+  "history.optionLimit": "Maximum table rows",
+  "history.optionCompact": "Run retention cleanup and compaction now",
+  "history.invalidRange": "Error: invalid time range \"{range}\", e.g. 5h, 24h, 7d",
+  "history.compacted": "✓ {region}history compacted: {before} → {after} samples",
+  "history.empty": "No history yet, it is recorded automatically by minimax status and statusline",
+  "history.title": "{model} usage history",
+  "history.summary": " (last {range}, {count} samples)",
+  "history.interval": "Intv",
+  "history.weekly": "Week",
+  "history.now": "now",
+  "history.peak": "peak",
+  "history.column.time": "Time",
+  "history.column.intervalUsage": "Interval",
+  "history.column.intervalPercent": "Intv%",
+  "history.column.weeklyUsage": "Weekly",
+  "history.column.weeklyPercent": "Week%",
+
+  // billing
+  "billing.description": "Summarize billing consumption by time or field",
+  "billing.optionFrom": "Start: YYYY-MM-DD, YYYY-MM or 30d (default: start of this month)",
+  "billing.optionTo": "End: YYYY-MM-DD, YYYY-MM or 1d (default: now, dates include the whole day)",
+  "billing.optionGroupBy": "Group by day, week, month or a billing record field (e.g. model)",
+  "billing.optionFormat": "Export format: json, csv",
+  "billing.invalidRange": "Error: invalid time range, e.g. --from 2026-09-01 --to 2026-09-30, --from 30d",
+  "billing.overseasUnsupported": "The overseas platform has no billing API, usage cannot be summarized",
+  "billing.domesticOnly": "The overseas platform has no billing API, only domestic accounts are included",
+  "billing.fetching": "Fetching billing records...",
+  "billing.fetched": "Billing records fetched",
+  "billing.fetchFailed": "Failed to fetch billing records",
+  "billing.title": "📊 Billing",
+  "billing.subtitle": " ({range}, grouped by {groupBy})",
+  "billing.empty": "No billing records in this range",
+  "billing.truncated": "Billing records exceed the 100-page limit; older records are not counted and the totals are incomplete",
+  "billing.emptyKey": "(none)",
+  "billing.column.group": "Group",
+  "billing.column.records": "Records",
+  "billing.column.share": "Share",
+  "billing.total": "Total",
+  "billing.perGroup": "Avg/group",
+  "billing.perDay": "Avg/day",
+  "billing.perRecord": "Avg/record",
+
+  // serve / bar / statusline
+  "serve.description": "Start a local HTTP server (--metrics exports Prometheus/OpenMetrics metrics)",
+  "serve.optionMetrics": "Export OpenMetrics metrics at /metrics",
+  "serve.optionPort": "Listen port",
+  "serve.optionHost": "Listen address",
+  "serve.optionPollInterval": "Upstream poll interval (seconds, at least 30)",
+  "serve.noService": "Error: choose a service to provide, e.g. minimax serve --metrics",
+  "serve.startFailed": "Error: failed to start the server: {message}",
+  "serve.started": "✓ Metrics server listening at {url}",
+  "serve.polling": "Polling upstream every {seconds} seconds, press Ctrl+C to exit",
+  "serve.stopped": "Server stopped",
+  "bar.description": "Keep a status bar at the bottom of the terminal",
+  "bar.noConfig": "Error: config file not found",
+  "bar.authHint": "Run first: minimax-status auth <token>",
+  "bar.started": "✓ MiniMax status bar started",
+  "bar.exitHint": "Press Ctrl+C to exit",
+  "bar.stopped": "Status bar stopped",
+  "bar.startFailed": "Failed to start:",
+  "statusline.description": "Claude Code status line (reads stdin, prints once)",
+  "statusline.optionSegments": "Segments to show: comma-separated, semicolon starts a new line (e.g. \"dir,model,quota;tools\"); prefix every name with - to hide them instead (e.g. -git,-age)",
+  "statusline.unknownSegment": "{where}: unknown segment {value} (options: {options})",
+  "statusline.linesNotArray": "lines must be an array of segment name arrays",
+  "statusline.invalidColor": "{where}: invalid color {value}, expected #RRGGBB",
+  "statusline.invalidCount": "{where}: expected a non-negative integer, got {value}",
+  "statusline.mixedSegments": "--segments cannot mix segment names with hidden (-name) segments",
+  "statusline.configInvalid": "Invalid statusline config {path}: {message}",
+  "statusline.optionTheme": "Statusline theme ({options})",
+  "statusline.optionColorDepth": "Color depth: auto, truecolor, 256, 16 or none (default auto, detected from the terminal)",
+  "statusline.unknownTheme": "Unknown theme {value} (options: {options})",
+  "statusline.unknownColorDepth": "Unknown color depth {value} (options: {options})",
+  "statusline.invalidTextColor": "{where}: invalid color {value}, expected #RRGGBB or a chalk color name",
+  "statusline.invalidPriority": "{where}: expected a number, got {value}",
+  "statusline.invalidLength": "{where}: expected an integer of at least 4, got {value}",
+  "statusline.optionWidth": "Available width in columns (default: the width/columns field on stdin, then COLUMNS); lower-priority segments are abbreviated or dropped to fit",
+  "statusline.invalidWidth": "Invalid width {value}, expected a positive integer",
+  "statusline.optionSource": "Agent whose session is shown ({options}, default claude-code)",
+  "statusline.optionSession": "Session file or directory (default: the transcript_path on stdin for claude-code, otherwise the latest session of the current directory)",
+  "statusline.unknownSource": "Unknown session source {value} (options: {options})",
+  "statusline.noSession": "❌ No {source} session found in {dir}",
+  "statusline.cacheLabel": "cache",
+  "session.description": "Local coding agent sessions (cost/usage)",
+  "session.costDescription": "Estimate what a session would cost on pay-as-you-go pricing and compare it with the token plan",
+  "session.optionSession": "Session file or directory (default: the latest session of the current directory)",
+  "session.optionCurrency": "Currency shown first ({options}, default: the currency field of the config file, otherwise by region)",
+  "session.optionFormat": "Export format: json",
+  "session.costTitle": "💰 Session cost",
+  "session.costSubtitle": " ({source}, pay-as-you-go estimate)",
+  "session.unreadable": "Cannot read session {path}: {message}",
+  "session.noUsage": "No token usage recorded in this session",
+  "session.unpriced": "No {currency} price for {models}, not included in the cost (add it to the pricing field of the config file)",
+  "session.planCompare": "Pay-as-you-go {cost}, token plan {price}/month: this session is {share}% of the monthly price",
+  "session.planBreakEven": "{count} sessions like this cost as much as a month of the plan",
+  "session.planHint": "Add plan: { \"price\": <monthly price>, \"currency\": \"CNY\" } to the config file to compare with your token plan",
+  "session.invalidPlanPrice": "plan.price: expected a positive number, got {value}",
+  "session.category.input": "Input",
+  "session.category.output": "Output",
+  "session.category.cacheWrite": "Cache write",
+  "session.category.cacheRead": "Cache read",
+  "session.category.total": "Total",
+  "session.column.model": "Model",
+  "session.column.messages": "Replies",
+  "session.column.turn": "Turn",
+  "session.column.cacheHit": "Cache hit",
+  "session.usageDescription": "Show cumulative token usage of a session per model and per turn, with the cache hit ratio",
+  "session.optionLimit": "Latest turns shown in the table",
+  "session.usageTitle": "📈 Session token usage",
+  "session.usageSubtitle": " ({source}, {turns} turns, {messages} replies)",
+  "session.cacheHitRatio": "Cache hit ratio: {ratio} (cache reads / prompt tokens)",
+  "session.turnsLimited": "Latest {count} of {total} turns",
+  "pricing.unknownCurrency": "{where}: unknown currency {value} (options: {options})",
+  "pricing.invalidPrice": "{where}: expected input, output, cacheWrite or cacheRead with a non-negative price per million tokens, got {value}",
+  "themes.description": "Statusline themes (list/preview)",
+  "themes.listDescription": "List all themes",
+  "themes.previewDescription": "Preview themes with sample data (low, high and exhausted quota)",
+  "themes.argName": "Theme name, previews every theme by default",
+  "themes.colorDepth": "color depth: {depth}",
+  "themes.sample.low": "Low",
+  "themes.sample.high": "High",
+  "themes.sample.exhausted": "Exhausted",
+  "droid.description": "Droid status line (reads session files, prints once)",
+  "droid.argSessionPath": "Droid session directory or .jsonl file (optional, found automatically)",
+
+  // Machine-readable output (markdown)
+  "markdown.interval": "- Interval usage: {used}/{total} ({percentage}%), resets in {minutes} min",
+  "markdown.weeklyUnlimited": "- Weekly usage: unlimited",
+  "markdown.weekly": "- Weekly usage: {used}/{total} ({percentage}%)",
+  "markdown.expiry": "- Plan expiry: {date} ({left})",
+  "markdown.yesterday": "- Yesterday: {tokens} tokens",
+  "markdown.last7Days": "- Last 7 days: {tokens} tokens",
+  "markdown.period": "- Period ({label}): {tokens} tokens",
+  "markdown.tableHeader": "| Model | Used | Total | Usage | Weekly |",
+
+  // Alerts
+  "alerts.notArray": "alerts config must be an array",
+  "alerts.unknownMetric": "{where}: unknown metric \"{value}\", expected one of: {options}",
+  "alerts.unknownAction": "{where}: unknown action \"{value}\", expected one of: {options}",
+  "alerts.commandRequired": "{where}: the command action requires a command field",
+  "alerts.thresholdRequired": "{where}: {metric} rules require a numeric threshold",
+  "alerts.interval": "{prefix}{model} interval usage at {value}%, reached {threshold}%",
+  "alerts.weekly": "{prefix}{model} weekly usage at {value}%, reached {threshold}%",
+  "alerts.expiry": "{prefix}plan expires in {value} days",
+  "alerts.reset": "{prefix}{model} quota has been reset",
+  "alerts.logFailed": "Failed to write the alert log: {message}",
+  "alerts.commandFailed": "Alert command failed ({id}): {message}",
+
+  // Credentials and config file
+  "credentials.noOutput": "tokenCommand printed no token",
+  "credentials.timeout": "timed out",
+  "credentials.exitCode": "exit code {code}",
+  "credentials.failed": "tokenCommand failed ({reason})",
+  "config.permissionWarning": "Warning: config file {path} has mode {mode}, other users may read the token, run chmod 600 {path}",
+
+  // VS Code extension
+  "vscode.quotaPanel": "Quota Panel",
+  "vscode.period": "Period",
+  "vscode.column.model": "Model",
+  "vscode.column.usage": "Usage",
+  "vscode.column.percent": "%",
+  "vscode.column.weekly": "Weekly",
+  "vscode.column.reset": "Reset",
+  "vscode.group.core": "Core",
+  "vscode.group.media": "Media",
+  "vscode.group.other": "Other",
+  "vscode.weeklyShort": "W",
+  "vscode.last7Days": "Last 7 Days",
+  "vscode.needsConfig": "MiniMax: Setup required",
+  "vscode.needsConfigTooltip": "MiniMax Status needs a token\nClick to configure",
+  "vscode.welcome": "Welcome to MiniMax Status!\n\nConfigure your access token to get started.",
+  "vscode.configureNow": "Configure now",
+  "vscode.later": "Later",
+  "vscode.activationFailed": "MiniMax Status failed to activate: {message}",
+  "vscode.settingsSaved": "Settings saved!",
+  "vscode.expiry": "Expiry: {text}",
+  "vscode.updatedAt": "Updated {time}",
+  "vscode.clickToRefresh": "Click to refresh",
+  "vscode.loading": "Loading...",
+  "vscode.loadingTooltip": "MiniMax Status\nFetching status...",
+  "vscode.error": "Error",
+  "vscode.hint.auth": "Click to configure",
+  "vscode.hint.rate-limited": "Rate limited, will retry on next refresh",
+  "vscode.hint.server": "MiniMax service unavailable, will retry",
+  "vscode.hint.network": "Network unavailable, will retry",
+  "vscode.hint.timeout": "Request timed out, will retry",
+  "vscode.hint.unknown": "Click to refresh",
+  "vscode.settings": "Settings",
+  "vscode.openSettings": "Open Settings",
+  "vscode.help": "Help",
+  "vscode.viewHelp": "View Help",
+  "vscode.help.title": "MiniMax Status Help",
+  "vscode.help.step1Title": "Step 1: Get API Key",
+  "vscode.help.step1Content": "Domestic: Subscription -> Token-Plan\nOverseas: Subscribe -> Token-Plan\n\nClick 'Create new API Key'",
+  "vscode.help.step2Title": "Step 2: Configure Plugin",
+  "vscode.help.step2Content": "1. Click MiniMax icon in sidebar\n2. Click Settings\n3. Enter API Key\n4. Click Save",
+  "vscode.help.step3Title": "Usage",
+  "vscode.help.step3Content": "• Status bar shows usage progress\n• Click status bar to refresh\n• Support domestic/overseas accounts",
+  "vscode.settings.title": "MiniMax Settings",
+  "vscode.settings.domesticTitle": "Domestic Account",
+  "vscode.settings.overseasTitle": "Overseas Account",
+  "vscode.settings.apiKey": "API Key",
+  "vscode.settings.apiKeyPlaceholder": "Enter domestic API Key",
+  "vscode.settings.apiKeyInfo": "platform.minimaxi.com API Key",
+  "vscode.settings.overseasApiKeyPlaceholder": "Enter overseas API Key",
+  "vscode.settings.overseasApiKeyInfo": "platform.minimax.io API Key (for overseas usage)",
+  "vscode.settings.displayTitle": "Display Settings",
+  "vscode.settings.refreshInterval": "Refresh Interval (seconds)",
+  "vscode.settings.refreshIntervalInfo": "Auto-refresh interval, 10-30 seconds recommended",
+  "vscode.settings.modelSelect": "Model",
+  "vscode.settings.showTooltip": "Show detailed tooltip",
+  "vscode.settings.overseasUsage": "Overseas Usage",
+  "vscode.settings.displayMode": "Display Mode",
+  "vscode.settings.displayModeInfo": "Choose whether to display overseas usage",
+  "vscode.settings.modeNone": "Domestic only",
+  "vscode.settings.modeOverseas": "Overseas only",
+  "vscode.settings.modeBoth": "Domestic + Overseas",
+  "vscode.settings.save": "Save",
+  "vscode.settings.cancel": "Cancel",
+  "vscode.settings.apiKeyError": "API Key is required",
+  "vscode.settings.overseasApiKeyError": "Overseas API Key is required",
+  "vscode.settings.invalidInterval": "Refresh interval must be between 5-300 seconds",
+  "vscode.settings.modelAuto": "Auto select first model",
+  "vscode.settings.modelEmpty": "Please configure API Key first",
+};
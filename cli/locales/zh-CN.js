@@ -0,0 +1,424 @@
+// 简体中文消息目录（默认语言，其他语言缺少的键回退到这里）
+module.exports = {
+  "list.separator": "、",
+  "common.unknown": "未知",
+
+  // 区域
+  "region.domestic": "国内",
+  "region.overseas": "海外",
+
+  // 额度重置和套餐到期
+  "quota.resetInHoursMinutes": "{hours} 小时 {minutes} 分钟后重置",
+  "quota.resetInMinutes": "{minutes} 分钟后重置",
+  "quota.resetInDaysHours": "{days} 天 {hours} 小时后重置",
+  "quota.resetInHours": "{hours} 小时后重置",
+  "expiry.daysLeft": "还剩 {count} 天",
+  "expiry.today": "今天到期",
+  "expiry.expired": "已过期 {count} 天",
+  "expiry.short": "剩{count}天",
+  "expiry.compact": "剩余: {count}天",
+
+  // 消耗统计周期
+  "period.cycle": "本期",
+  "period.week": "本周",
+  "period.month": "当月",
+  "period.custom": "自定义",
+  "stats.title": "Token 消耗统计",
+  "stats.yesterday": "昨日消耗",
+  "stats.last7Days": "近7天消耗",
+  "stats.periodUsage": "{name}消耗",
+  "stats.truncated": "账单记录超过分页上限，统计不完整",
+
+  // 状态面板
+  "panel.title": "MiniMax Claude Code 使用状态",
+  "panel.model": "当前模型:",
+  "panel.timeWindow": "时间窗口:",
+  "panel.remainingTime": "剩余时间:",
+  "panel.used": "已用额度:",
+  "panel.left": "剩余:",
+  "panel.calls": "{remaining}/{total} 次调用",
+  "panel.rate": "速率:",
+  "panel.weekly": "周限额:",
+  "panel.unlimited": "不受限制",
+  "panel.reset": "重置:",
+  "panel.expiry": "套餐到期:",
+  "panel.status": "状态:",
+  "panel.allModels": "所有模型额度",
+  "panel.column.model": "模型",
+  "panel.column.usedTotal": "已用/总额",
+  "panel.column.status": "状态",
+  "level.ok": "✓ 正常使用",
+  "level.warn": "⚡ 注意使用",
+  "level.critical": "⛔ 即将用完",
+  "level.okShort": "✓ 正常",
+  "level.warnShort": "⚡ 注意",
+  "forecast.rate": "{rate} 次/小时",
+  "forecast.resetsFirst": "重置前不会用完",
+  "forecast.exhaustIn": "预计 {duration} 后用完",
+
+  // statusline
+  "statusline.exhaustIn": "{duration}耗尽",
+  "statusline.resetsFirst": "先重置",
+  "statusline.age": "{age}前",
+  "statusline.todosDone": "所有任务已完成",
+  "statusline.error": "❌ MiniMax 错误: {message}",
+
+  // 错误说明和状态栏中的简短错误标记
+  "error.generic": "错误: {message}",
+  "error.kind.auth": "认证失败，请运行 minimax auth 重新设置令牌",
+  "error.kind.rate-limited": "请求过于频繁，已被限流",
+  "error.kind.server": "MiniMax 服务暂时不可用",
+  "error.kind.network": "网络连接失败",
+  "error.kind.timeout": "请求超时",
+  "error.kind.schema": "接口返回格式异常",
+  "badge.auth": "未认证",
+  "badge.rate-limited": "限流",
+  "badge.server": "服务异常",
+  "badge.network": "离线",
+  "badge.timeout": "超时",
+  "badge.schema": "数据异常",
+  "badge.no-data": "无数据",
+  "badge.unknown": "错误",
+  "error.unknownRegion": "错误: 未知区域 \"{value}\"，可选值: {options}",
+  "error.unknownTimeZone": "错误: 未知时区 \"{value}\"，示例: Asia/Shanghai、Europe/Berlin、UTC",
+  "error.unknownClock": "错误: 未知时钟格式 \"{value}\"，可选值: {options}",
+  "error.unknownLanguage": "错误: 未知语言 \"{value}\"，可选值: {options}",
+  "error.recordWithReplay": "错误: --record 和 --replay 不能同时使用",
+  "error.unknownFormat": "未知输出格式 \"{value}\"，可选值: {options}",
+  "error.invalidPeriod": "错误: 无效的统计周期 \"{value}\"，可选值: cycle、week、month 或 2026-09-15..2026-10-14",
+  "error.billingRequest": "账单 API 请求失败",
+
+  // 全局选项
+  "cli.description": "MiniMax Claude Code 使用状态监控工具",
+  "option.region": "区域：domestic（国内）、overseas（海外）或 both（并列显示）",
+  "option.profile": "使用指定的凭据档案（也可通过 MINIMAX_PROFILE 环境变量指定）",
+  "option.noCache": "不使用本地文件缓存，直接请求 API",
+  "option.tz": "时区，如 Asia/Shanghai、America/New_York（也可通过 MINIMAX_TZ 环境变量指定）",
+  "option.clock": "时钟格式：24h 或 12h（也可通过 MINIMAX_CLOCK 环境变量指定）",
+  "option.lang": "界面语言：zh-CN 或 en-US（也可通过 MINIMAX_LANG 环境变量指定）",
+  "option.record": "录制接口响应（已脱敏）到目录，用于复现问题",
+  "option.replay": "从目录回放录制的接口响应，不请求网络",
+  "option.format": "机器可读输出：{formats}",
+  "option.period": "消耗统计周期：cycle、week、month 或 YYYY-MM-DD..YYYY-MM-DD",
+
+  // auth / logout
+  "auth.description": "设置认证凭据（保存前会先验证令牌）",
+  "auth.argToken": "MiniMax 访问令牌（使用 --stdin 时省略）",
+  "auth.argGroupId": "MiniMax 组 ID（国内已废弃可不填，海外必填）",
+  "auth.optionStdin": "从标准输入读取令牌，避免令牌留在 shell 历史中",
+  "auth.optionNoVerify": "不验证令牌直接保存",
+  "auth.noToken": "错误: 请提供令牌，或使用 --stdin 从标准输入读取",
+  "auth.bothRegions": "错误: 请分别为 domestic 和 overseas 设置认证凭据",
+  "auth.groupIdRequired": "错误: 海外账号需要提供 GroupId",
+  "auth.verifying": "验证令牌中...",
+  "auth.verified": "令牌验证通过",
+  "auth.verifyFailed": "令牌验证失败，未保存",
+  "auth.noVerifyHint": "提示: 网络不可用时可使用 --no-verify 跳过验证",
+  "auth.saved": "✓ {region}认证信息已保存到档案 \"{profile}\" ({token})",
+  "auth.useProfileHint": "提示: 运行 minimax profile use {profile} 可切换到该档案",
+  "auth.bothHint": "提示: 运行 minimax region both 可并列显示国内和海外账号",
+  "logout.description": "删除当前档案保存的凭据（-r 指定区域，默认全部）",
+  "logout.nothing": "档案 \"{profile}\" 没有保存凭据",
+  "logout.nothingInRegion": "档案 \"{profile}\" 没有保存{region}凭据",
+  "logout.removed": "✓ 已删除档案 \"{profile}\" 的{regions}凭据",
+  "logout.envHint": "提示: 环境变量 {env} 仍然设置，令牌仍会生效",
+
+  // region / period / profile / cache
+  "region.description": "查看或设置默认区域",
+  "region.argMode": "domestic、overseas 或 both",
+  "region.current": "当前区域: {mode}",
+  "region.saved": "✓ 默认区域已设置为 {mode}",
+  "period.description": "查看或设置消耗统计周期",
+  "period.argPeriod": "cycle（订阅周期）、week（ISO 周）、month（自然月）或 YYYY-MM-DD..YYYY-MM-DD",
+  "period.current": "当前统计周期: {period}（{label}）",
+  "period.noCycle": "未获取到订阅周期，按自然月统计",
+  "period.saved": "✓ 统计周期已设置为 {period}",
+  "profile.description": "管理凭据档案（list/use/remove）",
+  "profile.listDescription": "列出所有档案",
+  "profile.useDescription": "切换当前档案",
+  "profile.removeDescription": "删除档案",
+  "profile.argName": "档案名称",
+  "profile.none": "尚未配置任何档案，请先运行: minimax auth <token>",
+  "profile.summary": "(区域: {region}, 凭据: {credentials})",
+  "profile.notConfigured": "未配置",
+  "profile.notFound": "错误: 档案 \"{name}\" 不存在",
+  "profile.switched": "✓ 已切换到档案 \"{name}\"",
+  "profile.removed": "✓ 已删除档案 \"{name}\"",
+  "cache.description": "管理本地缓存",
+  "cache.clearDescription": "清除本地接口缓存",
+  "cache.cleared": "✓ 已清除 {count} 个缓存文件",
+
+  // health
+  "health.description": "检查配置和连接状态",
+  "health.checking": "正在检查...",
+  "health.configFile": "配置文件检查",
+  "health.configFileFailed": "配置文件检查失败",
+  "health.permission": "配置文件权限: ",
+  "health.permissionOpen": "其他用户可读，建议 chmod 600",
+  "health.ok": "正常",
+  "health.profile": "档案: ",
+  "health.sourceEnv": "环境变量 {env}",
+  "health.sourceConfig": "配置文件",
+  "health.tokenConfigured": "已配置 ({token}，来源: {source})",
+  "health.configured": "已配置",
+  "health.notConfigured": "未配置",
+  "health.route": "网络路由: ",
+  "health.routeDirect": "直连 {host}",
+  "health.routeProxy": "经代理 {proxy} 访问 {host}（来源: {source}）",
+  "health.routeBypassed": "直连 {host}（命中 NO_PROXY，代理来源: {source}）",
+  "health.routeProxyDisabled": "直连 {host}（配置文件已禁用代理）",
+  "health.certificates": "自定义证书: ",
+  "health.api": "API连接: ",
+  "health.subscription": "订阅信息: ",
+  "health.result": "健康检查结果:",
+  "health.allPassed": "✓ 所有检查通过，配置正常！",
+  "health.issues": "⚠ 发现问题，请检查上述错误信息",
+
+  // status / watch / list
+  "status.description": "显示当前使用状态",
+  "status.optionCompact": "紧凑模式显示",
+  "status.optionWatch": "实时监控模式",
+  "status.formatWithWatch": "错误: --format 不能与 --watch 同时使用",
+  "status.fetching": "获取使用状态中...",
+  "status.fetched": "状态获取成功",
+  "status.fetchFailed": "获取状态失败",
+  "status.statsFailed": "消耗统计获取失败: {message}",
+  "status.watching": "监控中... 按 Ctrl+C 退出",
+  "watch.description": "持续监控使用状态",
+  "watch.optionAlerts": "启用阈值告警（规则见配置文件 alerts 字段）",
+  "watch.optionInterval": "刷新间隔（秒）",
+  "watch.intervalTooShort": "错误: 刷新间隔至少为 5 秒",
+  "watch.recentAlerts": "🔔 最近告警",
+  "watch.updatedAt": "最后更新: {time}",
+  "watch.updateFailed": "更新失败: {message}",
+  "watch.stopped": "监控已停止",
+  "list.description": "显示所有模型的使用状态",
+
+  // history
+  "history.description": "查看本地记录的用量历史",
+  "history.optionRange": "时间范围，如 5h、24h、7d",
+  "history.optionModel": "模型名称（模糊匹配，默认文本模型）",
+  "history.optionLimit": "表格最多显示行数",
+  "history.optionCompact": "立即执行保留期清理和压缩",
+  "history.invalidRange": "错误: 无效的时间范围 \"{range}\"，示例: 5h、24h、7d",
+  "history.compacted": "✓ {region}历史记录已压缩: {before} → {after} 条",
+  "history.empty": "暂无历史记录，运行 minimax status 或 statusline 后会自动记录",
+  "history.title": "{model} 用量历史",
+  "history.summary": "（最近 {range}，共 {count} 个样本）",
+  "history.interval": "区间",
+  "history.weekly": "周",
+  "history.now": "当前",
+  "history.peak": "峰值",
+  "history.column.time": "时间",
+  "history.column.intervalUsage": "区间用量",
+  "history.column.intervalPercent": "区间%",
+  "history.column.weeklyUsage": "周用量",
+  "history.column.weeklyPercent": "周%",
+
+  // billing
+  "billing.description": "按时间或字段汇总账单消耗",
+  "billing.optionFrom": "起始时间：YYYY-MM-DD、YYYY-MM 或 30d（默认本月初）",
+  "billing.optionTo": "结束时间：YYYY-MM-DD、YYYY-MM 或 1d（默认现在，日期按整天计）",
+  "billing.optionGroupBy": "分组方式：day、week、month 或账单记录字段（如 model）",
+  "billing.optionFormat": "导出格式：json、csv",
+  "billing.invalidRange": "错误: 无效的时间范围，示例: --from 2026-09-01 --to 2026-09-30、--from 30d",
+  "billing.overseasUnsupported": "海外平台暂不提供账单接口，无法统计消耗",
+  "billing.domesticOnly": "海外平台暂不提供账单接口，以下仅统计国内账号",
+  "billing.fetching": "获取账单记录中...",
+  "billing.fetched": "账单获取成功",
+  "billing.fetchFailed": "获取账单失败",
+  "billing.title": "📊 账单统计",
+  "billing.subtitle": "（{range}，按 {groupBy} 分组）",
+  "billing.empty": "该时间范围内没有账单记录",
+  "billing.truncated": "账单记录超过 100 页上限，更早的记录未统计，结果不完整",
+  "billing.emptyKey": "(无)",
+  "billing.column.group": "分组",
+  "billing.column.records": "记录数",
+  "billing.column.share": "占比",
+  "billing.total": "合计",
+  "billing.perGroup": "平均/组",
+  "billing.perDay": "日均",
+  "billing.perRecord": "平均/记录",
+
+  // serve / bar / statusline
+  "serve.description": "启动本地 HTTP 服务（--metrics 导出 Prometheus/OpenMetrics 指标）",
+  "serve.optionMetrics": "在 /metrics 导出 OpenMetrics 指标",
+  "serve.optionPort": "监听端口",
+  "serve.optionHost": "监听地址",
+  "serve.optionPollInterval": "上游轮询间隔（秒，最少 30）",
+  "serve.noService": "错误: 请指定要提供的服务，例如 minimax serve --metrics",
+  "serve.startFailed": "错误: 无法启动服务: {message}",
+  "serve.started": "✓ 指标服务已启动: {url}",
+  "serve.polling": "每 {seconds} 秒轮询一次上游，按 Ctrl+C 退出",
+  "serve.stopped": "服务已停止",
+  "bar.description": "在终端底部持续显示状态栏",
+  "bar.noConfig": "错误：未找到配置文件",
+  "bar.authHint": "请先运行: minimax-status auth <token>",
+  "bar.started": "✓ MiniMax 状态栏已启动",
+  "bar.exitHint": "按 Ctrl+C 退出",
+  "bar.stopped": "状态栏已停止",
+  "bar.startFailed": "启动失败:",
+  "statusline.description": "Claude Code状态栏集成（从stdin读取数据，单次输出）",
+  "statusline.optionSegments": "临时指定显示的段：逗号分隔、分号换行（如 \"dir,model,quota;tools\"），全部以 - 开头时表示隐藏（如 -git,-age）",
+  "statusline.unknownSegment": "{where}: 未知的段 {value}（可选: {options}）",
+  "statusline.linesNotArray": "lines 必须是数组，每一行是段名数组",
+  "statusline.invalidColor": "{where}: 无效的颜色 {value}，应为 #RRGGBB",
+  "statusline.invalidCount": "{where}: 应为非负整数，实际为 {value}",
+  "statusline.mixedSegments": "--segments 不能同时列出段和以 - 开头的隐藏段",
+  "statusline.configInvalid": "状态栏配置 {path} 无效: {message}",
+  "statusline.optionTheme": "状态栏主题（{options}）",
+  "statusline.optionColorDepth": "色深：auto、truecolor、256、16 或 none（默认 auto，按终端检测）",
+  "statusline.unknownTheme": "未知的主题 {value}（可选: {options}）",
+  "statusline.unknownColorDepth": "未知的色深 {value}（可选: {options}）",
+  "statusline.invalidTextColor": "{where}: 无效的颜色 {value}，应为 #RRGGBB 或 chalk 颜色名",
+  "statusline.invalidPriority": "{where}: 应为数字，实际为 {value}",
+  "statusline.invalidLength": "{where}: 应为不小于 4 的整数，实际为 {value}",
+  "statusline.optionWidth": "可用宽度（列数，默认取 stdin 中的 width/columns 字段，其次为 COLUMNS）；放不下时缩写或去掉优先级较低的段",
+  "statusline.invalidWidth": "无效的宽度 {value}，应为正整数",
+  "statusline.optionSource": "显示哪个 Agent 的会话（{options}，默认 claude-code）",
+  "statusline.optionSession": "会话文件或目录（默认：claude-code 取 stdin 中的 transcript_path，其他 Agent 取当前目录最近的会话）",
+  "statusline.unknownSource": "未知的会话来源 {value}（可选: {options}）",
+  "statusline.noSession": "❌ 在 {dir} 中未找到 {source} 会话",
+  "statusline.cacheLabel": "缓存",
+  "session.description": "本地 Agent 会话（费用估算、token 用量）",
+  "session.costDescription": "估算会话按量计费的费用，并与 Token 套餐比较",
+  "session.optionSession": "会话文件或目录（默认当前目录最近的会话）",
+  "session.optionCurrency": "优先显示的币种（{options}，默认配置文件的 currency 字段，否则按区域）",
+  "session.optionFormat": "导出格式：json",
+  "session.costTitle": "💰 会话费用",
+  "session.costSubtitle": "（{source}，按量计费估算）",
+  "session.unreadable": "无法读取会话 {path}: {message}",
+  "session.noUsage": "会话中没有记录 token 用量",
+  "session.unpriced": "{models} 没有 {currency} 价格，未计入费用（可在配置文件的 pricing 字段中添加）",
+  "session.planCompare": "按量计费 {cost}，Token 套餐 {price}/月：本会话相当于月费的 {share}%",
+  "session.planBreakEven": "{count} 个同样的会话花费与一个月套餐相当",
+  "session.planHint": "在配置文件中添加 plan: { \"price\": <月费>, \"currency\": \"CNY\" } 可与 Token 套餐比较",
+  "session.invalidPlanPrice": "plan.price: 应为正数，实际为 {value}",
+  "session.category.input": "输入",
+  "session.category.output": "输出",
+  "session.category.cacheWrite": "缓存写入",
+  "session.category.cacheRead": "缓存读取",
+  "session.category.total": "合计",
+  "session.column.model": "模型",
+  "session.column.messages": "回复数",
+  "session.column.turn": "轮次",
+  "session.column.cacheHit": "缓存命中",
+  "session.usageDescription": "按模型和轮次显示会话的累计 token 用量和缓存命中率",
+  "session.optionLimit": "表格中显示最近多少轮",
+  "session.usageTitle": "📈 会话 token 用量",
+  "session.usageSubtitle": "（{source}，{turns} 轮，{messages} 次回复）",
+  "session.cacheHitRatio": "缓存命中率：{ratio}（缓存读取 / 提示 token）",
+  "session.turnsLimited": "最近 {count} 轮，共 {total} 轮",
+  "pricing.unknownCurrency": "{where}: 未知的币种 {value}（可选: {options}）",
+  "pricing.invalidPrice": "{where}: 应为 input、output、cacheWrite 或 cacheRead，值为每百万 token 的非负价格，实际为 {value}",
+  "themes.description": "查看状态栏主题（list/preview）",
+  "themes.listDescription": "列出所有主题",
+  "themes.previewDescription": "用示例数据预览主题（低用量、高用量、已耗尽）",
+  "themes.argName": "主题名称，默认预览全部",
+  "themes.colorDepth": "色深: {depth}",
+  "themes.sample.low": "低用量",
+  "themes.sample.high": "高用量",
+  "themes.sample.exhausted": "已耗尽",
+  "droid.description": "Droid状态栏集成（从 session 文件读取数据，单次输出）",
+  "droid.argSessionPath": "Droid session 目录或 .jsonl 文件路径（可选，默认自动查找）",
+
+  // 机器可读输出（markdown）
+  "markdown.interval": "- 区间用量: {used}/{total} ({percentage}%)，{minutes} 分钟后重置",
+  "markdown.weeklyUnlimited": "- 周用量: 不受限制",
+  "markdown.weekly": "- 周用量: {used}/{total} ({percentage}%)",
+  "markdown.expiry": "- 套餐到期: {date} ({left})",
+  "markdown.yesterday": "- 昨日消耗: {tokens} tokens",
+  "markdown.last7Days": "- 近7天消耗: {tokens} tokens",
+  "markdown.period": "- 周期消耗 ({label}): {tokens} tokens",
+  "markdown.tableHeader": "| 模型 | 已用 | 总量 | 使用率 | 周使用率 |",
+
+  // 告警
+  "alerts.notArray": "alerts 配置必须是数组",
+  "alerts.unknownMetric": "{where}: 未知指标 \"{value}\"，可选值: {options}",
+  "alerts.unknownAction": "{where}: 未知动作 \"{value}\"，可选值: {options}",
+  "alerts.commandRequired": "{where}: command 动作需要提供 command 字段",
+  "alerts.thresholdRequired": "{where}: {metric} 规则需要数值 threshold",
+  "alerts.interval": "{prefix}{model} 区间用量 {value}%，已达到 {threshold}%",
+  "alerts.weekly": "{prefix}{model} 周用量 {value}%，已达到 {threshold}%",
+  "alerts.expiry": "{prefix}套餐还剩 {value} 天到期",
+  "alerts.reset": "{prefix}{model} 额度已重置",
+  "alerts.logFailed": "写入告警日志失败: {message}",
+  "alerts.commandFailed": "告警命令执行失败 ({id}): {message}",
+
+  // 凭据和配置文件
+  "credentials.noOutput": "tokenCommand 没有输出令牌",
+  "credentials.timeout": "执行超时",
+  "credentials.exitCode": "退出码 {code}",
+  "credentials.failed": "tokenCommand 执行失败（{reason}）",
+  "config.permissionWarning": "警告: 配置文件 {path} 权限为 {mode}，其他用户可能读取令牌，建议运行 chmod 600 {path}",
+
+  // VS Code 扩展
+  "vscode.quotaPanel": "配额面板",
+  "vscode.period": "周期",
+  "vscode.column.model": "模型",
+  "vscode.column.usage": "用量",
+  "vscode.column.percent": "占比",
+  "vscode.column.weekly": "每周",
+  "vscode.column.reset": "重置",
+  "vscode.group.core": "核心模型",
+  "vscode.group.media": "多媒体模型",
+  "vscode.group.other": "其他模型",
+  "vscode.weeklyShort": "周",
+  "vscode.last7Days": "近 7 天",
+  "vscode.needsConfig": "MiniMax: 需要配置",
+  "vscode.needsConfigTooltip": "MiniMax Status 需要配置 Token\n点击立即配置",
+  "vscode.welcome": "欢迎使用 MiniMax Status！\n\n需要配置您的访问令牌才能开始使用。",
+  "vscode.configureNow": "立即配置",
+  "vscode.later": "稍后设置",
+  "vscode.activationFailed": "MiniMax Status 扩展激活失败: {message}",
+  "vscode.settingsSaved": "配置保存成功！",
+  "vscode.expiry": "到期：{text}",
+  "vscode.updatedAt": "更新于 {time}",
+  "vscode.clickToRefresh": "点击刷新状态",
+  "vscode.loading": "加载中...",
+  "vscode.loadingTooltip": "MiniMax Status\n正在获取状态...",
+  "vscode.error": "错误",
+  "vscode.hint.auth": "点击配置",
+  "vscode.hint.rate-limited": "已被限流，下次刷新时重试",
+  "vscode.hint.server": "MiniMax 服务暂时不可用，稍后重试",
+  "vscode.hint.network": "网络不可用，稍后重试",
+  "vscode.hint.timeout": "请求超时，稍后重试",
+  "vscode.hint.unknown": "点击刷新",
+  "vscode.settings": "插件设置",
+  "vscode.openSettings": "打开设置",
+  "vscode.help": "使用教程",
+  "vscode.viewHelp": "查看使用教程",
+  "vscode.help.title": "MiniMax Status 使用教程",
+  "vscode.help.step1Title": "第一步：获取 API Key",
+  "vscode.help.step1Content": "国内版：套餐管理 -> Token-Plan\n海外版：Subscribe -> Token-Plan\n\n点击「创建新的 API Key」",
+  "vscode.help.step2Title": "第二步：配置插件",
+  "vscode.help.step2Content": "1. 点击左侧边栏的 MiniMax 图标\n2. 点击「插件设置」按钮\n3. 填写 API Key\n4. 点击保存",
+  "vscode.help.step3Title": "使用说明",
+  "vscode.help.step3Content": "• 状态栏显示当前使用进度\n• 点击状态栏可刷新数据\n• 支持国内/海外账号切换",
+  "vscode.settings.title": "MiniMax 设置",
+  "vscode.settings.domesticTitle": "国内账号",
+  "vscode.settings.overseasTitle": "海外账号",
+  "vscode.settings.apiKey": "API Key",
+  "vscode.settings.apiKeyPlaceholder": "请输入国内 API Key",
+  "vscode.settings.apiKeyInfo": "platform.minimaxi.com 的 API Key",
+  "vscode.settings.overseasApiKeyPlaceholder": "请输入海外 API Key",
+  "vscode.settings.overseasApiKeyInfo": "platform.minimax.io 的 API Key（用于显示海外用量）",
+  "vscode.settings.displayTitle": "显示设置",
+  "vscode.settings.refreshInterval": "刷新间隔（秒）",
+  "vscode.settings.refreshIntervalInfo": "自动刷新间隔，建议 10-30 秒",
+  "vscode.settings.modelSelect": "模型选择",
+  "vscode.settings.showTooltip": "显示详细提示信息",
+  "vscode.settings.overseasUsage": "海外用量",
+  "vscode.settings.displayMode": "显示模式",
+  "vscode.settings.displayModeInfo": "选择是否显示海外版用量",
+  "vscode.settings.modeNone": "仅显示国内",
+  "vscode.settings.modeOverseas": "仅显示海外",
+  "vscode.settings.modeBoth": "国内+海外并行",
+  "vscode.settings.save": "保存",
+  "vscode.settings.cancel": "取消",
+  "vscode.settings.apiKeyError": "请输入 API Key",
+  "vscode.settings.overseasApiKeyError": "请输入海外 API Key",
+  "vscode.settings.invalidInterval": "刷新间隔必须在 5-300 秒之间",
+  "vscode.settings.modelAuto": "自动选择第一个模型",
+  "vscode.settings.modelEmpty": "请先配置 API Key",
+};
@@ -0,0 +1,223 @@
+const http = require("http");
+
+// 上游轮询间隔与抓取频率无关：Prometheus 抓取只读取最近一次轮询的结果
+const DEFAULT_POLL_INTERVAL = 60 * 1000;
+const MIN_POLL_INTERVAL = 30 * 1000;
+// 账单接口需要分页拉取，单独使用更长的间隔
+const BILLING_POLL_INTERVAL = 10 * 60 * 1000;
+
+const CONTENT_TYPE = "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+// 指标定义：name -> [type, help, unit]
+const METRICS = {
+  minimax_up: ["gauge", "Whether the last upstream poll succeeded"],
+  minimax_last_poll_timestamp_seconds: ["gauge", "Time of the last successful upstream poll", "seconds"],
+  minimax_interval_used: ["gauge", "Calls used in the current interval window"],
+  minimax_interval_total: ["gauge", "Call quota of the current interval window"],
+  minimax_interval_reset_seconds: ["gauge", "Seconds until the interval quota resets", "seconds"],
+  minimax_weekly_used: ["gauge", "Calls used in the current week"],
+  minimax_weekly_total: ["gauge", "Weekly call quota, 0 means unlimited"],
+  minimax_weekly_reset_seconds: ["gauge", "Seconds until the weekly quota resets", "seconds"],
+  minimax_plan_expiry_days: ["gauge", "Days until the subscription plan expires", "days"],
+  minimax_billing_last_day_tokens: ["gauge", "Tokens consumed yesterday", "tokens"],
+  minimax_billing_last_7d_tokens: ["gauge", "Tokens consumed in the last 7 days", "tokens"],
+  minimax_billing_period_tokens: ["gauge", "Tokens consumed in the current billing period", "tokens"],
+};
+
+function escapeLabel(value) {
+  return String(value ?? "").replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * 按毫秒时间戳或剩余毫秒计算到重置的秒数
+ * 优先使用结束时间，抓取时仍能得到准确的倒计时
+ */
+function secondsUntil(endTime, remainsMs, polledAt, now) {
+  if (endTime) {
+    return Math.max(0, Math.round((endTime - now) / 1000));
+  }
+  if (typeof remainsMs === "number") {
+    return Math.max(0, Math.round((remainsMs - (now - polledAt)) / 1000));
+  }
+  return null;
+}
+
+/**
+ * OpenMetrics 导出服务（minimax serve --metrics）
+ */
+class MetricsServer {
+  /**
+   * @param {Array<MinimaxAPI>} clients - API clients to poll (one per region)
+   * @param {Object} [options]
+   * @param {number} [options.pollInterval] - Upstream poll interval (ms)
+   */
+  constructor(clients, options = {}) {
+    this.clients = clients;
+    this.pollInterval = Math.max(MIN_POLL_INTERVAL, options.pollInterval || DEFAULT_POLL_INTERVAL);
+    // 每个区域最近一次轮询结果
+    this.snapshots = new Map();
+    this.timers = [];
+    this.server = null;
+  }
+
+  async pollUsage(client) {
+    const snapshot = this.snapshots.get(client.region) || { region: client.region };
+    try {
+      const [apiData, subscriptionData] = await Promise.all([
+        client.getUsageStatus(true),
+        client.getSubscriptionDetails().catch(() => null),
+      ]);
+      const usageData = client.parseUsageData(apiData, subscriptionData);
+      Object.assign(snapshot, {
+        up: true,
+        polledAt: Date.now(),
+        models: apiData.model_remains || [],
+        expiryDays: usageData.expiry ? usageData.expiry.daysRemaining : null,
+        subscriptionData,
+      });
+    } catch (error) {
+      // 保留上一次成功的数据，只标记为不可用
+      snapshot.up = false;
+      snapshot.error = error.message;
+    }
+    this.snapshots.set(client.region, snapshot);
+  }
+
+  async pollBilling(client) {
+    // 海外平台暂无账单接口
+    if (client.region === "overseas") {
+      return;
+    }
+
+    try {
+      const snapshot = this.snapshots.get(client.region) || { region: client.region };
+      snapshot.stats = await client.getPeriodUsageStats(snapshot.subscriptionData || null);
+      this.snapshots.set(client.region, snapshot);
+    } catch {
+      // 账单数据获取失败不影响用量指标
+    }
+  }
+
+  /**
+   * Render all metrics in OpenMetrics text format
+   * @param {number} [now] - Current time (ms)
+   * @returns {string} Exposition text
+   */
+  render(now = Date.now()) {
+    const samples = Object.fromEntries(Object.keys(METRICS).map((name) => [name, []]));
+    const add = (name, labels, value) => {
+      if (value !== null && value !== undefined && Number.isFinite(value)) {
+        samples[name].push(`${name}${formatLabels(labels)} ${value}`);
+      }
+    };
+
+    for (const snapshot of this.snapshots.values()) {
+      const regionLabels = { region: snapshot.region };
+      add("minimax_up", regionLabels, snapshot.up ? 1 : 0);
+      if (snapshot.polledAt) {
+        add("minimax_last_poll_timestamp_seconds", regionLabels, Math.floor(snapshot.polledAt / 1000));
+      }
+
+      for (const model of snapshot.models || []) {
+        const labels = { region: snapshot.region, model: model.model_name };
+        add("minimax_interval_used", labels, model.current_interval_usage_count || 0);
+        add("minimax_interval_total", labels, model.current_interval_total_count || 0);
+        add("minimax_interval_reset_seconds", labels,
+          secondsUntil(model.end_time, model.remains_time, snapshot.polledAt, now));
+        add("minimax_weekly_used", labels, model.current_weekly_usage_count || 0);
+        add("minimax_weekly_total", labels, model.current_weekly_total_count || 0);
+        if (model.current_weekly_total_count > 0) {
+          add("minimax_weekly_reset_seconds", labels,
+            secondsUntil(model.weekly_end_time, model.weekly_remains_time, snapshot.polledAt, now));
+        }
+      }
+
+      add("minimax_plan_expiry_days", regionLabels, snapshot.expiryDays);
+
+      if (snapshot.stats) {
+        add("minimax_billing_last_day_tokens", regionLabels, snapshot.stats.lastDayUsage);
+        add("minimax_billing_last_7d_tokens", regionLabels, snapshot.stats.weeklyUsage);
+        add("minimax_billing_period_tokens", { ...regionLabels, period: snapshot.stats.period.mode },
+          snapshot.stats.planTotalUsage);
+      }
+    }
+
+    const lines = [];
+    for (const [name, [type, help, unit]] of Object.entries(METRICS)) {
+      lines.push(`# TYPE ${name} ${type}`);
+      if (unit) {
+        lines.push(`# UNIT ${name} ${unit}`);
+      }
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(...samples[name]);
+    }
+    lines.push("# EOF");
+    return lines.join("\n") + "\n";
+  }
+
+  handleRequest(req, res) {
+    const { pathname } = new URL(req.url, "http://localhost");
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" });
+      res.end();
+      return;
+    }
+
+    if (pathname === "/metrics") {
+      res.writeHead(200, { "Content-Type": CONTENT_TYPE });
+      res.end(req.method === "HEAD" ? undefined : this.render());
+      return;
+    }
+
+    if (pathname === "/") {
+      res.writeHead(200, { "Content-Type": "text/plain; charset=utf-8" });
+      res.end("minimax-status metrics exporter\nMetrics: /metrics\n");
+      return;
+    }
+
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Not Found\n");
+  }
+
+  /**
+   * Start polling and listening
+   * @param {number} port - Listen port
+   * @param {string} host - Listen address
+   * @returns {Promise<void>} Resolves once listening
+   */
+  async start(port, host) {
+    const pollAll = (poll) => Promise.all(this.clients.map((client) => poll.call(this, client)));
+
+    // 先完成首次轮询，避免启动后第一次抓取拿到空数据
+    await pollAll(this.pollUsage);
+    pollAll(this.pollBilling);
+
+    this.timers.push(setInterval(() => pollAll(this.pollUsage), this.pollInterval));
+    this.timers.push(setInterval(() => pollAll(this.pollBilling), BILLING_POLL_INTERVAL));
+
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(port, host, resolve);
+    });
+  }
+
+  stop() {
+    for (const timer of this.timers) {
+      clearInterval(timer);
+    }
+    this.timers = [];
+    if (this.server) {
+      this.server.close();
+    }
+  }
+}
+
+module.exports = MetricsServer;
+module.exports.CONTENT_TYPE = CONTENT_TYPE;
@@ -0,0 +1,283 @@
+const Clock = require("./clock");
+const { t } = require("./i18n");
+const { periodLabel } = require("./billing-period");
+
+// 机器可读输出的结构版本，字段有不兼容变化时递增
+const SCHEMA_VERSION = 1;
+
+const FORMATS = ["json", "yaml", "csv", "markdown"];
+
+// 进程退出码，供脚本区分失败原因
+const EXIT_CODES = {
+  GENERAL: 1,
+  AUTH: 2,
+  NETWORK: 3,
+  NO_DATA: 4,
+  RATE_LIMITED: 5,
+  SERVER: 6,
+};
+
+const CSV_COLUMNS = [
+  "schema_version",
+  "region",
+  "model",
+  "used",
+  "remaining",
+  "total",
+  "percentage",
+  "weekly_total",
+  "weekly_remaining",
+  "weekly_percentage",
+  "weekly_unlimited",
+  "last_day_usage",
+  "weekly_usage",
+  "plan_total_usage",
+];
+
+/**
+ * Map an error to a process exit code
+ * @param {Error} error - Error thrown by MinimaxAPI
+ * @returns {number} Exit code
+ */
+function exitCodeFor(error) {
+  switch (error && error.kind) {
+    case "auth":
+      return EXIT_CODES.AUTH;
+    case "network":
+    case "timeout":
+      return EXIT_CODES.NETWORK;
+    case "no-data":
+    case "schema":
+      return EXIT_CODES.NO_DATA;
+    case "rate-limited":
+      return EXIT_CODES.RATE_LIMITED;
+    case "server":
+      return EXIT_CODES.SERVER;
+    default:
+      return EXIT_CODES.GENERAL;
+  }
+}
+
+/**
+ * Build the versioned report for status/list
+ * 只包含原始值：时间为 ISO-8601（UTC），区域为稳定的 key，显示文本只在 markdown 输出中生成
+ *
+ * 结构（schemaVersion 1）:
+ * {
+ *   schemaVersion, command, generatedAt, profile, timeZone,
+ *   accounts: [{
+ *     region, model,
+ *     interval: { used, remaining, total, percentage, resetInMinutes, startAt, endAt },
+ *     weekly: { used, total, percentage, unlimited, resetInHours, resetAt },
+ *     expiry: { at, daysRemaining } | null,
+ *     models: [{ name, used, remaining, total, percentage, unlimited, weeklyPercentage, weeklyTotal, weeklyRemainingCount }],
+ *     stats: { lastDayUsage, weeklyUsage, planTotalUsage, period: { mode, startAt, endAt }, truncated } | null
+ *       planTotalUsage 为统计周期（period）内的消耗，truncated 为 true 时账单记录超过分页上限、统计不完整
+ *   }]
+ * }
+ *
+ * @param {string} command - "status" or "list"
+ * @param {Array<Object>} accounts - Items of {api, apiData, usageData, usageStats}
+ * @returns {Object} Report
+ */
+function buildReport(command, accounts) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    command,
+    generatedAt: new Date().toISOString(),
+    profile: accounts.length > 0 ? accounts[0].api.profileName : null,
+    // daysRemaining、统计周期等按天计算所用的时区
+    timeZone: accounts.length > 0 ? accounts[0].api.clock.timeZone : null,
+    accounts: accounts.map(({ api, apiData, usageData, usageStats }) => ({
+      region: api.region,
+      model: usageData.modelName,
+      interval: {
+        used: usageData.usage.used,
+        remaining: usageData.usage.remaining,
+        total: usageData.usage.total,
+        percentage: usageData.usage.percentage,
+        resetInMinutes: usageData.remaining.hours * 60 + usageData.remaining.minutes,
+        startAt: isoTime(usageData.timeWindow.startTime),
+        endAt: isoTime(usageData.timeWindow.endTime),
+      },
+      weekly: {
+        used: usageData.weekly.used,
+        total: usageData.weekly.total,
+        percentage: usageData.weekly.percentage,
+        unlimited: usageData.weekly.unlimited,
+        resetInHours: usageData.weekly.days * 24 + usageData.weekly.hours,
+        resetAt: isoTime(usageData.weekly.endTime),
+      },
+      expiry: usageData.expiry
+        ? { at: isoTime(usageData.expiry.time), daysRemaining: usageData.expiry.daysRemaining }
+        : null,
+      models: api.parseAllModels(apiData),
+      stats: usageStats ? reportStats(usageStats) : null,
+    })),
+  };
+}
+
+function isoTime(time) {
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+// 统计周期去掉本地化的名称和标签
+function reportStats(usageStats) {
+  const { period, ...stats } = usageStats;
+  return {
+    ...stats,
+    period: period ? { mode: period.mode, startAt: isoTime(period.start), endAt: isoTime(period.end) } : null,
+  };
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  const text = String(value);
+  // 可能被 YAML 解析成其他类型或含特殊字符时加引号
+  if (text === "" || /^[\d.+-]|^(true|false|null|yes|no|~)$/i.test(text) || /[:#\[\]{},&*!|>'"%@`\n]/.test(text)) {
+    return JSON.stringify(text);
+  }
+  return text;
+}
+
+function toYaml(value, indent = "") {
+  if (Array.isArray(value)) {
+    if (value.length === 0) return " []";
+    return value
+      .map((item) => {
+        if (item && typeof item === "object") {
+          const body = toYaml(item, indent + "  ").replace(/^\n\s*/, "");
+          return `\n${indent}- ${body}`;
+        }
+        return `\n${indent}- ${yamlScalar(item)}`;
+      })
+      .join("");
+  }
+
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 0) return " {}";
+    return keys
+      .map((key) => {
+        const child = value[key];
+        if (child && typeof child === "object") {
+          return `\n${indent}${key}:${toYaml(child, indent + "  ")}`;
+        }
+        return `\n${indent}${key}: ${yamlScalar(child)}`;
+      })
+      .join("");
+  }
+
+  return ` ${yamlScalar(value)}`;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 每个账号的每个模型一行
+function toCsv(report) {
+  const rows = [CSV_COLUMNS.join(",")];
+  for (const account of report.accounts) {
+    const stats = account.stats || {};
+    for (const model of account.models) {
+      rows.push([
+        report.schemaVersion,
+        account.region,
+        model.name,
+        model.used,
+        model.remaining,
+        model.total,
+        model.percentage,
+        model.weeklyTotal,
+        model.weeklyRemainingCount,
+        model.weeklyPercentage,
+        model.unlimited,
+        stats.lastDayUsage,
+        stats.weeklyUsage,
+        stats.planTotalUsage,
+      ].map(csvCell).join(","));
+    }
+  }
+  return rows.join("\n");
+}
+
+function markdownCell(value) {
+  return String(value ?? "").replace(/\|/g, "\\|");
+}
+
+// 显示文本在这里按报告的时区生成，机器可读格式只保留原始值
+function toMarkdown(report) {
+  const clock = new Clock({ timeZone: report.timeZone });
+  const lines = [];
+  for (const account of report.accounts) {
+    lines.push(`## ${account.model} (${t(`region.${account.region}`)})`);
+    lines.push("");
+    lines.push(t("markdown.interval", {
+      used: account.interval.used,
+      total: account.interval.total,
+      percentage: account.interval.percentage,
+      minutes: account.interval.resetInMinutes,
+    }));
+    lines.push(
+      account.weekly.unlimited
+        ? t("markdown.weeklyUnlimited")
+        : t("markdown.weekly", account.weekly)
+    );
+    if (account.expiry) {
+      const left = t("expiry.daysLeft", { count: account.expiry.daysRemaining });
+      lines.push(t("markdown.expiry", { date: clock.date(Date.parse(account.expiry.at)), left }));
+    }
+    if (account.stats) {
+      lines.push(t("markdown.yesterday", { tokens: account.stats.lastDayUsage }));
+      lines.push(t("markdown.last7Days", { tokens: account.stats.weeklyUsage }));
+      const { period } = account.stats;
+      const label = period
+        ? periodLabel(period.mode, Date.parse(period.startAt), Date.parse(period.endAt), clock)
+        : t("period.month");
+      lines.push(t("markdown.period", { label, tokens: account.stats.planTotalUsage }));
+    }
+    lines.push("");
+    lines.push(t("markdown.tableHeader"));
+    lines.push("| ---- | ---: | ---: | -----: | -------: |");
+    for (const model of account.models) {
+      const weekly = model.unlimited ? "∞" : `${model.weeklyPercentage}%`;
+      lines.push(`| ${markdownCell(model.name)} | ${model.used} | ${model.total} | ${model.percentage}% | ${weekly} |`);
+    }
+    lines.push("");
+  }
+  return lines.join("\n").trimEnd();
+}
+
+/**
+ * Serialize a report
+ * @param {Object} report - Result of buildReport()
+ * @param {string} format - One of FORMATS
+ * @returns {string} Serialized text
+ */
+function formatReport(report, format) {
+  switch (format) {
+    case "json":
+      return JSON.stringify(report, null, 2);
+    case "yaml":
+      return toYaml(report).replace(/^\n/, "");
+    case "csv":
+      return toCsv(report);
+    case "markdown":
+      return toMarkdown(report);
+    default:
+      throw new Error(t("error.unknownFormat", { value: format, options: FORMATS.join(", ") }));
+  }
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  FORMATS,
+  EXIT_CODES,
+  exitCodeFor,
+  buildReport,
+  formatReport,
+};
@@ -0,0 +1,157 @@
+const { t } = require("./i18n");
+
+const CURRENCIES = ["CNY", "USD"];
+const PRICE_KEYS = ["input", "output", "cacheWrite", "cacheRead"];
+const CURRENCY_SYMBOLS = { CNY: "¥", USD: "$" };
+
+/**
+ * 按量计费价格（每百万 token），整理自 MiniMax 开放平台价格页，以官网为准
+ * 国内站以人民币计价，海外站以美元计价；价格变动时可以在配置文件的 pricing 中覆盖
+ */
+const STANDARD_PRICE = {
+  CNY: { input: 2.1, output: 8.4, cacheWrite: 2.625, cacheRead: 0.21 },
+  USD: { input: 0.3, output: 1.2, cacheWrite: 0.375, cacheRead: 0.03 },
+};
+const HIGHSPEED_PRICE = {
+  CNY: { input: 4.2, output: 16.8, cacheWrite: 2.625, cacheRead: 0.42 },
+  USD: { input: 0.6, output: 2.4, cacheWrite: 0.375, cacheRead: 0.06 },
+};
+
+const DEFAULT_PRICES = {
+  "MiniMax-M2": STANDARD_PRICE,
+  "MiniMax-M2.1": STANDARD_PRICE,
+  "MiniMax-M2.1-highspeed": HIGHSPEED_PRICE,
+  "MiniMax-M2.5": STANDARD_PRICE,
+  "MiniMax-M2.5-highspeed": HIGHSPEED_PRICE,
+  "MiniMax-M2.7": STANDARD_PRICE,
+  "MiniMax-M2.7-highspeed": HIGHSPEED_PRICE,
+};
+
+/**
+ * Default display currency of a region
+ * @param {string} region - domestic or overseas
+ * @returns {string} CNY or USD
+ */
+function defaultCurrency(region) {
+  return region === "overseas" ? "USD" : "CNY";
+}
+
+/**
+ * Format an amount with its currency symbol
+ * 小额保留更多位数，避免显示为 0.00
+ * @param {number} amount - Amount
+ * @param {string} currency - CNY or USD
+ * @returns {string} e.g. ¥1.23, $0.0042
+ */
+function formatCost(amount, currency) {
+  const digits = amount > 0 && amount < 0.01 ? 4 : 2;
+  return `${CURRENCY_SYMBOLS[currency] || ""}${amount.toFixed(digits)}`;
+}
+
+function emptyCost() {
+  return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 };
+}
+
+/**
+ * 模型价格表
+ *
+ * 配置文件顶层 pricing 字段覆盖或补充默认价格（每百万 token）：
+ *   "pricing": { "MiniMax-M2.7": { "CNY": { "input": 2.1, "output": 8.4 } } }
+ * 只写出的字段会被覆盖，其余沿用默认价格。
+ */
+class Pricing {
+  /**
+   * @param {Object} [overrides] - pricing field of the config file
+   * @throws {Error} When an override is not a non-negative number
+   */
+  constructor(overrides = {}) {
+    this.prices = {};
+    for (const [model, price] of Object.entries(DEFAULT_PRICES)) {
+      this.prices[model] = { CNY: { ...price.CNY }, USD: { ...price.USD } };
+    }
+
+    for (const [model, price] of Object.entries(overrides || {})) {
+      const merged = this.prices[model] || { CNY: {}, USD: {} };
+      for (const [currency, values] of Object.entries(price || {})) {
+        if (!CURRENCIES.includes(currency)) {
+          throw new Error(t("pricing.unknownCurrency", { where: `pricing.${model}`, value: currency, options: CURRENCIES.join(", ") }));
+        }
+        for (const [key, value] of Object.entries(values || {})) {
+          if (!PRICE_KEYS.includes(key) || !(Number.isFinite(value) && value >= 0)) {
+            throw new Error(t("pricing.invalidPrice", { where: `pricing.${model}.${currency}.${key}`, value }));
+          }
+        }
+        merged[currency] = { ...merged[currency], ...values };
+      }
+      this.prices[model] = merged;
+    }
+  }
+
+  /**
+   * Price of a model
+   * 依次尝试：原名、去掉 custom: 前缀和日期后缀、MiniMax-M 系列按是否 highspeed 取通用价格
+   * @param {string} model - Model id or name
+   * @param {string} currency - CNY or USD
+   * @returns {Object|null} {input, output, cacheWrite, cacheRead} per million tokens, null when unknown
+   */
+  priceOf(model, currency) {
+    if (!model) {
+      return null;
+    }
+    const name = model.replace(/^custom:/, "").replace(/-[0-9]+$/, "");
+    const price = this.prices[model] || this.prices[name] ||
+      (name.includes("MiniMax-M") ? (name.includes("highspeed") ? HIGHSPEED_PRICE : STANDARD_PRICE) : null);
+    const values = price && price[currency];
+    return values && PRICE_KEYS.every((key) => Number.isFinite(values[key])) ? values : null;
+  }
+
+  /**
+   * Cost of token usage
+   * @param {Object} usage - {inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens}
+   * @param {string} model - Model id or name
+   * @param {string} currency - CNY or USD
+   * @returns {Object|null} {input, output, cacheWrite, cacheRead, total}, null when the model has no price
+   */
+  cost(usage, model, currency) {
+    const price = this.priceOf(model, currency);
+    if (!price) {
+      return null;
+    }
+    const cost = emptyCost();
+    cost.input = (usage.inputTokens * price.input) / 1e6;
+    cost.output = (usage.outputTokens * price.output) / 1e6;
+    cost.cacheWrite = (usage.cacheWriteTokens * price.cacheWrite) / 1e6;
+    cost.cacheRead = (usage.cacheReadTokens * price.cacheRead) / 1e6;
+    cost.total = cost.input + cost.output + cost.cacheWrite + cost.cacheRead;
+    return cost;
+  }
+
+  /**
+   * Cost of a session, summed over models
+   * @param {Object<string, Object>} usageByModel - Token usage per model, see TranscriptParser#usageByModel()
+   * @param {string} currency - CNY or USD
+   * @returns {{currency: string, input: number, output: number, cacheWrite: number, cacheRead: number,
+   *   total: number, models: Object<string, Object>, unpriced: Array<string>}}
+   */
+  sessionCost(usageByModel, currency) {
+    const result = { currency, ...emptyCost(), models: {}, unpriced: [] };
+    for (const [model, usage] of Object.entries(usageByModel)) {
+      const cost = this.cost(usage, model, currency);
+      if (!cost) {
+        result.unpriced.push(model);
+        continue;
+      }
+      result.models[model] = cost;
+      for (const key of [...PRICE_KEYS, "total"]) {
+        result[key] += cost[key];
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = Pricing;
+module.exports.CURRENCIES = CURRENCIES;
+module.exports.DEFAULT_PRICES = DEFAULT_PRICES;
+module.exports.defaultCurrency = defaultCurrency;
+module.exports.formatCost = formatCost;
@@ -1,11 +1,13 @@
 const MinimaxAPI = require("./api");
 const chalk = require("chalk").default;
+const { t, setLanguage, resolveLanguage } = require("./i18n");
 const fs = require("fs");
 const path = require("path");
 
 class PromptStatus {
   constructor() {
     this.api = new MinimaxAPI();
+    setLanguage(resolveLanguage(null, this.api.store.data.language));
   }
 
   async loadSettings() {
@@ -101,7 +103,7 @@ class PromptStatus {
         : `${remaining.minutes}m`;
 
     // 添加到期信息（如果可用）
-    const expiryInfo = expiry ? ` ${chalk.cyan('•')} 剩余: ${expiry.daysRemaining}天` : '';
+    const expiryInfo = expiry ? ` ${chalk.cyan('•')} ${t("expiry.compact", { count: expiry.daysRemaining })}` : '';
 
     return `${color("●")} ${modelName} ${color(
       percentage + "%"
@@ -0,0 +1,217 @@
+const Clock = require("./clock");
+const { t } = require("./i18n");
+const { NoDataError } = require("./errors");
+const { getContextWindowSize, getDefaultContextWindowSize } = require("./model-context-sizes");
+
+// 纯函数：解析 token_plan/remains 接口数据、汇总账单记录，不发请求也不读配置
+
+/**
+ * Parse the first model of a token_plan/remains response
+ * @param {Object} apiData - token_plan/remains response
+ * @param {Object|null} subscriptionData - Subscription response, used for the plan expiry
+ * @param {Clock} [clock] - Time zone and clock format for displayed times
+ * @returns {Object} Usage data: modelName, timeWindow, remaining, usage, weekly, contextWindow, expiry
+ * @throws {NoDataError} When the response has no models
+ */
+function parseUsageData(apiData, subscriptionData, clock = new Clock()) {
+  if (!apiData.model_remains || apiData.model_remains.length === 0) {
+    throw new NoDataError("No usage data available");
+  }
+
+  const modelData = apiData.model_remains[0];
+  const startTime = new Date(modelData.start_time);
+  const endTime = new Date(modelData.end_time);
+
+  // Calculate counts
+  // 新接口 usage_count 是已使用次数（正确值）
+  const usedCount = modelData.current_interval_usage_count;
+  const remainingCount = modelData.current_interval_total_count - usedCount;
+
+  // Calculate percentage - 基于已使用次数的百分比
+  const usedPercentage = Math.round(
+    (usedCount / modelData.current_interval_total_count) * 100
+  );
+
+  // Calculate remaining time in human-readable format
+  const remainingMs = modelData.remains_time;
+  const hours = Math.floor(remainingMs / (1000 * 60 * 60));
+  const minutes = Math.floor((remainingMs % (1000 * 60 * 60)) / (1000 * 60));
+
+  // Calculate weekly usage data
+  const weeklyUsed = modelData.current_weekly_usage_count;
+  const weeklyTotal = modelData.current_weekly_total_count;
+  const weeklyPercentage = weeklyTotal > 0 ? Math.floor((weeklyUsed / weeklyTotal) * 100) : 0;
+  const weeklyRemainingMs = modelData.weekly_remains_time;
+  const weeklyDays = Math.floor(weeklyRemainingMs / (1000 * 60 * 60 * 24));
+  const weeklyHours = Math.floor((weeklyRemainingMs % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+  const weeklyEndTime = weeklyRemainingMs > 0 ? modelData.weekly_end_time || Date.now() + weeklyRemainingMs : null;
+
+  // Parse subscription expiry date if available
+  let expiryInfo = null;
+  const expiryDay =
+    subscriptionData &&
+    subscriptionData.current_subscribe &&
+    clock.parseDay(subscriptionData.current_subscribe.current_subscribe_end_time);
+  if (expiryDay) {
+    // 按配置时区的自然日计算剩余天数
+    const daysDiff = expiryDay.diff(clock.at().startOf("day"), "day");
+
+    expiryInfo = {
+      date: clock.date(expiryDay.valueOf()),
+      // 到期日当地零点（ms），供机器可读输出使用
+      time: expiryDay.valueOf(),
+      daysRemaining: daysDiff,
+      text:
+        daysDiff > 0
+          ? t("expiry.daysLeft", { count: daysDiff })
+          : daysDiff === 0
+          ? t("expiry.today")
+          : t("expiry.expired", { count: Math.abs(daysDiff) }),
+    };
+  }
+
+  // 上下文窗口信息
+  // 根据模型名称获取上下文窗口大小，回退到默认值
+  const contextWindowSize =
+    getContextWindowSize(modelData.model_name) || getDefaultContextWindowSize();
+  const contextWindow = {
+    total: contextWindowSize,
+    used: 0,
+    percentage: 0,
+    totalFormatted: "200K",
+    usedFormatted: "0K",
+  };
+
+  return {
+    modelName: modelData.model_name,
+    timeWindow: {
+      start: clock.time(startTime),
+      end: clock.time(endTime),
+      timezone: clock.offsetLabel(startTime),
+      // 原始时间（ms），供机器可读输出使用
+      startTime: startTime.getTime(),
+      endTime: endTime.getTime(),
+    },
+    remaining: {
+      hours,
+      minutes,
+      // 重置时刻（按配置的时区和时钟格式）
+      resetAt: clock.time(endTime),
+      text:
+        hours > 0
+          ? t("quota.resetInHoursMinutes", { hours, minutes })
+          : t("quota.resetInMinutes", { minutes }),
+    },
+    usage: {
+      used: usedCount,
+      remaining: remainingCount,
+      total: modelData.current_interval_total_count,
+      percentage: usedPercentage,
+    },
+    weekly: {
+      used: weeklyUsed,
+      total: weeklyTotal,
+      percentage: weeklyPercentage,
+      days: weeklyDays,
+      hours: weeklyHours,
+      unlimited: weeklyTotal === 0,
+      resetAt: weeklyEndTime === null ? null : clock.dateTime(weeklyEndTime),
+      endTime: weeklyEndTime,
+      text: weeklyDays > 0
+        ? t("quota.resetInDaysHours", { days: weeklyDays, hours: weeklyHours })
+        : t("quota.resetInHours", { hours: weeklyHours }),
+    },
+    contextWindow,
+    expiry: expiryInfo,
+  };
+}
+
+/**
+ * Parse all models from API data
+ * @param {Object} apiData - Raw API response
+ * @returns {Array} Array of model usage data
+ */
+function parseAllModels(apiData) {
+  if (!apiData.model_remains || apiData.model_remains.length === 0) {
+    return [];
+  }
+
+  return apiData.model_remains.map(modelData => {
+    const totalCount = modelData.current_interval_total_count;
+    // 新接口 usage_count 是已使用次数（正确值）
+    const usedCount = modelData.current_interval_usage_count;
+    const remainingCount = totalCount - usedCount;
+    const usedPercentage = totalCount > 0 ? Math.round((usedCount / totalCount) * 100) : 0;
+
+    // Weekly data
+    const weeklyTotal = modelData.current_weekly_total_count || 0;
+    const weeklyUsed = modelData.current_weekly_usage_count || 0;
+    const weeklyRemainingCount = weeklyTotal - weeklyUsed;
+    const weeklyPercentage = weeklyTotal > 0 ? Math.floor((weeklyUsed / weeklyTotal) * 100) : 0;
+
+    return {
+      name: modelData.model_name,
+      used: usedCount,
+      remaining: remainingCount,
+      total: totalCount,
+      percentage: usedPercentage,
+      unlimited: weeklyTotal === 0,
+      weeklyPercentage,
+      weeklyTotal,
+      weeklyRemainingCount,
+    };
+  });
+}
+
+/**
+ * Calculate usage statistics from billing records
+ * @param {Array} records - Billing records from account/amount API
+ * @param {number} planStartTime - Plan start time in milliseconds
+ * @param {number} planEndTime - Plan end time in milliseconds
+ * @param {Clock} [clock] - Time zone for the "yesterday" boundaries
+ * @param {number} [now] - Current time (ms)
+ * @returns {{lastDayUsage: number, weeklyUsage: number, planTotalUsage: number}} Usage statistics
+ */
+function calculateUsageStats(records, planStartTime, planEndTime, clock = new Clock(), now = Date.now()) {
+  // 昨日（0点到现在）或者取最近一次账单的日期
+  // 账单记录不是实时的，当日消耗要明天才显示，所以显示"昨日"
+  // 日期边界按配置的时区计算
+  const todayStart = clock.startOfDay(now);
+  const yesterdayStart = clock.startOfDay(todayStart - 1);
+  const weekAgo = now - 7 * 24 * 60 * 60 * 1000;
+
+  const stats = {
+    lastDayUsage: 0,
+    weeklyUsage: 0,
+    planTotalUsage: 0,
+  };
+
+  for (const record of records) {
+    const tokens = parseInt(record.consume_token, 10) || 0;
+    // 账单记录的 created_at 是秒级时间戳，转换为毫秒
+    const createdAt = (record.created_at || 0) * 1000;
+
+    // 昨日消耗（从昨日0点到现在）
+    if (createdAt >= yesterdayStart && createdAt < todayStart) {
+      stats.lastDayUsage += tokens;
+    }
+
+    // 近7天消耗
+    if (createdAt >= weekAgo) {
+      stats.weeklyUsage += tokens;
+    }
+
+    // 统计周期内总消耗
+    if (createdAt >= planStartTime && createdAt <= planEndTime) {
+      stats.planTotalUsage += tokens;
+    }
+  }
+
+  return stats;
+}
+
+module.exports = {
+  parseUsageData,
+  parseAllModels,
+  calculateUsageStats,
+};
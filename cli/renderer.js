@@ -1,19 +1,30 @@
 #!/usr/bin/env node
 
 const chalk = require('chalk').default;
+const { default: stringWidth } = require('string-width');
+const { formatShortDuration } = require('./forecast');
+const { t } = require('./i18n');
+const { renderTemplate } = require('./template');
+const { formatCost } = require('./pricing');
+const { normalizeLayout } = require('./statusline-config');
+const { Palette, resolveColorDepth } = require('./themes');
 
 class Renderer {
-  constructor() {
+  /**
+   * @param {Object} [layout] - Lines and segment settings, see statusline-config.loadLayout()
+   */
+  constructor(layout = normalizeLayout()) {
+    this.layout = layout;
+    this.theme = layout.theme;
     this.RESET = '\x1b[0m';
-    // 自动检测：如果环境变量设置了 MINIMAX_PLAIN_UI 或者是 NO_NERD_FONTS，则停用特殊图标
-    this.useNerdFonts = !process.env.MINIMAX_PLAIN_UI && !process.env.NO_NERD_FONTS;
-    
-    // 图标配置
-    this.icons = {
-      arrow: this.useNerdFonts ? '\uE0B0' : '>',
-      leftArrow: this.useNerdFonts ? '\uE0B0' : '>', // 改为顺向箭头，实现顺行感
-      branch: this.useNerdFonts ? '\uE0A0' : '*'
-    };
+    // 色深：配置的 colorDepth，auto 时使用 chalk 检测的结果（COLORTERM、TERM）
+    this.palette = new Palette(resolveColorDepth(layout.colorDepth, chalk.level));
+    this.useNerdFonts = Boolean(this.theme.nerdFonts);
+    // 图标和符号（箭头、分支、✓ 等）由主题决定，ascii 主题只用 ASCII 字符
+    this.icons = this.theme.icons;
+    this.symbols = this.theme.symbols;
+    // 缩写级别：0 完整，1 使用 compact 模板，2 再把目录、分支、模型名截短到 compactLength
+    this.level = 0;
   }
 
   formatTokens(tokens) {
@@ -61,113 +72,278 @@ class Renderer {
     return desc.slice(0, maxLen - 3) + '...';
   }
 
+  // 按显示宽度截断（中文占两列），用于限定宽度的行
+  fitText(text, maxWidth) {
+    if (!text || stringWidth(text) <= maxWidth) return text;
+    let out = '';
+    for (const char of text) {
+      if (stringWidth(out + char) > maxWidth - 3) break;
+      out += char;
+    }
+    return out + '...';
+  }
+
+  // 多行文本中最宽一行的显示宽度
+  lineWidth(text) {
+    return Math.max(...text.split('\n').map((line) => stringWidth(line)));
+  }
+
   getStatusColor(percentage) {
     if (percentage >= 85) return chalk.red;
     if (percentage >= 60) return chalk.yellow;
     return chalk.green;
   }
 
-  renderSessionLine(data) {
-    const {
-      modelName, currentDir, usagePercentage, usage,
-      remaining, expiry, contextUsage, contextSize, weekly, gitBranch
-    } = data;
+  // 数据年龄，如 "45s"、"5m"、"2h"
+  formatAge(ms) {
+    if (ms < 60000) return `${Math.max(0, Math.round(ms / 1000))}s`;
+    if (ms < 3600000) return `${Math.floor(ms / 60000)}m`;
+    if (ms < 86400000) return `${Math.floor(ms / 3600000)}h`;
+    return `${Math.floor(ms / 86400000)}d`;
+  }
+
+  // 文字颜色：主题颜色、#RRGGBB 或 chalk 颜色名（yellow、cyan 等）
+  paint(color) {
+    return this.palette.fg(color);
+  }
 
-    const blocks = [];
+  // 缩写级别 >= 1 时优先使用 compact 模板（compactFormat、compactWeeklyFormat 等）
+  formatOf(segment, key = 'format') {
+    const compactKey = `compact${key[0].toUpperCase()}${key.slice(1)}`;
+    return this.level >= 1 && segment[compactKey] !== undefined ? segment[compactKey] : segment[key];
+  }
 
-    // Pure Powerline Data Blocks
-    if (currentDir) {
-      blocks.push({ text: ` ${currentDir} `, bg: '#2563EB', fg: '#FFFFFF' });
-    }
+  // 缩写级别 2 时截短名称，保留首尾
+  shorten(text, segment) {
+    const max = segment.compactLength;
+    if (this.level < 2 || !max || text.length <= max) return text;
+    const tail = Math.floor((max - 1) / 3);
+    return text.substring(0, max - 1 - tail) + this.symbols.ellipsis + text.substring(text.length - tail);
+  }
 
-    if (gitBranch && gitBranch.name) {
-      let name = gitBranch.name;
-      if (name.length > 20) name = name.substring(0, 10) + '…' + name.substring(name.length - 7);
-      const star = gitBranch.hasChanges ? ' *' : '';
-      blocks.push({ text: ` ${this.icons.branch} ${name}${star} `, bg: '#9333EA', fg: '#FFFFFF' });
-    }
+  // 单个磁贴，模板渲染结果为空时不显示
+  block(segment, format, vars, bg = segment.bg) {
+    const text = renderTemplate(format, { dot: this.symbols.dot, ...vars });
+    if (!text.trim()) return null;
+    return { text: ` ${text} `, bg, fg: segment.fg };
+  }
 
-    if (modelName) {
-      blocks.push({ text: ` ${modelName} `, bg: '#4C1D95', fg: '#FFFFFF' });
+  renderDir(segment, { currentDir }) {
+    return currentDir ? this.block(segment, this.formatOf(segment), { dir: this.shorten(currentDir, segment) }) : null;
+  }
+
+  renderGit(segment, { gitBranch }) {
+    if (!gitBranch || !gitBranch.name) return null;
+    let name = gitBranch.name;
+    if (name.length > 20) name = name.substring(0, 10) + this.symbols.ellipsis + name.substring(name.length - 7);
+    return this.block(segment, this.formatOf(segment), {
+      icon: this.icons.branch,
+      branch: this.shorten(name, segment),
+      dirty: gitBranch.hasChanges ? ' *' : '',
+      ahead: gitBranch.ahead > 0 ? gitBranch.ahead : '',
+      behind: gitBranch.behind > 0 ? gitBranch.behind : '',
+    });
+  }
+
+  renderModel(segment, { modelName }) {
+    return modelName ? this.block(segment, this.formatOf(segment), { model: this.shorten(modelName, segment) }) : null;
+  }
+
+  renderContext(segment, { contextUsage, contextSize }) {
+    if (!contextSize) return null;
+    const vars = {
+      percent: contextUsage ? Math.round((contextUsage / contextSize) * 100) : 0,
+      used: this.formatTokens(contextUsage || 0),
+      size: this.formatContextSize(contextSize),
+    };
+    return this.block(segment, this.formatOf(segment, contextUsage ? 'format' : 'emptyFormat'), vars);
+  }
+
+  renderExpiry(segment, { expiry }) {
+    if (!expiry) return null;
+    let bg = segment.bg;
+    if (expiry.daysRemaining <= 7) bg = segment.warnBg;
+    if (expiry.daysRemaining <= 3) bg = segment.dangerBg;
+    return this.block(segment, this.formatOf(segment), {
+      days: expiry.daysRemaining,
+      date: expiry.date,
+      text: t('expiry.short', { count: expiry.daysRemaining }),
+    }, bg);
+  }
+
+  // sessionCost 为 TranscriptParser 的 cost（两种币种），currency 为显示币种
+  renderCost(segment, { sessionCost, currency }) {
+    if (!sessionCost || !sessionCost[currency] || !(sessionCost[currency].total > 0)) return null;
+    return this.block(segment, this.formatOf(segment), {
+      cost: formatCost(sessionCost[currency].total, currency),
+      cny: formatCost(sessionCost.CNY.total, 'CNY'),
+      usd: formatCost(sessionCost.USD.total, 'USD'),
+    });
+  }
+
+  // sessionTokens 为 TranscriptParser#usageTotals()
+  renderCache(segment, { sessionTokens }) {
+    if (!sessionTokens || !sessionTokens.totalTokens) return null;
+    return this.block(segment, this.formatOf(segment), {
+      label: t('statusline.cacheLabel'),
+      ratio: Math.round((sessionTokens.cacheHitRatio || 0) * 100),
+      total: this.formatTokens(sessionTokens.totalTokens),
+      input: this.formatTokens(sessionTokens.inputTokens),
+      output: this.formatTokens(sessionTokens.outputTokens),
+      cacheRead: this.formatTokens(sessionTokens.cacheReadTokens),
+      cacheWrite: this.formatTokens(sessionTokens.cacheWriteTokens),
+      turns: sessionTokens.turns,
+    });
+  }
+
+  renderQuota(segment, { label, usage, weekly, forecast }) {
+    if (!usage || usage.total <= 0) return null;
+    const usagePercentage = usage.percentage;
+    let bg = segment.bg;
+    if (usagePercentage >= 95) bg = segment.dangerBg;
+    else if (usagePercentage >= 75) bg = segment.warnBg;
+
+    const parts = [renderTemplate(this.formatOf(segment), {
+      dot: this.symbols.dot,
+      label: label ? `${label} ` : '',
+      percent: usagePercentage,
+      used: usage.used,
+      remaining: usage.remaining,
+      total: usage.total,
+    })];
+    if (weekly) {
+      // 按当前速率周额度会在周重置前用完
+      const exhausts = !weekly.unlimited && forecast && forecast.weekly && !forecast.weekly.resetsFirst;
+      parts.push(renderTemplate(this.formatOf(segment, 'weeklyFormat'), {
+        dot: this.symbols.dot,
+        weekly: weekly.unlimited ? this.symbols.infinity : `${weekly.percentage}%`,
+        exhaust: exhausts
+          ? ` (${t('statusline.exhaustIn', { duration: formatShortDuration(forecast.weekly.exhaustInMs) })})`
+          : '',
+      }));
     }
+    const text = parts.filter((part) => part.trim()).join(` ${this.symbols.dot} `);
+    return text ? { text: ` ${text} `, bg, fg: segment.fg } : null;
+  }
 
-    if (contextSize) {
-      if (contextUsage) {
-        const pct = Math.round((contextUsage / contextSize) * 100);
-        blocks.push({ text: ` ${pct}% · ${this.formatTokens(contextUsage)} `, bg: '#0369A1', fg: '#FFFFFF' });
+  renderReset(segment, { remaining, forecast }) {
+    if (!remaining) return null;
+    let bg = segment.bg;
+    let forecastText = '';
+    // 耗尽预测：先用完则标红，否则提示会先重置
+    if (forecast && forecast.interval) {
+      if (forecast.interval.resetsFirst) {
+        forecastText = ` ${this.symbols.dot} ${t('statusline.resetsFirst')}`;
       } else {
-        blocks.push({ text: ` ${this.formatContextSize(contextSize)} `, bg: '#0369A1', fg: '#FFFFFF' });
+        forecastText = ` ${this.symbols.dot} ${t('statusline.exhaustIn', { duration: formatShortDuration(forecast.interval.exhaustInMs) })}`;
+        bg = segment.dangerBg;
       }
     }
+    return this.block(segment, this.formatOf(segment), {
+      countdown: remaining.hours > 0 ? `${remaining.hours}h${remaining.minutes}m` : `${remaining.minutes}m`,
+      resetAt: remaining.resetAt || '',
+      forecast: forecastText,
+    }, bg);
+  }
 
-    if (usage && usage.total > 0) {
-      let bg = '#065F46'; // safe (Emerald 800 - dark enough for white text)
-      if (usagePercentage >= 95) bg = '#991B1B'; // danger (Red 800)
-      else if (usagePercentage >= 75) bg = '#9A3412'; // warn (Orange 800)
+  // 上游不可用时显示的是缓存数据，标注数据年龄
+  renderAge(segment, { staleSince }) {
+    if (!staleSince) return null;
+    return this.block(segment, this.formatOf(segment), {
+      age: t('statusline.age', { age: this.formatAge(Date.now() - staleSince) }),
+    });
+  }
 
-      let usageText = ` ${usagePercentage}%  (${usage.remaining}/${usage.total}) `;
-      
-      if (weekly) {
-        if (weekly.unlimited) {
-          usageText += `· W ∞ `;
-        } else {
-          usageText += `· W ${weekly.percentage}% `;
-        }
+  /**
+   * Render consecutive account segments (quota, reset, age) for every account
+   * 多区域（国内 + 海外）时每个账号各自渲染一组磁贴，并加上区域标签
+   * @param {Array<string>} names - Segment names of the group
+   * @param {Object} data - Render context
+   * @returns {Array<Object>} Blocks
+   */
+  renderQuotaBlocks(names, data) {
+    const { usage, weekly, remaining, forecast, staleSince, quotaError } = data;
+    const accounts = data.accounts && data.accounts.length > 1
+      ? data.accounts
+      : [{ usage, weekly, remaining, forecast, staleSince, error: quotaError }];
+    const blocks = [];
+
+    for (const account of accounts) {
+      // 没有任何可用数据时只显示错误标记
+      if (account.error) {
+        const prefix = account.label ? `${account.label} ` : '';
+        blocks.push({ text: ` ${prefix}${this.symbols.warning} ${account.error} `, bg: this.layout.segments.quota.errorBg });
+        continue;
+      }
+      for (const name of names) {
+        blocks.push(this.renderSegmentBlock(name, account));
       }
-      blocks.push({ text: usageText, bg: bg, fg: '#FFFFFF' });
     }
+    return blocks.filter(Boolean);
+  }
 
-    if (remaining) {
-      const remainingText = remaining.hours > 0 ? `${remaining.hours}h${remaining.minutes}m` : `${remaining.minutes}m`;
-      blocks.push({ text: ` ${remainingText} `, bg: '#92400E', fg: '#FFFFFF' });
-    }
+  renderSegmentBlock(name, data) {
+    const segment = this.layout.segments[name];
+    const method = `render${name[0].toUpperCase()}${name.slice(1)}`;
+    return this[method](segment, data);
+  }
 
-    if (expiry) {
-      let bg = '#374151'; // Gray 700
-      if (expiry.daysRemaining <= 7) bg = '#9A3412';
-      if (expiry.daysRemaining <= 3) bg = '#991B1B';
-      blocks.push({ text: ` 剩${expiry.daysRemaining}天 `, bg: bg, fg: '#FFFFFF' });
+  /**
+   * Join blocks into a Powerline strip, or colored text for flat themes
+   * @param {Array<Object>} blocks - {text, bg, fg}
+   * @returns {string}
+   */
+  renderBlocks(blocks) {
+    const palette = this.palette;
+
+    // flat 主题没有背景色，磁贴颜色用作文字颜色
+    if (this.theme.style === 'flat') {
+      return blocks.map((b) => palette.fg(b.fg || b.bg)(b.text.trim())).join(this.theme.separator);
     }
 
     // Powerline arrow seamless integration
     let out = '';
     const arrow = this.icons.arrow;
-    
+    const text = palette.fg(this.theme.text);
+
     for (let i = 0; i < blocks.length; i++) {
       const b = blocks[i];
+      const background = palette.bg(b.bg);
       // 顺行式起点：使用正向箭头 + 黑色前景色模拟内凹效果
       if (i === 0) {
-        out += this.RESET + chalk.bgHex(b.bg).black(this.icons.leftArrow);
+        out += (palette.level > 0 ? this.RESET : '') + background(palette.fg('black')(this.icons.leftArrow));
       }
-      // 磁贴文字
-      out += chalk.bgHex(b.bg).whiteBright(b.text);
+      // 磁贴文字（设置了 fg 的磁贴使用自身前景色，如数据年龄等次要信息）
+      out += background((b.fg ? palette.fg(b.fg) : text)(b.text));
       if (i < blocks.length - 1) {
         const nextB = blocks[i + 1];
         if (this.useNerdFonts) {
-          out += chalk.bgHex(nextB.bg).hex(b.bg)(arrow);
+          out += palette.bg(nextB.bg)(palette.fg(b.bg)(arrow));
         } else {
-          out += chalk.bgHex(b.bg).whiteBright(arrow);
+          out += background(text(arrow));
         }
       } else {
-        out += chalk.hex(b.bg)(arrow);
+        out += palette.fg(b.bg)(arrow);
       }
     }
 
     return out;
   }
 
-  renderToolsLine(tools) {
+  renderToolsLine(tools, segment = this.layout.segments.tools, width = null) {
     if (!tools || tools.length === 0) {
       return null;
     }
 
+    const colors = segment.colors;
     const parts = [];
     const runningTools = tools.filter(t => t.status === 'running');
     const completedTools = tools.filter(t => t.status === 'completed' || t.status === 'error');
 
-    for (const tool of runningTools.slice(-2)) {
+    for (const tool of segment.maxRunning > 0 ? runningTools.slice(-segment.maxRunning) : []) {
       const target = tool.target ? this.truncatePath(tool.target) : '';
-      parts.push(`${chalk.yellow('◐')} ${chalk.cyan(tool.name)}${target ? chalk.cyan(': ' + target) : ''}`);
+      const paintTarget = this.paint(colors.target);
+      parts.push(`${this.paint(colors.running)(this.symbols.running)} ${paintTarget(tool.name)}${target ? paintTarget(': ' + target) : ''}`);
     }
 
     const toolCounts = new Map();
@@ -178,10 +354,15 @@ class Renderer {
 
     const sortedTools = Array.from(toolCounts.entries())
       .sort((a, b) => b[1] - a[1])
-      .slice(0, 4);
+      .slice(0, segment.maxItems);
 
     for (const [name, count] of sortedTools) {
-      parts.push(`${chalk.green('✓')} ${name} ${chalk.green('×' + count)}`);
+      parts.push(`${this.paint(colors.done)(this.symbols.done)} ${name} ${this.paint(colors.done)(this.symbols.times + count)}`);
+    }
+
+    // 限定宽度时从末尾去掉计数项，至少保留一项
+    while (width && parts.length > 1 && stringWidth(parts.join(' | ')) > width) {
+      parts.pop();
     }
 
     if (parts.length === 0) {
@@ -191,17 +372,18 @@ class Renderer {
     return parts.join(' | ');
   }
 
-  renderAgentsLine(agents) {
-    if (!agents || agents.length === 0) {
+  renderAgentsLine(agents, segment = this.layout.segments.agents, width = null) {
+    if (!agents || agents.length === 0 || segment.maxItems === 0) {
       return null;
     }
 
+    const colors = segment.colors;
     const runningAgents = agents.filter(a => a.status === 'running');
-    const recentCompleted = agents
-      .filter(a => a.status === 'completed')
-      .slice(-2);
+    const recentCompleted = segment.maxCompleted > 0
+      ? agents.filter(a => a.status === 'completed').slice(-segment.maxCompleted)
+      : [];
 
-    const toShow = [...runningAgents, ...recentCompleted].slice(-3);
+    const toShow = [...runningAgents, ...recentCompleted].slice(-segment.maxItems);
 
     if (toShow.length === 0) {
       return null;
@@ -209,68 +391,155 @@ class Renderer {
 
     const lines = [];
     for (const agent of toShow) {
-      const statusIcon = agent.status === 'running' ? chalk.yellow('◐') : chalk.green('✓');
-      const type = chalk.magenta(agent.type);
-      const model = agent.model ? chalk.cyan('[' + agent.model + ']') : '';
-      const desc = agent.description ? chalk.white(': ' + this.truncateDesc(agent.description)) : '';
-
+      const statusIcon = agent.status === 'running'
+        ? this.paint(colors.running)(this.symbols.running)
+        : this.paint(colors.done)(this.symbols.done);
+      const type = this.paint(colors.type)(agent.type);
+      const model = agent.model ? this.paint(colors.model)('[' + agent.model + ']') : '';
       const now = Date.now();
       const start = agent.startTime?.getTime() || now;
       const end = agent.endTime?.getTime() || now;
       const elapsed = this.formatDuration(end - start);
 
-      lines.push(`${statusIcon} ${type}${model}${desc} ${chalk.yellow('(' + elapsed + ')')}`);
+      let description = agent.description ? this.truncateDesc(agent.description) : '';
+      if (description && width) {
+        // 描述占用其余宽度，放不下时省略
+        const room = width - stringWidth(`${statusIcon} ${type}${model}:  (${elapsed})`);
+        description = room >= 8 ? this.fitText(description, room) : '';
+      }
+      const desc = description ? this.paint(colors.description)(': ' + description) : '';
+
+      lines.push(`${statusIcon} ${type}${model}${desc} ${this.paint(colors.elapsed)('(' + elapsed + ')')}`);
     }
 
     return lines.join('\n');
   }
 
-  renderTodosLine(todos) {
+  renderTodosLine(todos, segment = this.layout.segments.todos, width = null) {
     if (!todos || todos.length === 0) {
       return null;
     }
 
-    const inProgress = todos.find(t => t.status === 'in_progress');
+    const colors = segment.colors;
+    const inProgress = todos.filter(t => t.status === 'in_progress').slice(0, segment.maxItems);
     const completed = todos.filter(t => t.status === 'completed').length;
     const total = todos.length;
 
-    if (!inProgress) {
+    if (inProgress.length === 0) {
       if (completed === total && total > 0) {
-        return `${chalk.green('✓')} All todos complete ${chalk.green('(' + completed + '/' + total + ')')}`;
+        return `${this.paint(colors.done)(this.symbols.done)} ${t('statusline.todosDone')} ${this.paint(colors.done)('(' + completed + '/' + total + ')')}`;
       }
       return null;
     }
 
-    const content = this.truncateDesc(inProgress.content, 50);
-    const progress = chalk.white('(' + completed + '/' + total + ')');
+    let content = inProgress.map(todo => this.truncateDesc(todo.content, 50)).join(' | ');
+    const progress = this.paint(colors.progress)('(' + completed + '/' + total + ')');
+    if (width) {
+      content = this.fitText(content, Math.max(8, width - stringWidth(`${this.symbols.active}  ${progress}`)));
+    }
 
-    return `${chalk.yellow('▸')} ${content} ${progress}`;
+    return `${this.paint(colors.active)(this.symbols.active)} ${content} ${progress}`;
   }
 
-  render(context) {
-    const lines = [];
+  /**
+   * Render one configured line, fitted to a width
+   * 超宽时先逐级缩写（compact 模板、截短名称），仍放不下再按 priority 从低到高去掉段
+   * @param {Array<string>} names - Segment names in display order
+   * @param {Object} context - Render context
+   * @param {number|null} [width] - Available columns, null for no limit
+   * @returns {string|null} Line, null when every segment is empty
+   */
+  renderLine(names, context, width = null) {
+    if (!width) {
+      return this.composeLine(names, context, 0);
+    }
 
-    const sessionLine = this.renderSessionLine(context);
-    if (sessionLine) {
-      lines.push(sessionLine);
+    const fits = (line) => !line || this.lineWidth(line) <= width;
+    for (let level = 0; level <= 2; level++) {
+      const line = this.composeLine(names, context, level, width);
+      if (fits(line)) return line;
     }
 
-    const toolsLine = this.renderToolsLine(context.tools);
-    if (toolsLine) {
-      lines.push(toolsLine);
+    const byPriority = [...names].sort(
+      (a, b) => this.layout.segments[a].priority - this.layout.segments[b].priority
+    );
+    let kept = names;
+    for (const name of byPriority.slice(0, -1)) {
+      kept = kept.filter((item) => item !== name);
+      const line = this.composeLine(kept, context, 2, width);
+      if (fits(line)) return line;
     }
+    // 只剩优先级最高的段仍然超宽时原样输出
+    return this.composeLine(kept, context, 2, width);
+  }
+
+  /**
+   * Render segments of one line at an abbreviation level
+   * 连续的磁贴合并为一条 Powerline，文本段之间用 " | " 分隔
+   * @param {Array<string>} names - Segment names in display order
+   * @param {Object} context - Render context
+   * @param {number} level - Abbreviation level, 0-2
+   * @param {number|null} [width] - Available columns for text segments
+   * @returns {string|null} Line, null when every segment is empty
+   */
+  composeLine(names, context, level, width = null) {
+    this.level = level;
+    const parts = [];
+    let blocks = [];
+    const flush = () => {
+      if (blocks.length > 0) {
+        parts.push({ text: this.renderBlocks(blocks), blocks: true });
+        blocks = [];
+      }
+    };
 
-    const agentsLine = this.renderAgentsLine(context.agents);
-    if (agentsLine) {
-      lines.push(agentsLine);
+    for (let i = 0; i < names.length; i++) {
+      const segment = this.layout.segments[names[i]];
+      if (segment.type === 'account') {
+        // 连续的额度段按账号成组
+        const group = [names[i]];
+        while (i + 1 < names.length && this.layout.segments[names[i + 1]].type === 'account') {
+          group.push(names[++i]);
+        }
+        blocks.push(...this.renderQuotaBlocks(group, context));
+      } else if (segment.type === 'block') {
+        const block = this.renderSegmentBlock(names[i], context);
+        if (block) blocks.push(block);
+      } else {
+        flush();
+        const text = {
+          tools: () => this.renderToolsLine(context.tools, segment, width),
+          agents: () => this.renderAgentsLine(context.agents, segment, width),
+          todos: () => this.renderTodosLine(context.todos, segment, width),
+        }[names[i]]();
+        if (text) parts.push({ text });
+      }
     }
+    flush();
+    this.level = 0;
 
-    const todosLine = this.renderTodosLine(context.todos);
-    if (todosLine) {
-      lines.push(todosLine);
+    if (parts.length === 0) {
+      return null;
     }
+    return parts.reduce((out, part, index) => {
+      if (index === 0) return part.text;
+      const separator = part.blocks || parts[index - 1].blocks ? ' ' : ' | ';
+      return out + separator + part.text;
+    }, '');
+  }
 
-    return lines.join('\n');
+  /**
+   * Render every configured line
+   * @param {Object} context - Session and quota data
+   * @param {Object} [options]
+   * @param {number} [options.width] - Available columns; lines are abbreviated to fit
+   * @returns {string}
+   */
+  render(context, options = {}) {
+    return this.layout.lines
+      .map((names) => this.renderLine(names, context, options.width || null))
+      .filter(Boolean)
+      .join('\n');
   }
 }
 
@@ -0,0 +1,50 @@
+// 默认重试策略：最多重试 2 次，退避 0.5s、1s……最长等待 8s
+const DEFAULT_RETRY = {
+  retries: 2,
+  baseDelay: 500,
+  maxDelay: 8000,
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an async function with bounded exponential backoff
+ *
+ * 只重试 error.retryable 为 true 的错误（限流、5xx、网络、超时）。
+ * 错误带 retryAfter 时按服务端要求等待；要求等待超过 maxDelay 时不再重试。
+ *
+ * @param {Function} fn - Async function, receives the attempt number (0-based)
+ * @param {Object} [options] - Overrides of DEFAULT_RETRY
+ * @returns {Promise<any>} Result of fn
+ */
+async function withRetry(fn, options = {}) {
+  const { retries, baseDelay, maxDelay } = { ...DEFAULT_RETRY, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!error.retryable || attempt >= retries) {
+        throw error;
+      }
+
+      let delay;
+      if (typeof error.retryAfter === "number") {
+        delay = error.retryAfter;
+      } else {
+        // 指数退避加抖动，避免多个进程同时重试
+        const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+        delay = backoff / 2 + Math.random() * (backoff / 2);
+      }
+      if (delay > maxDelay) {
+        throw error;
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = withRetry;
+module.exports.DEFAULT_RETRY = DEFAULT_RETRY;
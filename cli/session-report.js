@@ -0,0 +1,343 @@
+const chalk = require('chalk').default;
+const { default: stringWidth } = require('string-width');
+const { CURRENCIES, formatCost } = require('./pricing');
+const { cacheHitRatio } = require('./transcript-parser');
+const Clock = require('./clock');
+const { t } = require('./i18n');
+
+const SCHEMA_VERSION = 1;
+const CATEGORIES = ['input', 'output', 'cacheWrite', 'cacheRead'];
+
+function emptyTokens() {
+  return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, total: 0 };
+}
+
+// usageByModel() 的字段 => 分类名
+function tokensOf(usage) {
+  const tokens = {
+    input: usage.inputTokens,
+    output: usage.outputTokens,
+    cacheWrite: usage.cacheWriteTokens,
+    cacheRead: usage.cacheReadTokens,
+  };
+  tokens.total = tokens.input + tokens.output + tokens.cacheWrite + tokens.cacheRead;
+  return tokens;
+}
+
+/**
+ * Validate the plan field of the config file
+ * 套餐月费，用于和按量计费比较，如 { "price": 49, "currency": "CNY" }
+ * @param {Object} [plan] - plan field of the config file
+ * @returns {{price: number, currency: string}|null} null when no plan is configured
+ * @throws {Error} When the price or currency is invalid
+ */
+function normalizePlan(plan) {
+  if (plan === undefined || plan === null) {
+    return null;
+  }
+  if (!(Number.isFinite(plan.price) && plan.price > 0)) {
+    throw new Error(t('session.invalidPlanPrice', { value: plan.price }));
+  }
+  const currency = plan.currency || 'CNY';
+  if (!CURRENCIES.includes(currency)) {
+    throw new Error(t('pricing.unknownCurrency', { where: 'plan.currency', value: currency, options: CURRENCIES.join(', ') }));
+  }
+  return { price: plan.price, currency };
+}
+
+/**
+ * Summarize the token usage and cost of a session
+ * @param {Object} session - Session from a session source, see sessions/session-source.js
+ * @param {Object} [options]
+ * @param {{price: number, currency: string}|null} [options.plan] - Monthly plan price, see normalizePlan()
+ * @returns {Object} {source, file, tokens, cost: {CNY, USD}, models, unpriced: {CNY, USD}, plan}
+ */
+function summarizeSession(session, options = {}) {
+  const { usage = {}, cost } = session.transcript;
+  const tokens = emptyTokens();
+  const models = Object.entries(usage).map(([model, modelUsage]) => {
+    const modelTokens = tokensOf(modelUsage);
+    for (const key of [...CATEGORIES, 'total']) {
+      tokens[key] += modelTokens[key];
+    }
+    return {
+      model,
+      messages: modelUsage.messages,
+      tokens: modelTokens,
+      // 没有价格的模型为 null
+      cost: {
+        CNY: cost.CNY.models[model] ? cost.CNY.models[model].total : null,
+        USD: cost.USD.models[model] ? cost.USD.models[model].total : null,
+      },
+    };
+  });
+
+  let plan = null;
+  if (options.plan) {
+    const sessionCost = cost[options.plan.currency].total;
+    plan = {
+      ...options.plan,
+      // 本会话按量计费占套餐月费的比例，以及多少个同样的会话花费与套餐相当
+      share: sessionCost / options.plan.price,
+      sessionsPerPlan: sessionCost > 0 ? Math.floor(options.plan.price / sessionCost) : null,
+    };
+  }
+
+  const totals = ({ input, output, cacheWrite, cacheRead, total }) => ({ input, output, cacheWrite, cacheRead, total });
+  return {
+    source: session.source,
+    file: session.file,
+    tokens,
+    cost: { CNY: totals(cost.CNY), USD: totals(cost.USD) },
+    models,
+    // 价格可能只配置了一种币种，按币种分别列出
+    unpriced: { CNY: cost.CNY.unpriced, USD: cost.USD.unpriced },
+    plan,
+  };
+}
+
+/**
+ * Summarize the cumulative token usage of a session
+ * @param {Object} session - Session from a session source, see sessions/session-source.js
+ * @returns {Object} {source, file, totals, models, turns}, see TranscriptParser#usageTotals() and #usageByTurn()
+ */
+function summarizeUsage(session) {
+  const { usage = {}, totals, turns = [] } = session.transcript;
+  return {
+    source: session.source,
+    file: session.file,
+    totals,
+    models: Object.entries(usage).map(([model, modelUsage]) => ({
+      model,
+      ...modelUsage,
+      cacheHitRatio: cacheHitRatio(modelUsage),
+    })),
+    turns,
+  };
+}
+
+class SessionReport {
+  /**
+   * @param {Object} options
+   * @param {string} [options.currency] - Currency shown first in the cost report, CNY or USD
+   * @param {string} [options.label] - Display name of the session source
+   * @param {number} [options.limit] - Latest turns shown in the usage report
+   * @param {Clock} [options.clock] - Time zone of turn start times
+   */
+  constructor(options) {
+    this.currency = options.currency;
+    this.label = options.label || '';
+    this.limit = options.limit || 20;
+    this.clock = options.clock || new Clock();
+  }
+
+  formatTokens(tokens) {
+    return tokens.toLocaleString('en-US');
+  }
+
+  padEnd(text, width) {
+    return text + ' '.repeat(Math.max(0, width - stringWidth(text)));
+  }
+
+  padStart(text, width) {
+    return ' '.repeat(Math.max(0, width - stringWidth(text))) + text;
+  }
+
+  // 显示币种在前
+  get currencies() {
+    return [this.currency, ...CURRENCIES.filter((currency) => currency !== this.currency)];
+  }
+
+  /**
+   * Render a summary as terminal tables
+   * @param {Object} summary - Result of summarizeSession()
+   * @returns {string} Table text
+   */
+  renderTable(summary) {
+    const lines = [];
+    lines.push(chalk.bold(t('session.costTitle')) + chalk.gray(t('session.costSubtitle', { source: this.label })));
+    if (summary.file) {
+      lines.push(chalk.gray(summary.file));
+    }
+    lines.push('');
+
+    if (summary.models.length === 0) {
+      lines.push(chalk.yellow(t('session.noUsage')));
+      return lines.join('\n');
+    }
+
+    // 按分类：token 数和两种币种的费用，所有模型都没有价格的币种显示为 -
+    const priced = (currency) => summary.unpriced[currency].length < summary.models.length;
+    const money = (amount, currency) => (priced(currency) ? formatCost(amount, currency) : '-');
+    const labelWidth = Math.max(...[...CATEGORIES, 'total'].map((key) => stringWidth(t(`session.category.${key}`)))) + 2;
+    const tokenWidth = Math.max(12, stringWidth(this.formatTokens(summary.tokens.total))) + 2;
+    const row = (label, tokens, ...costs) =>
+      this.padEnd(label, labelWidth) + this.padStart(tokens, tokenWidth) + costs.map((cost) => this.padStart(cost, 12)).join('');
+
+    lines.push(chalk.gray(row('', 'Tokens', ...this.currencies)));
+    for (const key of CATEGORIES) {
+      lines.push(row(
+        t(`session.category.${key}`),
+        this.formatTokens(summary.tokens[key]),
+        ...this.currencies.map((currency) => money(summary.cost[currency][key], currency))
+      ));
+    }
+    lines.push(chalk.gray('─'.repeat(labelWidth + tokenWidth + 12 * this.currencies.length)));
+    lines.push(chalk.bold(row(
+      t('session.category.total'),
+      this.formatTokens(summary.tokens.total),
+      ...this.currencies.map((currency) => money(summary.cost[currency].total, currency))
+    )));
+
+    // 多个模型时按模型列出
+    if (summary.models.length > 1) {
+      const modelWidth = Math.max(8, ...summary.models.map((item) => stringWidth(item.model))) + 2;
+      const modelRow = (model, messages, tokens, cost) =>
+        this.padEnd(model, modelWidth) + this.padStart(messages, 8) + this.padStart(tokens, tokenWidth) + this.padStart(cost, 12);
+      lines.push('');
+      lines.push(chalk.gray(modelRow(t('session.column.model'), t('session.column.messages'), 'Tokens', this.currency)));
+      for (const item of summary.models) {
+        const cost = item.cost[this.currency];
+        lines.push(modelRow(
+          item.model,
+          String(item.messages),
+          this.formatTokens(item.tokens.total),
+          cost === null ? '-' : formatCost(cost, this.currency)
+        ));
+      }
+    }
+
+    const unpriced = this.currencies.filter((currency) => summary.unpriced[currency].length > 0);
+    if (unpriced.length > 0) {
+      lines.push('');
+      for (const currency of unpriced) {
+        lines.push(chalk.yellow(t('session.unpriced', { currency, models: summary.unpriced[currency].join(', ') })));
+      }
+    }
+
+    if (!summary.plan) {
+      lines.push('');
+      lines.push(chalk.gray(t('session.planHint')));
+    } else if (priced(summary.plan.currency)) {
+      const { price, currency, share, sessionsPerPlan } = summary.plan;
+      lines.push('');
+      lines.push(t('session.planCompare', {
+        cost: formatCost(summary.cost[currency].total, currency),
+        price: formatCost(price, currency),
+        share: (share * 100).toFixed(1),
+      }));
+      if (sessionsPerPlan !== null) {
+        lines.push(chalk.gray(t('session.planBreakEven', { count: sessionsPerPlan })));
+      }
+    }
+
+    return lines.join('\n');
+  }
+
+  formatRatio(ratio) {
+    return ratio === null ? '-' : `${(ratio * 100).toFixed(1)}%`;
+  }
+
+  /**
+   * Render a usage summary as terminal tables: totals, per model and the latest turns
+   * @param {Object} summary - Result of summarizeUsage()
+   * @returns {string} Table text
+   */
+  renderUsageTable(summary) {
+    const { totals } = summary;
+    const lines = [];
+    lines.push(chalk.bold(t('session.usageTitle')) + chalk.gray(t('session.usageSubtitle', {
+      source: this.label,
+      turns: totals.turns,
+      messages: totals.messages,
+    })));
+    if (summary.file) {
+      lines.push(chalk.gray(summary.file));
+    }
+    lines.push('');
+
+    if (totals.messages === 0) {
+      lines.push(chalk.yellow(t('session.noUsage')));
+      return lines.join('\n');
+    }
+
+    // 合计：各类 token 及占比
+    const labelWidth = Math.max(...[...CATEGORIES, 'total'].map((key) => stringWidth(t(`session.category.${key}`)))) + 2;
+    const tokenWidth = Math.max(12, stringWidth(this.formatTokens(totals.totalTokens))) + 2;
+    const row = (label, tokens, share) => this.padEnd(label, labelWidth) + this.padStart(tokens, tokenWidth) + this.padStart(share, 9);
+    const keys = { input: 'inputTokens', output: 'outputTokens', cacheWrite: 'cacheWriteTokens', cacheRead: 'cacheReadTokens' };
+    lines.push(chalk.gray(row('', 'Tokens', t('billing.column.share'))));
+    for (const key of CATEGORIES) {
+      const tokens = totals[keys[key]];
+      lines.push(row(t(`session.category.${key}`), this.formatTokens(tokens), this.formatRatio(tokens / totals.totalTokens)));
+    }
+    lines.push(chalk.gray('─'.repeat(labelWidth + tokenWidth + 9)));
+    lines.push(chalk.bold(row(t('session.category.total'), this.formatTokens(totals.totalTokens), '100%')));
+    lines.push(t('session.cacheHitRatio', { ratio: this.formatRatio(totals.cacheHitRatio) }));
+
+    // 按模型、按轮次：回复数、各类 token 和缓存命中率
+    const columns = (first, firstWidth, item) =>
+      this.padEnd(first, firstWidth) +
+      this.padStart(String(item.messages), 8) +
+      [item.inputTokens, item.outputTokens, item.cacheWriteTokens, item.cacheReadTokens]
+        .map((tokens) => this.padStart(this.formatTokens(tokens), 13)).join('') +
+      this.padStart(this.formatRatio(item.cacheHitRatio), 11);
+    const header = (first, firstWidth) => chalk.gray(
+      this.padEnd(first, firstWidth) +
+      this.padStart(t('session.column.messages'), 8) +
+      CATEGORIES.map((key) => this.padStart(t(`session.category.${key}`), 13)).join('') +
+      this.padStart(t('session.column.cacheHit'), 11)
+    );
+
+    const modelWidth = Math.max(8, ...summary.models.map((item) => stringWidth(item.model))) + 2;
+    lines.push('');
+    lines.push(header(t('session.column.model'), modelWidth));
+    for (const item of summary.models) {
+      lines.push(columns(item.model, modelWidth, item));
+    }
+
+    const turns = summary.turns.slice(-this.limit);
+    const turnLabel = (item) => (item.startTime ? `#${item.turn} ${this.clock.dateTime(item.startTime)}` : `#${item.turn}`);
+    const turnWidth = Math.max(8, ...turns.map((item) => stringWidth(turnLabel(item)))) + 2;
+    lines.push('');
+    if (turns.length < summary.turns.length) {
+      lines.push(chalk.gray(t('session.turnsLimited', { count: turns.length, total: summary.turns.length })));
+    }
+    lines.push(header(t('session.column.turn'), turnWidth));
+    for (const item of turns) {
+      lines.push(columns(turnLabel(item), turnWidth, item) + chalk.gray(`  ${item.models.join(', ')}`));
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {Object} summary - Result of summarizeUsage()
+   * @returns {string} JSON text
+   */
+  usageToJson(summary) {
+    return JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      command: 'session usage',
+      ...summary,
+    }, null, 2);
+  }
+
+  /**
+   * @param {Object} summary - Result of summarizeSession()
+   * @returns {string} JSON text
+   */
+  toJson(summary) {
+    return JSON.stringify({
+      schemaVersion: SCHEMA_VERSION,
+      command: 'session cost',
+      currency: this.currency,
+      ...summary,
+    }, null, 2);
+  }
+}
+
+module.exports = SessionReport;
+module.exports.normalizePlan = normalizePlan;
+module.exports.summarizeSession = summarizeSession;
+module.exports.summarizeUsage = summarizeUsage;
@@ -0,0 +1,85 @@
+const path = require("path");
+const SessionSource = require("./session-source");
+const TranscriptParser = require("../transcript-parser");
+const ConfigCounter = require("../config-counter");
+const { listFiles, byModifiedTime } = SessionSource;
+
+const isSessionFile = (name) => name.endsWith(".jsonl");
+
+/**
+ * Claude Code：会话信息来自状态栏命令的 stdin（model、workspace、context_window、transcript_path）
+ */
+class ClaudeCodeSource extends SessionSource {
+  get name() {
+    return "claude-code";
+  }
+
+  get label() {
+    return "Claude Code";
+  }
+
+  get sessionsDir() {
+    return path.join(this.homeDir, ".claude", "projects");
+  }
+
+  findSessionFile({ sessionPath, cwd, stdinData }) {
+    if (sessionPath && !isSessionFile(sessionPath)) {
+      return byModifiedTime(listFiles(sessionPath, isSessionFile))[0] || null;
+    }
+    if (sessionPath || stdinData?.transcript_path) {
+      return sessionPath || stdinData.transcript_path;
+    }
+    // 没有 stdin 时（手动运行、session cost）使用当前目录最近的会话
+    // Claude Code 的项目目录名是路径中非字母数字字符替换为 - 的结果，如 /root/app => -root-app
+    if (!stdinData && cwd) {
+      return byModifiedTime(listFiles(path.join(this.sessionsDir, cwd.replace(/[^a-zA-Z0-9]/g, "-")), isSessionFile))[0] || null;
+    }
+    return null;
+  }
+
+  // 没有 transcript 时（如手动运行）仍然显示额度和目录
+  async load(options) {
+    return this.read(this.findSessionFile(options), options);
+  }
+
+  async read(file, { stdinData, pricing }) {
+    const parser = new TranscriptParser({ pricing });
+    const model = stdinData?.model;
+    // 优先使用 stdin 传入的 workspace，否则由调用方使用当前目录
+    const cwd = stdinData?.workspace?.current_directory || null;
+
+    // 优先使用 Claude Code 提供的实时 tokens_used，如果没有则回退到 transcript 解析
+    const cw = stdinData?.context_window;
+    let contextTokens = cw?.tokens_used;
+    if (!contextTokens && file) {
+      contextTokens = await parser.findLatestUsage(file);
+    }
+
+    let configCounts = { claudeMdCount: 0, rulesCount: 0, mcpCount: 0, hooksCount: 0 };
+    try {
+      // 添加超时防止挂起
+      configCounts = await Promise.race([
+        new ConfigCounter().count(cwd || process.cwd()),
+        new Promise((_, reject) => setTimeout(() => reject(new Error("config timeout")), 2000)),
+      ]);
+    } catch (e) {
+      // 超时或失败，保持默认值
+    }
+
+    const session = this.session({
+      file,
+      cwd,
+      modelId: model?.id || null,
+      modelName: model?.display_name || model?.id || null,
+      contextTokens: contextTokens || 0,
+      contextSize: cw?.context_window_size || null,
+      configCounts,
+    });
+    if (file) {
+      session.transcript = await parser.parse(file);
+    }
+    return session;
+  }
+}
+
+module.exports = ClaudeCodeSource;
@@ -0,0 +1,165 @@
+const path = require("path");
+const SessionSource = require("./session-source");
+const TranscriptParser = require("../transcript-parser");
+const { readFirstEntry, readJsonLines, listFiles } = SessionSource;
+
+const isSessionFile = (name) => name.startsWith("rollout-") && name.endsWith(".jsonl");
+
+function parseArguments(value) {
+  if (typeof value !== "string") {
+    return value || {};
+  }
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return {};
+  }
+}
+
+function shellCommand(command) {
+  if (!Array.isArray(command)) {
+    return command;
+  }
+  // ["bash", "-lc", "npm test"] 只显示实际执行的命令
+  return command[0] && /sh$/.test(command[0]) && command[1] === "-lc" ? command.slice(2).join(" ") : command.join(" ");
+}
+
+/**
+ * Map a Codex tool call to a Claude Code tool name and input
+ * @param {string} name - Codex tool name
+ * @param {Object|string} input - Parsed arguments, or the raw patch for apply_patch
+ * @returns {{name: string, input: Object}}
+ */
+function mapTool(name, input) {
+  switch (name) {
+    case "shell":
+    case "local_shell":
+    case "container.exec":
+    case "exec_command":
+      return { name: "Bash", input: { command: shellCommand(input.command || input.cmd) } };
+    case "apply_patch": {
+      const patch = typeof input === "string" ? input : input.input || "";
+      const file = patch.match(/^\*\*\* (?:Update|Add|Delete) File: (.+)$/m);
+      return { name: "Edit", input: { file_path: file ? file[1].trim() : undefined } };
+    }
+    case "update_plan":
+      return {
+        name: "TodoWrite",
+        input: { todos: (input.plan || []).map((item) => ({ content: item.step, status: item.status })) },
+      };
+    default:
+      return { name, input };
+  }
+}
+
+// 工具输出为 {"output": ..., "metadata": {"exit_code": 1}} 时按退出码判断失败
+function isErrorOutput(output) {
+  try {
+    const exitCode = JSON.parse(output)?.metadata?.exit_code;
+    return typeof exitCode === "number" && exitCode !== 0;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Codex CLI：$CODEX_HOME/sessions/YYYY/MM/DD/rollout-<时间>-<id>.jsonl（默认 ~/.codex）
+ *
+ * session_meta、turn_context 记录 cwd 和模型，response_item 记录工具调用（function_call、
+ * custom_tool_call、local_shell_call）及其输出，event_msg 的 user_message 开始新的一轮，
+ * token_count 记录上下文用量。
+ */
+class CodexSource extends SessionSource {
+  get name() {
+    return "codex";
+  }
+
+  get label() {
+    return "Codex CLI";
+  }
+
+  get sessionsDir() {
+    return path.join(this.env.CODEX_HOME || path.join(this.homeDir, ".codex"), "sessions");
+  }
+
+  findSessionFile({ sessionPath, cwd }) {
+    if (sessionPath && sessionPath.endsWith(".jsonl")) {
+      return sessionPath;
+    }
+    return this.pickSession(
+      listFiles(sessionPath || this.sessionsDir, isSessionFile, { recursive: true }),
+      cwd,
+      (file) => readFirstEntry(file).payload?.cwd
+    );
+  }
+
+  async read(file, { pricing } = {}) {
+    const parser = new TranscriptParser({ pricing });
+    const fields = { file, contextTokens: 0 };
+    let lastTotal = null;
+
+    for (const entry of readJsonLines(file)) {
+      const payload = entry.payload || {};
+      const timestamp = entry.timestamp ? new Date(entry.timestamp) : new Date();
+
+      if (entry.type === "session_meta" || entry.type === "turn_context") {
+        fields.cwd = payload.cwd || fields.cwd;
+        fields.modelId = payload.model || fields.modelId;
+      } else if (entry.type === "event_msg" && payload.type === "user_message") {
+        parser.startTurn(timestamp);
+      } else if (entry.type === "event_msg" && payload.type === "token_count" && payload.info) {
+        const usage = payload.info.last_token_usage || {};
+        fields.contextTokens = usage.total_tokens || (usage.input_tokens || 0) + (usage.output_tokens || 0);
+        fields.contextSize = payload.info.model_context_window || fields.contextSize;
+
+        // 同一轮可能重复上报，累计总量不变时跳过；input_tokens 含缓存命中，reasoning 计入 output
+        const total = payload.info.total_token_usage?.total_tokens;
+        if (total === undefined || total !== lastTotal) {
+          lastTotal = total;
+          const cached = usage.cached_input_tokens || 0;
+          parser.addUsage(`turn-${parser.usageMap.size}`, fields.modelId, {
+            inputTokens: Math.max(0, (usage.input_tokens || 0) - cached),
+            outputTokens: usage.output_tokens || 0,
+            cacheWriteTokens: 0,
+            cacheReadTokens: cached,
+          });
+        }
+      } else if (entry.type === "response_item") {
+        this.processItem(parser, payload, timestamp);
+      }
+    }
+
+    return this.session({ ...fields, modelName: fields.modelId, transcript: parser.snapshot() });
+  }
+
+  processItem(parser, item, timestamp) {
+    switch (item.type) {
+      case "function_call": {
+        const tool = mapTool(item.name, parseArguments(item.arguments));
+        parser.addToolUse(item.call_id, tool.name, tool.input, timestamp);
+        break;
+      }
+      case "custom_tool_call": {
+        const tool = mapTool(item.name, item.input);
+        parser.addToolUse(item.call_id, tool.name, tool.input, timestamp);
+        break;
+      }
+      case "local_shell_call": {
+        const id = item.call_id || item.id;
+        parser.addToolUse(id, "Bash", { command: shellCommand(item.action?.command) }, timestamp);
+        if (item.status === "completed") {
+          parser.addToolResult(id, false, timestamp);
+        }
+        break;
+      }
+      case "function_call_output":
+      case "custom_tool_call_output": {
+        const output = typeof item.output === "string" ? item.output : item.output?.content;
+        parser.addToolResult(item.call_id, isErrorOutput(output), timestamp);
+        break;
+      }
+    }
+  }
+}
+
+module.exports = CodexSource;
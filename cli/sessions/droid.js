@@ -0,0 +1,89 @@
+const fs = require("fs");
+const path = require("path");
+const SessionSource = require("./session-source");
+const TranscriptParser = require("../transcript-parser");
+const ConfigCounter = require("../config-counter");
+const { readFirstEntry, readJsonLines, readJson, listFiles } = SessionSource;
+
+// Droid 会话中未记录模型时的默认值
+const DEFAULT_MODEL = "MiniMax-M2.5-highspeed";
+
+const isSessionFile = (name) => name.endsWith(".jsonl");
+
+/**
+ * Factory Droid：~/.factory/sessions/<项目>/<会话 id>.jsonl
+ *
+ * 第一行记录 cwd，同名的 .settings.json 记录模型和累计 token；
+ * 消息格式与 Claude Code 相同（tool_use/tool_result），由 TranscriptParser 解析。
+ */
+class DroidSource extends SessionSource {
+  get name() {
+    return "droid";
+  }
+
+  get label() {
+    return "Droid";
+  }
+
+  get factoryDir() {
+    return path.join(this.homeDir, ".factory");
+  }
+
+  get sessionsDir() {
+    return path.join(this.factoryDir, "sessions");
+  }
+
+  findSessionFile({ sessionPath, cwd }) {
+    if (sessionPath) {
+      if (isSessionFile(sessionPath)) {
+        return fs.existsSync(sessionPath) ? sessionPath : null;
+      }
+      return this.pickSession(listFiles(sessionPath, isSessionFile), cwd, () => null);
+    }
+    return this.pickSession(
+      listFiles(this.sessionsDir, isSessionFile, { recursive: true }),
+      cwd,
+      (file) => readFirstEntry(file).cwd
+    );
+  }
+
+  async read(file, { pricing } = {}) {
+    const entries = readJsonLines(file);
+    const settings = readJson(file.replace(/\.jsonl$/, ".settings.json"), {});
+
+    // 最近一条 assistant 消息的 usage 最接近实时上下文，没有时用 settings 中的累计值
+    let tokenUsage = settings.tokenUsage || {};
+    const latest = entries.findLast(
+      (entry) => entry.type === "message" && entry.message?.role === "assistant" && entry.message?.usage
+    );
+    if (latest) {
+      const u = latest.message.usage;
+      const latestUsage = {
+        inputTokens: u.input_tokens || u.prompt_tokens || 0,
+        outputTokens: u.output_tokens || u.completion_tokens || 0,
+        cacheCreationTokens: u.cache_creation_input_tokens || u.cache_creation_prompt_tokens || 0,
+        thinkingTokens: u.thinking_tokens || 0,
+      };
+      if (latestUsage.inputTokens > 0 || latestUsage.outputTokens > 0) {
+        tokenUsage = latestUsage;
+      }
+    }
+
+    const model = settings.model || DEFAULT_MODEL;
+    return this.session({
+      file,
+      cwd: entries[0]?.cwd || null,
+      modelId: model,
+      modelName: model.replace(/^custom:/, "").replace(/-[0-9]+$/, ""),
+      // 实时上下文使用量，不包括累计的 cacheReadTokens
+      contextTokens: (tokenUsage.inputTokens || 0) + (tokenUsage.outputTokens || 0) +
+        (tokenUsage.cacheCreationTokens || 0) + (tokenUsage.thinkingTokens || 0),
+      // Droid 的全局配置（~/.factory），不是当前工作目录
+      configCounts: new ConfigCounter().countDroid(this.factoryDir),
+      // 消息中不记录模型，用量按 settings 中的模型计价
+      transcript: await new TranscriptParser({ model, pricing }).parse(file),
+    });
+  }
+}
+
+module.exports = DroidSource;
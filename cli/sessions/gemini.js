@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const path = require("path");
+const SessionSource = require("./session-source");
+const TranscriptParser = require("../transcript-parser");
+const { readJson, listFiles, byModifiedTime } = SessionSource;
+
+const isSessionFile = (name) => name.startsWith("session-") && name.endsWith(".json");
+
+// Gemini CLI 工具名 => Claude Code 工具名和参数
+const TOOLS = {
+  read_file: (args) => ({ name: "Read", input: { file_path: args.absolute_path || args.file_path } }),
+  read_many_files: (args) => ({ name: "Read", input: { file_path: [].concat(args.paths || []).join(", ") } }),
+  write_file: (args) => ({ name: "Write", input: { file_path: args.file_path } }),
+  replace: (args) => ({ name: "Edit", input: { file_path: args.file_path } }),
+  run_shell_command: (args) => ({ name: "Bash", input: { command: args.command } }),
+  glob: (args) => ({ name: "Glob", input: { pattern: args.pattern } }),
+  search_file_content: (args) => ({ name: "Grep", input: { pattern: args.pattern } }),
+  list_directory: (args) => ({ name: "LS", input: { path: args.path } }),
+  write_todos: (args) => ({
+    name: "TodoWrite",
+    input: { todos: (args.todos || []).map((todo) => ({ content: todo.description, status: todo.status })) },
+  }),
+};
+
+// 仍在执行的工具调用状态，其他状态（success、error、cancelled）都已结束
+const PENDING_STATUSES = ["validating", "scheduled", "executing", "awaiting_approval"];
+
+function projectHash(dir) {
+  return crypto.createHash("sha256").update(dir).digest("hex");
+}
+
+/**
+ * Gemini CLI：~/.gemini/tmp/<项目路径的 sha256>/chats/session-<时间>-<id>.json
+ *
+ * 会话是单个 JSON 文件，messages 中 type 为 gemini 的消息带 model、tokens 和 toolCalls
+ * （调用结果和状态直接记录在调用上）。会话不记录 cwd，按当前目录及其上级目录的哈希查找。
+ */
+class GeminiSource extends SessionSource {
+  get name() {
+    return "gemini";
+  }
+
+  get label() {
+    return "Gemini CLI";
+  }
+
+  get geminiDir() {
+    return this.env.GEMINI_DIR || path.join(this.homeDir, ".gemini");
+  }
+
+  get sessionsDir() {
+    return path.join(this.geminiDir, "tmp");
+  }
+
+  // 当前目录及其上级目录，按从近到远的顺序
+  projectRoots(cwd) {
+    const roots = [];
+    for (let dir = path.resolve(cwd); ; dir = path.dirname(dir)) {
+      roots.push(dir);
+      if (path.dirname(dir) === dir) break;
+    }
+    return roots;
+  }
+
+  findSessionFile({ sessionPath, cwd }) {
+    if (sessionPath && sessionPath.endsWith(".json")) {
+      return sessionPath;
+    }
+    if (sessionPath) {
+      return byModifiedTime(listFiles(sessionPath, isSessionFile, { recursive: true }))[0] || null;
+    }
+    for (const root of this.projectRoots(cwd)) {
+      const file = byModifiedTime(listFiles(path.join(this.sessionsDir, projectHash(root), "chats"), isSessionFile))[0];
+      if (file) {
+        return file;
+      }
+    }
+    return byModifiedTime(listFiles(this.sessionsDir, isSessionFile, { recursive: true }))[0] || null;
+  }
+
+  async read(file, { cwd, pricing }) {
+    const data = readJson(file, {});
+    const parser = new TranscriptParser({ pricing });
+    const fields = { file };
+
+    // 会话目录名是项目路径的哈希，能对上时才知道会话的 cwd
+    const hash = path.basename(path.dirname(path.dirname(file)));
+    fields.cwd = this.projectRoots(cwd).find((root) => projectHash(root) === hash) || null;
+
+    for (const message of data.messages || []) {
+      if (message.type === "user") {
+        parser.startTurn(new Date(message.timestamp || Date.now()));
+      }
+      if (message.type !== "gemini") continue;
+      fields.modelId = message.model || fields.modelId;
+      if (message.tokens) {
+        const tokens = message.tokens;
+        fields.contextTokens = (tokens.input || 0) + (tokens.output || 0);
+        // input 含缓存命中，思考 token 按输出计费
+        parser.addUsage(message.id || `message-${parser.usageMap.size}`, message.model, {
+          inputTokens: Math.max(0, (tokens.input || 0) - (tokens.cached || 0)),
+          outputTokens: (tokens.output || 0) + (tokens.thoughts || 0),
+          cacheWriteTokens: 0,
+          cacheReadTokens: tokens.cached || 0,
+        });
+      }
+
+      for (const call of message.toolCalls || []) {
+        const timestamp = new Date(call.timestamp || message.timestamp || Date.now());
+        const tool = (TOOLS[call.name] || ((args) => ({ name: call.name, input: args })))(call.args || {});
+        parser.addToolUse(call.id, tool.name, tool.input, timestamp);
+        if (!PENDING_STATUSES.includes(call.status)) {
+          parser.addToolResult(call.id, call.status === "error" || call.status === "cancelled", timestamp);
+        }
+      }
+    }
+
+    return this.session({ ...fields, modelName: fields.modelId, transcript: parser.snapshot() });
+  }
+}
+
+module.exports = GeminiSource;
@@ -0,0 +1,34 @@
+const SessionSource = require("./session-source");
+const ClaudeCodeSource = require("./claude-code");
+const DroidSource = require("./droid");
+const CodexSource = require("./codex");
+const GeminiSource = require("./gemini");
+const OpencodeSource = require("./opencode");
+
+// 会话来源名称 => 适配器
+const SOURCES = {
+  "claude-code": ClaudeCodeSource,
+  droid: DroidSource,
+  codex: CodexSource,
+  gemini: GeminiSource,
+  opencode: OpencodeSource,
+};
+
+const SOURCE_NAMES = Object.keys(SOURCES);
+
+/**
+ * Create a session source adapter
+ * @param {string} name - One of SOURCE_NAMES
+ * @param {Object} [env] - Environment variables
+ * @returns {SessionSource|null} Adapter, null for unknown names
+ */
+function createSource(name, env = process.env) {
+  return SOURCES[name] ? new SOURCES[name](env) : null;
+}
+
+module.exports = {
+  SessionSource,
+  SOURCES,
+  SOURCE_NAMES,
+  createSource,
+};
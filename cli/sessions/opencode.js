@@ -0,0 +1,102 @@
+const path = require("path");
+const SessionSource = require("./session-source");
+const TranscriptParser = require("../transcript-parser");
+const { readJson, listFiles } = SessionSource;
+
+const isJson = (name) => name.endsWith(".json");
+
+// opencode 工具名 => Claude Code 工具名和参数
+const TOOLS = {
+  read: (input) => ({ name: "Read", input: { file_path: input.filePath } }),
+  write: (input) => ({ name: "Write", input: { file_path: input.filePath } }),
+  edit: (input) => ({ name: "Edit", input: { file_path: input.filePath } }),
+  patch: (input) => ({ name: "Edit", input: { file_path: input.filePath } }),
+  bash: (input) => ({ name: "Bash", input: { command: input.command } }),
+  glob: (input) => ({ name: "Glob", input: { pattern: input.pattern } }),
+  grep: (input) => ({ name: "Grep", input: { pattern: input.pattern } }),
+  list: (input) => ({ name: "LS", input: { path: input.path } }),
+  task: (input) => ({ name: "Task", input }),
+  todowrite: (input) => ({ name: "TodoWrite", input }),
+};
+
+/**
+ * opencode：$XDG_DATA_HOME/opencode/storage（默认 ~/.local/share/opencode/storage）
+ *
+ *   session/<项目 id>/<会话 id>.json   会话，directory 为 cwd
+ *   message/<会话 id>/<消息 id>.json   消息，assistant 消息带 modelID 和 tokens
+ *   part/<消息 id>/<片段 id>.json      片段，type 为 tool 的片段记录工具名、参数和状态
+ */
+class OpencodeSource extends SessionSource {
+  get name() {
+    return "opencode";
+  }
+
+  get label() {
+    return "opencode";
+  }
+
+  get storageDir() {
+    const dataHome = this.env.XDG_DATA_HOME || path.join(this.homeDir, ".local", "share");
+    return path.join(dataHome, "opencode", "storage");
+  }
+
+  get sessionsDir() {
+    return path.join(this.storageDir, "session");
+  }
+
+  findSessionFile({ sessionPath, cwd }) {
+    if (sessionPath && sessionPath.endsWith(".json")) {
+      return sessionPath;
+    }
+    return this.pickSession(
+      listFiles(sessionPath || this.sessionsDir, isJson, { recursive: true }),
+      cwd,
+      (file) => readJson(file, {}).directory
+    );
+  }
+
+  // 消息和片段的 id 按时间递增
+  readAll(dir) {
+    return listFiles(dir, isJson).sort().map((file) => readJson(file)).filter(Boolean);
+  }
+
+  async read(file, { pricing } = {}) {
+    const session = readJson(file, {});
+    const sessionId = session.id || path.basename(file, ".json");
+    const parser = new TranscriptParser({ pricing });
+    const fields = { file, cwd: session.directory || null };
+
+    for (const message of this.readAll(path.join(this.storageDir, "message", sessionId))) {
+      if (message.role === "user") {
+        parser.startTurn(new Date(message.time?.created || Date.now()));
+      }
+      if (message.role !== "assistant") continue;
+      fields.modelId = message.modelID || fields.modelId;
+      const tokens = message.tokens;
+      if (tokens && (tokens.input || tokens.output)) {
+        fields.contextTokens = (tokens.input || 0) + (tokens.output || 0) + (tokens.reasoning || 0) +
+          (tokens.cache?.read || 0) + (tokens.cache?.write || 0);
+        parser.addUsage(message.id, message.modelID, {
+          inputTokens: tokens.input || 0,
+          outputTokens: (tokens.output || 0) + (tokens.reasoning || 0),
+          cacheWriteTokens: tokens.cache?.write || 0,
+          cacheReadTokens: tokens.cache?.read || 0,
+        });
+      }
+
+      for (const part of this.readAll(path.join(this.storageDir, "part", message.id))) {
+        if (part.type !== "tool" || !part.callID) continue;
+        const state = part.state || {};
+        const tool = (TOOLS[part.tool] || ((input) => ({ name: part.tool, input })))(state.input || {});
+        parser.addToolUse(part.callID, tool.name, tool.input, new Date(state.time?.start || message.time?.created || Date.now()));
+        if (state.status === "completed" || state.status === "error") {
+          parser.addToolResult(part.callID, state.status === "error", new Date(state.time?.end || Date.now()));
+        }
+      }
+    }
+
+    return this.session({ ...fields, modelName: fields.modelId, transcript: parser.snapshot() });
+  }
+}
+
+module.exports = OpencodeSource;
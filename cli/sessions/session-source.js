@@ -0,0 +1,248 @@
+const fs = require("fs");
+const path = require("path");
+const TranscriptParser = require("../transcript-parser");
+
+// 按 cwd 匹配会话时最多检查的最近会话数（只读文件开头，避免遍历全部历史会话）
+const MAX_CANDIDATES = 50;
+
+function normalizePath(value) {
+  return value.replace(/\\/g, "/").replace(/\/$/, "");
+}
+
+/**
+ * Check whether a session cwd is the current directory or one of its parents
+ * @param {string|null} sessionCwd - cwd recorded in the session
+ * @param {string} cwd - Current working directory
+ * @returns {boolean}
+ */
+function cwdMatches(sessionCwd, cwd) {
+  if (!sessionCwd) {
+    return false;
+  }
+  const session = normalizePath(sessionCwd);
+  const current = normalizePath(cwd);
+  return current === session || current.startsWith(`${session}/`);
+}
+
+/**
+ * Read the first line of a JSON Lines file as JSON
+ * 只读文件开头，会话文件可能很大
+ * @param {string} file - File path
+ * @returns {Object} First entry
+ * @throws {Error} When the file cannot be read or the line is not JSON
+ */
+function readFirstEntry(file) {
+  const fd = fs.openSync(file, "r");
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const bytes = fs.readSync(fd, buffer, 0, buffer.length, 0);
+    return JSON.parse(buffer.toString("utf8", 0, bytes).split("\n")[0]);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Read every valid entry of a JSON Lines file, skipping malformed lines
+ * @param {string} file - File path
+ * @returns {Array<Object>}
+ */
+function readJsonLines(file) {
+  const entries = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // 跳过写入中途的行
+    }
+  }
+  return entries;
+}
+
+function readJson(file, fallback = null) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    return fallback;
+  }
+}
+
+/**
+ * List files under a directory
+ * @param {string} dir - Directory, missing directories yield no files
+ * @param {Function} accept - (name) => boolean
+ * @param {Object} [options]
+ * @param {boolean} [options.recursive] - Include subdirectories
+ * @returns {Array<string>} File paths
+ */
+function listFiles(dir, accept, options = {}) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (e) {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (options.recursive) {
+        files.push(...listFiles(fullPath, accept, options));
+      }
+    } else if (accept(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+function byModifiedTime(files) {
+  return files
+    .map((file) => {
+      try {
+        return { file, time: fs.statSync(file).mtimeMs };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.time - a.time)
+    .map((item) => item.file);
+}
+
+/**
+ * 会话来源（Agent 适配器）
+ *
+ * 每个适配器负责找到当前会话并读取模型、cwd、上下文用量和工具事件，
+ * 返回统一的会话对象，index.js 的 buildStatuslineContext() 把它与额度数据
+ * 组装成 Renderer#render() 的上下文：
+ *
+ *   {
+ *     source,          适配器名称
+ *     file,            会话文件，没有时为 null
+ *     cwd,             会话工作目录，没有时为 null（使用当前目录）
+ *     modelId,         模型 id，用于查找 context window
+ *     modelName,       显示的模型名；null 时使用额度接口返回的模型名
+ *     contextTokens,   当前上下文 token 数
+ *     contextSize,     context window 大小；null 时按模型查表
+ *     configCounts,    配置统计，可以为 null
+ *     transcript,      {tools, agents, todos, usage, cost}，见 TranscriptParser#snapshot()
+ *   }
+ *
+ * 子类实现 findSessionFile() 和 read()；工具名映射为 Claude Code 的名称
+ * （Read、Bash、Task、TodoWrite 等）后交给 TranscriptParser 记录，
+ * 每次模型响应的 token 用量用 addUsage() 记录，按 options.pricing 计算费用。
+ */
+class SessionSource {
+  /**
+   * @param {Object} [env] - Environment variables
+   */
+  constructor(env = process.env) {
+    this.env = env;
+  }
+
+  /** Adapter name, e.g. codex */
+  get name() {
+    throw new Error("not implemented");
+  }
+
+  /** Display name, e.g. Codex CLI */
+  get label() {
+    return this.name;
+  }
+
+  get homeDir() {
+    return this.env.HOME || this.env.USERPROFILE;
+  }
+
+  /**
+   * Directory searched for sessions, shown when none is found
+   * @returns {string}
+   */
+  get sessionsDir() {
+    throw new Error("not implemented");
+  }
+
+  /**
+   * Find the session to display
+   * @param {Object} options
+   * @param {string} [options.sessionPath] - Session file or directory from the command line
+   * @param {string} options.cwd - Current working directory
+   * @param {Object} [options.stdinData] - Statusline payload from stdin
+   * @param {Pricing} [options.pricing] - Prices for the session cost, the default prices when missing
+   * @returns {string|null} Session file, null when there is none
+   */
+  findSessionFile(options) {
+    throw new Error("not implemented");
+  }
+
+  /**
+   * Read a session
+   * @param {string|null} file - Session file from findSessionFile()
+   * @param {Object} options - Same as findSessionFile()
+   * @returns {Promise<Object>} Session, see the class description
+   */
+  async read(file, options) {
+    throw new Error("not implemented");
+  }
+
+  /**
+   * Find and read the current session
+   * @param {Object} options - See findSessionFile()
+   * @returns {Promise<Object|null>} Session, null when no session was found
+   */
+  async load(options) {
+    const file = this.findSessionFile(options);
+    return file ? this.read(file, options) : null;
+  }
+
+  /**
+   * Pick the most recently updated session, preferring sessions whose cwd matches
+   * @param {Array<string>} files - Candidate session files
+   * @param {string} cwd - Current working directory
+   * @param {Function} readCwd - (file) => session cwd or null
+   * @returns {string|null}
+   */
+  pickSession(files, cwd, readCwd) {
+    const sorted = byModifiedTime(files);
+    for (const file of sorted.slice(0, MAX_CANDIDATES)) {
+      try {
+        if (cwdMatches(readCwd(file), cwd)) {
+          return file;
+        }
+      } catch (e) {
+        // 无法解析的会话只参与“最近更新”的比较
+      }
+    }
+    return sorted[0] || null;
+  }
+
+  /**
+   * Session object with defaults for missing fields
+   * @param {Object} fields - Fields read by the adapter
+   * @returns {Object}
+   */
+  session(fields) {
+    return {
+      source: this.name,
+      file: null,
+      cwd: null,
+      modelId: null,
+      modelName: null,
+      contextTokens: 0,
+      contextSize: null,
+      configCounts: null,
+      transcript: new TranscriptParser().snapshot(),
+      ...fields,
+    };
+  }
+}
+
+module.exports = SessionSource;
+module.exports.cwdMatches = cwdMatches;
+module.exports.readFirstEntry = readFirstEntry;
+module.exports.readJsonLines = readJsonLines;
+module.exports.readJson = readJson;
+module.exports.listFiles = listFiles;
+module.exports.byModifiedTime = byModifiedTime;
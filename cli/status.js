@@ -2,6 +2,8 @@ const chalk = require('chalk').default;
 const dayjs = require('dayjs');
 const { default: boxen } = require('boxen');
 const { default: stringWidth } = require('string-width');
+const { formatShortDuration } = require('./forecast');
+const { t, formatNumber } = require('./i18n');
 
 class StatusBar {
   constructor(data, usageStats = null, api = null, allModels = []) {
@@ -15,16 +17,7 @@ class StatusBar {
 
   // 格式化数字
   formatNumber(num) {
-    if (this.api) {
-      return this.api.formatNumber(num);
-    }
-    if (num >= 100000000) {
-      return (num / 100000000).toFixed(1).replace(/\.0$/, "") + "亿";
-    }
-    if (num >= 10000) {
-      return (num / 10000).toFixed(1).replace(/\.0$/, "") + "万";
-    }
-    return num.toLocaleString("zh-CN");
+    return formatNumber(num);
   }
 
   // 渲染消耗统计表格
@@ -35,7 +28,9 @@ class StatusBar {
 
     const lines = [];
     lines.push('');
-    lines.push(chalk.bold('📊 Token 消耗统计'));
+    // 统计周期标签，如 "本期 09-15 ~ 10-14"
+    const period = this.usageStats.period;
+    lines.push(chalk.bold(`📊 ${t('stats.title')}`) + (period ? chalk.gray(` · ${period.label}`) : ''));
 
     // 计算表格宽度
     const leftWidth = 12; // "昨日消耗:  "
@@ -48,9 +43,13 @@ class StatusBar {
       return `│ ${chalk.cyan(label)}${pad}${this.formatNumber(value)}`;
     };
 
-    lines.push(formatLine('昨日消耗: ', this.usageStats.lastDayUsage));
-    lines.push(formatLine('近7天消耗: ', this.usageStats.weeklyUsage));
-    lines.push(formatLine('当月消耗: ', this.usageStats.planTotalUsage));
+    const periodName = period ? period.name : t('period.month');
+    lines.push(formatLine(`${t('stats.yesterday')}: `, this.usageStats.lastDayUsage));
+    lines.push(formatLine(`${t('stats.last7Days')}: `, this.usageStats.weeklyUsage));
+    lines.push(formatLine(`${t('stats.periodUsage', { name: periodName })}: `, this.usageStats.planTotalUsage));
+    if (this.usageStats.truncated) {
+      lines.push(`│ ${chalk.yellow(t('stats.truncated'))}`);
+    }
 
     return lines.join('\n');
   }
@@ -63,7 +62,7 @@ class StatusBar {
 
     const lines = [];
     lines.push('');
-    lines.push(chalk.bold('📋 所有模型额度'));
+    lines.push(chalk.bold(`📋 ${t('panel.allModels')}`));
 
     // 简化模型名称映射
     const shortName = (name) => {
@@ -125,7 +124,7 @@ class StatusBar {
   }
 
   render() {
-    const { modelName, timeWindow, remaining, usage, weekly, expiry } = this.data;
+    const { modelName, timeWindow, remaining, usage, weekly, expiry, forecast } = this.data;
 
     // Calculate progress bar width
     const width = 30;
@@ -138,35 +137,44 @@ class StatusBar {
     // 构建内容行
     const contentLines = [];
 
-    // 标题
-    contentLines.push(chalk.bold('MiniMax Claude Code 使用状态'));
+    // 标题（多账号并列显示时附带区域标签）
+    const title = this.data.regionLabel
+      ? `${t('panel.title')} · ${this.data.regionLabel}`
+      : t('panel.title');
+    contentLines.push(chalk.bold(title));
 
     contentLines.push('');
 
     // 模型名称
-    contentLines.push(`${chalk.cyan('当前模型:')} ${modelName}`);
+    contentLines.push(`${chalk.cyan(t('panel.model'))} ${modelName}`);
 
     // 时间窗口
     const timeWindowText = `${timeWindow.start}-${timeWindow.end}(${timeWindow.timezone})`;
-    contentLines.push(`${chalk.cyan('时间窗口:')} ${timeWindowText}`);
+    contentLines.push(`${chalk.cyan(t('panel.timeWindow'))} ${timeWindowText}`);
 
     // 剩余时间
-    contentLines.push(`${chalk.cyan('剩余时间:')} ${remaining.text}`);
+    const resetAt = remaining.resetAt ? chalk.gray(` (${remaining.resetAt})`) : '';
+    contentLines.push(`${chalk.cyan(t('panel.remainingTime'))} ${remaining.text}${resetAt}`);
 
     contentLines.push('');
 
     // 使用百分比与进度条
-    contentLines.push(`${chalk.cyan('已用额度:')} ${progressBar} ${usage.percentage}%`);
+    contentLines.push(`${chalk.cyan(t('panel.used'))} ${progressBar} ${usage.percentage}%`);
 
     // 剩余次数
-    contentLines.push(`${chalk.dim('     剩余:')} ${usage.remaining}/${usage.total} 次调用`);
+    contentLines.push(`${chalk.dim('     ' + t('panel.left'))} ${t('panel.calls', { remaining: usage.remaining, total: usage.total })}`);
+
+    // 消耗速率与耗尽预测（基于本地用量历史）
+    if (forecast && forecast.interval) {
+      contentLines.push(`${chalk.dim('     ' + t('panel.rate'))} ${this.renderForecast(forecast.interval)}`);
+    }
 
     // 周用量（如果有数据）
     if (weekly) {
       contentLines.push('');
       if (weekly.unlimited) {
         // 不受限制
-        contentLines.push(`${chalk.cyan('周限额:')} ${chalk.hex('#10B981')('不受限制')}`);
+        contentLines.push(`${chalk.cyan(t('panel.weekly'))} ${chalk.hex('#10B981')(t('panel.unlimited'))}`);
       } else {
         // 有限制，显示具体数据
         const weeklyPercent = weekly.percentage;
@@ -176,15 +184,19 @@ class StatusBar {
           15 - Math.floor((weeklyPercent / 100) * 15),
           weeklyPercent
         );
-        contentLines.push(`${chalk.cyan('周限额:')} ${weeklyColor(weeklyProgress)} ${weeklyColor(weekly.percentage + '%')} (${weekly.used}/${weekly.total})`);
-        contentLines.push(`${chalk.dim('     重置:')} ${weekly.text}`);
+        contentLines.push(`${chalk.cyan(t('panel.weekly'))} ${weeklyColor(weeklyProgress)} ${weeklyColor(weekly.percentage + '%')} (${weekly.used}/${weekly.total})`);
+        const weeklyResetAt = weekly.resetAt ? chalk.gray(` (${weekly.resetAt})`) : '';
+        contentLines.push(`${chalk.dim('     ' + t('panel.reset'))} ${weekly.text}${weeklyResetAt}`);
+        if (forecast && forecast.weekly) {
+          contentLines.push(`${chalk.dim('     ' + t('panel.rate'))} ${this.renderForecast(forecast.weekly)}`);
+        }
       }
     }
 
     // 添加到期行（如果可用）
     if (expiry) {
       const expiryText = `${expiry.date} (${expiry.text})`;
-      contentLines.push(`${chalk.cyan('套餐到期:')} ${expiryText}`);
+      contentLines.push(`${chalk.cyan(t('panel.expiry'))} ${expiryText}`);
     }
 
     // 添加消耗统计（如果有数据）
@@ -202,7 +214,7 @@ class StatusBar {
     // 状态行
     const status = this.getStatus(usage.percentage);
     const statusColor = this.getStatusColor(status);
-    contentLines.push(`${chalk.cyan('状态:')} ${statusColor}`);
+    contentLines.push(`${chalk.cyan(t('panel.status'))} ${statusColor}`);
 
     // 使用 boxen 创建完美对齐的边框
     const boxenOptions = {
@@ -215,6 +227,15 @@ class StatusBar {
     return boxen(contentLines.join('\n'), boxenOptions);
   }
 
+  // 渲染速率和耗尽预测，如 "320 次/小时 · 预计 1h20m 后用完"
+  renderForecast(forecast) {
+    const rate = t('forecast.rate', { rate: forecast.ratePerHour });
+    if (forecast.resetsFirst) {
+      return `${rate} · ${chalk.hex('#10B981')(t('forecast.resetsFirst'))}`;
+    }
+    return `${rate} · ${chalk.hex('#EF4444')(t('forecast.exhaustIn', { duration: formatShortDuration(forecast.exhaustInMs) }))}`;
+  }
+
   createProgressBar(filled, empty, percentage) {
     const usedBar = '█'.repeat(filled);
     const remainingBar = '░'.repeat(empty);
@@ -232,16 +253,16 @@ class StatusBar {
 
   getStatusLine(percentage) {
     const status = this.getStatus(percentage);
-    const leftContent = `${chalk.cyan('状态:')} ${this.getStatusColor(status)}`;
+    const leftContent = `${chalk.cyan(t('panel.status'))} ${this.getStatusColor(status)}`;
     const rightContent = ' │';
 
     return this.padLine(leftContent, rightContent);
   }
 
   getStatusColor(status) {
-    if (status === '⚡ 注意使用') {
+    if (status === t('level.warn')) {
       return chalk.hex('#F59E0B')(status);
-    } else if (status === '⛔ 即将用完') {
+    } else if (status === t('level.critical')) {
       return chalk.hex('#EF4444')(status);
     } else {
       return chalk.hex('#10B981')(status);
@@ -251,11 +272,11 @@ class StatusBar {
   getStatus(percentage) {
     // 基于已使用百分比
     if (percentage >= 85) {
-      return '⛔ 即将用完';
+      return t('level.critical');
     } else if (percentage >= 60) {
-      return '⚡ 注意使用';
+      return t('level.warn');
     } else {
-      return '✓ 正常使用';
+      return t('level.ok');
     }
   }
 
@@ -274,9 +295,30 @@ class StatusBar {
     }
 
     // 添加到期信息（如果可用）
-    const expiryInfo = expiry ? ` ${chalk.gray('•')} 剩余: ${expiry.daysRemaining}天` : '';
+    const expiryInfo = expiry ? ` ${chalk.gray('•')} ${t('expiry.compact', { count: expiry.daysRemaining })}` : '';
+    const regionInfo = this.data.regionLabel ? `${chalk.bold(this.data.regionLabel)} ` : '';
 
-    return `${color('●')} ${modelName} ${usage.percentage}% ${chalk.dim(`(${usage.remaining}/${usage.total})`)} ${chalk.gray('•')} ${remaining.text} ${chalk.gray('•')} ${status}${expiryInfo}`;
+    return `${regionInfo}${color('●')} ${modelName} ${usage.percentage}% ${chalk.dim(`(${usage.remaining}/${usage.total})`)} ${chalk.gray('•')} ${remaining.text} ${chalk.gray('•')} ${status}${expiryInfo}`;
+  }
+
+  // 将多个面板左右并列拼接（用于国内/海外账号并列显示）
+  static joinColumns(panels, gap = 2) {
+    const columns = panels.map(panel => panel.split('\n'));
+    const widths = columns.map(lines =>
+      Math.max(...lines.map(line => stringWidth(line.replace(/\x1b\[[0-9;]*m/g, ''))))
+    );
+    const height = Math.max(...columns.map(lines => lines.length));
+
+    const rows = [];
+    for (let i = 0; i < height; i++) {
+      const cells = columns.map((lines, col) => {
+        const line = lines[i] || '';
+        const visible = stringWidth(line.replace(/\x1b\[[0-9;]*m/g, ''));
+        return line + ' '.repeat(Math.max(0, widths[col] - visible));
+      });
+      rows.push(cells.join(' '.repeat(gap)).trimEnd());
+    }
+    return rows.join('\n');
   }
 
   // 渲染所有模型的额度
@@ -287,11 +329,11 @@ class StatusBar {
 
     const lines = [];
     lines.push('');
-    lines.push(chalk.bold('📋 所有模型额度'));
+    lines.push(chalk.bold(`📋 ${t('panel.allModels')}`));
 
     // 表头
     lines.push(chalk.gray('─'.repeat(55)));
-    lines.push(`│ ${chalk.cyan('模型').padEnd(30)} ${chalk.cyan('已用/总额').padEnd(15)} ${chalk.cyan('状态')}`);
+    lines.push(`│ ${chalk.cyan(t('panel.column.model')).padEnd(30)} ${chalk.cyan(t('panel.column.usedTotal')).padEnd(15)} ${chalk.cyan(t('panel.column.status'))}`);
     lines.push(chalk.gray('─'.repeat(55)));
 
     for (const model of models) {
@@ -305,7 +347,9 @@ class StatusBar {
         color = chalk.hex('#10B981');
       }
 
-      const status = model.percentage >= 85 ? '⛔ 即将用完' : model.percentage >= 60 ? '⚡ 注意' : '✓ 正常';
+      const status = model.percentage >= 85
+        ? t('level.critical')
+        : model.percentage >= 60 ? t('level.warnShort') : t('level.okShort');
       const name = model.name.length > 28 ? model.name.substring(0, 25) + '...' : model.name;
 
       lines.push(`│ ${name.padEnd(30)} ${color(`${model.used}/${model.total} (${model.percentage}%)`).padEnd(15)} ${color(status)}`);
@@ -3,6 +3,7 @@
 const chalk = require('chalk').default;
 const readline = require('readline');
 const MinimaxAPI = require('./api');
+const { t, setLanguage, resolveLanguage } = require('./i18n');
 
 class StatusBar {
   constructor(data) {
@@ -43,6 +44,7 @@ class StatusBar {
 class TerminalStatusBar {
   constructor() {
     this.api = new MinimaxAPI();
+    setLanguage(resolveLanguage(null, this.api.store.data.language));
     this.currentLine = '';
     this.isActive = false;
   }
@@ -54,14 +56,14 @@ class TerminalStatusBar {
     );
 
     if (!require('fs').existsSync(configPath)) {
-      console.log(chalk.red('错误：未找到配置文件'));
-      console.log(chalk.yellow('请先运行: minimax-status auth <token>'));
+      console.log(chalk.red(t('bar.noConfig')));
+      console.log(chalk.yellow(t('bar.authHint')));
       process.exit(1);
     }
 
     this.isActive = true;
-    console.log(chalk.green('✓ MiniMax 状态栏已启动'));
-    console.log(chalk.gray('按 Ctrl+C 退出\n'));
+    console.log(chalk.green(t('bar.started')));
+    console.log(chalk.gray(t('bar.exitHint') + '\n'));
 
     // 隐藏光标
     process.stdout.write('\x1B[?25l');
@@ -95,7 +97,7 @@ class TerminalStatusBar {
         // 显示错误但不退出
         readline.clearLine(process.stdout, 0);
         readline.cursorTo(process.stdout, 0);
-        process.stdout.write(chalk.red(`错误: ${error.message}`));
+        process.stdout.write(chalk.red(t('error.generic', { message: error.message })));
         process.stdout.write('\n');
         readline.cursorTo(process.stdout, 0);
       }
@@ -120,7 +122,7 @@ class TerminalStatusBar {
 
   stop() {
     this.isActive = false;
-    console.log(chalk.yellow('\n\n状态栏已停止'));
+    console.log(chalk.yellow('\n\n' + t('bar.stopped')));
     this.cleanup();
     process.exit(0);
   }
@@ -139,7 +141,7 @@ class TerminalStatusBar {
 if (require.main === module) {
   const statusBar = new TerminalStatusBar();
   statusBar.start().catch(error => {
-    console.error(chalk.red('启动失败:'), error.message);
+    console.error(chalk.red(t('bar.startFailed')), error.message);
     process.exit(1);
   });
 }
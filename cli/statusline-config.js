@@ -0,0 +1,282 @@
+const fs = require("fs");
+const path = require("path");
+const { t } = require("./i18n");
+const { THEMES, THEME_NAMES, COLOR_DEPTH_NAMES, isColorName } = require("./themes");
+
+/**
+ * 状态栏的段（segment）定义和默认设置
+ *
+ * type:
+ *   block    Powerline 磁贴，format 为 {{变量}} 模板
+ *   account  额度相关的磁贴，多账号时每个账号渲染一次（连续的 account 段按账号成组）
+ *   text     普通文本（工具、子代理、待办）
+ *
+ * 颜色（bg、warnBg、fg 等）来自主题，见 themes.js；所有模板都可以使用 {{dot}}（主题的分隔点）。
+ *
+ * 宽度不够时（--width、COLUMNS）：先改用 compactFormat 等缩写模板，再把目录、分支、模型名
+ * 截短到 compactLength 个字符，仍放不下时按 priority 从低到高去掉段。
+ */
+const SEGMENTS = {
+  dir: { type: "block", priority: 40, format: "{{dir}}", compactLength: 12 },
+  git: { type: "block", priority: 30, format: "{{icon}} {{branch}}{{dirty}}", compactLength: 12 },
+  model: { type: "block", priority: 60, format: "{{model}}", compactLength: 12 },
+  context: {
+    type: "block",
+    priority: 50,
+    format: "{{percent}}% {{dot}} {{used}}",
+    compactFormat: "{{percent}}%",
+    emptyFormat: "{{size}}",
+  },
+  quota: {
+    type: "account",
+    priority: 100,
+    format: "{{label}}{{percent}}%  ({{remaining}}/{{total}})",
+    compactFormat: "{{label}}{{percent}}%",
+    weeklyFormat: "W {{weekly}}{{exhaust}}",
+    compactWeeklyFormat: "W {{weekly}}",
+  },
+  reset: { type: "account", priority: 90, format: "{{countdown}}{{forecast}}", compactFormat: "{{countdown}}" },
+  age: { type: "account", priority: 80, format: "{{age}}" },
+  expiry: { type: "block", priority: 45, format: "{{text}}" },
+  // 会话按量计费的估算费用，模型没有价格时不显示
+  cost: { type: "block", priority: 35, format: "{{cost}}" },
+  // 会话累计 token 和缓存命中率（缓存读取占提示 token 的比例），窄终端中最先去掉
+  cache: {
+    type: "block",
+    priority: 15,
+    format: "{{label}} {{ratio}}% {{dot}} {{total}}",
+    compactFormat: "{{label}} {{ratio}}%",
+  },
+  tools: {
+    type: "text",
+    priority: 30,
+    maxRunning: 2,
+    maxItems: 4,
+    colors: { running: "yellow", target: "cyan", done: "green" },
+  },
+  agents: {
+    type: "text",
+    priority: 20,
+    maxItems: 3,
+    maxCompleted: 2,
+    colors: { running: "yellow", done: "green", type: "magenta", model: "cyan", description: "white", elapsed: "yellow" },
+  },
+  todos: { type: "text", priority: 40, maxItems: 1, colors: { active: "yellow", done: "green", progress: "white" } },
+};
+
+const SEGMENT_NAMES = Object.keys(SEGMENTS);
+
+// 默认布局：第一行 Powerline 磁贴，之后依次为工具、子代理和待办
+const DEFAULT_LINES = [
+  ["dir", "git", "model", "context", "quota", "reset", "age", "expiry", "cost", "cache"],
+  ["tools"],
+  ["agents"],
+  ["todos"],
+];
+
+const COLOR_KEYS = ["bg", "warnBg", "dangerBg", "errorBg", "fg"];
+const COUNT_KEYS = ["maxRunning", "maxItems", "maxCompleted"];
+// stdin 中表示终端宽度的字段，按顺序取第一个有效值
+const STDIN_WIDTH_KEYS = [["width"], ["columns"], ["terminal", "columns"], ["terminal", "width"]];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+function defaultConfigPath() {
+  return process.env.MINIMAX_STATUSLINE_CONFIG ||
+    path.join(process.env.HOME || process.env.USERPROFILE, ".minimax-statusline.json");
+}
+
+function checkSegmentName(name, where) {
+  if (!SEGMENT_NAMES.includes(name)) {
+    throw new Error(t("statusline.unknownSegment", { where, value: name, options: SEGMENT_NAMES.join(", ") }));
+  }
+}
+
+/**
+ * Merge theme colors and segment overrides into the defaults
+ * @param {Object} overrides - {name: {enabled, priority, format, compactFormat, bg, colors, maxItems, ...}}
+ * @param {Object} theme - Theme from themes.js
+ * @returns {Object} Settings of every segment
+ * @throws {Error} When a segment name, color or count is invalid
+ */
+function normalizeSegments(overrides = {}, theme = THEMES.powerline) {
+  const segments = {};
+  for (const name of Object.keys(overrides)) {
+    checkSegmentName(name, `segments.${name}`);
+  }
+
+  for (const [name, defaults] of Object.entries(SEGMENTS)) {
+    const override = overrides[name] || {};
+    const where = `segments.${name}`;
+    for (const key of COLOR_KEYS) {
+      if (override[key] !== undefined && override[key] !== null && !HEX_COLOR.test(override[key])) {
+        throw new Error(t("statusline.invalidColor", { where: `${where}.${key}`, value: override[key] }));
+      }
+    }
+    for (const [key, color] of Object.entries(override.colors || {})) {
+      if (!HEX_COLOR.test(color) && !isColorName(color)) {
+        throw new Error(t("statusline.invalidTextColor", { where: `${where}.colors.${key}`, value: color }));
+      }
+    }
+    for (const key of COUNT_KEYS) {
+      if (override[key] !== undefined && !(Number.isInteger(override[key]) && override[key] >= 0)) {
+        throw new Error(t("statusline.invalidCount", { where: `${where}.${key}`, value: override[key] }));
+      }
+    }
+    if (override.priority !== undefined && !Number.isFinite(override.priority)) {
+      throw new Error(t("statusline.invalidPriority", { where: `${where}.priority`, value: override.priority }));
+    }
+    if (override.compactLength !== undefined && !(Number.isInteger(override.compactLength) && override.compactLength >= 4)) {
+      throw new Error(t("statusline.invalidLength", { where: `${where}.compactLength`, value: override.compactLength }));
+    }
+    const themed = theme.segments[name] || {};
+    segments[name] = {
+      ...defaults,
+      ...themed,
+      ...override,
+      type: defaults.type,
+      enabled: override.enabled !== false,
+      colors: defaults.colors ? { ...defaults.colors, ...themed.colors, ...override.colors } : undefined,
+    };
+  }
+  return segments;
+}
+
+// 未指定主题时沿用旧的环境变量：MINIMAX_PLAIN_UI、NO_NERD_FONTS 表示不使用 Nerd Font 字形
+function defaultThemeName() {
+  return process.env.MINIMAX_PLAIN_UI || process.env.NO_NERD_FONTS ? "plain" : "powerline";
+}
+
+/**
+ * Validate a statusline config object
+ * @param {Object} raw - {theme, colorDepth, lines, segments}
+ * @returns {{theme: Object, themeName: string, colorDepth: string, lines: Array<Array<string>>, segments: Object}}
+ *   Layout for Renderer
+ * @throws {Error} When the config is invalid
+ */
+function normalizeLayout(raw = {}) {
+  const themeName = raw.theme || defaultThemeName();
+  if (!THEME_NAMES.includes(themeName)) {
+    throw new Error(t("statusline.unknownTheme", { value: themeName, options: THEME_NAMES.join(", ") }));
+  }
+  const colorDepth = raw.colorDepth === undefined ? "auto" : String(raw.colorDepth);
+  if (!COLOR_DEPTH_NAMES.includes(colorDepth)) {
+    throw new Error(t("statusline.unknownColorDepth", { value: colorDepth, options: COLOR_DEPTH_NAMES.join(", ") }));
+  }
+
+  const lines = raw.lines === undefined ? DEFAULT_LINES : raw.lines;
+  if (!Array.isArray(lines) || !lines.every(Array.isArray)) {
+    throw new Error(t("statusline.linesNotArray"));
+  }
+  lines.forEach((line, index) => line.forEach((name) => checkSegmentName(name, `lines[${index}]`)));
+
+  const segments = normalizeSegments(raw.segments, THEMES[themeName]);
+  return {
+    theme: THEMES[themeName],
+    themeName,
+    colorDepth,
+    lines: lines
+      .map((line) => line.filter((name) => segments[name].enabled))
+      .filter((line) => line.length > 0),
+    segments,
+  };
+}
+
+/**
+ * Read the statusline config file
+ * 主题和色深优先级：options（--theme/--color-depth）> MINIMAX_THEME/MINIMAX_COLOR_DEPTH > 配置文件
+ * @param {Object} [options]
+ * @param {string} [options.file] - Defaults to MINIMAX_STATUSLINE_CONFIG or ~/.minimax-statusline.json
+ * @param {string} [options.theme] - Theme name override
+ * @param {string} [options.colorDepth] - Color depth override
+ * @returns {Object} Layout, the default layout when the file does not exist
+ * @throws {Error} When the file is not valid JSON or has invalid settings
+ */
+function loadLayout(options = {}) {
+  const file = options.file || defaultConfigPath();
+  let raw = {};
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      throw new Error(t("statusline.configInvalid", { path: file, message: error.message }));
+    }
+  }
+  raw.theme = options.theme || process.env.MINIMAX_THEME || raw.theme;
+  raw.colorDepth = options.colorDepth || process.env.MINIMAX_COLOR_DEPTH || raw.colorDepth;
+  try {
+    return normalizeLayout(raw);
+  } catch (error) {
+    throw new Error(t("statusline.configInvalid", { path: file, message: error.message }));
+  }
+}
+
+/**
+ * Apply a --segments value to a layout
+ * 逗号分隔段名、分号换行，如 "dir,model,quota;tools"；
+ * 全部以 - 开头时从现有布局中去掉这些段，如 "-git,-age"
+ * @param {Object} layout - Layout from loadLayout()
+ * @param {string} value - Option value
+ * @returns {Object} New layout
+ * @throws {Error} When a segment name is unknown
+ */
+function applySegmentsOption(layout, value) {
+  const lines = String(value)
+    .split(";")
+    .map((line) => line.split(",").map((name) => name.trim()).filter(Boolean))
+    .filter((line) => line.length > 0);
+  const names = lines.flat();
+  names.forEach((name) => checkSegmentName(name.replace(/^-/, ""), "--segments"));
+
+  if (names.length > 0 && names.every((name) => name.startsWith("-"))) {
+    const hidden = names.map((name) => name.slice(1));
+    return {
+      ...layout,
+      lines: layout.lines
+        .map((line) => line.filter((name) => !hidden.includes(name)))
+        .filter((line) => line.length > 0),
+    };
+  }
+  if (names.some((name) => name.startsWith("-"))) {
+    throw new Error(t("statusline.mixedSegments"));
+  }
+  // 命令行直接列出的段即使在配置文件中禁用也会显示
+  return { ...layout, lines };
+}
+
+function parseWidth(value) {
+  const width = Number(value);
+  return Number.isInteger(width) && width > 0 ? width : null;
+}
+
+/**
+ * Resolve the available statusline width
+ * 优先级：--width > stdin 中的 width/columns/terminal.columns > COLUMNS 环境变量
+ * @param {string|number} [option] - --width value, already validated
+ * @param {Object} [stdinData] - Statusline payload from stdin
+ * @param {Object} [env] - Environment variables
+ * @returns {number|null} Columns, null when unknown (no limit)
+ */
+function resolveWidth(option, stdinData = {}, env = process.env) {
+  if (option !== undefined) {
+    return parseWidth(option);
+  }
+  for (const keys of STDIN_WIDTH_KEYS) {
+    const width = parseWidth(keys.reduce((value, key) => value?.[key], stdinData));
+    if (width) {
+      return width;
+    }
+  }
+  return parseWidth(env.COLUMNS);
+}
+
+module.exports = {
+  SEGMENTS,
+  SEGMENT_NAMES,
+  DEFAULT_LINES,
+  defaultConfigPath,
+  normalizeLayout,
+  loadLayout,
+  applySegmentsOption,
+  parseWidth,
+  resolveWidth,
+};
@@ -0,0 +1,14 @@
+/**
+ * Replace {{name}} placeholders with values
+ * 变量缺失或为 null 时替换为空字符串（状态栏段格式和告警消息共用）
+ * @param {string} template - Template text
+ * @param {Object} vars - Template variables
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    vars[name] === undefined || vars[name] === null ? "" : String(vars[name])
+  );
+}
+
+module.exports = { renderTemplate };
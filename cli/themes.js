@@ -0,0 +1,344 @@
+const { Chalk, foregroundColorNames } = require("chalk");
+
+/**
+ * 状态栏主题
+ *
+ * 主题颜色写作 [truecolor, 256 色编号, 16 色名称]，按终端支持的色深取对应的值，
+ * 避免 chalk 把十六进制颜色自动折算到 16 色时变成黑色或相近的杂色。
+ * 用户配置中的 #RRGGBB 颜色仍由 chalk 折算。
+ *
+ * style:
+ *   powerline  带背景色的磁贴，用箭头连接
+ *   flat       只有前景色的文字，用 separator 分隔（适合浅色背景或不支持背景色的终端）
+ */
+
+const NERD_ICONS = { arrow: "\uE0B0", leftArrow: "\uE0B0", branch: "\uE0A0" };
+const ASCII_ICONS = { arrow: ">", leftArrow: ">", branch: "*" };
+
+const UNICODE_SYMBOLS = {
+  dot: "·",
+  infinity: "∞",
+  warning: "⚠",
+  ellipsis: "…",
+  running: "◐",
+  done: "✓",
+  times: "×",
+  active: "▸",
+};
+const ASCII_SYMBOLS = {
+  dot: "-",
+  infinity: "inf",
+  warning: "!",
+  ellipsis: "~",
+  running: "*",
+  done: "+",
+  times: "x",
+  active: ">",
+};
+
+// 默认配色（Tailwind 800/900 深色，白字可读）
+const POWERLINE_SEGMENTS = {
+  dir: { bg: ["#2563EB", 26, "blue"] },
+  git: { bg: ["#9333EA", 92, "magentaBright"] },
+  model: { bg: ["#4C1D95", 54, "magenta"] },
+  context: { bg: ["#0369A1", 25, "cyan"] },
+  quota: {
+    bg: ["#065F46", 29, "green"],
+    warnBg: ["#9A3412", 130, "yellow"],
+    dangerBg: ["#991B1B", 124, "red"],
+    errorBg: ["#7F1D1D", 88, "red"],
+  },
+  reset: { bg: ["#92400E", 94, "yellow"], dangerBg: ["#991B1B", 124, "red"] },
+  age: { bg: ["#374151", 238, "blackBright"], fg: ["#9CA3AF", 248, "white"] },
+  expiry: {
+    bg: ["#374151", 238, "blackBright"],
+    warnBg: ["#9A3412", 130, "yellow"],
+    dangerBg: ["#991B1B", 124, "red"],
+  },
+  cost: { bg: ["#115E59", 23, "cyan"] },
+  cache: { bg: ["#3F6212", 58, "green"] },
+};
+
+// Solarized 强调色，底色 base02
+const SOLARIZED = {
+  base02: ["#073642", 235, "black"],
+  base1: ["#93A1A1", 247, "white"],
+  yellow: ["#B58900", 136, "yellow"],
+  orange: ["#CB4B16", 166, "yellowBright"],
+  red: ["#DC322F", 160, "red"],
+  magenta: ["#D33682", 162, "magenta"],
+  violet: ["#6C71C4", 61, "magentaBright"],
+  blue: ["#268BD2", 33, "blue"],
+  cyan: ["#2AA198", 37, "cyan"],
+  green: ["#859900", 100, "green"],
+};
+
+// 前景色主题（minimal、ascii）使用明亮的 16 色
+const FLAT_SEGMENTS = {
+  dir: { bg: "blueBright" },
+  git: { bg: "magentaBright" },
+  model: { bg: "whiteBright" },
+  context: { bg: "cyanBright" },
+  quota: { bg: "greenBright", warnBg: "yellowBright", dangerBg: "redBright", errorBg: "redBright" },
+  reset: { bg: "yellow", dangerBg: "redBright" },
+  age: { bg: "gray" },
+  expiry: { bg: "white", warnBg: "yellowBright", dangerBg: "redBright" },
+  cost: { bg: "green" },
+  cache: { bg: "blueBright" },
+};
+
+const THEMES = {
+  powerline: {
+    style: "powerline",
+    nerdFonts: true,
+    icons: NERD_ICONS,
+    symbols: UNICODE_SYMBOLS,
+    text: "whiteBright",
+    segments: POWERLINE_SEGMENTS,
+  },
+  // 与 powerline 配色相同，不依赖 Nerd Font 字形
+  plain: {
+    style: "powerline",
+    nerdFonts: false,
+    icons: ASCII_ICONS,
+    symbols: UNICODE_SYMBOLS,
+    text: "whiteBright",
+    segments: POWERLINE_SEGMENTS,
+  },
+  minimal: {
+    style: "flat",
+    separator: " │ ",
+    icons: { ...ASCII_ICONS, branch: "" },
+    symbols: UNICODE_SYMBOLS,
+    segments: FLAT_SEGMENTS,
+  },
+  // 只输出 ASCII 字符，适合字体不全的终端和日志
+  ascii: {
+    style: "flat",
+    separator: " | ",
+    icons: ASCII_ICONS,
+    symbols: ASCII_SYMBOLS,
+    segments: FLAT_SEGMENTS,
+  },
+  solarized: {
+    style: "powerline",
+    nerdFonts: true,
+    icons: NERD_ICONS,
+    symbols: UNICODE_SYMBOLS,
+    text: ["#FDF6E3", 230, "whiteBright"],
+    segments: {
+      dir: { bg: SOLARIZED.blue },
+      git: { bg: SOLARIZED.violet },
+      model: { bg: SOLARIZED.base02 },
+      context: { bg: SOLARIZED.cyan },
+      quota: { bg: SOLARIZED.green, warnBg: SOLARIZED.orange, dangerBg: SOLARIZED.red, errorBg: SOLARIZED.red },
+      reset: { bg: SOLARIZED.yellow, dangerBg: SOLARIZED.red },
+      age: { bg: SOLARIZED.base02, fg: SOLARIZED.base1 },
+      expiry: { bg: SOLARIZED.base02, warnBg: SOLARIZED.orange, dangerBg: SOLARIZED.magenta },
+      cost: { bg: SOLARIZED.base02, fg: SOLARIZED.yellow },
+      cache: { bg: SOLARIZED.base02, fg: SOLARIZED.cyan },
+      tools: { colors: { running: SOLARIZED.yellow, target: SOLARIZED.cyan, done: SOLARIZED.green } },
+      agents: {
+        colors: {
+          running: SOLARIZED.yellow,
+          done: SOLARIZED.green,
+          type: SOLARIZED.magenta,
+          model: SOLARIZED.cyan,
+          description: SOLARIZED.base1,
+          elapsed: SOLARIZED.yellow,
+        },
+      },
+      todos: { colors: { active: SOLARIZED.yellow, done: SOLARIZED.green, progress: SOLARIZED.base1 } },
+    },
+  },
+  // 纯黑底和高饱和度颜色，状态只靠颜色以外的文字也能区分
+  "high-contrast": {
+    style: "powerline",
+    nerdFonts: true,
+    icons: NERD_ICONS,
+    symbols: UNICODE_SYMBOLS,
+    text: ["#FFFFFF", 231, "whiteBright"],
+    segments: {
+      dir: { bg: ["#0000D7", 20, "blue"] },
+      git: { bg: ["#000000", 16, "black"] },
+      model: { bg: ["#5F00AF", 55, "magenta"] },
+      context: { bg: ["#000000", 16, "black"] },
+      quota: {
+        bg: ["#005F00", 22, "green"],
+        warnBg: ["#AF5F00", 130, "yellow"],
+        dangerBg: ["#D70000", 160, "redBright"],
+        errorBg: ["#D70000", 160, "redBright"],
+      },
+      reset: { bg: ["#000000", 16, "black"], dangerBg: ["#D70000", 160, "redBright"] },
+      age: { bg: ["#000000", 16, "black"], fg: ["#FFFF00", 226, "yellowBright"] },
+      expiry: {
+        bg: ["#000000", 16, "black"],
+        warnBg: ["#AF5F00", 130, "yellow"],
+        dangerBg: ["#D70000", 160, "redBright"],
+      },
+      cost: { bg: ["#000000", 16, "black"], fg: ["#00FFFF", 51, "cyanBright"] },
+      cache: { bg: ["#000000", 16, "black"], fg: ["#00FF00", 46, "greenBright"] },
+      tools: { colors: { running: "yellowBright", target: "whiteBright", done: "greenBright" } },
+      agents: {
+        colors: {
+          running: "yellowBright",
+          done: "greenBright",
+          type: "magentaBright",
+          model: "cyanBright",
+          description: "whiteBright",
+          elapsed: "yellowBright",
+        },
+      },
+      todos: { colors: { active: "yellowBright", done: "greenBright", progress: "whiteBright" } },
+    },
+  },
+};
+
+const THEME_NAMES = Object.keys(THEMES);
+
+// 色深名称与 chalk level 的对应关系
+const COLOR_DEPTHS = { truecolor: 3, 256: 2, 16: 1, none: 0 };
+const COLOR_DEPTH_NAMES = ["auto", "truecolor", "256", "16", "none"];
+
+/**
+ * Resolve a color depth setting to a chalk level
+ * @param {string} [depth] - auto, truecolor, 256, 16 or none
+ * @param {number} detected - Level detected by chalk (COLORTERM, TERM, FORCE_COLOR)
+ * @returns {number} 0-3
+ */
+function resolveColorDepth(depth, detected) {
+  return depth && depth !== "auto" && depth in COLOR_DEPTHS ? COLOR_DEPTHS[depth] : detected;
+}
+
+function isColorName(color) {
+  return foregroundColorNames.includes(color);
+}
+
+/**
+ * 按色深取主题颜色
+ *
+ * 颜色可以是 [truecolor, 256 色编号, 16 色名称]、#RRGGBB 或 chalk 颜色名。
+ */
+class Palette {
+  /**
+   * @param {number} level - Chalk level, 0 (no color) to 3 (truecolor)
+   */
+  constructor(level) {
+    this.level = level;
+    this.chalk = new Chalk({ level });
+  }
+
+  /**
+   * Foreground color function
+   * @param {Array|string|null} color - Theme color
+   * @returns {Function} Text => colored text, unchanged for unknown colors
+   */
+  fg(color) {
+    return this.style(color, "");
+  }
+
+  /**
+   * Background color function
+   * @param {Array|string|null} color - Theme color
+   * @returns {Function} Text => colored text, unchanged for unknown colors
+   */
+  bg(color) {
+    return this.style(color, "bg");
+  }
+
+  style(color, prefix) {
+    const c = this.chalk;
+    const named = (name) => {
+      const method = prefix ? `bg${name[0].toUpperCase()}${name.slice(1)}` : name;
+      return isColorName(name) && typeof c[method] === "function" ? c[method] : (text) => text;
+    };
+
+    if (Array.isArray(color)) {
+      const [hex, ansi256, name] = color;
+      if (this.level >= 3) return prefix ? c.bgHex(hex) : c.hex(hex);
+      if (this.level === 2) return prefix ? c.bgAnsi256(ansi256) : c.ansi256(ansi256);
+      return named(name);
+    }
+    if (typeof color === "string" && color.startsWith("#")) {
+      return prefix ? c.bgHex(color) : c.hex(color);
+    }
+    return typeof color === "string" ? named(color) : (text) => text;
+  }
+}
+
+/**
+ * Sample render contexts for `minimax themes preview`
+ * @param {number} [now] - Current time (ms)
+ * @returns {Array<{name: string, context: Object}>} Low, high and exhausted quota samples
+ */
+function previewSamples(now = Date.now()) {
+  const base = {
+    currentDir: "my-project",
+    gitBranch: { name: "main", hasChanges: true },
+    modelName: "MiniMax-M2.7",
+    sessionCost: { CNY: { total: 1.26 }, USD: { total: 0.18 } },
+    currency: "CNY",
+    sessionTokens: {
+      inputTokens: 42000,
+      outputTokens: 18000,
+      cacheWriteTokens: 60000,
+      cacheReadTokens: 900000,
+      totalTokens: 1020000,
+      turns: 6,
+      cacheHitRatio: 0.9,
+    },
+    contextSize: 204800,
+    tools: [
+      { name: "Read", status: "completed" },
+      { name: "Read", status: "completed" },
+      { name: "Edit", status: "completed" },
+      { name: "Bash", status: "running", target: "npm test" },
+    ],
+    agents: [{ type: "explore", status: "running", description: "Find usages", startTime: new Date(now - 12000) }],
+    todos: [
+      { content: "Write tests", status: "completed" },
+      { content: "Update docs", status: "in_progress" },
+    ],
+  };
+  const quota = (used, remaining, forecast, daysRemaining) => ({
+    usage: { used, remaining: 4500 - used, total: 4500, percentage: Math.round((used / 4500) * 100) },
+    weekly: { percentage: Math.floor(used / 150), unlimited: false },
+    remaining,
+    forecast,
+    expiry: { daysRemaining, date: "" },
+  });
+
+  return [
+    {
+      name: "low",
+      context: { ...base, contextUsage: 24000, ...quota(900, { hours: 3, minutes: 40 }, { interval: { resetsFirst: true } }, 120) },
+    },
+    {
+      name: "high",
+      context: {
+        ...base,
+        contextUsage: 150000,
+        ...quota(3700, { hours: 1, minutes: 15 }, { interval: { resetsFirst: false, exhaustInMs: 40 * 60000 } }, 6),
+      },
+    },
+    {
+      name: "exhausted",
+      context: {
+        ...base,
+        contextUsage: 198000,
+        ...quota(4500, { hours: 0, minutes: 35 }, { interval: { resetsFirst: false, exhaustInMs: 0 } }, 2),
+      },
+    },
+  ];
+}
+
+module.exports = {
+  THEMES,
+  THEME_NAMES,
+  COLOR_DEPTHS,
+  COLOR_DEPTH_NAMES,
+  Palette,
+  resolveColorDepth,
+  isColorName,
+  previewSamples,
+};
@@ -3,12 +3,71 @@
 const fs = require('fs');
 const path = require('path');
 const readline = require('readline');
+const Pricing = require('./pricing');
+
+// Droid 的 TodoWrite 传入多行文本，如 "1. [in_progress] 编写测试"
+const TODO_LINE = /^\s*(?:\d+[.)]|[-*])?\s*\[([a-z_ x]*)\]\s*(.+)$/i;
+const TODO_STATUS = { x: 'completed', done: 'completed', ' ': 'pending', '': 'pending' };
+
+/**
+ * Normalize an Anthropic or OpenAI style usage object
+ * input 不含缓存读写的 token（OpenAI 风格的 prompt_tokens 含缓存命中，需要扣除）
+ * @param {Object} usage - message.usage of a transcript entry
+ * @returns {{inputTokens: number, outputTokens: number, cacheWriteTokens: number, cacheReadTokens: number}}
+ */
+function normalizeUsage(usage = {}) {
+  const cacheRead = usage.cache_read_input_tokens || usage.cache_read_prompt_tokens ||
+    usage.prompt_tokens_details?.cached_tokens || usage.cached_tokens || 0;
+  const input = usage.input_tokens !== undefined ? usage.input_tokens : Math.max(0, (usage.prompt_tokens || 0) - cacheRead);
+  return {
+    inputTokens: input || 0,
+    outputTokens: usage.output_tokens || usage.completion_tokens || 0,
+    cacheWriteTokens: usage.cache_creation_input_tokens || usage.cache_creation_prompt_tokens || 0,
+    cacheReadTokens: cacheRead,
+  };
+}
+
+function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheWriteTokens: 0, cacheReadTokens: 0, totalTokens: 0, messages: 0 };
+}
+
+function addTokens(total, usage) {
+  total.inputTokens += usage.inputTokens;
+  total.outputTokens += usage.outputTokens;
+  total.cacheWriteTokens += usage.cacheWriteTokens;
+  total.cacheReadTokens += usage.cacheReadTokens;
+  total.totalTokens += usage.inputTokens + usage.outputTokens + usage.cacheWriteTokens + usage.cacheReadTokens;
+  total.messages++;
+  return total;
+}
+
+/**
+ * Share of prompt tokens served from the cache
+ * 缓存读取 / (输入 + 缓存写入 + 缓存读取)，输出不计入
+ * @param {Object} usage - {inputTokens, cacheWriteTokens, cacheReadTokens}
+ * @returns {number|null} 0-1, null when there are no prompt tokens
+ */
+function cacheHitRatio(usage) {
+  const prompt = usage.inputTokens + usage.cacheWriteTokens + usage.cacheReadTokens;
+  return prompt > 0 ? usage.cacheReadTokens / prompt : null;
+}
 
 class TranscriptParser {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.model] - Model of messages that do not record one (Droid keeps it in settings)
+   * @param {Pricing} [options.pricing] - Prices for the session cost
+   */
+  constructor(options = {}) {
     this.toolMap = new Map();
     this.agentMap = new Map();
     this.latestTodos = [];
+    this.defaultModel = options.model || null;
+    this.pricing = options.pricing || new Pricing();
+    // 消息 id => {model, turn, usage}；Claude Code 把一条消息的每个内容块写成一行，usage 相同，按 id 去重
+    this.usageMap = new Map();
+    // 用户每发一条消息开始一轮，第一条消息之前的用量记入第 0 轮
+    this.turns = [];
   }
 
   async parse(transcriptPath) {
@@ -21,7 +80,7 @@ class TranscriptParser {
     };
 
     if (typeof transcriptPath !== 'string' || !fs.existsSync(transcriptPath)) {
-      return result;
+      return Object.assign(result, this.snapshot());
     }
 
     try {
@@ -45,11 +104,103 @@ class TranscriptParser {
       // Return partial results on error
     }
 
-    result.tools = Array.from(this.toolMap.values()).slice(-20);
-    result.agents = Array.from(this.agentMap.values()).slice(-10);
-    result.todos = this.latestTodos;
+    return Object.assign(result, this.snapshot());
+  }
+
+  /**
+   * Tools, agents, todos, token usage and cost recorded so far
+   * @returns {{tools: Array<Object>, agents: Array<Object>, todos: Array<Object>, usage: Object<string, Object>,
+   *   totals: Object, turns: Array<Object>, cost: {CNY: Object, USD: Object}}}
+   */
+  snapshot() {
+    const usage = this.usageByModel();
+    return {
+      tools: Array.from(this.toolMap.values()).slice(-20),
+      agents: Array.from(this.agentMap.values()).slice(-10),
+      todos: this.latestTodos,
+      usage,
+      totals: this.usageTotals(),
+      turns: this.usageByTurn(),
+      cost: {
+        CNY: this.pricing.sessionCost(usage, 'CNY'),
+        USD: this.pricing.sessionCost(usage, 'USD'),
+      },
+    };
+  }
 
-    return result;
+  /**
+   * Record the token usage of one model response
+   * 同一 id 重复记录时以最后一次为准
+   * @param {string} id - Message id
+   * @param {string|null} model - Model of the response, the default model when missing
+   * @param {Object} usage - {inputTokens, outputTokens, cacheWriteTokens, cacheReadTokens}, see normalizeUsage()
+   */
+  addUsage(id, model, usage) {
+    const total = usage.inputTokens + usage.outputTokens + usage.cacheWriteTokens + usage.cacheReadTokens;
+    if (total > 0) {
+      // 重复记录时保留原来的轮次
+      const turn = this.usageMap.has(id) ? this.usageMap.get(id).turn : this.turns.length;
+      this.usageMap.set(id, { model: model || this.defaultModel || 'unknown', turn, usage });
+    }
+  }
+
+  /**
+   * Start a new turn at a user prompt
+   * 工具结果也以 user 消息返回，只有用户输入的消息才开始新的一轮
+   * @param {Date} timestamp - Time of the prompt
+   */
+  startTurn(timestamp) {
+    this.turns.push({ startTime: timestamp });
+  }
+
+  /**
+   * Cumulative token usage per model
+   * @returns {Object<string, {inputTokens: number, outputTokens: number, cacheWriteTokens: number,
+   *   cacheReadTokens: number, totalTokens: number, messages: number}>}
+   */
+  usageByModel() {
+    const models = {};
+    for (const { model, usage } of this.usageMap.values()) {
+      addTokens(models[model] || (models[model] = emptyUsage()), usage);
+    }
+    return models;
+  }
+
+  /**
+   * Cumulative token usage of the session
+   * @returns {{inputTokens: number, outputTokens: number, cacheWriteTokens: number, cacheReadTokens: number,
+   *   totalTokens: number, messages: number, turns: number, cacheHitRatio: number|null}}
+   */
+  usageTotals() {
+    const total = emptyUsage();
+    for (const { usage } of this.usageMap.values()) {
+      addTokens(total, usage);
+    }
+    return { ...total, turns: this.turns.length, cacheHitRatio: cacheHitRatio(total) };
+  }
+
+  /**
+   * Token usage per turn, turns without model responses are left out
+   * @returns {Array<{turn: number, startTime: Date|null, models: Array<string>, inputTokens: number,
+   *   outputTokens: number, cacheWriteTokens: number, cacheReadTokens: number, totalTokens: number,
+   *   messages: number, cacheHitRatio: number|null}>}
+   */
+  usageByTurn() {
+    const turns = new Map();
+    for (const { model, turn, usage } of this.usageMap.values()) {
+      let item = turns.get(turn);
+      if (!item) {
+        item = { turn, startTime: turn > 0 ? this.turns[turn - 1].startTime : null, models: [], ...emptyUsage() };
+        turns.set(turn, item);
+      }
+      if (!item.models.includes(model)) {
+        item.models.push(model);
+      }
+      addTokens(item, usage);
+    }
+    return [...turns.values()]
+      .sort((a, b) => a.turn - b.turn)
+      .map((item) => ({ ...item, cacheHitRatio: cacheHitRatio(item) }));
   }
 
   processEntry(entry, result) {
@@ -59,57 +210,108 @@ class TranscriptParser {
       result.sessionStart = timestamp;
     }
 
-    const content = entry.message?.content;
+    const message = entry.message;
+    if (this.isPrompt(entry)) {
+      this.startTurn(timestamp);
+    }
+    if (message?.usage && (entry.type === 'assistant' || message.role === 'assistant')) {
+      // Claude Code 的合成消息（API 错误等）没有真实用量
+      if (message.model !== '<synthetic>') {
+        this.addUsage(message.id || entry.uuid || entry.id || `line-${this.usageMap.size}`, message.model, normalizeUsage(message.usage));
+      }
+    }
+
+    const content = message?.content;
     if (!content || !Array.isArray(content)) return;
 
     for (const block of content) {
       if (block.type === 'tool_use' && block.id && block.name) {
-        const toolEntry = {
-          id: block.id,
-          name: block.name,
-          target: this.extractTarget(block.name, block.input),
-          status: 'running',
-          startTime: timestamp,
-        };
-
-        if (block.name === 'Task') {
-          const input = block.input || {};
-          const agentEntry = {
-            id: block.id,
-            type: input.subagent_type || 'unknown',
-            model: input.model,
-            description: input.description,
-            status: 'running',
-            startTime: timestamp,
-          };
-          this.agentMap.set(block.id, agentEntry);
-        } else if (block.name === 'TodoWrite') {
-          const input = block.input || {};
-          if (input.todos && Array.isArray(input.todos)) {
-            this.latestTodos.length = 0;
-            this.latestTodos.push(...input.todos);
-          }
-        } else {
-          this.toolMap.set(block.id, toolEntry);
-        }
+        this.addToolUse(block.id, block.name, block.input, timestamp);
       }
 
       if (block.type === 'tool_result' && block.tool_use_id) {
-        const tool = this.toolMap.get(block.tool_use_id);
-        if (tool) {
-          tool.status = block.is_error ? 'error' : 'completed';
-          tool.endTime = timestamp;
-        }
+        this.addToolResult(block.tool_use_id, block.is_error, timestamp);
+      }
+    }
+  }
 
-        const agent = this.agentMap.get(block.tool_use_id);
-        if (agent) {
-          agent.status = 'completed';
-          agent.endTime = timestamp;
-        }
+  // 用户输入的消息：Claude Code 为 type user，Droid 为 type message；排除工具结果、子代理和元信息
+  isPrompt(entry) {
+    const message = entry.message;
+    if (message?.role !== 'user' || entry.isSidechain || entry.isMeta) return false;
+    if (typeof message.content === 'string') return message.content.trim() !== '';
+    return Array.isArray(message.content) &&
+      message.content.some(block => block.type === 'text') &&
+      !message.content.some(block => block.type === 'tool_result');
+  }
+
+  /**
+   * Record a tool call
+   * Task 记为子代理，TodoWrite 替换待办；其他 Agent 的会话先把工具名映射为 Claude Code 的名称
+   * @param {string} id - Tool call id
+   * @param {string} name - Tool name, e.g. Read, Bash, Task, TodoWrite
+   * @param {Object} [input] - Tool input
+   * @param {Date} timestamp - Call time
+   */
+  addToolUse(id, name, input, timestamp) {
+    if (name === 'Task') {
+      input = input || {};
+      this.agentMap.set(id, {
+        id,
+        type: input.subagent_type || 'unknown',
+        model: input.model,
+        description: input.description,
+        status: 'running',
+        startTime: timestamp,
+      });
+    } else if (name === 'TodoWrite') {
+      const todos = this.parseTodos((input || {}).todos);
+      if (todos) {
+        this.latestTodos.length = 0;
+        this.latestTodos.push(...todos);
       }
+    } else {
+      this.toolMap.set(id, {
+        id,
+        name,
+        target: this.extractTarget(name, input),
+        status: 'running',
+        startTime: timestamp,
+      });
+    }
+  }
+
+  /**
+   * Record the result of a tool call
+   * @param {string} id - Tool call id
+   * @param {boolean} isError - Whether the call failed
+   * @param {Date} timestamp - Result time
+   */
+  addToolResult(id, isError, timestamp) {
+    const tool = this.toolMap.get(id);
+    if (tool) {
+      tool.status = isError ? 'error' : 'completed';
+      tool.endTime = timestamp;
+    }
+
+    const agent = this.agentMap.get(id);
+    if (agent) {
+      agent.status = 'completed';
+      agent.endTime = timestamp;
     }
   }
 
+  // Claude Code 传入 [{content, status}]，Droid 传入多行文本
+  parseTodos(todos) {
+    if (Array.isArray(todos)) return todos;
+    if (typeof todos !== 'string') return null;
+
+    return todos.split('\n').map(line => line.match(TODO_LINE)).filter(Boolean).map(([, status, content]) => {
+      const key = status.toLowerCase();
+      return { content: content.trim(), status: TODO_STATUS[key] || key };
+    });
+  }
+
   extractTarget(toolName, input) {
     if (!input) return undefined;
 
@@ -117,12 +319,17 @@ class TranscriptParser {
       case 'Read':
       case 'Write':
       case 'Edit':
+      case 'Create':
+      case 'MultiEdit':
         return input.file_path || input.path;
+      case 'LS':
+        return input.directory_path || input.path;
       case 'Glob':
         return input.pattern;
       case 'Grep':
         return input.pattern;
       case 'Bash':
+      case 'Execute':
         const cmd = input.command;
         if (typeof cmd === 'string') {
           return cmd.slice(0, 30) + (cmd.length > 30 ? '...' : '');
@@ -212,3 +419,5 @@ class TranscriptParser {
 }
 
 module.exports = TranscriptParser;
+module.exports.normalizeUsage = normalizeUsage;
+module.exports.cacheHitRatio = cacheHitRatio;
@@ -0,0 +1,241 @@
+const fs = require("fs");
+const path = require("path");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// 数值未变化时，同一模型最短记录间隔
+const MIN_RECORD_INTERVAL = 10 * 60 * 1000;
+// 超过该时间的样本在压缩时按桶抽稀
+const COMPACT_AFTER = DAY;
+const COMPACT_BUCKET = 15 * 60 * 1000;
+// 每天最多压缩一次
+const COMPACT_INTERVAL = DAY;
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * 本地用量历史（append-only JSONL）
+ *
+ * 每次从上游拿到 model_remains 时追加一行/模型，
+ * 存放在 ~/.minimax-status/history/<profile>-<region>.jsonl
+ */
+class UsageHistory {
+  /**
+   * @param {string} name - History file name (usually "<profile>-<region>")
+   * @param {Object} [options]
+   * @param {number} [options.retentionDays] - Drop samples older than this
+   * @param {string} [options.dir] - History directory
+   */
+  constructor(name, options = {}) {
+    this.dir =
+      options.dir ||
+      path.join(process.env.HOME || process.env.USERPROFILE, ".minimax-status", "history");
+    this.filePath = path.join(this.dir, `${name}.jsonl`);
+    this.markerPath = path.join(this.dir, `${name}.compacted`);
+    this.retentionDays = options.retentionDays || DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * Convert a token_plan/remains response into samples
+   * @param {Object} apiData - Raw API response
+   * @param {number} timestamp - Sample time (ms)
+   * @returns {Array<Object>} Samples, one per model
+   */
+  static toSamples(apiData, timestamp = Date.now()) {
+    return (apiData.model_remains || []).map((m) => ({
+      t: timestamp,
+      model: m.model_name,
+      used: m.current_interval_usage_count || 0,
+      total: m.current_interval_total_count || 0,
+      start: m.start_time,
+      end: m.end_time,
+      weeklyUsed: m.current_weekly_usage_count || 0,
+      weeklyTotal: m.current_weekly_total_count || 0,
+      weeklyEnd: m.weekly_end_time,
+      weeklyRemains: m.weekly_remains_time,
+    }));
+  }
+
+  /**
+   * Append a snapshot, skipping models whose values did not change recently
+   * @param {Object} apiData - Raw API response
+   */
+  record(apiData, timestamp = Date.now()) {
+    try {
+      const latest = new Map();
+      for (const sample of this.readTail()) {
+        latest.set(sample.model, sample);
+      }
+
+      const lines = UsageHistory.toSamples(apiData, timestamp)
+        .filter((sample) => {
+          const last = latest.get(sample.model);
+          if (!last) return true;
+          const unchanged =
+            last.used === sample.used &&
+            last.weeklyUsed === sample.weeklyUsed &&
+            last.start === sample.start;
+          return !unchanged || timestamp - last.t >= MIN_RECORD_INTERVAL;
+        })
+        .map((sample) => JSON.stringify(sample) + "\n");
+
+      if (lines.length > 0) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.appendFileSync(this.filePath, lines.join(""));
+      }
+
+      if (this.shouldCompact()) {
+        this.compact();
+      }
+    } catch {
+      // 历史记录失败不影响主流程
+    }
+  }
+
+  static parseLines(content) {
+    const samples = [];
+    for (const line of content.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        samples.push(JSON.parse(line));
+      } catch {
+        // Skip malformed lines
+      }
+    }
+    return samples;
+  }
+
+  // 只读取文件末尾，用于去重判断
+  readTail(bytes = 16 * 1024) {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const { size } = fs.statSync(this.filePath);
+    const length = Math.min(size, bytes);
+    const buffer = Buffer.alloc(length);
+    const fd = fs.openSync(this.filePath, "r");
+    fs.readSync(fd, buffer, 0, length, size - length);
+    fs.closeSync(fd);
+
+    const content = buffer.toString("utf8");
+    // 从中间截断时丢弃第一行不完整的内容
+    return UsageHistory.parseLines(length < size ? content.slice(content.indexOf("\n") + 1) : content);
+  }
+
+  /**
+   * Read samples in a time range
+   * @param {Object} [options]
+   * @param {number} [options.from] - Start time (ms)
+   * @param {number} [options.to] - End time (ms)
+   * @param {string} [options.model] - Model name (substring match)
+   * @returns {Array<Object>} Samples sorted by time
+   */
+  read(options = {}) {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const from = options.from || 0;
+    const to = options.to || Infinity;
+    return UsageHistory.parseLines(fs.readFileSync(this.filePath, "utf8"))
+      .filter((s) => s.t >= from && s.t <= to)
+      .filter((s) => !options.model || (s.model || "").includes(options.model))
+      .sort((a, b) => a.t - b.t);
+  }
+
+  /**
+   * Read recent samples of a model from the end of the file
+   * 从末尾 256KB 开始读，最早的样本仍不早于 since 时逐次扩大读取范围，直到覆盖 since 或读完整个文件
+   * @param {number} since - Start time (ms)
+   * @param {string} model - Exact model name
+   * @returns {Array<Object>} Samples sorted by time
+   */
+  readRecent(since, model) {
+    try {
+      const { size } = fs.statSync(this.filePath);
+      let bytes = 256 * 1024;
+      let samples = this.readTail(bytes);
+      while (bytes < size && !samples.some((s) => s.t < since)) {
+        bytes *= 4;
+        samples = this.readTail(bytes);
+      }
+      return samples
+        .filter((s) => s.t >= since && s.model === model)
+        .sort((a, b) => a.t - b.t);
+    } catch {
+      return [];
+    }
+  }
+
+  shouldCompact() {
+    try {
+      return Date.now() - fs.statSync(this.markerPath).mtimeMs > COMPACT_INTERVAL;
+    } catch {
+      return fs.existsSync(this.filePath);
+    }
+  }
+
+  /**
+   * Apply retention and thin out old samples
+   * 保留期外的样本删除；超过 24 小时的样本每 15 分钟每模型只保留最后一条
+   * @returns {{before: number, after: number}} Sample counts
+   */
+  compact(now = Date.now()) {
+    if (!fs.existsSync(this.filePath)) {
+      return { before: 0, after: 0 };
+    }
+
+    const { size } = fs.statSync(this.filePath);
+    const samples = UsageHistory.parseLines(fs.readFileSync(this.filePath, "utf8"));
+    const retentionStart = now - this.retentionDays * DAY;
+
+    const buckets = new Map();
+    const recent = [];
+    for (const sample of samples) {
+      if (sample.t < retentionStart) continue;
+      if (now - sample.t < COMPACT_AFTER) {
+        recent.push(sample);
+        continue;
+      }
+      const bucket = `${sample.model}:${Math.floor(sample.t / COMPACT_BUCKET)}`;
+      const existing = buckets.get(bucket);
+      if (!existing || existing.t <= sample.t) {
+        buckets.set(bucket, sample);
+      }
+    }
+
+    const kept = [...buckets.values(), ...recent].sort((a, b) => a.t - b.t);
+
+    // 写临时文件后重命名；压缩期间其他进程追加的内容一并带上
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, kept.map((s) => JSON.stringify(s) + "\n").join(""));
+    const currentSize = fs.statSync(this.filePath).size;
+    if (currentSize > size) {
+      const appended = Buffer.alloc(currentSize - size);
+      const fd = fs.openSync(this.filePath, "r");
+      fs.readSync(fd, appended, 0, appended.length, size);
+      fs.closeSync(fd);
+      fs.appendFileSync(tmpPath, appended);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+    fs.writeFileSync(this.markerPath, String(now));
+
+    return { before: samples.length, after: kept.length };
+  }
+}
+
+/**
+ * Parse a duration like "5h", "7d", "30m" into milliseconds
+ * @param {string} text - Duration text
+ * @returns {number|null} Milliseconds, null if invalid
+ */
+function parseDuration(text) {
+  const match = /^(\d+(?:\.\d+)?)\s*(m|h|d|w)$/i.exec(String(text || "").trim());
+  if (!match) return null;
+  const units = { m: 60 * 1000, h: HOUR, d: DAY, w: 7 * DAY };
+  return parseFloat(match[1]) * units[match[2].toLowerCase()];
+}
+
+module.exports = UsageHistory;
+module.exports.parseDuration = parseDuration;
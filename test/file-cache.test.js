@@ -0,0 +1,94 @@
+const { suite, test, before, after } = require("node:test");
+const assert = require("assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn, spawnSync } = require("child_process");
+const FileCache = require("../cli/file-cache");
+
+// 已退出进程的 pid
+function deadPid() {
+  return spawnSync(process.execPath, ["-e", ""]).pid;
+}
+
+suite("File Cache Test Suite", () => {
+  let tmpDir;
+  let cache;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "minimax-cache-"));
+    cache = new FileCache(tmpDir);
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function writeLock(name, owner) {
+    fs.writeFileSync(cache.lockPath(name), JSON.stringify(owner));
+  }
+
+  test("Missing lock is not stale", () => {
+    assert.strictEqual(cache.isLockStale("missing"), false);
+  });
+
+  test("Lock of a live process is not stale", () => {
+    writeLock("live", { pid: process.pid, timestamp: Date.now() });
+    assert.strictEqual(cache.isLockStale("live"), false);
+    assert.strictEqual(cache.acquireLock("live"), false);
+  });
+
+  test("Lock of an exited process is stale", () => {
+    writeLock("dead", { pid: deadPid(), timestamp: Date.now() });
+    assert.strictEqual(cache.isLockStale("dead"), true);
+  });
+
+  test("Lock older than the timeout is taken over", () => {
+    writeLock("old", { pid: process.pid, timestamp: Date.now() - 60 * 1000 });
+    assert.strictEqual(cache.isLockStale("old"), true);
+    assert.strictEqual(cache.acquireLock("old"), true);
+
+    const owner = JSON.parse(fs.readFileSync(cache.lockPath("old"), "utf8"));
+    assert.strictEqual(owner.pid, process.pid);
+    assert.ok(Date.now() - owner.timestamp < 1000);
+    cache.releaseLock("old");
+    assert.strictEqual(fs.existsSync(cache.lockPath("old")), false);
+  });
+
+  test("waitForUpdate returns null when the holder exits without writing", async () => {
+    const lockPath = cache.lockPath("crash");
+    // 持锁进程写入锁文件后不释放就退出
+    const holder = spawn(process.execPath, [
+      "-e",
+      `require("fs").writeFileSync(${JSON.stringify(lockPath)}, JSON.stringify({ pid: process.pid, timestamp: Date.now() }));
+       setTimeout(() => {}, 300);`,
+    ]);
+    await new Promise((resolve) => holder.once("spawn", resolve));
+    while (!fs.existsSync(lockPath)) {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+
+    const started = Date.now();
+    const entry = await cache.waitForUpdate("crash", 0, 10 * 1000);
+    assert.strictEqual(entry, null);
+    assert.ok(Date.now() - started < 5000);
+  });
+
+  test("waitForUpdate returns the entry written by the holder", async () => {
+    writeLock("written", { pid: process.pid, timestamp: Date.now() });
+    setTimeout(() => cache.write("written", { value: 1 }), 150);
+    const entry = await cache.waitForUpdate("written", 0, 5000);
+    assert.deepStrictEqual(entry.data, { value: 1 });
+  });
+
+  test("Fresh entries are served from the cache unless forced", async () => {
+    let calls = 0;
+    const fetcher = async () => ++calls;
+
+    assert.strictEqual(await cache.fetch("remains", ["key"], fetcher), 1);
+    assert.strictEqual(await cache.fetch("remains", ["key"], fetcher), 1);
+    assert.strictEqual(await cache.fetch("remains", ["key"], fetcher, { force: true }), 2);
+    assert.strictEqual(calls, 2);
+    assert.strictEqual(cache.readLastKnown("remains", ["key"]).data, 2);
+  });
+});
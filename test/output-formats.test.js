@@ -0,0 +1,96 @@
+const { suite, test } = require("node:test");
+const assert = require("assert");
+const Clock = require("../cli/clock");
+const { parseUsageData, parseAllModels } = require("../cli/quota");
+const { resolveBillingPeriod } = require("../cli/billing-period");
+const { buildReport, formatReport } = require("../cli/output-formats");
+
+const clock = new Clock({ timeZone: "Asia/Shanghai" });
+const now = Date.parse("2026-10-19T12:00:00+08:00");
+
+const apiData = {
+  model_remains: [
+    {
+      model_name: "MiniMax-M2.7",
+      start_time: Date.parse("2026-10-19T10:00:00+08:00"),
+      end_time: Date.parse("2026-10-19T15:00:00+08:00"),
+      remains_time: 3 * 60 * 60 * 1000,
+      current_interval_total_count: 4500,
+      current_interval_usage_count: 700,
+      current_weekly_total_count: 45000,
+      current_weekly_usage_count: 2100,
+      weekly_end_time: Date.parse("2026-10-24T10:00:00+08:00"),
+      weekly_remains_time: 5 * 24 * 60 * 60 * 1000 - 2 * 60 * 60 * 1000,
+    },
+  ],
+};
+const subscription = {
+  current_subscribe: { current_subscribe_end_time: "11/05/2026", current_credit_reload_time: "11/05/2026" },
+};
+
+function account() {
+  const period = resolveBillingPeriod("cycle", subscription, clock, now);
+  return {
+    api: { region: "domestic", profileName: "default", clock, parseAllModels },
+    apiData,
+    usageData: parseUsageData(apiData, subscription, clock),
+    usageStats: { lastDayUsage: 1000, weeklyUsage: 7000, planTotalUsage: 19000, period, truncated: false },
+  };
+}
+
+suite("Output Formats Test Suite", () => {
+  test("JSON report carries raw values only", () => {
+    const report = JSON.parse(formatReport(buildReport("status", [account()]), "json"));
+    assert.deepStrictEqual(Object.keys(report), ["schemaVersion", "command", "generatedAt", "profile", "timeZone", "accounts"]);
+    assert.strictEqual(report.schemaVersion, 1);
+    assert.strictEqual(report.timeZone, "Asia/Shanghai");
+
+    const [item] = report.accounts;
+    assert.deepStrictEqual(Object.keys(item), ["region", "model", "interval", "weekly", "expiry", "models", "stats"]);
+    assert.strictEqual(item.region, "domestic");
+    assert.deepStrictEqual(item.interval, {
+      used: 700,
+      remaining: 3800,
+      total: 4500,
+      percentage: 16,
+      resetInMinutes: 180,
+      startAt: "2026-10-19T02:00:00.000Z",
+      endAt: "2026-10-19T07:00:00.000Z",
+    });
+    assert.deepStrictEqual(item.weekly, {
+      used: 2100,
+      total: 45000,
+      percentage: 4,
+      unlimited: false,
+      resetInHours: 118,
+      resetAt: "2026-10-24T02:00:00.000Z",
+    });
+    assert.strictEqual(item.expiry.at, "2026-11-04T16:00:00.000Z");
+    assert.deepStrictEqual(Object.keys(item.expiry), ["at", "daysRemaining"]);
+    assert.deepStrictEqual(item.stats, {
+      lastDayUsage: 1000,
+      weeklyUsage: 7000,
+      planTotalUsage: 19000,
+      truncated: false,
+      period: { mode: "cycle", startAt: "2026-10-04T16:00:00.000Z", endAt: "2026-11-05T15:59:59.999Z" },
+    });
+    assert.deepStrictEqual(Object.keys(item.models[0]), [
+      "name", "used", "remaining", "total", "percentage", "unlimited", "weeklyPercentage", "weeklyTotal", "weeklyRemainingCount",
+    ]);
+  });
+
+  test("Missing expiry and stats are null", () => {
+    const data = { ...account(), usageData: parseUsageData(apiData, null, clock), usageStats: null };
+    const [item] = buildReport("list", [data]).accounts;
+    assert.strictEqual(item.expiry, null);
+    assert.strictEqual(item.stats, null);
+  });
+
+  test("CSV has one row per model with a fixed header", () => {
+    const lines = formatReport(buildReport("status", [account()]), "csv").split("\n");
+    assert.deepStrictEqual(lines, [
+      "schema_version,region,model,used,remaining,total,percentage,weekly_total,weekly_remaining,weekly_percentage,weekly_unlimited,last_day_usage,weekly_usage,plan_total_usage",
+      "1,domestic,MiniMax-M2.7,700,3800,4500,16,45000,42900,4,false,1000,7000,19000",
+    ]);
+  });
+});
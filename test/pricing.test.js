@@ -0,0 +1,57 @@
+const { suite, test } = require("node:test");
+const assert = require("assert");
+const Pricing = require("../cli/pricing");
+
+const STANDARD_CNY = { input: 2.1, output: 8.4, cacheWrite: 2.625, cacheRead: 0.21 };
+const HIGHSPEED_USD = { input: 0.6, output: 2.4, cacheWrite: 0.375, cacheRead: 0.06 };
+
+suite("Pricing Test Suite", () => {
+  test("Known models use their own price", () => {
+    const pricing = new Pricing();
+    assert.deepStrictEqual(pricing.priceOf("MiniMax-M2.7", "CNY"), STANDARD_CNY);
+    assert.deepStrictEqual(pricing.priceOf("MiniMax-M2.7-highspeed", "USD"), HIGHSPEED_USD);
+  });
+
+  test("custom: prefix and date suffix are stripped", () => {
+    const pricing = new Pricing({ "MiniMax-M2.7": { CNY: { input: 3 } } });
+    assert.strictEqual(pricing.priceOf("custom:MiniMax-M2.7-20260101", "CNY").input, 3);
+  });
+
+  test("Unlisted MiniMax-M models fall back to the series price", () => {
+    const pricing = new Pricing();
+    assert.deepStrictEqual(pricing.priceOf("MiniMax-M3", "CNY"), STANDARD_CNY);
+    assert.deepStrictEqual(pricing.priceOf("MiniMax-M3-highspeed", "USD"), HIGHSPEED_USD);
+    assert.strictEqual(pricing.priceOf("gpt-5", "CNY"), null);
+    assert.strictEqual(pricing.priceOf(null, "CNY"), null);
+  });
+
+  test("Overrides replace only the listed fields", () => {
+    const pricing = new Pricing({ "MiniMax-M2.7": { CNY: { output: 10 } } });
+    assert.deepStrictEqual(pricing.priceOf("MiniMax-M2.7", "CNY"), { ...STANDARD_CNY, output: 10 });
+    // 默认价格表不受影响
+    assert.deepStrictEqual(new Pricing().priceOf("MiniMax-M2.7", "CNY"), STANDARD_CNY);
+  });
+
+  test("Invalid overrides are rejected", () => {
+    assert.throws(() => new Pricing({ "MiniMax-M2.7": { EUR: { input: 1 } } }));
+    assert.throws(() => new Pricing({ "MiniMax-M2.7": { CNY: { input: -1 } } }));
+    assert.throws(() => new Pricing({ "MiniMax-M2.7": { CNY: { prompt: 1 } } }));
+  });
+
+  test("Cost per category is tokens times the price per million", () => {
+    const usage = { inputTokens: 1000000, outputTokens: 500000, cacheWriteTokens: 200000, cacheReadTokens: 2000000 };
+    const cost = new Pricing().cost(usage, "MiniMax-M3", "CNY");
+    assert.ok(Math.abs(cost.input - 2.1) < 1e-9);
+    assert.ok(Math.abs(cost.output - 4.2) < 1e-9);
+    assert.ok(Math.abs(cost.cacheWrite - 0.525) < 1e-9);
+    assert.ok(Math.abs(cost.cacheRead - 0.42) < 1e-9);
+    assert.ok(Math.abs(cost.total - 7.245) < 1e-9);
+    assert.strictEqual(new Pricing().cost(usage, "gpt-5", "CNY"), null);
+  });
+
+  test("Small amounts keep four decimals", () => {
+    assert.strictEqual(Pricing.formatCost(1.234, "CNY"), "¥1.23");
+    assert.strictEqual(Pricing.formatCost(0.0042, "USD"), "$0.0042");
+    assert.strictEqual(Pricing.formatCost(0, "USD"), "$0.00");
+  });
+});
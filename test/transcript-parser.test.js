@@ -0,0 +1,81 @@
+const { suite, test } = require("node:test");
+const assert = require("assert");
+const path = require("path");
+const TranscriptParser = require("../cli/transcript-parser");
+
+const FIXTURE = path.join(__dirname, "fixtures", "transcript.jsonl");
+
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+suite("Transcript Parser Test Suite", () => {
+  test("Content blocks of one message are counted once", async () => {
+    const result = await new TranscriptParser().parse(FIXTURE);
+    assert.deepStrictEqual(result.usage["MiniMax-M2.7"], {
+      inputTokens: 300,
+      outputTokens: 60,
+      cacheWriteTokens: 300,
+      cacheReadTokens: 1000,
+      totalTokens: 1660,
+      messages: 2,
+    });
+  });
+
+  test("Synthetic messages are left out and OpenAI usage is normalized", async () => {
+    const result = await new TranscriptParser().parse(FIXTURE);
+    assert.deepStrictEqual(Object.keys(result.usage).sort(), [
+      "MiniMax-M2.7",
+      "MiniMax-M2.7-highspeed",
+      "custom:MiniMax-M2.5-20260101",
+      "gpt-5",
+    ]);
+    assert.strictEqual(result.usage["gpt-5"].inputTokens, 40);
+    assert.strictEqual(result.usage["gpt-5"].outputTokens, 4);
+  });
+
+  test("Session totals", async () => {
+    const { totals } = await new TranscriptParser().parse(FIXTURE);
+    assert.strictEqual(totals.inputTokens, 1000390);
+    assert.strictEqual(totals.outputTokens, 1000084);
+    assert.strictEqual(totals.cacheWriteTokens, 300);
+    assert.strictEqual(totals.cacheReadTokens, 2500);
+    assert.strictEqual(totals.messages, 5);
+    assert.strictEqual(totals.turns, 2);
+    near(totals.cacheHitRatio, 2500 / (1000390 + 300 + 2500));
+  });
+
+  test("Usage before the first prompt goes to turn 0 and tool results do not start a turn", async () => {
+    const { turns } = await new TranscriptParser().parse(FIXTURE);
+    assert.deepStrictEqual(turns.map((turn) => turn.turn), [0, 1, 2]);
+
+    assert.strictEqual(turns[0].startTime, null);
+    assert.deepStrictEqual(turns[0].models, ["MiniMax-M2.7"]);
+    assert.strictEqual(turns[0].totalTokens, 110);
+
+    assert.deepStrictEqual(turns[1].startTime, new Date("2026-10-19T02:01:00.000Z"));
+    assert.deepStrictEqual(turns[1].models, ["MiniMax-M2.7", "MiniMax-M2.7-highspeed"]);
+    assert.strictEqual(turns[1].totalTokens, 1550 + 1570);
+    assert.strictEqual(turns[1].messages, 2);
+
+    assert.deepStrictEqual(turns[2].startTime, new Date("2026-10-19T02:05:00.000Z"));
+    assert.strictEqual(turns[2].totalTokens, 2000044);
+  });
+
+  test("Session cost sums priced models and lists the rest", async () => {
+    const { cost } = await new TranscriptParser().parse(FIXTURE);
+    assert.deepStrictEqual(cost.CNY.unpriced, ["gpt-5"]);
+    near(cost.CNY.models["MiniMax-M2.7"].total, 2131.5 / 1e6);
+    near(cost.CNY.models["MiniMax-M2.7-highspeed"].total, 1176 / 1e6);
+    near(cost.CNY.models["custom:MiniMax-M2.5-20260101"].total, 10.5);
+    near(cost.CNY.total, 10.5 + (2131.5 + 1176) / 1e6);
+    near(cost.USD.models["custom:MiniMax-M2.5-20260101"].total, 1.5);
+  });
+
+  test("Missing file returns empty usage", async () => {
+    const result = await new TranscriptParser().parse(path.join(__dirname, "fixtures", "missing.jsonl"));
+    assert.deepStrictEqual(result.usage, {});
+    assert.deepStrictEqual(result.turns, []);
+    assert.strictEqual(result.totals.turns, 0);
+  });
+});
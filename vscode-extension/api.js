@@ -1,6 +1,15 @@
 const axios = require("axios");
 const https = require("https");
 const vscode = require("vscode");
+const {
+  AuthError,
+  SchemaError,
+  fromAxiosError,
+  checkBaseResp,
+  withRetry,
+  Clock,
+  createTranslator,
+} = require("./cli/core");
 
 // Add HTTPS Agent configuration
 const httpsAgent = new https.Agent({
@@ -28,89 +37,92 @@ class MinimaxAPI {
     this.overseasToken = config.get("overseasToken");
     this.overseasGroupId = config.get("overseasGroupId");
     this.overseasDisplay = config.get("overseasDisplay") || "none";
+    // 时区为空时使用系统时区
+    this.clock = new Clock({
+      timeZone: config.get("timezone"),
+      clock: config.get("clockFormat"),
+    });
+    this.t = createTranslator(config.get("language"));
   }
 
-  async getUsageStatus() {
-    if (!this.token) {
-      throw new Error("请在设置中配置 MiniMax 访问令牌");
-    }
-
-    try {
-      const response = await axios.get(
-        `https://www.minimaxi.com/v1/token_plan/remains`,
-        {
+  /**
+   * GET a MiniMax API URL with retries and typed errors
+   * @param {string} url - Full URL
+   * @param {Object} options
+   * @param {string} options.token - Bearer token
+   * @param {Object} [options.params] - Query parameters
+   * @param {https.Agent} [options.agent] - HTTPS agent
+   * @param {string} [options.label] - Prefix for generic error messages
+   * @returns {Promise<Object>} Response body
+   */
+  async request(url, { token, params = {}, agent, label = "API 请求失败" }) {
+    return withRetry(async () => {
+      try {
+        const response = await axios.get(url, {
+          params,
           headers: {
-            Authorization: `Bearer ${this.token}`,
+            Authorization: `Bearer ${token}`,
             Accept: "application/json",
           },
-          httpsAgent: httpsAgent, // Add HTTPS Agent configuration
-        }
-      );
-
-      return response.data;
-    } catch (error) {
-      if (error.response?.status === 401) {
-        throw new Error("无效的令牌或未授权。请检查您的凭据。");
+          timeout: 10000,
+          httpsAgent: agent,
+        });
+        checkBaseResp(response.data);
+        return response.data;
+      } catch (error) {
+        throw fromAxiosError(error, label);
       }
-      throw new Error(`API 请求失败: ${error.message}`);
+    });
+  }
+
+  async getUsageStatus() {
+    if (!this.token) {
+      throw new AuthError("请在设置中配置 MiniMax 访问令牌");
+    }
+
+    const data = await this.request(`https://www.minimaxi.com/v1/token_plan/remains`, {
+      token: this.token,
+      agent: httpsAgent, // Add HTTPS Agent configuration
+    });
+    if (!Array.isArray(data.model_remains)) {
+      throw new SchemaError("接口返回格式异常：缺少 model_remains");
     }
+    return data;
   }
 
   async getOverseasUsageStatus() {
     if (!this.overseasToken || !this.overseasGroupId) {
-      throw new Error("请在设置中配置海外 API Key 和 Group ID");
+      throw new AuthError("请在设置中配置海外 API Key 和 Group ID");
     }
 
-    try {
-      const response = await axios.get(
-        `https://www.minimax.io/v1/token_plan/remains`,
-        {
-          params: { GroupId: this.overseasGroupId },
-          headers: {
-            Authorization: `Bearer ${this.overseasToken}`,
-            Accept: "application/json",
-          },
-        }
-      );
-
-      return response.data;
-    } catch (error) {
-      if (error.response?.status === 401) {
-        throw new Error("无效的令牌或未授权。请检查您的凭据。");
-      }
-      throw new Error(`海外 API 请求失败: ${error.message}`);
+    const data = await this.request(`https://www.minimax.io/v1/token_plan/remains`, {
+      token: this.overseasToken,
+      params: { GroupId: this.overseasGroupId },
+      label: "海外 API 请求失败",
+    });
+    if (!Array.isArray(data.model_remains)) {
+      throw new SchemaError("接口返回格式异常：缺少 model_remains");
     }
+    return data;
   }
 
   async getSubscriptionDetails() {
     if (!this.token) {
-      throw new Error("请在设置中配置 MiniMax 访问令牌");
+      throw new AuthError("请在设置中配置 MiniMax 访问令牌");
     }
 
-    try {
-      const response = await axios.get(
-        `https://www.minimaxi.com/v1/api/openplatform/charge/combo/cycle_audio_resource_package`,
-        {
-          params: {
-            biz_line: 2,
-            cycle_type: 1,
-            resource_package_type: 7,
-          },
-          headers: {
-            Authorization: `Bearer ${this.token}`,
-            Accept: "application/json",
-          },
-          httpsAgent: httpsAgent, // Add HTTPS Agent configuration
-        }
-      );
-
-      return response.data;
-    } catch (error) {
-      if (error.response?.status === 401) {
-        throw new Error("无效的令牌或未授权。请检查您的凭据。");
+    return this.request(
+      `https://www.minimaxi.com/v1/api/openplatform/charge/combo/cycle_audio_resource_package`,
+      {
+        token: this.token,
+        params: {
+          biz_line: 2,
+          cycle_type: 1,
+          resource_package_type: 7,
+        },
+        agent: httpsAgent, // Add HTTPS Agent configuration
       }
-      throw new Error(`API 请求失败: ${error.message}`);
-    }
+    );
   }
 
   /**
@@ -121,33 +133,19 @@ class MinimaxAPI {
    */
   async getBillingRecords(page = 1, limit = 100) {
     if (!this.token) {
-      throw new Error("请在设置中配置 MiniMax 访问令牌");
+      throw new AuthError("请在设置中配置 MiniMax 访问令牌");
     }
 
-    try {
-      const response = await axios.get(
-        `https://www.minimaxi.com/account/amount`,
-        {
-          params: {
-            page: page,
-            limit: limit,
-            aggregate: false,
-          },
-          headers: {
-            Authorization: `Bearer ${this.token}`,
-            Accept: "application/json",
-          },
-          httpsAgent: httpsAgent,
-        }
-      );
-
-      return response.data;
-    } catch (error) {
-      if (error.response?.status === 401) {
-        throw new Error("无效的令牌或未授权。请检查您的凭据。");
-      }
-      throw new Error(`账单 API 请求失败: ${error.message}`);
-    }
+    return this.request(`https://www.minimaxi.com/account/amount`, {
+      token: this.token,
+      params: {
+        page: page,
+        limit: limit,
+        aggregate: false,
+      },
+      agent: httpsAgent,
+      label: "账单 API 请求失败",
+    });
   }
 
   /**
@@ -167,8 +165,9 @@ class MinimaxAPI {
 
     // 昨日（0点到现在）或者取最近一次账单的日期
     // 账单记录不是实时的，当日消耗要明天才显示，所以显示"昨日"
-    const todayStart = new Date().setHours(0, 0, 0, 0);
-    const yesterdayStart = todayStart - 24 * 60 * 60 * 1000;
+    // 日期边界按设置的时区计算
+    const todayStart = this.clock.startOfDay(now);
+    const yesterdayStart = this.clock.startOfDay(todayStart - 1);
     const weekAgo = now - 7 * 24 * 60 * 60 * 1000;
 
     const stats = {
@@ -202,18 +201,12 @@ class MinimaxAPI {
   }
 
   /**
-   * Format number to human readable format (万, 亿)
+   * Format number to human readable format (万/亿 or K/M/B by language)
    * @param {number} num - Number to format
    * @returns {string} Formatted string
    */
   formatNumber(num) {
-    if (num >= 100000000) {
-      return (num / 100000000).toFixed(1).replace(/\.0$/, "") + "亿";
-    }
-    if (num >= 10000) {
-      return (num / 10000).toFixed(1).replace(/\.0$/, "") + "万";
-    }
-    return num.toLocaleString("zh-CN");
+    return this.t.number(num);
   }
 
   /**
@@ -334,7 +327,9 @@ class MinimaxAPI {
           remainingTime: {
             hours,
             minutes,
-            text: hours > 0 ? `${hours} 小时 ${minutes} 分钟后重置` : `${minutes} 分钟后重置`,
+            text: hours > 0
+              ? this.t("quota.resetInHoursMinutes", { hours, minutes })
+              : this.t("quota.resetInMinutes", { minutes }),
           },
           // Time window (统一使用 Date 对象，避免时区问题)
           startTime: new Date(m.start_time),
@@ -347,7 +342,9 @@ class MinimaxAPI {
           weeklyRemainingTime: {
             days: weeklyDays,
             hours: weeklyHours,
-            text: weeklyDays > 0 ? `${weeklyDays} 天 ${weeklyHours} 小时后重置` : `${weeklyHours} 小时后重置`,
+            text: weeklyDays > 0
+              ? this.t("quota.resetInDaysHours", { days: weeklyDays, hours: weeklyHours })
+              : this.t("quota.resetInHours", { hours: weeklyHours }),
           },
           // Status
           isExhausted,
@@ -439,22 +436,26 @@ class MinimaxAPI {
     ) {
       const expiryDate =
         subscriptionData.current_subscribe.current_subscribe_end_time;
-      const expiry = new Date(expiryDate);
-      const now = new Date();
+      const expiryDay = this.clock.parseDay(expiryDate);
 
-      // Calculate days until expiry
-      const timeDiff = expiry.getTime() - now.getTime();
-      const daysDiff = Math.ceil(timeDiff / (1000 * 3600 * 24));
+      // Calculate days until expiry（按设置时区的自然日计算）
+      let daysDiff;
+      if (expiryDay) {
+        const expiryMidnight = expiryDay.startOf("day").valueOf();
+        daysDiff = Math.round((expiryMidnight - this.clock.startOfDay()) / (1000 * 3600 * 24));
+      } else {
+        daysDiff = Math.ceil((new Date(expiryDate).getTime() - Date.now()) / (1000 * 3600 * 24));
+      }
 
       expiryInfo = {
         date: expiryDate,
         daysRemaining: daysDiff,
         text:
           daysDiff > 0
-            ? `还剩 ${daysDiff} 天`
+            ? this.t("expiry.daysLeft", { count: daysDiff })
             : daysDiff === 0
-            ? "今天到期"
-            : `已过期 ${Math.abs(daysDiff)} 天`,
+            ? this.t("expiry.today")
+            : this.t("expiry.expired", { count: Math.abs(daysDiff) }),
       };
 
       // 套餐有效期结束时间
@@ -479,27 +480,17 @@ class MinimaxAPI {
         endFormatted: planEndFormatted || endTime.toLocaleDateString("zh-CN"),
       },
       timeWindow: {
-        start: startTime.toLocaleTimeString("zh-CN", {
-          hour: "2-digit",
-          minute: "2-digit",
-          timeZone: "Asia/Shanghai",
-          hour12: false,
-        }),
-        end: endTime.toLocaleTimeString("zh-CN", {
-          hour: "2-digit",
-          minute: "2-digit",
-          timeZone: "Asia/Shanghai",
-          hour12: false,
-        }),
-        timezone: "UTC+8",
+        start: this.clock.time(startTime.getTime()),
+        end: this.clock.time(endTime.getTime()),
+        timezone: this.clock.offsetLabel(startTime.getTime()),
       },
       remaining: {
         hours,
         minutes,
         text:
           hours > 0
-            ? `${hours} 小时 ${minutes} 分钟后重置`
-            : `${minutes} 分钟后重置`,
+            ? this.t("quota.resetInHoursMinutes", { hours, minutes })
+            : this.t("quota.resetInMinutes", { minutes }),
       },
       usage: {
         used:
@@ -516,8 +507,8 @@ class MinimaxAPI {
         hours: weeklyHours,
         unlimited: weeklyUnlimited,
         text: weeklyDays > 0
-          ? `${weeklyDays} 天 ${weeklyHours} 小时后重置`
-          : `${weeklyHours} 小时后重置`,
+          ? this.t("quota.resetInDaysHours", { days: weeklyDays, hours: weeklyHours })
+          : this.t("quota.resetInHours", { hours: weeklyHours }),
       },
       expiry: expiryInfo,
     };
@@ -1,5 +1,6 @@
 const vscode = require("vscode");
 const MinimaxAPI = require("./api");
+const { resolveBillingPeriod, createTranslator } = require("./cli/core");
 
 // TreeView data provider for sidebar
 class MinimaxStatusTreeProvider {
@@ -31,20 +32,25 @@ class MinimaxStatusTreeProvider {
       return element.children;
     }
 
+    const t = createTranslator(this.language);
     const items = [];
 
     // Token 消耗统计（可折叠组）
     if (this.usageStats && (this.usageStats.lastDayUsage > 0 || this.usageStats.weeklyUsage > 0 || this.usageStats.planTotalUsage > 0)) {
       const statsHeader = new vscode.TreeItem(
-        this.language === "zh-CN" ? "Token 消耗统计" : "Token Usage Stats",
+        t("stats.title"),
         vscode.TreeItemCollapsibleState.Expanded
       );
       statsHeader.iconPath = new vscode.ThemeIcon("graph");
+      // 统计周期标签，如 "本期 09-15 ~ 10-14"
+      if (this.usageStats.period) {
+        statsHeader.description = this.usageStats.period.label;
+      }
       statsHeader.children = [];
 
       // 昨日消耗
       const yesterday = new vscode.TreeItem(
-        `${this.language === "zh-CN" ? "昨日消耗" : "Yesterday"}: ${this.formatNum(this.usageStats.lastDayUsage)}`,
+        `${t("stats.yesterday")}: ${t.number(this.usageStats.lastDayUsage)}`,
         vscode.TreeItemCollapsibleState.None
       );
       yesterday.iconPath = new vscode.ThemeIcon("calendar");
@@ -52,15 +58,18 @@ class MinimaxStatusTreeProvider {
 
       // 近7天消耗
       const weekly = new vscode.TreeItem(
-        `${this.language === "zh-CN" ? "近7天消耗" : "Last 7 days"}: ${this.formatNum(this.usageStats.weeklyUsage)}`,
+        `${t("stats.last7Days")}: ${t.number(this.usageStats.weeklyUsage)}`,
         vscode.TreeItemCollapsibleState.None
       );
       weekly.iconPath = new vscode.ThemeIcon("calendar");
       statsHeader.children.push(weekly);
 
-      // 当月消耗
+      // 统计周期内消耗
+      const periodName = this.usageStats.period
+        ? this.usageStats.period.name
+        : t("period.month");
       const monthly = new vscode.TreeItem(
-        `${this.language === "zh-CN" ? "当月消耗" : "This month"}: ${this.formatNum(this.usageStats.planTotalUsage)}`,
+        `${t("stats.periodUsage", { name: periodName })}: ${t.number(this.usageStats.planTotalUsage)}`,
         vscode.TreeItemCollapsibleState.None
       );
       monthly.iconPath = new vscode.ThemeIcon("calendar");
@@ -71,24 +80,24 @@ class MinimaxStatusTreeProvider {
 
     // 插件设置
     const settingsItem = new vscode.TreeItem(
-      this.language === "zh-CN" ? "插件设置" : "Settings",
+      t("vscode.settings"),
       vscode.TreeItemCollapsibleState.None
     );
     settingsItem.command = {
       command: "minimaxStatus.setup",
-      title: this.language === "zh-CN" ? "打开设置" : "Open Settings"
+      title: t("vscode.openSettings")
     };
     settingsItem.iconPath = new vscode.ThemeIcon("settings");
     items.push(settingsItem);
 
     // 使用教程
     const helpItem = new vscode.TreeItem(
-      this.language === "zh-CN" ? "使用教程" : "Help",
+      t("vscode.help"),
       vscode.TreeItemCollapsibleState.None
     );
     helpItem.command = {
       command: "minimaxStatus.showHelp",
-      title: this.language === "zh-CN" ? "查看使用教程" : "View Help"
+      title: t("vscode.viewHelp")
     };
     helpItem.iconPath = new vscode.ThemeIcon("question");
     items.push(helpItem);
@@ -96,16 +105,6 @@ class MinimaxStatusTreeProvider {
     return items;
   }
 
-  formatNum(num) {
-    if (num >= 100000000) {
-      return (num / 100000000).toFixed(1).replace(/\.0$/, "") + "亿";
-    }
-    if (num >= 10000) {
-      return (num / 10000).toFixed(1).replace(/\.0$/, "") + "万";
-    }
-    return num.toLocaleString("zh-CN");
-  }
-
   refresh() {
     this._onDidChangeTreeData.fire();
   }
@@ -141,6 +140,7 @@ function activate(context) {
     let intervalId;
     let billingCache = null;
     let billingCacheTime = 0;
+    let billingCacheStart = 0;
     const BILLING_CACHE_DURATION = 30000; // 30 seconds cache for billing data
 
     const updateStatus = async () => {
@@ -172,15 +172,23 @@ function activate(context) {
         }
 
         // Fetch billing data for usage statistics (with caching)
-        const nowDate = new Date();
-        const now = nowDate.getTime();
-        // 按自然月统计当月消耗
-        const monthStart = new Date(nowDate.getFullYear(), nowDate.getMonth(), 1, 0, 0, 0, 0).getTime();
-        if (!billingCache || now - billingCacheTime > BILLING_CACHE_DURATION) {
+        const now = Date.now();
+        // 按设置的统计周期（默认订阅周期）统计消耗
+        const period = resolveBillingPeriod(
+          config.get("billingPeriod") || "cycle",
+          subscriptionData,
+          api.clock,
+          now,
+          createTranslator(language)
+        );
+        // 昨日和近7天消耗也来自同一批记录，拉取范围需要同时覆盖
+        const minStartTime = Math.min(period.start, now - 8 * 24 * 60 * 60 * 1000);
+        if (!billingCache || now - billingCacheTime > BILLING_CACHE_DURATION || minStartTime < billingCacheStart) {
           try {
-            const billingRecords = await api.getAllBillingRecords(100, monthStart);
+            const billingRecords = await api.getAllBillingRecords(100, minStartTime);
             billingCache = billingRecords;
             billingCacheTime = now;
+            billingCacheStart = minStartTime;
           } catch (billingError) {
             console.error("Failed to fetch billing data:", billingError.message);
             billingCache = [];
@@ -195,17 +203,26 @@ function activate(context) {
         };
 
         if (billingCache && billingCache.length > 0) {
-          usageStats = api.calculateUsageStats(billingCache, monthStart, now);
+          usageStats = api.calculateUsageStats(billingCache, period.start, Math.min(period.end, now));
         }
+        usageStats.period = period;
 
         updateStatusBar(statusBarItem, api, usageData, apiData, usageStats, overseasUsageData, overseasApiData, overseasDisplay, language);
         treeProvider.setData(usageData, usageStats, language);
       } catch (error) {
         console.error("获取状态失败:", error.message);
-        const errorText = language === 'en-US' ? 'Error' : '错误';
-        const clickConfig = language === 'en-US' ? 'Click to configure' : '点击配置';
-        statusBarItem.text = "$(warning) MiniMax";
-        statusBarItem.tooltip = `${errorText}: ${error.message}\n${clickConfig}`;
+        const t = createTranslator(language);
+        // 按错误类别给出图标和提示：认证失败需要重新配置，其余为临时故障
+        const icons = {
+          auth: "$(key)",
+          "rate-limited": "$(clock)",
+          server: "$(cloud)",
+          network: "$(debug-disconnect)",
+          timeout: "$(debug-disconnect)",
+        };
+        const kind = icons[error.kind] ? error.kind : "unknown";
+        statusBarItem.text = `${icons[kind] || "$(warning)"} MiniMax`;
+        statusBarItem.tooltip = `${t("vscode.error")}: ${error.message}\n${t(`vscode.hint.${kind}`)}`;
         statusBarItem.color = new vscode.ThemeColor("errorForeground");
       }
     };
@@ -268,40 +285,38 @@ function activate(context) {
     );
 
     // Always show status bar item
+    const t = createTranslator(config.get("language"));
     if (!api.token) {
-      statusBarItem.text = "MiniMax: 需要配置";
+      statusBarItem.text = t("vscode.needsConfig");
       statusBarItem.color = new vscode.ThemeColor("warningForeground");
-      statusBarItem.tooltip =
-        "MiniMax Status 需要配置 Token\n点击立即配置";
+      statusBarItem.tooltip = t("vscode.needsConfigTooltip");
       statusBarItem.command = "minimaxStatus.setup";
 
       setTimeout(() => {
         vscode.window
           .showInformationMessage(
-            "欢迎使用 MiniMax Status！\n\n需要配置您的访问令牌才能开始使用。",
-            "立即配置",
-            "稍后设置"
+            t("vscode.welcome"),
+            t("vscode.configureNow"),
+            t("vscode.later")
           )
           .then((selection) => {
-            if (selection === "立即配置") {
+            if (selection === t("vscode.configureNow")) {
               vscode.commands.executeCommand("minimaxStatus.setup");
             }
           });
       }, 2000);
     } else {
       // If configured but no data yet, show waiting message
-      const loadingLang = config.get("language") || "zh-CN";
-      const loadingText = loadingLang === 'en-US' ? 'Loading...' : '加载中...';
-      const loadingTooltip = loadingLang === 'en-US' ? 'MiniMax Status\nFetching status...' : 'MiniMax Status\n正在获取状态...';
-      statusBarItem.text = `⏳ MiniMax: ${loadingText}`;
+      statusBarItem.text = `⏳ MiniMax: ${t("vscode.loading")}`;
       statusBarItem.color = new vscode.ThemeColor("statusBar.foreground");
-      statusBarItem.tooltip = loadingTooltip;
+      statusBarItem.tooltip = t("vscode.loadingTooltip");
       statusBarItem.command = "minimaxStatus.refresh";
     }
   } catch (error) {
     console.error("MiniMax Status 扩展激活失败:", error.message);
+    const config = vscode.workspace.getConfiguration("minimaxStatus");
     vscode.window.showErrorMessage(
-      "MiniMax Status 扩展激活失败: " + error.message
+      createTranslator(config.get("language"))("vscode.activationFailed", { message: error.message })
     );
   }
 }
@@ -310,11 +325,11 @@ function activate(context) {
 // eslint-disable-next-line no-unused-vars
 async function showHelpWebView(context) {
   const config = vscode.workspace.getConfiguration("minimaxStatus");
-  const language = config.get("language") || "zh-CN";
+  const t = createTranslator(config.get("language"));
 
   const panel = vscode.window.createWebviewPanel(
     "minimaxHelp",
-    language === "zh-CN" ? "使用教程" : "Help",
+    t("vscode.help"),
     vscode.ViewColumn.One,
     {
       enableScripts: true,
@@ -322,36 +337,13 @@ async function showHelpWebView(context) {
     }
   );
 
-  const i18n = {
-    "zh-CN": {
-      title: "MiniMax Status 使用教程",
-      step1Title: "第一步：获取 API Key",
-      step1Content: "国内版：套餐管理 -> Token-Plan\n海外版：Subscribe -> Token-Plan\n\n点击「创建新的 API Key」",
-      step2Title: "第二步：配置插件",
-      step2Content: "1. 点击左侧边栏的 MiniMax 图标\n2. 点击「插件设置」按钮\n3. 填写 API Key\n4. 点击保存",
-      step4Title: "使用说明",
-      step4Content: "• 状态栏显示当前使用进度\n• 点击状态栏可刷新数据\n• 支持国内/海外账号切换",
-    },
-    "en-US": {
-      title: "MiniMax Status Help",
-      step1Title: "Step 1: Get API Key",
-      step1Content: "Domestic: Subscription -> Token-Plan\nOverseas: Subscribe -> Token-Plan\n\nClick 'Create new API Key'",
-      step2Title: "Step 2: Configure Plugin",
-      step2Content: "1. Click MiniMax icon in sidebar\n2. Click Settings\n3. Enter API Key\n4. Click Save",
-      step4Title: "Usage",
-      step4Content: "• Status bar shows usage progress\n• Click status bar to refresh\n• Support domestic/overseas accounts",
-    }
-  };
-
-  const t = i18n[language] || i18n["zh-CN"];
-
   panel.webview.html = `
     <!DOCTYPE html>
-    <html lang="${language}">
+    <html lang="${t.language}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>${t.title}</title>
+        <title>${t("vscode.help.title")}</title>
         <style>
             body {
                 font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -399,21 +391,21 @@ async function showHelpWebView(context) {
     </head>
     <body>
         <div class="container">
-            <h1>${t.title}</h1>
+            <h1>${t("vscode.help.title")}</h1>
 
             <div class="step">
-                <h2>${t.step1Title}</h2>
-                <p>${t.step1Content}</p>
+                <h2>${t("vscode.help.step1Title")}</h2>
+                <p>${t("vscode.help.step1Content")}</p>
             </div>
 
             <div class="step">
-                <h2>${t.step2Title}</h2>
-                <p>${t.step2Content}</p>
+                <h2>${t("vscode.help.step2Title")}</h2>
+                <p>${t("vscode.help.step2Content")}</p>
             </div>
 
             <div class="step">
-                <h2>${t.step3Title || t.step4Title}</h2>
-                <p>${t.step3Content || t.step4Content}</p>
+                <h2>${t("vscode.help.step3Title")}</h2>
+                <p>${t("vscode.help.step3Content")}</p>
             </div>
         </div>
     </body>
@@ -425,16 +417,6 @@ async function showHelpWebView(context) {
 
 // Create settings webview
 async function showSettingsWebView(context, api, updateStatus) {
-  const panel = vscode.window.createWebviewPanel(
-    "minimaxSettings",
-    "MiniMax Status 设置",
-    vscode.ViewColumn.One,
-    {
-      enableScripts: true,
-      retainContextWhenHidden: true,
-    }
-  );
-
   // Get current configuration
   const config = vscode.workspace.getConfiguration("minimaxStatus");
   const currentToken = config.get("token") || "";
@@ -444,72 +426,17 @@ async function showSettingsWebView(context, api, updateStatus) {
   const currentOverseasDisplay = config.get("overseasDisplay") || "none";
   const currentOverseasToken = config.get("overseasToken") || "";
   const currentLanguage = config.get("language") || "zh-CN";
+  const t = createTranslator(currentLanguage);
 
-  // Language translations
-  const i18n = {
-    "zh-CN": {
-      title: "MiniMax 设置",
-      domesticTitle: "国内账号",
-      overseasTitle: "海外账号",
-      apiKey: "API Key",
-      apiKeyPlaceholder: "请输入国内 API Key",
-      apiKeyInfo: "platform.minimaxi.com 的 API Key",
-      overseasApiKeyPlaceholder: "请输入海外 API Key",
-      overseasApiKeyInfo: "platform.minimax.io 的 API Key（用于显示海外用量）",
-      overseasGroupId: "GroupID",
-      overseasGroupIdPlaceholder: "请输入 groupID",
-      overseasGroupIdInfo: "海外账号的 GroupID",
-      displayTitle: "显示设置",
-      refreshInterval: "刷新间隔（秒）",
-      refreshIntervalInfo: "自动刷新间隔，建议 10-30 秒",
-      modelSelect: "模型选择",
-      showTooltip: "显示详细提示信息",
-      overseasTitle2: "海外用量",
-      displayMode: "显示模式",
-      displayModeInfo: "选择是否显示海外版用量",
-      modeNone: "仅显示国内",
-      modeOverseas: "仅显示海外",
-      modeBoth: "国内+海外并行",
-      save: "保存",
-      cancel: "取消",
-      apiKeyError: "请输入 API Key",
-      overseasApiKeyError: "请输入海外 API Key",
-      invalidInterval: "刷新间隔必须在 5-300 秒之间",
-      modelAuto: "自动选择第一个模型",
-      modelEmpty: "请先配置 API Key",
-    },
-    "en-US": {
-      title: "MiniMax Settings",
-      domesticTitle: "Domestic Account",
-      overseasTitle: "Overseas Account",
-      apiKey: "API Key",
-      apiKeyPlaceholder: "Enter domestic API Key",
-      apiKeyInfo: "platform.minimaxi.com API Key",
-      overseasApiKeyPlaceholder: "Enter overseas API Key",
-      overseasApiKeyInfo: "platform.minimax.io API Key (for overseas usage)",
-      displayTitle: "Display Settings",
-      refreshInterval: "Refresh Interval (seconds)",
-      refreshIntervalInfo: "Auto-refresh interval, 10-30 seconds recommended",
-      modelSelect: "Model",
-      showTooltip: "Show detailed tooltip",
-      overseasTitle2: "Overseas Usage",
-      displayMode: "Display Mode",
-      displayModeInfo: "Choose whether to display overseas usage",
-      modeNone: "Domestic only",
-      modeOverseas: "Overseas only",
-      modeBoth: "Domestic + Overseas",
-      save: "Save",
-      cancel: "Cancel",
-      apiKeyError: "API Key is required",
-      overseasApiKeyError: "Overseas API Key is required",
-      overseasGroupIdError: "Overseas GroupID is required",
-      invalidInterval: "Refresh interval must be between 5-300 seconds",
-      modelAuto: "Auto select first model",
-      modelEmpty: "Please configure API Key first",
+  const panel = vscode.window.createWebviewPanel(
+    "minimaxSettings",
+    t("vscode.settings.title"),
+    vscode.ViewColumn.One,
+    {
+      enableScripts: true,
+      retainContextWhenHidden: true,
     }
-  };
-
-  const t = i18n[currentLanguage] || i18n["zh-CN"];
+  );
 
   // Fetch available models if token is configured
   let availableModels = [];
@@ -524,20 +451,19 @@ async function showSettingsWebView(context, api, updateStatus) {
   }
 
   // Create model options
-  const t_for_model = i18n[currentLanguage] || i18n["zh-CN"];
   const modelOptions = availableModels.length > 0
-    ? `<option value="">${t_for_model.modelAuto}</option>` +
+    ? `<option value="">${t("vscode.settings.modelAuto")}</option>` +
       availableModels.map(m => `<option value="${m}" ${m === currentModelName ? 'selected' : ''}>${m}</option>`).join('')
-    : `<option value="">${t_for_model.modelEmpty}</option>`;
+    : `<option value="">${t("vscode.settings.modelEmpty")}</option>`;
 
   // Create HTML content
   panel.webview.html = `
     <!DOCTYPE html>
-    <html lang="zh-CN">
+    <html lang="${t.language}">
     <head>
         <meta charset="UTF-8">
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>MiniMax Status 设置</title>
+        <title>${t("vscode.settings.title")}</title>
         <style>
             body {
                 font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -661,40 +587,40 @@ async function showSettingsWebView(context, api, updateStatus) {
     </head>
     <body>
         <div class="container">
-            <h1>${t.title}</h1>
+            <h1>${t("vscode.settings.title")}</h1>
 
             <!-- 国内账号卡片 -->
             <div class="card">
-                <h2>${t.domesticTitle}</h2>
+                <h2>${t("vscode.settings.domesticTitle")}</h2>
                 <div class="form-group">
-                    <label for="token">${t.apiKey}</label>
-                    <input type="text" id="token" placeholder="${t.apiKeyPlaceholder}" value="${currentToken}">
-                    <div class="info-text">${t.apiKeyInfo}</div>
+                    <label for="token">${t("vscode.settings.apiKey")}</label>
+                    <input type="text" id="token" placeholder="${t("vscode.settings.apiKeyPlaceholder")}" value="${currentToken}">
+                    <div class="info-text">${t("vscode.settings.apiKeyInfo")}</div>
                     <div class="error" id="token-error"></div>
                 </div>
             </div>
 
             <!-- 海外账号卡片 -->
             <div class="card">
-                <h2>${t.overseasTitle}</h2>
+                <h2>${t("vscode.settings.overseasTitle")}</h2>
                 <div class="form-group">
-                    <label for="overseasToken">${t.apiKey}</label>
-                    <input type="text" id="overseasToken" placeholder="${t.overseasApiKeyPlaceholder}" value="${currentOverseasToken}">
-                    <div class="info-text">${t.overseasApiKeyInfo}</div>
+                    <label for="overseasToken">${t("vscode.settings.apiKey")}</label>
+                    <input type="text" id="overseasToken" placeholder="${t("vscode.settings.overseasApiKeyPlaceholder")}" value="${currentOverseasToken}">
+                    <div class="info-text">${t("vscode.settings.overseasApiKeyInfo")}</div>
                     <div class="error" id="overseasToken-error"></div>
                 </div>
             </div>
 
             <!-- 显示设置卡片 -->
             <div class="card">
-                <h2>${t.displayTitle}</h2>
+                <h2>${t("vscode.settings.displayTitle")}</h2>
                 <div class="form-group">
-                    <label for="interval">${t.refreshInterval}</label>
+                    <label for="interval">${t("vscode.settings.refreshInterval")}</label>
                     <input type="number" id="interval" min="5" max="300" value="${currentInterval}">
-                    <div class="info-text">${t.refreshIntervalInfo}</div>
+                    <div class="info-text">${t("vscode.settings.refreshIntervalInfo")}</div>
                 </div>
                 <div class="form-group">
-                    <label for="modelName">${t.modelSelect}</label>
+                    <label for="modelName">${t("vscode.settings.modelSelect")}</label>
                     <select id="modelName">
                         ${modelOptions}
                     </select>
@@ -704,7 +630,7 @@ async function showSettingsWebView(context, api, updateStatus) {
                         <input type="checkbox" id="showTooltip" ${
                           currentShowTooltip ? "checked" : ""
                         }>
-                        <label for="showTooltip">${t.showTooltip}</label>
+                        <label for="showTooltip">${t("vscode.settings.showTooltip")}</label>
                     </div>
                 </div>
                 <div class="form-group">
@@ -718,21 +644,21 @@ async function showSettingsWebView(context, api, updateStatus) {
 
             <!-- 海外用量卡片 -->
             <div class="card">
-                <h2>${t.overseasTitle2}</h2>
+                <h2>${t("vscode.settings.overseasUsage")}</h2>
                 <div class="form-group">
-                    <label for="overseasDisplay">${t.displayMode}</label>
+                    <label for="overseasDisplay">${t("vscode.settings.displayMode")}</label>
                     <select id="overseasDisplay">
-                        <option value="none" ${currentOverseasDisplay === 'none' ? 'selected' : ''}>${t.modeNone}</option>
-                        <option value="overseas" ${currentOverseasDisplay === 'overseas' ? 'selected' : ''}>${t.modeOverseas}</option>
-                        <option value="both" ${currentOverseasDisplay === 'both' ? 'selected' : ''}>${t.modeBoth}</option>
+                        <option value="none" ${currentOverseasDisplay === 'none' ? 'selected' : ''}>${t("vscode.settings.modeNone")}</option>
+                        <option value="overseas" ${currentOverseasDisplay === 'overseas' ? 'selected' : ''}>${t("vscode.settings.modeOverseas")}</option>
+                        <option value="both" ${currentOverseasDisplay === 'both' ? 'selected' : ''}>${t("vscode.settings.modeBoth")}</option>
                     </select>
-                    <div class="info-text">${t.displayModeInfo}</div>
+                    <div class="info-text">${t("vscode.settings.displayModeInfo")}</div>
                 </div>
             </div>
 
             <div class="button-group">
-                <button id="saveBtn">${t.save}</button>
-                <button id="cancelBtn" class="secondary">${t.cancel}</button>
+                <button id="saveBtn">${t("vscode.settings.save")}</button>
+                <button id="cancelBtn" class="secondary">${t("vscode.settings.cancel")}</button>
             </div>
         </div>
 
@@ -756,20 +682,20 @@ async function showSettingsWebView(context, api, updateStatus) {
                 let hasError = false;
 
                 if (!token) {
-                    document.getElementById('token-error').textContent = t.apiKeyError;
+                    document.getElementById('token-error').textContent = ${JSON.stringify(t("vscode.settings.apiKeyError"))};
                     hasError = true;
                 }
 
                 // Validate overseas credentials based on display mode
                 if (overseasDisplay === 'overseas' || overseasDisplay === 'both') {
                     if (!overseasToken) {
-                        document.getElementById('overseasToken-error').textContent = t.overseasApiKeyError;
+                        document.getElementById('overseasToken-error').textContent = ${JSON.stringify(t("vscode.settings.overseasApiKeyError"))};
                         hasError = true;
                     }
                 }
 
                 if (interval < 5 || interval > 300) {
-                    alert(t.invalidInterval);
+                    alert(${JSON.stringify(t("vscode.settings.invalidInterval"))});
                     hasError = true;
                 }
 
@@ -865,8 +791,8 @@ async function showSettingsWebView(context, api, updateStatus) {
           // Refresh status
           updateStatus();
 
-          const successMsg = currentLanguage === 'en-US' ? 'Settings saved!' : '配置保存成功！';
-          vscode.window.showInformationMessage(successMsg);
+          // 按新保存的语言提示
+          vscode.window.showInformationMessage(createTranslator(message.language)("vscode.settingsSaved"));
           break;
         }
 
@@ -917,102 +843,7 @@ function _getModelBarColor(model) {
 
 // eslint-disable-next-line no-unused-vars
 function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseasData = null, overseasApiData = null, displayMode = 'none', language = 'zh-CN') {
-  // Status bar i18n
-  const statusI18n = {
-    "zh-CN": {
-      domestic: "国内",
-      overseas: "海外",
-      model: "模型",
-      usageProgress: "使用进度",
-      remainingTime: "剩余时间",
-      timeWindow: "时间窗口",
-      weeklyUsage: "周用量",
-      weeklyReset: "周重置",
-      billingStats: "=== Token 消耗统计 ===",
-      yesterday: "昨日消耗",
-      last7Days: "近7天消耗",
-      totalUsage: "当月消耗",
-      expiry: "套餐到期",
-      clickToRefresh: "点击刷新状态",
-      apiQuota: "API 配额",
-      reset: "重置",
-      used: "已用",
-      unlimited: "不受限制",
-      refresh: "刷新",
-    },
-    "en-US": {
-      domestic: "Domestic",
-      overseas: "Overseas",
-      model: "Model",
-      usageProgress: "Usage",
-      remainingTime: "Remaining",
-      timeWindow: "Time Window",
-      weeklyUsage: "Weekly",
-      weeklyReset: "Weekly Reset",
-      billingStats: "=== Token Usage Stats ===",
-      yesterday: "Yesterday",
-      last7Days: "Last 7 days",
-      totalUsage: "This month",
-      expiry: "Expiry",
-      clickToRefresh: "Click to refresh",
-      apiQuota: "API QUOTA",
-      reset: "Reset",
-      used: "Used",
-      unlimited: "Unlimited",
-      refresh: "Refresh",
-    }
-  };
-
-  const t = statusI18n[language] || statusI18n["zh-CN"];
-
-  // Helper to translate remaining time text
-  // eslint-disable-next-line no-unused-vars
-  const _translateRemainingText = (text) => {
-    if (language === 'en-US') {
-      return text
-        .replace(/小时/, 'h')
-        .replace(/分钟/, 'min')
-        .replace(/后重置/, ' until reset');
-    }
-    return text;
-  };
-
-  // Helper to translate expiry text
-  const translateExpiryText = (text) => {
-    if (language === 'en-US') {
-      return text
-        .replace(/还剩 (\d+) 天/, '$1 days remaining')
-        .replace(/今天到期/, 'expires today')
-        .replace(/已过期 (\d+) 天/, 'expired $1 days ago');
-    }
-    return text;
-  };
-
-  // Helper to format number with units
-  // eslint-disable-next-line no-unused-vars
-  const _formatNumberI18n = (num) => {
-    // Chinese format uses 万/亿 for readability
-    if (language === 'zh-CN') {
-      if (num >= 100000000) {
-        return (num / 100000000).toFixed(2).replace(/\.0$/, "") + "亿";
-      }
-      if (num >= 10000) {
-        return (num / 10000).toFixed(2).replace(/\.0$/, "") + "万";
-      }
-      return num.toLocaleString("zh-CN");
-    }
-    // English format uses K/M/B with higher precision
-    if (num >= 1000000000) {
-      return (num / 1000000000).toFixed(2).replace(/\.0$/, "") + "B";
-    }
-    if (num >= 1000000) {
-      return (num / 1000000).toFixed(2).replace(/\.0$/, "") + "M";
-    }
-    if (num >= 1000) {
-      return (num / 1000).toFixed(2).replace(/\.0$/, "") + "K";
-    }
-    return num.toLocaleString("en-US");
-  };
+  const t = createTranslator(language);
 
   // 关键修复：设置状态栏命令为刷新
   statusBarItem.command = "minimaxStatus.refresh";
@@ -1046,11 +877,11 @@ function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseas
   if (displayMode === 'both' && overseasData) {
     const domesticPercent = data.usage.percentage;
     const overseasPercent = overseasData.usage.percentage;
-    statusBarItem.text = `$(clock) ${t.domestic}${domesticPercent}% / ${t.overseas}${overseasPercent}%`;
+    statusBarItem.text = `$(clock) ${t("region.domestic")}${domesticPercent}% / ${t("region.overseas")}${overseasPercent}%`;
   } else {
     // 显示格式：剩余时间 百分比 · 周 百分比
     const remainingText = remaining.hours > 0 ? `${remaining.hours}h` : `${remaining.minutes}m`;
-    const weeklyLabel = language === 'en-US' ? 'W' : '周';
+    const weeklyLabel = t("vscode.weeklyShort");
     let weeklyText = '';
     if (data.weekly) {
       if (data.weekly.unlimited) {
@@ -1068,19 +899,8 @@ function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseas
   md.isTrusted = true;
   md.supportHtml = true;
 
-  const isEn = language === 'en-US';
-
   // Helper: format number with 万/亿 or K/M shorthand
-  const formatNum = (num) => {
-    if (isEn) {
-      if (num >= 1000000) return (num / 1000000).toFixed(1).replace(/\.0$/, "") + "M";
-      if (num >= 1000) return (num / 1000).toFixed(1).replace(/\.0$/, "") + "K";
-      return num.toLocaleString("en-US");
-    }
-    if (num >= 100000000) return (num / 100000000).toFixed(1).replace(/\.0$/, "") + "亿";
-    if (num >= 10000) return (num / 10000).toFixed(1).replace(/\.0$/, "") + "万";
-    return num.toLocaleString("zh-CN");
-  };
+  const formatNum = t.number;
 
   // Helper: colored percentage span
   const pctSpan = (pct) => {
@@ -1089,7 +909,7 @@ function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseas
   };
 
   // ── Period header (use weekly period from API, not the 5h interval) ──
-  // Use the user's local timezone so overseas users see intuitive dates.
+  // Use the configured timezone (system timezone by default) so overseas users see intuitive dates.
   // For end timestamps, subtract 1s so that an exclusive boundary like
   // "next day 00:00:00" is displayed as the previous full day.
   let periodText = '';
@@ -1097,9 +917,7 @@ function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseas
     if (!ts) return '';
     let ms = ts < 1e12 ? ts * 1000 : ts;
     if (isEnd) ms -= 1000;
-    return new Intl.DateTimeFormat('en-CA', {
-      year: 'numeric', month: '2-digit', day: '2-digit',
-    }).format(new Date(ms));
+    return api.clock.date(ms);
   };
   if (apiData.model_remains && apiData.model_remains.length > 0) {
     const firstModel = apiData.model_remains[0];
@@ -1111,8 +929,8 @@ function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseas
   let content = '';
   // Header: title left, period right (full-width table for proper alignment).
   // Markdown bold (**) is NOT parsed inside <td>, so use plain text and <strong>.
-  const titleText = `MINIMAX · ${isEn ? 'Quota Panel' : '配额面板'}`;
-  const periodLabel = isEn ? 'Period' : '周期';
+  const titleText = `MINIMAX · ${t("vscode.quotaPanel")}`;
+  const periodLabel = t("vscode.period");
   content += `<table width="100%" cellspacing="0" cellpadding="0"><tr>`;
   content += `<td align="left">${titleText}</td>`;
   content += `<td align="right">${periodLabel}：${periodText}</td>`;
@@ -1124,11 +942,11 @@ function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseas
   // (VS Code tooltip strips padding/height styles, so bold group titles
   // are the cleanest way to separate categories without wasted vertical space).
   const models = allModelsData.models || [];
-  const colModel = isEn ? 'Model' : '模型';
-  const colUsage = isEn ? 'Usage' : '用量';
-  const colPct   = isEn ? '%' : '占比';
-  const colWeek  = isEn ? 'Weekly' : '每周';
-  const colReset = isEn ? 'Reset' : '重置';
+  const colModel = t("vscode.column.model");
+  const colUsage = t("vscode.column.usage");
+  const colPct   = t("vscode.column.percent");
+  const colWeek  = t("vscode.column.weekly");
+  const colReset = t("vscode.column.reset");
 
   const thStyle = 'style="padding:2px 6px;font-weight:normal;opacity:0.7"';
   const tdStyle = 'style="padding:2px 6px"';
@@ -1137,7 +955,7 @@ function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseas
   // Group meta: name + colored dot (geometric ●, never rendered as emoji)
   const getGroupMeta = (model) => {
     const name = model.name || '';
-    if (model.isTextModel) return { key: 'core', label: isEn ? 'Core' : '核心模型', color: '#dcdcaa' };
+    if (model.isTextModel) return { key: 'core', label: t("vscode.group.core"), color: '#dcdcaa' };
     if (name.includes('coding-plan')) return { key: 'coding', label: 'Coding Plan', color: '#9cdcfe' };
     if (
       name.includes('speech') ||
@@ -1146,9 +964,9 @@ function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseas
       name.includes('image') ||
       name.includes('lyrics')
     ) {
-      return { key: 'media', label: isEn ? 'Media' : '多媒体模型', color: '#4ec9b0' };
+      return { key: 'media', label: t("vscode.group.media"), color: '#4ec9b0' };
     }
-    return { key: 'other', label: isEn ? 'Other' : '其他模型', color: '#888888' };
+    return { key: 'other', label: t("vscode.group.other"), color: '#888888' };
   };
 
   // HTML4 width attributes set per-column minimum width. CSS sizing is stripped
@@ -1207,11 +1025,13 @@ function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseas
   content += `</table>\n\n`;
   content += `---\n\n`;
 
-  // ── Bottom 3-column Token stats: 昨日 / 近7天 / 当月 (real data from billing API) ──
+  // ── Bottom 3-column Token stats: 昨日 / 近7天 / 统计周期 (real data from billing API) ──
   if (usageStats && (usageStats.lastDayUsage > 0 || usageStats.weeklyUsage > 0 || usageStats.planTotalUsage > 0)) {
-    const lblYesterday = isEn ? 'Yesterday' : '昨日消耗';
-    const lbl7d        = isEn ? 'Last 7 Days' : '近 7 天';
-    const lblMonth     = isEn ? 'This Month' : '当月消耗';
+    const lblYesterday = t("stats.yesterday");
+    const lbl7d        = t("vscode.last7Days");
+    const lblMonth     = usageStats.period
+      ? usageStats.period.label
+      : t("stats.periodUsage", { name: t("period.month") });
     const unit         = 'tokens';
 
     const cellLabel = 'style="padding:2px 6px;opacity:0.6"';
@@ -1229,15 +1049,10 @@ function updateStatusBar(statusBarItem, api, data, apiData, usageStats, overseas
   }
 
   // ── Footer: expiry + updated time + refresh hint (right-aligned) ──
-  // Use the user's local timezone for the "updated at" timestamp.
-  const updatedAt = new Date().toLocaleTimeString(isEn ? 'en-US' : 'zh-CN', {
-    hour12: false, hour: '2-digit', minute: '2-digit', second: '2-digit',
-  });
-  const updatedLabel = isEn ? 'Updated' : '更新于';
-  const expiryText = expiry
-    ? `${isEn ? 'Expiry' : '到期'}：${isEn ? translateExpiryText(expiry.text) : expiry.text}`
-    : '';
-  const footerLine = [expiryText, `${updatedLabel} ${updatedAt}`, t.clickToRefresh].filter(Boolean).join(' · ');
+  // Use the configured timezone and clock format for the "updated at" timestamp.
+  const updatedAt = api.clock.time(Date.now(), { seconds: true });
+  const expiryText = expiry ? t("vscode.expiry", { text: expiry.text }) : '';
+  const footerLine = [expiryText, t("vscode.updatedAt", { time: updatedAt }), t("vscode.clickToRefresh")].filter(Boolean).join(' · ');
   content += `<table width="100%" cellspacing="0" cellpadding="0"><tr>`;
   content += `<td align="right" style="opacity:0.55">${footerLine}</td>`;
   content += `</tr></table>`;
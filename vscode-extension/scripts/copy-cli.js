@@ -0,0 +1,32 @@
+// 把 cli/core.js 及其引用的 CLI 模块复制到扩展的 cli/ 目录（扩展单独打包，不能引用仓库根目录）
+// 复制结果不提交到 git，安装依赖、测试和打包前都会重新生成，扩展始终使用 CLI 的源文件
+const fs = require("fs");
+const path = require("path");
+
+const CLI_DIR = path.join(__dirname, "..", "..", "cli");
+const TARGET_DIR = path.join(__dirname, "..", "cli");
+const HEADER = "// 由 scripts/copy-cli.js 从 cli/ 复制生成，请修改 CLI 中的源文件\n";
+
+// 从入口开始收集所有相对路径的 require
+function collect(relativePath, files) {
+  if (files.has(relativePath)) {
+    return;
+  }
+  files.add(relativePath);
+  const source = fs.readFileSync(path.join(CLI_DIR, relativePath), "utf8");
+  for (const match of source.matchAll(/require\(["'](\.\.?\/[^"']+)["']\)/g)) {
+    const required = path.join(path.dirname(relativePath), match[1]);
+    collect(required.endsWith(".js") ? required : `${required}.js`, files);
+  }
+}
+
+const files = new Set();
+collect("core.js", files);
+
+fs.rmSync(TARGET_DIR, { recursive: true, force: true });
+for (const relativePath of files) {
+  const target = path.join(TARGET_DIR, relativePath);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, HEADER + fs.readFileSync(path.join(CLI_DIR, relativePath), "utf8"));
+}
+console.log(`✓ cli/ (${files.size} files)`);
@@ -0,0 +1,38 @@
+const assert = require('assert');
+const { resolveBillingPeriod, createTranslator, Clock } = require('../../cli/core');
+
+// 订阅接口的真实返回：current_credit_reload_time 是下次重置日期，与到期日相同
+const subscription = {
+    current_subscribe: {
+        current_subscribe_title: 'Plus',
+        current_subscribe_end_time: '11/05/2026',
+        current_credit_reload_time: '11/05/2026'
+    }
+};
+const clock = new Clock({ timeZone: 'Asia/Shanghai' });
+const t = createTranslator('en-US');
+const now = Date.parse('2026-10-19T12:00:00+08:00');
+
+suite('Billing Period Test Suite', () => {
+    test('Cycle ends at expiry and starts one month before', () => {
+        const period = resolveBillingPeriod('cycle', subscription, clock, now, t);
+        assert.strictEqual(period.mode, 'cycle');
+        assert.strictEqual(period.start, Date.parse('2026-10-05T00:00:00+08:00'));
+        assert.strictEqual(period.end, Date.parse('2026-11-06T00:00:00+08:00') - 1);
+        assert.ok(period.start <= now && now <= period.end);
+        assert.strictEqual(period.label, 'This cycle 10-05 ~ 11-05');
+    });
+
+    test('Cycle start is clamped to the end of a shorter month', () => {
+        const data = { current_subscribe: { current_subscribe_end_time: '03/31/2027', current_credit_reload_time: '03/31/2027' } };
+        const period = resolveBillingPeriod('cycle', data, clock, Date.parse('2027-03-10T12:00:00+08:00'), t);
+        assert.strictEqual(period.start, Date.parse('2027-02-28T00:00:00+08:00'));
+    });
+
+    test('Falls back to the calendar month without subscription data', () => {
+        const period = resolveBillingPeriod('cycle', null, clock, now, t);
+        assert.strictEqual(period.mode, 'month');
+        assert.strictEqual(period.start, Date.parse('2026-10-01T00:00:00+08:00'));
+        assert.strictEqual(period.label, 'This month 10-01 ~ 10-31');
+    });
+});